@@ -0,0 +1,81 @@
+// Break-even analysis - what compressing one prompt really saves once its legend is paid for
+import { normalizeCodex, compress } from '../public/js/codex/compression-engine.js';
+import { buildLegend, formatLegend } from '../public/js/codex/legend.js';
+
+/**
+ * Simulate compressing a prompt with the codex and find the subset of the codex worth using.
+ *
+ * Each entry that fires costs its line(s) in the legend once and saves tokensSavedPerUse
+ * on every use, so it pays off from breakEvenFrequency uses (null when a use saves nothing).
+ * The recommended subset starts from the entries used at least that often, then drops any
+ * entry whose removal improves the measured total - tokenization is not additive.
+ *
+ * Options: countTokens (required), format (legend format, default 'compact'), segmenters
+ *
+ * RETURNS: { tokens: { original, compressed, legend, net },
+ *            entries: [{ original, compressed, occurrences, tokensSavedPerUse, legendTokens, breakEvenFrequency, netTokensSaved, recommended }],
+ *            recommendation: { use: 'all' | 'subset' | 'none', originals, text, legend, tokens } }
+ */
+export function analyzeBreakEven(text, codex, options) {
+    const { countTokens, format = 'compact', segmenters } = options;
+    const { entries: active } = normalizeCodex(codex);
+    const measure = subset => {
+        const result = compress(text, subset, { countTokens, segmenters });
+        const legend = buildLegend(result.text, subset, { countTokens, format, segmenters });
+        return {
+            entries: result.entries,
+            symbols: legend.symbols,
+            text: result.text,
+            legend: legend.text,
+            tokens: { original: result.tokens.before, compressed: result.tokens.after, legend: legend.tokens.legend, net: legend.tokens.net }
+        };
+    };
+    
+    const full = measure(active);
+    const legendTokens = full.legend ? countTokens(full.legend) : 0;
+    
+    const entries = full.entries.map(entry => {
+        // Marginal legend cost: what the legend loses without this entry's lines
+        const others = full.symbols.filter(symbol => symbol.original !== entry.original);
+        const cost = legendTokens - (others.length > 0 ? countTokens(formatLegend(others, format)) : 0);
+        const perUse = entry.tokensSavedPerUse;
+        
+        return {
+            original: entry.original,
+            compressed: entry.compressed,
+            occurrences: entry.occurrences,
+            tokensSavedPerUse: perUse,
+            legendTokens: cost,
+            breakEvenFrequency: perUse > 0 ? Math.floor(cost / perUse) + 1 : null,
+            netTokensSaved: perUse * entry.occurrences - cost
+        };
+    });
+    
+    // Start from the entries that pay for themselves, then prune on measured totals (weakest first)
+    const byOriginal = new Map(active.map(entry => [entry.original, entry]));
+    let subset = entries.filter(entry => entry.netTokensSaved > 0).sort((a, b) => a.netTokensSaved - b.netTokensSaved).map(entry => byOriginal.get(entry.original));
+    let best = subset.length > 0 ? measure(subset) : null;
+    for (const candidate of [...subset]) {
+        const without = subset.filter(entry => entry !== candidate);
+        const trial = without.length > 0 ? measure(without) : null;
+        if ((trial?.tokens.net ?? 0) > (best?.tokens.net ?? 0)) {
+            subset = without;
+            best = trial;
+        }
+    }
+    if (full.tokens.net > (best?.tokens.net ?? 0)) {
+        subset = full.entries.map(entry => byOriginal.get(entry.original));
+        best = full;
+    }
+    
+    const chosen = new Set(best && best.tokens.net > 0 ? subset.map(entry => entry.original) : []);
+    const use = chosen.size === 0 ? 'none' : chosen.size === entries.length ? 'all' : 'subset';
+    
+    return {
+        tokens: full.tokens,
+        entries: entries.map(entry => ({ ...entry, recommended: chosen.has(entry.original) })),
+        recommendation: use === 'none'
+            ? { use, originals: [], text, legend: '', tokens: { original: full.tokens.original, compressed: full.tokens.original, legend: 0, net: 0 } }
+            : { use, originals: [...chosen], text: best.text, legend: best.legend, tokens: best.tokens }
+    };
+}
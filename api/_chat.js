@@ -0,0 +1,154 @@
+// Chat message compression for the OpenAI-compatible proxy (api/v1/chat/completions.js)
+import { normalizeCodex, compress, decompress, DEFAULT_ESCAPE } from '../public/js/codex/compression-engine.js';
+import { buildLegend, formatLegend, LEGEND_FORMATS } from '../public/js/codex/legend.js';
+
+// The legend alone reads as noise to a model - say what it is
+export const LEGEND_PREAMBLE = 'Symbols in this conversation stand for words:';
+
+// Added when the text has escaped symbols, so the model doesn't read a literal "\∫" as a word
+export const LEGEND_ESCAPE_NOTE = `A "${DEFAULT_ESCAPE}" right before a symbol means the symbol itself, not the word it stands for.`;
+
+export const PROXY_DEFAULTS = {
+    enabled: true,
+    roles: ['system', 'user'],
+    legend: 'compact',
+    onlyWhenProfitable: true,
+    decompressResponse: false,
+    version: null
+};
+
+const ROLES = ['system', 'user', 'assistant', 'tool', 'developer'];
+
+/**
+ * Validate the proxy's "compression" request field (stripped before forwarding upstream)
+ *
+ * RETURNS: { valid, options, error }
+ */
+export function parseProxyOptions(value) {
+    if (value === undefined || value === null) {
+        return { valid: true, options: { ...PROXY_DEFAULTS } };
+    }
+    if (value === false) {
+        return { valid: true, options: { ...PROXY_DEFAULTS, enabled: false } };
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        return { valid: false, error: 'compression must be false or an object { enabled, roles, legend, onlyWhenProfitable, decompressResponse, version }' };
+    }
+    
+    const options = { ...PROXY_DEFAULTS, ...value };
+    for (const flag of ['enabled', 'onlyWhenProfitable', 'decompressResponse']) {
+        if (typeof options[flag] !== 'boolean') {
+            return { valid: false, error: `compression.${flag} must be a boolean` };
+        }
+    }
+    if (!Array.isArray(options.roles) || options.roles.some(role => !ROLES.includes(role))) {
+        return { valid: false, error: `compression.roles must be an array of: ${ROLES.join(', ')}` };
+    }
+    if (!LEGEND_FORMATS.includes(options.legend)) {
+        return { valid: false, error: `compression.legend must be one of: ${LEGEND_FORMATS.join(', ')}` };
+    }
+    return { valid: true, options };
+}
+
+/**
+ * Compress the text of chat messages in the given roles and put the legend for every symbol
+ * used at the top of the system prompt (a system message is added when there is none).
+ * Content may be a string or an array of parts; only { type: 'text' } parts are compressed.
+ *
+ * Options: countTokens (required), roles, legend (format), segmenters
+ *
+ * RETURNS: { messages, legend, entries: [{ original, compressed, occurrences }],
+ *            tokens: { original, compressed, legend, saved, net } }
+ * Token counts cover message text only (not the per-message overhead, which doesn't change).
+ */
+export function compressChatMessages(messages, codex, options) {
+    const { countTokens, roles = PROXY_DEFAULTS.roles, legend: format = PROXY_DEFAULTS.legend, segmenters } = options;
+    const normalized = normalizeCodex(codex);
+    const symbols = new Map();    // symbol -> legend line, occurrences summed over messages
+    const occurrences = new Map(); // original -> { original, compressed, occurrences }
+    let escapes = 0;
+    
+    const compressText = text => {
+        const result = compress(text, normalized, { segmenters });
+        escapes += result.escapes || 0;
+        for (const entry of result.entries) {
+            const total = occurrences.get(entry.original) || { original: entry.original, compressed: entry.compressed, occurrences: 0 };
+            total.occurrences += entry.occurrences;
+            occurrences.set(entry.original, total);
+        }
+        for (const symbol of buildLegend(result.text, normalized, { segmenters }).symbols) {
+            const total = symbols.get(symbol.symbol);
+            symbols.set(symbol.symbol, total ? { ...total, occurrences: total.occurrences + symbol.occurrences } : symbol);
+        }
+        return result.text;
+    };
+    
+    const compressed = messages.map(message => roles.includes(message.role) ? mapText(message, compressText) : message);
+    const legend = symbols.size > 0 ? formatLegend([...symbols.values()], format) : '';
+    
+    let withLegend = compressed;
+    if (legend) {
+        const block = `${LEGEND_PREAMBLE}${escapes > 0 ? ` ${LEGEND_ESCAPE_NOTE}` : ''}\n${legend}`;
+        const [first, ...rest] = compressed;
+        withLegend = first?.role === 'system' && typeof first.content === 'string'
+            ? [{ ...first, content: `${block}\n\n${first.content}` }, ...rest]
+            : [{ role: 'system', content: block }, ...compressed];
+    }
+    
+    const original = countMessageTokens(messages, countTokens);
+    const compressedTokens = countMessageTokens(compressed, countTokens);
+    const legendTokens = countMessageTokens(withLegend, countTokens) - compressedTokens;
+    
+    return {
+        messages: withLegend,
+        legend,
+        entries: [...occurrences.values()],
+        tokens: {
+            original,
+            compressed: compressedTokens,
+            legend: legendTokens,
+            saved: original - compressedTokens,
+            net: original - compressedTokens - legendTokens
+        }
+    };
+}
+
+/**
+ * Restore symbols in the assistant messages of an upstream chat completion (in place)
+ *
+ * Model output is not produced by compress(), so a symbol the model uses on its own is
+ * expanded too - which is why this is opt-in (compression.decompressResponse).
+ */
+export function decompressChatResponse(data, codex, options = {}) {
+    const normalized = normalizeCodex(codex);
+    for (const choice of data?.choices || []) {
+        if (choice.message) {
+            choice.message = mapText(choice.message, text => decompress(text, normalized, options).text);
+        }
+    }
+    return data;
+}
+
+function mapText(message, transform) {
+    if (typeof message.content === 'string') {
+        return { ...message, content: transform(message.content) };
+    }
+    if (Array.isArray(message.content)) {
+        return {
+            ...message,
+            content: message.content.map(part => part?.type === 'text' && typeof part.text === 'string' ? { ...part, text: transform(part.text) } : part)
+        };
+    }
+    return message;
+}
+
+function countMessageTokens(messages, countTokens) {
+    let total = 0;
+    for (const message of messages) {
+        mapText(message, text => {
+            total += countTokens(text);
+            return text;
+        });
+    }
+    return total;
+}
@@ -0,0 +1,289 @@
+// Server-side codex loading for API routes
+import { createClient } from '@supabase/supabase-js';
+import { buildSavingsMatrix } from './_tokenizer.js';
+import { createJsonFileAdapter } from '../server/json-file-adapter.js';
+import { SEGMENTERS, DEFAULT_SEGMENTERS } from '../public/js/codex/compression-engine.js';
+import { parseSemver, compareSemver } from '../public/js/codex/releases.js';
+
+const CACHE_TTL_MS = 60 * 1000; // 1 minute
+const codexCache = new Map();
+let supabase = null;
+
+function getSupabase() {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
+        return null;
+    }
+    if (!supabase) {
+        supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+    }
+    return supabase;
+}
+
+/**
+ * Approved compressions up to a ceremony hour, oldest first.
+ * STORAGE_BACKEND=local reads the runner's JSON file instead of Supabase.
+ */
+async function fetchCompressions(version) {
+    if (process.env.STORAGE_BACKEND === 'local') {
+        const tables = createJsonFileAdapter().load();
+        return (tables?.compressions || [])
+            .filter(row => version === null || row.hour <= version)
+            .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id - b.id);
+    }
+    
+    const client = getSupabase();
+    if (!client) {
+        throw new Error('Supabase not configured');
+    }
+    
+    let query = client
+        .from('compressions')
+        .select('original, compressed, tokens_saved, token_matrix, inflections, source, hour, created_at')
+        .order('created_at', { ascending: true });
+    
+    if (version !== null) {
+        query = query.lte('hour', version);
+    }
+    
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Codex releases without their entries, oldest first
+ */
+export async function listCodexReleases() {
+    if (process.env.STORAGE_BACKEND === 'local') {
+        const tables = createJsonFileAdapter().load();
+        return (tables?.codex_releases || [])
+            .map(({ entries, ...release }) => release)
+            .sort((a, b) => compareSemver(a.version, b.version));
+    }
+    
+    const client = getSupabase();
+    if (!client) {
+        throw new Error('Supabase not configured');
+    }
+    
+    const { data, error } = await client
+        .from('codex_releases')
+        .select('version, bump, hour, entry_count, changelog, released_at');
+    
+    if (error) throw error;
+    return (data || []).sort((a, b) => compareSemver(a.version, b.version));
+}
+
+/**
+ * One release with its entries, or the newest one (version = null). null when there is none.
+ */
+async function fetchRelease(version) {
+    if (process.env.STORAGE_BACKEND === 'local') {
+        const releases = createJsonFileAdapter().load()?.codex_releases || [];
+        const match = version
+            ? releases.find(release => release.version === version)
+            : [...releases].sort((a, b) => compareSemver(a.version, b.version)).pop();
+        return match || null;
+    }
+    
+    const client = getSupabase();
+    if (!client) {
+        throw new Error('Supabase not configured');
+    }
+    
+    let query = client
+        .from('codex_releases')
+        .select('version, bump, hour, entry_count, entries, changelog, released_at');
+    query = version ? query.eq('version', version) : query.order('released_at', { ascending: false }).limit(1);
+    
+    const { data, error } = await query;
+    if (error) throw error;
+    return data?.[0] || null;
+}
+
+/**
+ * Parse an optional codex version from a request body:
+ * - a release, "1.4.0" (immutable - pin this)
+ * - a ceremony hour, 42: every compression in the live table validated up to hour 42
+ *   (changes when entries are deprecated or removed - kept for older clients)
+ * - omitted or "latest": the newest release
+ */
+export function parseCodexVersion(value) {
+    if (value === undefined || value === null || value === '' || value === 'latest') {
+        return { valid: true, version: null };
+    }
+    const release = parseSemver(value);
+    if (release) {
+        return { valid: true, version: `${release.major}.${release.minor}.${release.patch}` };
+    }
+    const version = Number(value);
+    if (!Number.isInteger(version) || version < 1) {
+        return { valid: false, error: 'version must be a codex release ("1.4.0"), a ceremony hour (positive integer) or "latest"' };
+    }
+    return { valid: true, version };
+}
+
+/**
+ * Parse optional protected-span segmenter names from a request body.
+ * Omitted = every segmenter; [] compresses code, URLs and markup like any other text.
+ * Decompression must use the same list as compression.
+ */
+export function parseSegmenters(value) {
+    if (value === undefined || value === null) {
+        return { valid: true, segmenters: DEFAULT_SEGMENTERS };
+    }
+    if (!Array.isArray(value) || value.some(name => !Object.hasOwn(SEGMENTERS, name))) {
+        return { valid: false, error: `segmenters must be an array of: ${Object.keys(SEGMENTERS).join(', ')}` };
+    }
+    return { valid: true, segmenters: [...new Set(value)].map(name => SEGMENTERS[name]) };
+}
+
+/**
+ * Parse an optional list of codex originals to restrict compression to (e.g. the subset
+ * recommended by /api/analyze). Omitted = every entry. Decompression must use the same list.
+ */
+export function parseOriginals(value) {
+    if (value === undefined || value === null) {
+        return { valid: true, originals: null };
+    }
+    if (!Array.isArray(value) || value.some(original => typeof original !== 'string')) {
+        return { valid: false, error: 'originals must be an array of strings' };
+    }
+    return { valid: true, originals: new Set(value) };
+}
+
+/**
+ * Load the approved codex, oldest entries first so earlier validations win conflicts.
+ * Latest is the newest release; before the first release (or without the codex_releases
+ * table) it is the live compressions table.
+ *
+ * RETURNS: { version, entries: [{ original, compressed, tokens_saved, token_matrix, inflections, source, hour, deprecated? }], fallback }
+ * Throws when a pinned version is requested but the database is unavailable -
+ * silently substituting a different codex would break previously compressed text.
+ * An unknown release throws with status 404.
+ */
+export async function loadCodex(version = null) {
+    const cacheKey = version ?? 'latest';
+    const cached = codexCache.get(cacheKey);
+    // Releases never change, so a pinned release stays cached for the life of the instance
+    if (cached && (typeof version === 'string' || Date.now() - cached.loadedAt < CACHE_TTL_MS)) {
+        return cached.codex;
+    }
+    
+    try {
+        const codex = typeof version === 'string'
+            ? await loadRelease(version)
+            : await loadLatestRelease(version) || await loadLiveCodex(version);
+        
+        codexCache.set(cacheKey, { codex, loadedAt: Date.now() });
+        return codex;
+        
+    } catch (error) {
+        if (error.status === 404) {
+            throw error;
+        }
+        if (version !== null) {
+            throw new Error(`Codex version ${version} unavailable: ${error.message}`);
+        }
+        
+        console.log(`⚠️ Codex load failed, using baseline codex: ${error.message}`);
+        return {
+            version: null,
+            entries: getFallbackCodex(),
+            fallback: true
+        };
+    }
+}
+
+async function loadRelease(version) {
+    const release = await fetchRelease(version);
+    if (!release) {
+        throw Object.assign(new Error(`Codex release ${version} not found`), { status: 404 });
+    }
+    return { version: release.version, entries: release.entries, fallback: false };
+}
+
+/**
+ * The newest release when version is null (latest), else null. A missing or unreadable
+ * codex_releases table means no releases yet, not an unavailable codex.
+ */
+async function loadLatestRelease(version) {
+    if (version !== null) return null;
+    
+    try {
+        const release = await fetchRelease(null);
+        return release && { version: release.version, entries: release.entries, fallback: false };
+    } catch (error) {
+        console.log(`⚠️ Codex releases unavailable, using the compressions table: ${error.message}`);
+        return null;
+    }
+}
+
+async function loadLiveCodex(version) {
+    const entries = await fetchCompressions(version);
+    return {
+        version: version ?? (entries.reduce((max, row) => Math.max(max, row.hour || 0), 0) || null),
+        entries,
+        fallback: false
+    };
+}
+
+/**
+ * Keep only the entries that save tokens under one encoding.
+ * Uses the token_matrix stored at ceremony time; entries validated before the
+ * matrix existed (and the baseline codex) are measured on the fly.
+ *
+ * RETURNS: { entries: [...entries with token_matrix], excluded: [{ original, compressed, saved }] }
+ */
+export async function filterCodexForEncoding(entries, encoding) {
+    const kept = [];
+    const excluded = [];
+    
+    for (const entry of entries) {
+        let savings = entry.token_matrix?.[encoding];
+        let tokenMatrix = entry.token_matrix;
+        if (!savings) {
+            const measured = await buildSavingsMatrix(entry.original, entry.compressed, [encoding]);
+            savings = measured[encoding];
+            tokenMatrix = { ...(entry.token_matrix || {}), ...measured };
+        }
+        
+        if (savings.saved > 0) {
+            kept.push({ ...entry, token_matrix: tokenMatrix });
+        } else {
+            excluded.push({ original: entry.original, compressed: entry.compressed, saved: savings.saved });
+        }
+    }
+    
+    return { entries: kept, excluded };
+}
+
+function getFallbackCodex() {
+    // Baseline mathematical compressions (mirrors config.agents.generation.mathematicalSymbols.baseline)
+    const baseline = {
+        'unfortunately': '∂',
+        'implementation': '∫',
+        'comprehensive': '∏',
+        'approximately': '≈',
+        'communication': 'Δ',
+        'infrastructure': 'Ω',
+        'database': 'Σ',
+        'customer': 'μ',
+        'analyze': 'α',
+        'however': 'λ',
+        'therefore': '∴',
+        'development': 'δ',
+        'management': 'π',
+        'performance': 'ρ',
+        'configuration': 'θ'
+    };
+    
+    return Object.entries(baseline).map(([original, compressed]) => ({
+        original,
+        compressed,
+        tokens_saved: null,
+        token_matrix: null,
+        inflections: null,
+        source: 'Baseline'
+    }));
+}
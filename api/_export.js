@@ -0,0 +1,173 @@
+// Codex export - filters and file formats for /api/export (the "Export Codex" button)
+import { normalizeCodex, INFLECTION_RULES } from '../public/js/codex/compression-engine.js';
+import { formatLegend, LEGEND_FORMATS } from '../public/js/codex/legend.js';
+import { SYMBOL_BLOCKS } from './_symbols.js';
+import { LEGEND_PREAMBLE } from './_chat.js';
+
+export const EXPORT_FORMATS = {
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    js: { extension: 'js', contentType: 'text/javascript; charset=utf-8' },
+    ts: { extension: 'd.ts', contentType: 'text/plain; charset=utf-8' },
+    legend: { extension: 'txt', contentType: 'text/plain; charset=utf-8' }
+};
+
+export const EXPORT_TIERS = { top: 100, full: null };
+export const EXPORT_SOURCES = ['all', 'human', 'ai'];
+
+// Categories are the symbol registry's Unicode blocks, plus plain ASCII abbreviations
+export const EXPORT_CATEGORIES = [...new Set(SYMBOL_BLOCKS.map(({ block }) => block)), 'ascii', 'other'];
+
+/**
+ * Category of a symbol: the block of its first character
+ */
+export function symbolCategory(symbol) {
+    const code = symbol.codePointAt(0);
+    if (code < 0x80) return 'ascii';
+    return SYMBOL_BLOCKS.find(({ from, to }) => code >= from && code <= to)?.block || 'other';
+}
+
+/**
+ * Validate export options from a request body
+ *
+ * RETURNS: { valid, options: { format, tier, category, source, legend }, error }
+ */
+export function parseExportOptions(body = {}) {
+    const { format = 'json', tier = 'full', category = null, source = 'all', legend = 'compact' } = body;
+    
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+        return { valid: false, error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+    }
+    if (!Object.hasOwn(EXPORT_TIERS, tier)) {
+        return { valid: false, error: `tier must be one of: ${Object.keys(EXPORT_TIERS).join(', ')}` };
+    }
+    if (category !== null && !EXPORT_CATEGORIES.includes(category)) {
+        return { valid: false, error: `category must be one of: ${EXPORT_CATEGORIES.join(', ')}` };
+    }
+    if (!EXPORT_SOURCES.includes(source)) {
+        return { valid: false, error: `source must be one of: ${EXPORT_SOURCES.join(', ')}` };
+    }
+    if (!LEGEND_FORMATS.includes(legend)) {
+        return { valid: false, error: `legend must be one of: ${LEGEND_FORMATS.join(', ')}` };
+    }
+    return { valid: true, options: { format, tier, category, source, legend } };
+}
+
+/**
+ * Apply the export filters to codex rows (oldest first) and shape the exported entries.
+ * The top tier is the entries saving the most tokens (under encoding when given),
+ * kept in codex order so earlier entries still win conflicts on import.
+ *
+ * RETURNS: [{ original, compressed, inflections, source, category, tokensSaved, deprecated }]
+ */
+export function selectExportEntries(rows, { tier = 'full', category = null, source = 'all', encoding = null } = {}) {
+    const entries = rows
+        .map(row => ({
+            original: row.original,
+            compressed: row.compressed,
+            inflections: row.inflections ?? null,
+            source: row.source ?? null,
+            category: symbolCategory(row.compressed),
+            tokensSaved: (encoding ? row.token_matrix?.[encoding]?.saved : row.tokens_saved) ?? null,
+            deprecated: Boolean(row.deprecated)
+        }))
+        .filter(entry => category === null || entry.category === category)
+        .filter(entry => source === 'all' || (entry.source?.startsWith('Human:') ? 'human' : 'ai') === source);
+    
+    const limit = EXPORT_TIERS[tier];
+    if (limit === null || entries.length <= limit) {
+        return entries;
+    }
+    
+    const top = new Set([...entries]
+        .sort((a, b) => (b.tokensSaved ?? 0) - (a.tokensSaved ?? 0))
+        .slice(0, limit));
+    return entries.filter(entry => top.has(entry));
+}
+
+/**
+ * Render exported entries as a file
+ *
+ * meta: { codexVersion, filters, legend (format for the legend export) }
+ * RETURNS: { filename, contentType, content }
+ */
+export function renderExport(entries, format, meta = {}) {
+    const { extension, contentType } = EXPORT_FORMATS[format];
+    const version = meta.codexVersion ?? 'latest';
+    const header = `Token Compressor codex ${version} - ${entries.length} entries`;
+    
+    let content;
+    switch (format) {
+        case 'json':
+            content = JSON.stringify({ codexVersion: meta.codexVersion ?? null, filters: meta.filters || {}, count: entries.length, entries }, null, 2);
+            break;
+        case 'csv':
+            content = toCsv(entries);
+            break;
+        case 'js':
+            content = [
+                `// ${header}`,
+                `export const CODEX_VERSION = ${JSON.stringify(meta.codexVersion ?? null)};`,
+                'export const codex = [',
+                ...entries.map(entry => `    ${JSON.stringify(entry)},`),
+                '];',
+                'export default codex;',
+                ''
+            ].join('\n');
+            break;
+        case 'ts':
+            content = toDeclaration(entries, meta.codexVersion, header);
+            break;
+        case 'legend':
+            content = toLegend(entries, meta.legend || 'compact');
+            break;
+    }
+    
+    return { filename: `codex-${version}.${extension}`, contentType, content };
+}
+
+const CSV_COLUMNS = ['original', 'compressed', 'inflections', 'source', 'category', 'tokensSaved', 'deprecated'];
+
+function toCsv(entries) {
+    const cell = value => {
+        const text = value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [CSV_COLUMNS.join(','), ...entries.map(entry => CSV_COLUMNS.map(column => cell(entry[column])).join(','))].join('\r\n') + '\r\n';
+}
+
+// Type declarations for the js export (save next to it as codex.d.ts)
+function toDeclaration(entries, codexVersion, header) {
+    const union = values => (values.length > 0 ? [...new Set(values)].map(value => JSON.stringify(value)).join(' | ') : 'never');
+    const rules = union(Object.keys(INFLECTION_RULES));
+    return [
+        `// ${header} - declarations for the js export`,
+        `export type CodexOriginal = ${union(entries.map(entry => entry.original))};`,
+        `export type CodexSymbol = ${union(entries.map(entry => entry.compressed))};`,
+        `export type CodexInflectionRule = ${rules};`,
+        '',
+        'export interface CodexEntry {',
+        '    original: CodexOriginal;',
+        '    compressed: CodexSymbol;',
+        '    inflections: CodexInflectionRule[] | { [rule in CodexInflectionRule]?: boolean | string } | null;',
+        '    source: string | null;',
+        '    category: string;',
+        '    tokensSaved: number | null;',
+        '    deprecated: boolean;',
+        '}',
+        '',
+        `export declare const CODEX_VERSION: ${JSON.stringify(codexVersion ?? null)};`,
+        'export declare const codex: readonly CodexEntry[];',
+        'export default codex;',
+        ''
+    ].join('\n');
+}
+
+// Every symbol and inflected form, ready for a system prompt
+function toLegend(entries, format) {
+    const symbols = normalizeCodex(entries).entries.flatMap(entry => [
+        { symbol: entry.compressed, meaning: entry.original },
+        ...entry.forms.map(form => ({ symbol: entry.compressed + form.code, meaning: form.surface }))
+    ]);
+    return symbols.length > 0 ? `${LEGEND_PREAMBLE}\n${formatLegend(symbols, format)}\n` : '';
+}
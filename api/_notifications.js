@@ -0,0 +1,49 @@
+// Server-side suppression list writes for API routes (the runner reads it before every mail)
+import { createClient } from '@supabase/supabase-js';
+import { createJsonFileAdapter } from '../server/json-file-adapter.js';
+import { normalizeEmail } from '../server/notifications.js';
+
+let supabase = null;
+
+// notification_suppressions is service-role only (doc/notifications-schema.sql)
+function getSupabase() {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+        return null;
+    }
+    if (!supabase) {
+        supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+    }
+    return supabase;
+}
+
+/**
+ * Put an address on the suppression list. Idempotent: an address already on it keeps its first reason.
+ * STORAGE_BACKEND=local writes the runner's JSON file instead of Supabase.
+ */
+export async function suppressAddress(email, reason) {
+    const address = normalizeEmail(email);
+    
+    if (process.env.STORAGE_BACKEND === 'local') {
+        const adapter = createJsonFileAdapter();
+        const tables = adapter.load() || {};
+        const rows = tables.notification_suppressions || [];
+        if (!rows.some(row => row.email === address)) {
+            const id = rows.reduce((max, row) => Math.max(max, row.id || 0), 0) + 1;
+            tables.notification_suppressions = [...rows, { id, email: address, reason, created_at: new Date().toISOString() }];
+            adapter.save(tables);
+        }
+        return;
+    }
+    
+    const client = getSupabase();
+    if (!client) {
+        throw new Error('Supabase not configured (the suppression list needs SUPABASE_SERVICE_ROLE_KEY)');
+    }
+    
+    const { error } = await client
+        .from('notification_suppressions')
+        .insert({ email: address, reason });
+    
+    // Unique violation: already suppressed
+    if (error && error.code !== '23505') throw error;
+}
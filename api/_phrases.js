@@ -0,0 +1,113 @@
+// Multi-word phrase mining for discovery - "in order to" wastes more tokens than any single word
+import { countTokens } from './_tokenizer.js';
+
+export const PHRASE_DEFAULTS = {
+    minWords: 2,
+    maxWords: 6,
+    minFrequency: 2,
+    limit: 20
+};
+
+export const MAX_PHRASE_WORDS = 6;
+
+// Phrases never span sentence or clause punctuation
+const CLAUSE_BREAK = /[.!?;:,()[\]{}"“”—–\n]+/;
+const WORD = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+
+/**
+ * Validate phrase mining options from a request body (true = defaults)
+ *
+ * RETURNS: { valid, options, error }
+ */
+export function parsePhraseOptions(value) {
+    if (value === true) {
+        return { valid: true, options: { ...PHRASE_DEFAULTS } };
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { valid: false, error: 'phrases must be true or an object { minWords, maxWords, minFrequency, limit }' };
+    }
+    
+    const options = { ...PHRASE_DEFAULTS, ...value };
+    const isInt = (n) => Number.isInteger(n) && n > 0;
+    if (![options.minWords, options.maxWords, options.minFrequency, options.limit].every(isInt)) {
+        return { valid: false, error: 'phrase options must be positive integers' };
+    }
+    if (options.minWords < 2 || options.maxWords > MAX_PHRASE_WORDS || options.minWords > options.maxWords) {
+        return { valid: false, error: `phrases must be between 2 and ${MAX_PHRASE_WORDS} words (minWords <= maxWords)` };
+    }
+    return { valid: true, options };
+}
+
+/**
+ * Find repeated 2-6 word phrases, ranked by total token cost (tokens × frequency).
+ *
+ * Counting is case-insensitive; each phrase is reported in its most common spelling,
+ * since the codex matches originals exactly. A phrase that only ever occurs inside a
+ * longer repeated phrase ("well as" inside "as well as") is dropped in favour of it.
+ *
+ * RETURNS: [{ phrase, words, tokens, frequency, totalTokens, compressionPotential }]
+ */
+export function minePhrases(text, tokenizer, options = {}) {
+    const { minWords, maxWords, minFrequency, limit } = { ...PHRASE_DEFAULTS, ...options };
+    const counts = new Map(); // lowercase phrase -> { count, spellings: Map }
+    
+    for (const clause of String(text ?? '').split(CLAUSE_BREAK)) {
+        const words = clause.match(WORD) || [];
+        for (let n = minWords; n <= maxWords; n++) {
+            for (let i = 0; i + n <= words.length; i++) {
+                const surface = words.slice(i, i + n).join(' ');
+                const key = surface.toLowerCase();
+                const entry = counts.get(key) || { count: 0, spellings: new Map() };
+                entry.count++;
+                entry.spellings.set(surface, (entry.spellings.get(surface) || 0) + 1);
+                counts.set(key, entry);
+            }
+        }
+    }
+    
+    const repeated = [...counts.entries()].filter(([, entry]) => entry.count >= minFrequency);
+    const frequencyOf = new Map(repeated.map(([key, entry]) => [key, entry.count]));
+    
+    const phrases = [];
+    for (const [key, entry] of repeated) {
+        const words = key.split(' ');
+        if (isSubsumed(words, entry.count, frequencyOf, maxWords)) continue;
+        
+        const phrase = [...entry.spellings.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0];
+        // Measured mid-sentence (leading space), like the codex savings matrix
+        const tokens = countTokens(tokenizer, ` ${phrase}`);
+        if (tokens < 2) continue;
+        
+        phrases.push({
+            phrase,
+            words: words.length,
+            tokens,
+            frequency: entry.count,
+            totalTokens: tokens * entry.count,
+            compressionPotential: (tokens - 1) * entry.count
+        });
+    }
+    
+    return phrases
+        .sort((a, b) => b.totalTokens - a.totalTokens || b.words - a.words || a.phrase.localeCompare(b.phrase))
+        .slice(0, limit);
+}
+
+/**
+ * Does a longer repeated phrase, extended by one word on either side, account for every occurrence?
+ */
+function isSubsumed(words, count, frequencyOf, maxWords) {
+    if (words.length >= maxWords) return false;
+    
+    for (const [key, frequency] of frequencyOf) {
+        if (frequency !== count) continue;
+        const longer = key.split(' ');
+        if (longer.length !== words.length + 1) continue;
+        
+        const joined = words.join(' ');
+        if (longer.slice(1).join(' ') === joined || longer.slice(0, -1).join(' ') === joined) {
+            return true;
+        }
+    }
+    return false;
+}
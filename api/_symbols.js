@@ -0,0 +1,84 @@
+// Symbol inventory for the symbol registry - every candidate code point with its token cost per encoding
+import { getTokenizer, countTokens, SUPPORTED_ENCODINGS } from './_tokenizer.js';
+
+// Unicode blocks the Generation Agent may draw symbols from. ASCII is excluded (it is
+// ordinary text), as is the compression engine's escape character.
+export const SYMBOL_BLOCKS = [
+    { block: 'latin1', from: 0x00A1, to: 0x00BF },          // ¢ £ ¥ § ¶ ° ± µ ·
+    { block: 'latin1', from: 0x00D7, to: 0x00D7 },          // ×
+    { block: 'latin1', from: 0x00F7, to: 0x00F7 },          // ÷
+    { block: 'greek', from: 0x0391, to: 0x03A9 },           // Α-Ω
+    { block: 'greek', from: 0x03B1, to: 0x03C9 },           // α-ω
+    { block: 'punctuation', from: 0x2020, to: 0x2022 },     // † ‡ •
+    { block: 'punctuation', from: 0x2030, to: 0x203B },     // ‰ ′ ″ ‹ › ※
+    { block: 'currency', from: 0x20A0, to: 0x20C0 },        // € ₹ ₽ ₿
+    { block: 'letterlike', from: 0x2100, to: 0x214F },      // ℃ № ™ Ω ℮
+    { block: 'arrows', from: 0x2190, to: 0x21FF },          // ← → ⇒
+    { block: 'math', from: 0x2200, to: 0x22FF },            // ∀ ∂ ∫ ∑ ≈ ∴
+    { block: 'geometric', from: 0x25A0, to: 0x25FF },       // ■ ▲ ◊ ●
+    { block: 'misc', from: 0x2600, to: 0x26FF },            // ★ ♠ ♥ ♪
+    { block: 'dingbats', from: 0x2700, to: 0x27BF }         // ✓ ✗ ❤
+];
+
+// Unassigned, control, formatting, combining and whitespace code points can't be symbols
+const NOT_A_SYMBOL = /[\p{Cn}\p{Cc}\p{Cf}\p{M}\p{Z}]/u;
+
+const inventoryCache = new Map();
+
+/**
+ * Every candidate symbol, in block order
+ *
+ * RETURNS: [{ symbol, codePoint: 'U+03B1', block }]
+ */
+export function listCandidateSymbols() {
+    const candidates = [];
+    for (const { block, from, to } of SYMBOL_BLOCKS) {
+        for (let code = from; code <= to; code++) {
+            const symbol = String.fromCodePoint(code);
+            if (NOT_A_SYMBOL.test(symbol)) continue;
+            candidates.push({ symbol, codePoint: `U+${code.toString(16).toUpperCase().padStart(4, '0')}`, block });
+        }
+    }
+    return candidates;
+}
+
+/**
+ * Token cost of every candidate symbol under each encoding (cached per warm instance).
+ * Measured mid-sentence (leading space), like buildSavingsMatrix.
+ *
+ * RETURNS: [{ symbol, codePoint, block, tokens: { o200k_base: 1, ... }, singleToken }]
+ * singleToken is true when the symbol is 1 token under every requested encoding.
+ */
+export async function buildSymbolInventory(encodings = SUPPORTED_ENCODINGS) {
+    // One entry per set of encodings, however the request orders or repeats them
+    const normalized = [...new Set(encodings)].sort();
+    const cacheKey = normalized.join(',');
+    if (!inventoryCache.has(cacheKey)) {
+        // A failed measurement is retried by the next request instead of cached
+        const measuring = measureInventory(normalized).catch(error => {
+            inventoryCache.delete(cacheKey);
+            throw error;
+        });
+        inventoryCache.set(cacheKey, measuring);
+    }
+    return inventoryCache.get(cacheKey);
+}
+
+async function measureInventory(encodings) {
+    const tokenizers = {};
+    for (const encoding of encodings) {
+        tokenizers[encoding] = await getTokenizer(encoding);
+    }
+    
+    return listCandidateSymbols().map(candidate => {
+        const tokens = {};
+        for (const encoding of encodings) {
+            tokens[encoding] = countTokens(tokenizers[encoding], ` ${candidate.symbol}`);
+        }
+        return {
+            ...candidate,
+            tokens,
+            singleToken: encodings.every(encoding => tokens[encoding] === 1)
+        };
+    });
+}
@@ -0,0 +1,148 @@
+// Shared tiktoken loading for API routes - one cached instance per encoding
+export const DEFAULT_ENCODING = 'cl100k_base';
+
+// Encodings we report on: o200k_base (GPT-4o), cl100k_base (GPT-4 / 3.5), p50k_base + r50k_base (older models)
+export const SUPPORTED_ENCODINGS = ['o200k_base', 'cl100k_base', 'p50k_base', 'r50k_base'];
+
+const tokenizerCache = new Map();
+let tiktokenPromise = null;
+
+function loadTiktoken() {
+    if (!tiktokenPromise) {
+        tiktokenPromise = import('tiktoken').catch(error => {
+            // Fallback to JS version
+            console.log('Using JS tokenizer fallback');
+            return null;
+        });
+    }
+    return tiktokenPromise;
+}
+
+/**
+ * Resolve an encoding name or a model name ("gpt-4o", "text-davinci-003") to an encoding.
+ *
+ * RETURNS: { valid, encoding, model, error }
+ */
+export async function resolveEncoding(encodingOrModel) {
+    const name = typeof encodingOrModel === 'string' ? encodingOrModel.trim() : '';
+    if (!name) {
+        return { valid: true, encoding: DEFAULT_ENCODING, model: null };
+    }
+    if (SUPPORTED_ENCODINGS.includes(name)) {
+        return { valid: true, encoding: name, model: null };
+    }
+    
+    const tiktoken = await loadTiktoken();
+    if (tiktoken) {
+        try {
+            const encoding = tiktoken.get_encoding_name_for_model(name);
+            if (SUPPORTED_ENCODINGS.includes(encoding)) {
+                return { valid: true, encoding, model: name };
+            }
+        } catch (error) {
+            // Unknown model - reported below
+        }
+    }
+    
+    return {
+        valid: false,
+        error: `Unknown encoding or model "${name}". Supported encodings: ${SUPPORTED_ENCODINGS.join(', ')}`
+    };
+}
+
+/**
+ * Get the cached tokenizer for an encoding (loaded once per warm function instance)
+ */
+export async function getTokenizer(encoding = DEFAULT_ENCODING) {
+    if (!tokenizerCache.has(encoding)) {
+        tokenizerCache.set(encoding, loadTokenizer(encoding));
+    }
+    return tokenizerCache.get(encoding);
+}
+
+async function loadTokenizer(encoding) {
+    const tiktoken = await loadTiktoken();
+    if (tiktoken) {
+        try {
+            // WASM version (accurate)
+            return tiktoken.get_encoding(encoding);
+        } catch (error) {
+            console.log(`Failed to load ${encoding}, using JS tokenizer fallback: ${error.message}`);
+        }
+    }
+    
+    return {
+        encode: (text) => approximateTokenize(text),
+        fallback: true
+    };
+}
+
+/**
+ * Count tokens - handles both Uint32Array from tiktoken and the numeric fallback.
+ * Special-token strings ("<|endoftext|>") in user text are counted as ordinary text, as the
+ * model APIs do; tiktoken would otherwise throw on them.
+ */
+export function countTokens(tokenizer, text) {
+    const tokens = tokenizer.encode(text, [], []);
+    return (tokens && typeof tokens.length === 'number') ? tokens.length : tokens;
+}
+
+/**
+ * Count tokens for the same text under several encodings
+ *
+ * RETURNS: { o200k_base: 12, cl100k_base: 13, ... }
+ */
+export async function countTokensByEncoding(text, encodings = SUPPORTED_ENCODINGS) {
+    const counts = {};
+    for (const encoding of encodings) {
+        counts[encoding] = countTokens(await getTokenizer(encoding), text);
+    }
+    return counts;
+}
+
+/**
+ * Token savings of one codex entry under every supported encoding.
+ * Measured mid-sentence (leading space), which is how most occurrences are tokenized.
+ *
+ * RETURNS: { o200k_base: { originalTokens, compressedTokens, saved }, cl100k_base: {...}, ... }
+ */
+export async function buildSavingsMatrix(original, compressed, encodings = SUPPORTED_ENCODINGS) {
+    const matrix = {};
+    for (const encoding of encodings) {
+        const tokenizer = await getTokenizer(encoding);
+        const originalTokens = countTokens(tokenizer, ` ${original}`);
+        const compressedTokens = countTokens(tokenizer, ` ${compressed}`);
+        matrix[encoding] = { originalTokens, compressedTokens, saved: originalTokens - compressedTokens };
+    }
+    return matrix;
+}
+
+export function approximateTokenize(text) {
+    // Simple approximation for when tiktoken isn't available
+    // This is less accurate but provides a reasonable fallback
+    
+    // Split on common token boundaries
+    const parts = text.split(/(\s+|[^\w\s])/g).filter(p => p.length > 0);
+    let tokenCount = 0;
+    
+    for (const part of parts) {
+        if (part.match(/^\s+$/)) {
+            // Whitespace - usually doesn't count as separate tokens
+            continue;
+        } else if (part.match(/^[^\w\s]$/)) {
+            // Single punctuation - usually 1 token
+            tokenCount += 1;
+        } else if (part.length <= 4) {
+            // Short words - usually 1 token
+            tokenCount += 1;
+        } else if (part.length <= 8) {
+            // Medium words - often 2 tokens
+            tokenCount += 2;
+        } else {
+            // Long words - often 3+ tokens
+            tokenCount += Math.ceil(part.length / 4);
+        }
+    }
+    
+    return tokenCount;
+}
@@ -0,0 +1,29 @@
+// Upstream LLM endpoints - overridable so offline runs can point at server/mock-llm-server.js
+
+export const DEFAULT_UPSTREAM_BASE_URLS = {
+    deepseek: 'https://api.deepseek.com/v1',
+    groq: 'https://api.groq.com/openai/v1',
+    openai: 'https://api.openai.com/v1'     // Compressing proxy (api/v1/chat/completions.js)
+};
+
+/**
+ * Base URL for an OpenAI-compatible provider.
+ * Precedence: <PROVIDER>_BASE_URL, then LLM_BASE_URL (all providers), then the public API.
+ */
+export function getUpstreamBaseUrl(provider) {
+    const baseUrl = process.env[`${provider.toUpperCase()}_BASE_URL`]
+        || process.env.LLM_BASE_URL
+        || DEFAULT_UPSTREAM_BASE_URLS[provider];
+    
+    if (!baseUrl) {
+        throw new Error(`Unknown upstream provider: ${provider}`);
+    }
+    return baseUrl.replace(/\/+$/, '');
+}
+
+/**
+ * Chat completions URL for a provider
+ */
+export function getChatCompletionsUrl(provider) {
+    return `${getUpstreamBaseUrl(provider)}/chat/completions`;
+}
@@ -0,0 +1,134 @@
+// Instant compression checks for /api/validate (the "Test a Compression" form)
+import { normalizeCodex, compress, decompress } from '../public/js/codex/compression-engine.js';
+import { checkCandidateInterference } from '../public/js/codex/interference.js';
+import { checkCandidateRoundTrip } from '../public/js/codex/round-trip.js';
+import { validateContextSafety, createRealisticTestArticle, calculateSemanticSimilarity, checkWordPreservation, requestAIRewrite } from './tokenize.js';
+
+// Same bar as the batch semantic validation in /api/tokenize
+export const AI_REWRITE_MIN_CONFIDENCE = 85;
+
+const check = (name, status, detail, extra = {}) => ({ name, status, passed: status !== 'fail', detail, ...extra });
+
+/**
+ * A check that did not run (e.g. the AI rewrite when not requested)
+ */
+export function skippedCheck(name, detail) {
+    return check(name, 'skip', detail);
+}
+
+/**
+ * Token check: the candidate must save tokens under the target encoding.
+ * Costing tokens under another encoding is a warning - filterCodexForEncoding drops it there.
+ */
+export function checkTokens(tokenMatrix, encoding) {
+    const target = tokenMatrix[encoding];
+    const summary = Object.entries(tokenMatrix)
+        .map(([name, { originalTokens, compressedTokens }]) => `${name}: ${originalTokens}→${compressedTokens}`)
+        .join(', ');
+    
+    if (target.saved <= 0) {
+        return check('tokens', 'fail', `No token savings under ${encoding} (${summary})`, { tokenMatrix });
+    }
+    const losing = Object.keys(tokenMatrix).filter(name => tokenMatrix[name].saved <= 0);
+    if (losing.length > 0) {
+        return check('tokens', 'warn', `Saves ${target.saved} under ${encoding} but nothing under ${losing.join(', ')} (${summary})`, { tokenMatrix });
+    }
+    return check('tokens', 'pass', `Saves ${target.saved} under ${encoding} (${summary})`, { tokenMatrix });
+}
+
+/**
+ * Context-safety check: markup, proper nouns, meaning, grammar and ambiguity rules
+ */
+export function checkContextSafety({ original, compressed }) {
+    const safety = validateContextSafety(original, compressed);
+    return safety.isSafe
+        ? check('context_safety', 'pass', 'No context-safety issues')
+        : check('context_safety', 'fail', safety.issues.join('; '), { riskLevel: safety.riskLevel });
+}
+
+/**
+ * Collision check against the approved codex (null when the codex could not be loaded)
+ */
+export function checkCollision(candidate, codexEntries) {
+    if (codexEntries === null) {
+        return check('collision', 'skip', 'Codex unavailable - collision check skipped');
+    }
+    const interference = checkCandidateInterference(candidate, codexEntries);
+    const detail = interference.issues.map(issue => issue.message).join('; ');
+    
+    if (interference.verdict === 'rejected') {
+        return check('collision', 'fail', detail, { issues: interference.issues });
+    }
+    if (interference.verdict === 'flagged') {
+        return check('collision', 'warn', detail, { issues: interference.issues });
+    }
+    return check('collision', 'pass', `No conflicts with ${codexEntries.length} codex entries`);
+}
+
+/**
+ * Round-trip check: the candidate alone, through the same engine as /api/compress and the
+ * same sentences as the ceremony (public/js/codex/round-trip.js), on top of a test article.
+ * Every text and declared inflected form must restore byte-for-byte, and code, URLs,
+ * emails, JSON keys and HTML must come out of compression unchanged.
+ */
+export function checkRoundTrip(candidate, corpus = [createRealisticTestArticle([candidate.original])]) {
+    const { codex, results, failures } = checkCandidateRoundTrip(candidate, corpus);
+    if (codex.entries.length === 0) {
+        return check('round_trip', 'fail', codex.skipped[0]?.reason || 'Not a usable codex entry');
+    }
+    
+    const forms = results.filter(result => result.kind === 'form').length;
+    if (failures.length > 0) {
+        return check('round_trip', 'fail', `Failed ${failures.length}/${results.length} texts, first: "${failures[0]}"`, { failures });
+    }
+    // Entries that never matched are left out of the report
+    if (corpus.length > 0 && compress(corpus[0], codex).entries.length === 0) {
+        return check('round_trip', 'fail', `"${candidate.original}" is never replaced in running text`);
+    }
+    return check('round_trip', 'pass', `${results.length} texts restored exactly${forms > 0 ? ` (including ${forms} inflected form${forms > 1 ? 's' : ''})` : ''}`);
+}
+
+/**
+ * AI rewrite check: compress a test article, have the model rewrite it, restore it and
+ * compare with the original. Skipped (not failed) when the AI cannot be reached.
+ *
+ * rewrite: async (compressedText) => rewrittenText (default: Groq via requestAIRewrite)
+ */
+export async function checkAIRewrite(candidate, rewrite = requestAIRewrite) {
+    const article = createRealisticTestArticle([candidate.original]);
+    const codex = normalizeCodex([candidate]);
+    
+    let rewritten;
+    try {
+        rewritten = await rewrite(compress(article, codex).text);
+    } catch (error) {
+        return check('ai_rewrite', 'skip', `AI rewrite unavailable: ${error.message}`);
+    }
+    
+    const restored = decompress(rewritten, codex).text;
+    const similarity = calculateSemanticSimilarity(article, restored);
+    const preservation = checkWordPreservation(article, restored, candidate.original);
+    const confidence = Math.min(similarity.score, preservation.accuracy);
+    const detail = `${confidence}% confidence (similarity ${similarity.score}%, "${candidate.original}" kept ${preservation.restoredCount}/${preservation.originalCount})`;
+    
+    return check('ai_rewrite', confidence > AI_REWRITE_MIN_CONFIDENCE ? 'pass' : 'fail', detail, { confidence });
+}
+
+/**
+ * Overall verdict: valid when no check failed (warnings and skipped checks don't block)
+ *
+ * RETURNS: { isValid, explanation }
+ */
+export function summarizeChecks(checks) {
+    const failed = checks.filter(item => item.status === 'fail');
+    const warned = checks.filter(item => item.status === 'warn');
+    const ran = checks.filter(item => item.status !== 'skip');
+    
+    if (failed.length > 0) {
+        return { isValid: false, explanation: `Failed ${failed.length}/${ran.length} checks: ${failed[0].detail}` };
+    }
+    return {
+        isValid: true,
+        explanation: `Passed ${ran.length - warned.length}/${ran.length} checks${warned.length > 0 ? ` with ${warned.length} warning${warned.length > 1 ? 's' : ''}` : ''}`
+    };
+}
@@ -0,0 +1,87 @@
+// Net-savings break-even analysis of a prompt against the approved codex
+import { rateLimit, validateInput } from './_middleware.js';
+import { getTokenizer, countTokens, resolveEncoding, SUPPORTED_ENCODINGS } from './_tokenizer.js';
+import { loadCodex, parseCodexVersion, parseSegmenters, filterCodexForEncoding } from './_codex.js';
+import { LEGEND_FORMATS } from '../public/js/codex/legend.js';
+import { analyzeBreakEven } from './_breakeven.js';
+
+export default async function handler(req, res) {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        return res.status(200).json({});
+    }
+    
+    // Only allow POST
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+    
+    // Rate limiting
+    if (!rateLimit(req)) {
+        return res.status(429).json({ error: 'Rate limit exceeded. Please try again later.' });
+    }
+    
+    try {
+        const { text, version, encoding = null, model = null, segmenters, legend = 'compact' } = req.body;
+        
+        // Validate input
+        const validation = validateInput({ text }, {
+            text: { required: true, type: 'string', maxLength: 10000 }
+        });
+        
+        if (!validation.valid) {
+            return res.status(400).json({ error: validation.errors.join(', ') });
+        }
+        
+        const codexVersion = parseCodexVersion(version);
+        if (!codexVersion.valid) {
+            return res.status(400).json({ error: codexVersion.error });
+        }
+        
+        const segmentation = parseSegmenters(segmenters);
+        if (!segmentation.valid) {
+            return res.status(400).json({ error: segmentation.error });
+        }
+        
+        if (!LEGEND_FORMATS.includes(legend)) {
+            return res.status(400).json({ error: `legend must be one of: ${LEGEND_FORMATS.join(', ')}` });
+        }
+        
+        // Same codex selection as /api/compress, so the recommendation can be applied there as-is
+        const resolved = await resolveEncoding(encoding || model);
+        if (!resolved.valid) {
+            return res.status(400).json({ error: resolved.error, supportedEncodings: SUPPORTED_ENCODINGS });
+        }
+        
+        let codex;
+        try {
+            codex = await loadCodex(codexVersion.version);
+        } catch (error) {
+            return res.status(error.status || 503).json({ error: error.message });
+        }
+        
+        let entries = codex.entries;
+        if (encoding || model) {
+            ({ entries } = await filterCodexForEncoding(codex.entries, resolved.encoding));
+        }
+        
+        const tokenizer = await getTokenizer(resolved.encoding);
+        const analysis = analyzeBreakEven(text, entries, {
+            countTokens: (value) => countTokens(tokenizer, value),
+            format: legend,
+            segmenters: segmentation.segmenters
+        });
+        
+        return res.status(200).json({
+            ...analysis,
+            legendFormat: legend,
+            encoding: resolved.encoding,
+            codexVersion: codex.version,
+            ...(codex.fallback && { fallback: true })
+        });
+        
+    } catch (error) {
+        console.error('Break-even analysis error:', error);
+        return res.status(500).json({ error: 'Analysis failed' });
+    }
+}
@@ -0,0 +1,81 @@
+// Approved codex with per-encoding token savings
+import { rateLimit } from './_middleware.js';
+import { resolveEncoding, buildSavingsMatrix, SUPPORTED_ENCODINGS } from './_tokenizer.js';
+import { loadCodex, parseCodexVersion, filterCodexForEncoding } from './_codex.js';
+
+export default async function handler(req, res) {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        return res.status(200).json({});
+    }
+    
+    // Only allow POST
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+    
+    // Rate limiting
+    if (!rateLimit(req)) {
+        return res.status(429).json({ error: 'Rate limit exceeded. Please try again later.' });
+    }
+    
+    try {
+        const { version, encoding = null, model = null } = req.body || {};
+        
+        const codexVersion = parseCodexVersion(version);
+        if (!codexVersion.valid) {
+            return res.status(400).json({ error: codexVersion.error });
+        }
+        
+        const resolved = await resolveEncoding(encoding || model);
+        if (!resolved.valid) {
+            return res.status(400).json({ error: resolved.error, supportedEncodings: SUPPORTED_ENCODINGS });
+        }
+        
+        let codex;
+        try {
+            codex = await loadCodex(codexVersion.version);
+        } catch (error) {
+            return res.status(error.status || 503).json({ error: error.message });
+        }
+        
+        // With an encoding/model: only entries that are net-positive for it
+        let entries = codex.entries;
+        let excluded = [];
+        if (encoding || model) {
+            ({ entries, excluded } = await filterCodexForEncoding(codex.entries, resolved.encoding));
+        }
+        
+        const result = [];
+        for (const entry of entries) {
+            result.push({
+                original: entry.original,
+                compressed: entry.compressed,
+                source: entry.source,
+                hour: entry.hour ?? null,
+                inflections: entry.inflections ?? null,
+                deprecated: Boolean(entry.deprecated),
+                tokenMatrix: hasFullMatrix(entry.token_matrix)
+                    ? entry.token_matrix
+                    : { ...(await buildSavingsMatrix(entry.original, entry.compressed)), ...(entry.token_matrix || {}) }
+            });
+        }
+        
+        return res.status(200).json({
+            codexVersion: codex.version,
+            encoding: (encoding || model) ? resolved.encoding : null,
+            model: resolved.model,
+            entries: result,
+            excluded,
+            ...(codex.fallback && { fallback: true })
+        });
+        
+    } catch (error) {
+        console.error('Codex error:', error);
+        return res.status(500).json({ error: 'Failed to load codex' });
+    }
+}
+
+function hasFullMatrix(matrix) {
+    return !!matrix && SUPPORTED_ENCODINGS.every(encoding => matrix[encoding]);
+}
@@ -0,0 +1,93 @@
+// Restore text compressed by /api/compress
+import { rateLimit, validateInput } from './_middleware.js';
+import { getTokenizer, countTokens, resolveEncoding, SUPPORTED_ENCODINGS } from './_tokenizer.js';
+import { loadCodex, parseCodexVersion, parseSegmenters, parseOriginals, filterCodexForEncoding } from './_codex.js';
+import { decompress } from '../public/js/codex/compression-engine.js';
+
+export default async function handler(req, res) {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        return res.status(200).json({});
+    }
+    
+    // Only allow POST
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+    
+    // Rate limiting
+    if (!rateLimit(req)) {
+        return res.status(429).json({ error: 'Rate limit exceeded. Please try again later.' });
+    }
+    
+    try {
+        const { text, version, encoding = null, model = null, segmenters, originals } = req.body;
+        
+        // Validate input
+        const validation = validateInput({ text }, {
+            text: { required: true, type: 'string', maxLength: 10000 }
+        });
+        
+        if (!validation.valid) {
+            return res.status(400).json({ error: validation.errors.join(', ') });
+        }
+        
+        const codexVersion = parseCodexVersion(version);
+        if (!codexVersion.valid) {
+            return res.status(400).json({ error: codexVersion.error });
+        }
+        
+        const segmentation = parseSegmenters(segmenters);
+        if (!segmentation.valid) {
+            return res.status(400).json({ error: segmentation.error });
+        }
+        
+        const selection = parseOriginals(originals);
+        if (!selection.valid) {
+            return res.status(400).json({ error: selection.error });
+        }
+        
+        // "encoding" takes an encoding or model name ("model" is an alias). When given, only codex
+        // entries that save tokens under that encoding are used; otherwise the full codex is applied.
+        const resolved = await resolveEncoding(encoding || model);
+        if (!resolved.valid) {
+            return res.status(400).json({ error: resolved.error, supportedEncodings: SUPPORTED_ENCODINGS });
+        }
+        
+        // NOTE: text is deliberately not passed through sanitizeInput - restoration must see the exact compressed text
+        let codex;
+        try {
+            codex = await loadCodex(codexVersion.version);
+        } catch (error) {
+            return res.status(error.status || 503).json({ error: error.message });
+        }
+        
+        let entries = codex.entries;
+        let excluded = null;
+        if (encoding || model) {
+            ({ entries, excluded } = await filterCodexForEncoding(codex.entries, resolved.encoding));
+        }
+        if (selection.originals) {
+            entries = entries.filter(entry => selection.originals.has(entry.original));
+        }
+        
+        const tokenizer = await getTokenizer(resolved.encoding);
+        const result = decompress(text, entries, { segmenters: segmentation.segmenters });
+        const before = countTokens(tokenizer, text);
+        const after = countTokens(tokenizer, result.text);
+        
+        return res.status(200).json({
+            text: result.text,
+            tokens: { before, after, added: after - before },
+            entries: result.entries,
+            encoding: resolved.encoding,
+            codexVersion: codex.version,
+            ...(excluded && { excludedForEncoding: excluded.length }),
+            ...(codex.fallback && { fallback: true })
+        });
+        
+    } catch (error) {
+        console.error('Decompression error:', error);
+        return res.status(500).json({ error: 'Decompression failed' });
+    }
+}
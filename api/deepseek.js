@@ -1,5 +1,6 @@
 // DeepSeek API proxy for Discovery and Validation agents
 import { rateLimit, validateInput, sanitizeInput, createErrorResponse, createSuccessResponse } from './_middleware.js';
+import { getChatCompletionsUrl } from './_upstream.js';
 
 export default async function handler(req, res) {
     const timestamp = new Date().toISOString();
@@ -87,7 +88,7 @@ export default async function handler(req, res) {
         console.log(`🔵 [DEEPSEEK-API] [${timestamp}] [${requestId}] API Key exists: ${!!process.env.DEEPSEEK_API_KEY}`);
         console.log(`🔵 [DEEPSEEK-API] [${timestamp}] [${requestId}] API Key length: ${process.env.DEEPSEEK_API_KEY ? process.env.DEEPSEEK_API_KEY.length : 0}`);
         
-        const response = await fetch('https://api.deepseek.com/v1/chat/completions', {
+        const response = await fetch(getChatCompletionsUrl('deepseek'), {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
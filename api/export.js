@@ -0,0 +1,78 @@
+// Codex export as JSON, CSV, JS module, TypeScript declarations or a system-prompt legend
+import { rateLimit } from './_middleware.js';
+import { resolveEncoding, SUPPORTED_ENCODINGS } from './_tokenizer.js';
+import { loadCodex, parseCodexVersion, filterCodexForEncoding } from './_codex.js';
+import { parseExportOptions, selectExportEntries, renderExport } from './_export.js';
+
+export default async function handler(req, res) {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        return res.status(200).json({});
+    }
+    
+    // Only allow POST
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+    
+    // Rate limiting
+    if (!rateLimit(req)) {
+        return res.status(429).json({ error: 'Rate limit exceeded. Please try again later.' });
+    }
+    
+    try {
+        const body = req.body || {};
+        const { version, encoding = null, model = null } = body;
+        
+        const parsed = parseExportOptions(body);
+        if (!parsed.valid) {
+            return res.status(400).json({ error: parsed.error });
+        }
+        const options = parsed.options;
+        
+        const codexVersion = parseCodexVersion(version);
+        if (!codexVersion.valid) {
+            return res.status(400).json({ error: codexVersion.error });
+        }
+        
+        const resolved = await resolveEncoding(encoding || model);
+        if (!resolved.valid) {
+            return res.status(400).json({ error: resolved.error, supportedEncodings: SUPPORTED_ENCODINGS });
+        }
+        
+        let codex;
+        try {
+            codex = await loadCodex(codexVersion.version);
+        } catch (error) {
+            return res.status(error.status || 503).json({ error: error.message });
+        }
+        
+        // Target tokenizer: only the entries that save tokens under it, ranked by those savings
+        const target = (encoding || model) ? resolved.encoding : null;
+        let rows = codex.entries;
+        if (target) {
+            ({ entries: rows } = await filterCodexForEncoding(codex.entries, target));
+        }
+        
+        const filters = { tier: options.tier, category: options.category, source: options.source, encoding: target };
+        const entries = selectExportEntries(rows, filters);
+        const file = renderExport(entries, options.format, {
+            codexVersion: codex.version,
+            filters,
+            legend: options.legend
+        });
+        
+        return res.status(200).json({
+            ...file,
+            format: options.format,
+            count: entries.length,
+            codexVersion: codex.version,
+            filters,
+            ...(codex.fallback && { fallback: true })
+        });
+        
+    } catch (error) {
+        console.error('Codex export error:', error);
+        return res.status(500).json({ error: 'Codex export failed' });
+    }
+}
@@ -1,5 +1,6 @@
 // Groq API proxy for Generation agent
 import { rateLimit, validateInput, sanitizeInput, createErrorResponse, createSuccessResponse } from './_middleware.js';
+import { getChatCompletionsUrl } from './_upstream.js';
 
 export default async function handler(req, res) {
     const timestamp = new Date().toISOString();
@@ -86,7 +87,7 @@ export default async function handler(req, res) {
         console.log(`🟢 [GROQ-API] [${timestamp}] [${requestId}] API Key exists: ${!!process.env.GROQ_API_KEY}`);
         console.log(`🟢 [GROQ-API] [${timestamp}] [${requestId}] API Key length: ${process.env.GROQ_API_KEY ? process.env.GROQ_API_KEY.length : 0}`);
         
-        const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
+        const response = await fetch(getChatCompletionsUrl('groq'), {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
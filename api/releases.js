@@ -0,0 +1,92 @@
+// Codex releases and changelog - which versions exist and what changed between them
+import { rateLimit } from './_middleware.js';
+import { loadCodex, listCodexReleases, parseCodexVersion } from './_codex.js';
+import { compareSemver, diffCodex, releaseBump } from '../public/js/codex/releases.js';
+
+export default async function handler(req, res) {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        return res.status(200).json({});
+    }
+    
+    // Only allow POST
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+    
+    // Rate limiting
+    if (!rateLimit(req)) {
+        return res.status(429).json({ error: 'Rate limit exceeded. Please try again later.' });
+    }
+    
+    try {
+        const body = req.body || {};
+        const versions = {};
+        for (const name of ['from', 'to']) {
+            const parsed = parseCodexVersion(body[name]);
+            if (!parsed.valid || (parsed.version !== null && typeof parsed.version !== 'string')) {
+                return res.status(400).json({ error: `${name} must be a codex release version ("1.4.0")` });
+            }
+            versions[name] = parsed.version;
+        }
+        const { from, to } = versions;
+        if (to !== null && from === null) {
+            return res.status(400).json({ error: 'to requires from' });
+        }
+        
+        let releases;
+        try {
+            releases = await listCodexReleases();
+        } catch (error) {
+            return res.status(503).json({ error: `Codex releases unavailable: ${error.message}` });
+        }
+        
+        const latest = releases.length > 0 ? releases[releases.length - 1].version : null;
+        const summaries = releases.map(release => ({
+            version: release.version,
+            bump: release.bump,
+            hour: release.hour ?? null,
+            entryCount: release.entry_count,
+            releasedAt: release.released_at,
+            changelog: release.changelog
+        }));
+        
+        if (from === null) {
+            return res.status(200).json({ latest, releases: summaries.reverse() });
+        }
+        
+        // Changelog between two releases: what a client pinned to "from" gets by moving to "to"
+        const target = to || latest;
+        if (!target) {
+            return res.status(404).json({ error: 'No codex releases yet' });
+        }
+        if (compareSemver(from, target) > 0) {
+            return res.status(400).json({ error: `from must not be newer than ${target}` });
+        }
+        
+        let before;
+        let after;
+        try {
+            [before, after] = await Promise.all([loadCodex(from), loadCodex(target)]);
+        } catch (error) {
+            return res.status(error.status || 503).json({ error: error.message });
+        }
+        
+        const changelog = diffCodex(before.entries, after.entries);
+        
+        return res.status(200).json({
+            from: before.version,
+            to: after.version,
+            latest,
+            bump: releaseBump(changelog),
+            changelog,
+            releases: summaries
+                .filter(release => compareSemver(release.version, from) > 0 && compareSemver(release.version, target) <= 0)
+                .reverse()
+        });
+        
+    } catch (error) {
+        console.error('Codex releases error:', error);
+        return res.status(500).json({ error: 'Failed to load codex releases' });
+    }
+}
@@ -0,0 +1,51 @@
+// Symbol inventory with token costs per encoding (input to the browser symbol registry)
+import { rateLimit } from './_middleware.js';
+import { SUPPORTED_ENCODINGS } from './_tokenizer.js';
+import { buildSymbolInventory } from './_symbols.js';
+
+export default async function handler(req, res) {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        return res.status(200).json({});
+    }
+    
+    // Only allow POST
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+    
+    // Rate limiting
+    if (!rateLimit(req)) {
+        return res.status(429).json({ error: 'Rate limit exceeded. Please try again later.' });
+    }
+    
+    try {
+        const { encodings = null, singleTokenOnly = false } = req.body || {};
+        
+        if (encodings !== null && (!Array.isArray(encodings) || encodings.length === 0 || encodings.some(e => !SUPPORTED_ENCODINGS.includes(e)) || new Set(encodings).size !== encodings.length)) {
+            return res.status(400).json({
+                error: `encodings must be a non-empty array of distinct encodings from: ${SUPPORTED_ENCODINGS.join(', ')}`,
+                supportedEncodings: SUPPORTED_ENCODINGS
+            });
+        }
+        
+        if (typeof singleTokenOnly !== 'boolean') {
+            return res.status(400).json({ error: 'singleTokenOnly must be a boolean' });
+        }
+        
+        const requested = encodings || SUPPORTED_ENCODINGS;
+        const inventory = await buildSymbolInventory(requested);
+        const symbols = singleTokenOnly ? inventory.filter(entry => entry.singleToken) : inventory;
+        
+        return res.status(200).json({
+            encodings: requested,
+            total: inventory.length,
+            singleTokenCount: inventory.filter(entry => entry.singleToken).length,
+            symbols
+        });
+        
+    } catch (error) {
+        console.error('Symbol inventory error:', error);
+        return res.status(500).json({ error: 'Failed to build symbol inventory' });
+    }
+}
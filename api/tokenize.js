@@ -1,5 +1,9 @@
 // tiktoken integration for accurate token counting
 import { rateLimit, validateInput, sanitizeInput, createErrorResponse, createSuccessResponse } from './_middleware.js';
+import { getTokenizer, countTokens, countTokensByEncoding, buildSavingsMatrix, resolveEncoding, SUPPORTED_ENCODINGS } from './_tokenizer.js';
+import { getChatCompletionsUrl } from './_upstream.js';
+import { minePhrases, parsePhraseOptions } from './_phrases.js';
+import { compress, decompress, normalizeCodex } from '../public/js/codex/compression-engine.js';
 
 export default async function handler(req, res) {
     // Handle CORS preflight
@@ -18,7 +22,7 @@ export default async function handler(req, res) {
     }
     
     try {
-        const { text, encoding = 'cl100k_base', validateSymbols = false, compressions = null } = req.body;
+        const { text, encoding = null, model = null, encodings = null, validateSymbols = false, compressions = null, phrases = false } = req.body;
         
         // Validate input
         const validation = validateInput({ text }, {
@@ -29,32 +33,36 @@ export default async function handler(req, res) {
             return res.status(400).json({ error: validation.errors.join(', ') });
         }
         
-        const sanitizedText = sanitizeInput(text);
+        // "encoding" takes an encoding name (o200k_base) or a model name (gpt-4o); "model" is an alias
+        const resolved = await resolveEncoding(encoding || model);
+        if (!resolved.valid) {
+            return res.status(400).json({ error: resolved.error, supportedEncodings: SUPPORTED_ENCODINGS });
+        }
         
-        // Dynamic import for tiktoken (handles both environments)
-        let tokenizer;
-        try {
-            // Try WASM version first (more accurate)
-            const tiktoken = await import('tiktoken');
-            tokenizer = tiktoken.encoding_for_model('gpt-3.5-turbo');
-        } catch (error) {
-            // Fallback to JS version
-            console.log('Using JS tokenizer fallback');
-            tokenizer = {
-                encode: (text) => approximateTokenize(text)
-            };
+        if (encodings !== null && (!Array.isArray(encodings) || encodings.some(e => !SUPPORTED_ENCODINGS.includes(e)))) {
+            return res.status(400).json({
+                error: `encodings must be an array of: ${SUPPORTED_ENCODINGS.join(', ')}`,
+                supportedEncodings: SUPPORTED_ENCODINGS
+            });
+        }
+        
+        const phraseOptions = phrases === false ? null : parsePhraseOptions(phrases);
+        if (phraseOptions && !phraseOptions.valid) {
+            return res.status(400).json({ error: phraseOptions.error });
         }
         
+        const sanitizedText = sanitizeInput(text);
+        
+        // Cached tiktoken instance for the requested encoding (falls back to JS approximation)
+        const tokenizer = await getTokenizer(resolved.encoding);
+        
         // Tokenize the text
-        const tokens = tokenizer.encode(sanitizedText);
-        const tokenCount = tokens.length;
+        const tokenCount = countTokens(tokenizer, sanitizedText);
         
         // Analyze word-level tokenization
         const words = sanitizedText.split(/\s+/).filter(w => w.length > 0);
         const wordAnalysis = words.map(word => {
-            const wordTokens = tokenizer.encode ? tokenizer.encode(word) : approximateTokenize(word);
-            // Handle both regular arrays and Uint32Array from tiktoken
-            const tokenCount = (wordTokens && typeof wordTokens.length === 'number') ? wordTokens.length : wordTokens;
+            const tokenCount = countTokens(tokenizer, word);
             return {
                 word: word.replace(/[^\w\s]/g, ''), // Clean word
                 tokens: tokenCount,
@@ -69,16 +77,24 @@ export default async function handler(req, res) {
         
         let response = {
             text: sanitizedText,
+            encoding: resolved.encoding,
+            model: resolved.model,
             totalTokens: tokenCount,
+            tokensByEncoding: await countTokensByEncoding(sanitizedText, encodings || SUPPORTED_ENCODINGS),
             wordCount: words.length,
             wordAnalysis: wordAnalysis,
             multiTokenWords: multiTokenWords,
             compressionPotential: calculateCompressionPotential(multiTokenWords)
         };
 
+        // Repeated multi-word phrases (the word analysis above only sees single words)
+        if (phraseOptions) {
+            response.multiTokenPhrases = minePhrases(sanitizedText, tokenizer, phraseOptions.options);
+        }
+
         // Add symbol validation if requested
         if (validateSymbols) {
-            response.symbolValidation = validateMathematicalSymbols(tokenizer);
+            response.symbolValidation = await validateMathematicalSymbols(tokenizer);
         }
 
         // Add compression validation if provided
@@ -109,37 +125,7 @@ export default async function handler(req, res) {
     }
 }
 
-function approximateTokenize(text) {
-    // Simple approximation for when tiktoken isn't available
-    // This is less accurate but provides a reasonable fallback
-    
-    // Split on common token boundaries
-    const parts = text.split(/(\s+|[^\w\s])/g).filter(p => p.length > 0);
-    let tokenCount = 0;
-    
-    for (const part of parts) {
-        if (part.match(/^\s+$/)) {
-            // Whitespace - usually doesn't count as separate tokens
-            continue;
-        } else if (part.match(/^[^\w\s]$/)) {
-            // Single punctuation - usually 1 token
-            tokenCount += 1;
-        } else if (part.length <= 4) {
-            // Short words - usually 1 token
-            tokenCount += 1;
-        } else if (part.length <= 8) {
-            // Medium words - often 2 tokens
-            tokenCount += 2;
-        } else {
-            // Long words - often 3+ tokens
-            tokenCount += Math.ceil(part.length / 4);
-        }
-    }
-    
-    return tokenCount;
-}
-
-function calculateCompressionPotential(multiTokenWords) {
+export function calculateCompressionPotential(multiTokenWords) {
     const totalWastage = multiTokenWords.reduce((sum, word) => {
         // Assume each multi-token word could be compressed to 1 token
         return sum + (word.tokens - 1);
@@ -176,7 +162,7 @@ function getCommonMultiTokenWords() {
     ];
 }
 
-function validateMathematicalSymbols(tokenizer) {
+async function validateMathematicalSymbols(tokenizer) {
     // Mathematical symbols from the ideas document - context-safe compression symbols
     const mathematicalSymbols = [
         '∂', '∫', '∑', '∏', 'Δ', 'Ω', 
@@ -184,18 +170,22 @@ function validateMathematicalSymbols(tokenizer) {
         '†', '‡', '§', '¶', '◊', '♦', '≈', '∴', '∵'
     ];
     
-    const validation = mathematicalSymbols.map(symbol => {
-        const tokens = tokenizer.encode ? tokenizer.encode(symbol) : [symbol];
-        const tokenCount = Array.isArray(tokens) ? tokens.length : 1;
+    const validation = [];
+    for (const symbol of mathematicalSymbols) {
+        const tokenCount = countTokens(tokenizer, symbol);
+        // A symbol can be one token under cl100k_base but two under o200k_base
+        const tokensByEncoding = await countTokensByEncoding(symbol);
         
-        return {
+        validation.push({
             symbol,
             tokenCount,
+            tokensByEncoding,
+            singleTokenEncodings: SUPPORTED_ENCODINGS.filter(e => tokensByEncoding[e] === 1),
             isSingleToken: tokenCount === 1,
             isOptimal: tokenCount === 1, // Single token symbols are optimal for compression
             contextSafe: true // All mathematical symbols are context-safe when preceding English words
-        };
-    });
+        });
+    }
     
     const singleTokenSymbols = validation.filter(v => v.isSingleToken);
     
@@ -211,14 +201,13 @@ async function validateCompressions(compressions, tokenizer) {
     console.log(`🚀 BATCH VALIDATION: Processing ${compressions.length} compressions in one efficient batch`);
     
     // 1. BATCH TOKEN ANALYSIS - Calculate all token counts at once
-    const batchTokenAnalysis = compressions.map(compression => {
+    const batchTokenAnalysis = await Promise.all(compressions.map(async compression => {
         const { original, compressed } = compression;
-        const originalTokens = tokenizer.encode ? tokenizer.encode(original) : approximateTokenize(original);
-        const compressedTokens = tokenizer.encode ? tokenizer.encode(compressed) : approximateTokenize(compressed);
+        const originalCount = countTokens(tokenizer, original);
+        const compressedCount = countTokens(tokenizer, compressed);
         
-        // Handle both regular arrays and Uint32Array from tiktoken
-        const originalCount = (originalTokens && typeof originalTokens.length === 'number') ? originalTokens.length : originalTokens;
-        const compressedCount = (compressedTokens && typeof compressedTokens.length === 'number') ? compressedTokens.length : compressedTokens;
+        // Savings under every supported encoding - stored with the codex entry at ceremony time
+        const tokenMatrix = await buildSavingsMatrix(original, compressed);
         
         // CONTEXT-SAFETY PRE-VALIDATION - Check for unsafe patterns
         const contextSafetyCheck = validateContextSafety(original, compressed);
@@ -230,9 +219,10 @@ async function validateCompressions(compressions, tokenizer) {
             tokenSavings: originalCount - compressedCount,
             isEffective: originalCount - compressedCount > 0 && contextSafetyCheck.isSafe,
             compressionRatio: originalCount > 0 ? ((originalCount - compressedCount) / originalCount * 100).toFixed(1) : 0,
-            contextSafety: contextSafetyCheck
+            contextSafety: contextSafetyCheck,
+            tokenMatrix
         };
-    });
+    }));
     
     // 2. BATCH SEMANTIC VALIDATION - Test entire article with ALL compressions at once
     console.log(`📝 Creating complete test article with all ${compressions.length} compressions applied`);
@@ -297,13 +287,10 @@ async function validateSemanticallyBatch(compressions) {
         const testArticle = createRealisticTestArticle(testWords);
         console.log(`📄 Test article: ${testArticle.substring(0, 200)}...`);
         
-        // 2. Apply ALL compressions at once to create compressed version
-        let compressedArticle = testArticle;
-        compressions.forEach(compression => {
-            // Replace all instances of the word with the compressed symbol
-            const regex = new RegExp(`\\b${compression.original}\\b`, 'gi');
-            compressedArticle = compressedArticle.replace(regex, compression.compressed);
-        });
+        // 2. Apply ALL compressions at once with the compression engine (code, URLs and
+        //    markup in the article stay untouched, exactly as in /api/compress)
+        const codex = normalizeCodex(compressions);
+        const compressedArticle = compress(testArticle, codex).text;
         console.log(`🗜️ Compressed article: ${compressedArticle.substring(0, 200)}...`);
         
         // 3. Single AI rewrite call for entire compressed article
@@ -312,11 +299,7 @@ async function validateSemanticallyBatch(compressions) {
         
         // 4. Mechanical restore of ALL compressions at once
         console.log(`🔧 Mechanically restoring all ${compressions.length} compressions`);
-        let restoredArticle = aiRewrite;
-        compressions.forEach(compression => {
-            const regex = new RegExp(escapeRegex(compression.compressed), 'gi');
-            restoredArticle = restoredArticle.replace(regex, compression.original);
-        });
+        const restoredArticle = decompress(aiRewrite, codex).text;
         
         // 5. Single semantic comparison for entire article
         const semanticMatch = calculateSemanticSimilarity(testArticle, restoredArticle);
@@ -370,7 +353,7 @@ async function validateSemanticallyBatch(compressions) {
 /**
  * CONTEXT-SAFETY VALIDATION - Comprehensive rules to ensure compressions are safe
  */
-function validateContextSafety(original, compressed) {
+export function validateContextSafety(original, compressed) {
     const issues = [];
     
     // 1. HTML/MARKUP PRESERVATION - Don't compress HTML tags or markup
@@ -425,7 +408,7 @@ function isHTMLMarkup(word) {
     return htmlPatterns.some(pattern => pattern.test(word));
 }
 
-function isProperNoun(word) {
+export function isProperNoun(word) {
     // Check for proper noun patterns
     const properNounPatterns = [
         // Company names
@@ -490,7 +473,7 @@ function isSemanticallySimilar(original, compressed) {
     return true; // Default to allowing if not explicitly blocked
 }
 
-function isGrammaticallyEquivalent(original, compressed) {
+export function isGrammaticallyEquivalent(original, compressed) {
     // Check if both forms can serve same grammatical function
     
     // Reject if compression changes word type dramatically
@@ -540,7 +523,7 @@ function isContextAmbiguous(original, compressed) {
 }
 
 // Helper functions for batch validation
-function createRealisticTestArticle(words) {
+export function createRealisticTestArticle(words) {
     // Create a natural article using all the words in realistic contexts
     const templates = [
         "The {word} of modern software development requires careful consideration of various factors.",
@@ -571,33 +554,7 @@ function createRealisticTestArticle(words) {
 
 async function callAIForRewrite(compressedText) {
     try {
-        // Use the same Groq endpoint but for rewriting
-        const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${process.env.GROQ_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: 'llama3-8b-8192',
-                messages: [
-                    {
-                        role: 'user',
-                        content: `Please rewrite this text to be clear and professional, maintaining the exact same meaning and structure:\n\n${compressedText}`
-                    }
-                ],
-                temperature: 0.1, // Low temperature for consistent rewrites
-                max_tokens: Math.min(2000, compressedText.length * 2) // Reasonable limit
-            })
-        });
-        
-        if (!response.ok) {
-            throw new Error(`AI rewrite failed: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        return data.choices?.[0]?.message?.content || compressedText;
-        
+        return await requestAIRewrite(compressedText);
     } catch (error) {
         console.log(`⚠️ AI rewrite failed: ${error.message}`);
         // Fallback: return original if AI fails
@@ -605,11 +562,39 @@ async function callAIForRewrite(compressedText) {
     }
 }
 
-function escapeRegex(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+/**
+ * Ask the model to rewrite compressed text (throws when the AI is unreachable)
+ */
+export async function requestAIRewrite(compressedText) {
+    // Use the same Groq endpoint but for rewriting
+    const response = await fetch(getChatCompletionsUrl('groq'), {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${process.env.GROQ_API_KEY}`
+        },
+        body: JSON.stringify({
+            model: 'llama3-8b-8192',
+            messages: [
+                {
+                    role: 'user',
+                    content: `Please rewrite this text to be clear and professional, maintaining the exact same meaning and structure:\n\n${compressedText}`
+                }
+            ],
+            temperature: 0.1, // Low temperature for consistent rewrites
+            max_tokens: Math.min(2000, compressedText.length * 2) // Reasonable limit
+        })
+    });
+    
+    if (!response.ok) {
+        throw new Error(`AI rewrite failed: ${response.status}`);
+    }
+    
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content || compressedText;
 }
 
-function calculateSemanticSimilarity(original, restored) {
+export function calculateSemanticSimilarity(original, restored) {
     // Simple but effective similarity calculation
     const originalWords = original.toLowerCase().split(/\s+/).filter(w => w.length > 2);
     const restoredWords = restored.toLowerCase().split(/\s+/).filter(w => w.length > 2);
@@ -638,13 +623,14 @@ function calculateSemanticSimilarity(original, restored) {
     };
 }
 
-function checkWordPreservation(original, restored, targetWord) {
-    const originalCount = (original.toLowerCase().match(new RegExp(`\\b${targetWord.toLowerCase()}\\b`, 'gi')) || []).length;
-    const restoredCount = (restored.toLowerCase().match(new RegExp(`\\b${targetWord.toLowerCase()}\\b`, 'gi')) || []).length;
+export function checkWordPreservation(original, restored, targetWord) {
+    const word = escapeRegexSpecial(targetWord.toLowerCase());
+    const originalCount = (original.toLowerCase().match(new RegExp(`\\b${word}\\b`, 'gi')) || []).length;
+    const restoredCount = (restored.toLowerCase().match(new RegExp(`\\b${word}\\b`, 'gi')) || []).length;
     
     // Check if word appears in similar contexts
     const contexts = [];
-    const regex = new RegExp(`\\b\\w+\\s+${targetWord.toLowerCase()}\\s+\\w+\\b`, 'gi');
+    const regex = new RegExp(`\\b\\w+\\s+${word}\\s+\\w+\\b`, 'gi');
     const originalContexts = original.toLowerCase().match(regex) || [];
     const restoredContexts = restored.toLowerCase().match(regex) || [];
     
@@ -0,0 +1,81 @@
+// Unsubscribe from submitter notifications with the signed link every mail carries
+import { rateLimit } from './_middleware.js';
+import { suppressAddress } from './_notifications.js';
+import { verifyUnsubscribeToken } from '../server/notifications.js';
+
+export default async function handler(req, res) {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        return res.status(200).json({});
+    }
+    
+    // GET shows the confirmation page, POST unsubscribes (the page's button, or one-click from the mail client)
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+    
+    // Rate limiting
+    if (!rateLimit(req)) {
+        return res.status(429).json({ error: 'Rate limit exceeded. Please try again later.' });
+    }
+    
+    // Browsers and mail clients get a page; API callers (JSON body) get JSON
+    const wantsJson = req.method === 'POST' && req.body && typeof req.body === 'object' && !Array.isArray(req.body);
+    const reply = (status, title, message, data) => {
+        if (wantsJson) {
+            return res.status(status).json(data);
+        }
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        return res.status(status).send(renderPage(title, message));
+    };
+    
+    try {
+        const params = { ...req.query, ...(wantsJson ? req.body : {}) };
+        const email = typeof params.email === 'string' ? params.email.trim() : '';
+        const token = typeof params.token === 'string' ? params.token.trim() : '';
+        
+        if (!process.env.NOTIFY_SECRET) {
+            return reply(503, 'Unavailable', 'Notifications are not configured on this server.', { error: 'Notifications are not configured' });
+        }
+        if (!email || !token) {
+            return reply(400, 'Invalid link', 'This unsubscribe link is incomplete.', { error: 'email and token are required' });
+        }
+        if (!verifyUnsubscribeToken(email, token, process.env.NOTIFY_SECRET)) {
+            return reply(403, 'Invalid link', 'This unsubscribe link is not valid for that address.', { error: 'Invalid unsubscribe token' });
+        }
+        
+        // Mail scanners follow GET links - only a POST unsubscribes
+        if (req.method === 'GET') {
+            return reply(200, 'Unsubscribe', `Stop all Token Compressor mail to ${escapeHtml(email)}?
+        <form method="post"><button type="submit">Unsubscribe</button></form>`, null);
+        }
+        
+        try {
+            await suppressAddress(email, 'unsubscribed');
+        } catch (error) {
+            console.error('Unsubscribe error:', error);
+            return reply(503, 'Try again later', 'We could not update the mailing list right now.', { error: `Suppression list unavailable: ${error.message}` });
+        }
+        
+        return reply(200, 'Unsubscribed', `${escapeHtml(email)} will not get any more Token Compressor mail.`, { success: true, email: email.toLowerCase() });
+        
+    } catch (error) {
+        console.error('Unsubscribe error:', error);
+        return reply(500, 'Something went wrong', 'Failed to unsubscribe.', { error: 'Failed to unsubscribe' });
+    }
+}
+
+function renderPage(title, message) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${title} - Token Compressor</title></head>
+<body style="font-family: sans-serif; max-width: 32rem; margin: 4rem auto;">
+    <h1>${title}</h1>
+    <div>${message}</div>
+</body>
+</html>`;
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
@@ -0,0 +1,134 @@
+// OpenAI-compatible compressing proxy: point an OpenAI SDK's base URL at /api/v1
+import { rateLimit } from '../../_middleware.js';
+import { getTokenizer, countTokens, resolveEncoding, DEFAULT_ENCODING } from '../../_tokenizer.js';
+import { loadCodex, parseCodexVersion, filterCodexForEncoding } from '../../_codex.js';
+import { getChatCompletionsUrl } from '../../_upstream.js';
+import { parseProxyOptions, compressChatMessages, decompressChatResponse } from '../../_chat.js';
+
+export default async function handler(req, res) {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        return res.status(200).json({});
+    }
+    
+    // Only allow POST
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: { message: 'Method not allowed', type: 'invalid_request_error' } });
+    }
+    
+    // Rate limiting
+    if (!rateLimit(req)) {
+        return res.status(429).json({ error: { message: 'Rate limit exceeded. Please try again later.', type: 'rate_limit_error' } });
+    }
+    
+    // Errors use the OpenAI shape so SDK clients surface them normally
+    const invalid = message => res.status(400).json({ error: { message, type: 'invalid_request_error' } });
+    
+    // Callers pay with their own key; the server's OPENAI_API_KEY only stands in when PROXY_USE_SERVER_KEY=true
+    const authorization = req.headers?.authorization
+        || (process.env.PROXY_USE_SERVER_KEY === 'true' && process.env.OPENAI_API_KEY ? `Bearer ${process.env.OPENAI_API_KEY}` : null);
+    if (!authorization) {
+        return res.status(401).json({ error: { message: 'Send your OpenAI API key as "Authorization: Bearer <key>"', type: 'invalid_request_error', code: 'invalid_api_key' } });
+    }
+    
+    try {
+        const { compression, ...request } = req.body || {};
+        
+        if (typeof request.model !== 'string' || !request.model) {
+            return invalid('model is required');
+        }
+        if (!Array.isArray(request.messages) || request.messages.length === 0) {
+            return invalid('messages must be a non-empty array');
+        }
+        if (request.stream) {
+            return invalid('stream is not supported by the compressing proxy');
+        }
+        
+        const parsed = parseProxyOptions(compression);
+        if (!parsed.valid) {
+            return invalid(parsed.error);
+        }
+        const options = parsed.options;
+        
+        const codexVersion = parseCodexVersion(options.version);
+        if (!codexVersion.valid) {
+            return invalid(`compression.${codexVersion.error}`);
+        }
+        
+        // Known models get the entries that save tokens under their encoding; others the whole codex
+        const resolved = await resolveEncoding(request.model);
+        const encoding = resolved.valid ? resolved.encoding : DEFAULT_ENCODING;
+        
+        let report = { applied: false, reason: 'disabled' };
+        let messages = request.messages;
+        let entries = [];
+        
+        if (options.enabled) {
+            let codex;
+            try {
+                codex = await loadCodex(codexVersion.version);
+            } catch (error) {
+                return res.status(error.status || 503).json({ error: { message: error.message, type: error.status === 404 ? 'invalid_request_error' : 'server_error' } });
+            }
+            
+            entries = codex.entries;
+            if (resolved.valid && resolved.model) {
+                ({ entries } = await filterCodexForEncoding(codex.entries, encoding));
+            }
+            
+            const tokenizer = await getTokenizer(encoding);
+            const result = compressChatMessages(request.messages, entries, {
+                countTokens: (value) => countTokens(tokenizer, value),
+                roles: options.roles,
+                legend: options.legend
+            });
+            
+            // Sending the original is cheaper when the legend costs more than compression saves
+            const applied = result.entries.length > 0 && (!options.onlyWhenProfitable || result.tokens.net > 0);
+            if (applied) {
+                messages = result.messages;
+            }
+            
+            report = {
+                applied,
+                ...(!applied && { reason: result.entries.length === 0 ? 'no_codex_matches' : 'unprofitable' }),
+                encoding,
+                codexVersion: codex.version,
+                tokens: result.tokens,
+                entries: result.entries,
+                legend: result.legend,
+                ...(codex.fallback && { fallback: true })
+            };
+        }
+        
+        console.log(`🗜️ [PROXY] ${request.model}: ${report.applied ? `${report.tokens.net} prompt tokens saved net of legend` : `forwarded uncompressed (${report.reason})`}`);
+        
+        const response = await fetch(getChatCompletionsUrl('openai'), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': authorization
+            },
+            body: JSON.stringify({ ...request, messages })
+        });
+        
+        const data = await response.json().catch(() => ({ error: { message: `Upstream returned ${response.status}`, type: 'upstream_error' } }));
+        if (!response.ok) {
+            return res.status(response.status).json(data);
+        }
+        
+        if (report.applied && options.decompressResponse) {
+            decompressChatResponse(data, entries);
+        }
+        
+        return res.status(200).json({
+            ...data,
+            ...(data.usage && report.applied && { usage: { ...data.usage, prompt_tokens_saved: report.tokens.net } }),
+            compression: { ...report, responseDecompressed: report.applied && options.decompressResponse }
+        });
+        
+    } catch (error) {
+        console.error('Compressing proxy error:', error);
+        return res.status(502).json({ error: { message: 'Upstream request failed', type: 'upstream_error' } });
+    }
+}
@@ -0,0 +1,81 @@
+// Instant compression check - tokens, context safety, codex collisions, round-trip and an optional AI rewrite
+import { rateLimit, validateInput } from './_middleware.js';
+import { resolveEncoding, buildSavingsMatrix, SUPPORTED_ENCODINGS } from './_tokenizer.js';
+import { loadCodex, parseCodexVersion } from './_codex.js';
+import { checkTokens, checkContextSafety, checkCollision, checkRoundTrip, checkAIRewrite, skippedCheck, summarizeChecks } from './_validate.js';
+
+export default async function handler(req, res) {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        return res.status(200).json({});
+    }
+    
+    // Only allow POST
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+    
+    // Rate limiting
+    if (!rateLimit(req)) {
+        return res.status(429).json({ error: 'Rate limit exceeded. Please try again later.' });
+    }
+    
+    try {
+        const { original, compressed, inflections = null, encoding = null, model = null, aiCheck = false, version } = req.body || {};
+        
+        const validation = validateInput({ original, compressed }, {
+            original: { required: true, type: 'string', maxLength: 200 },
+            compressed: { required: true, type: 'string', maxLength: 50 }
+        });
+        if (!validation.valid) {
+            return res.status(400).json({ error: validation.errors.join(', ') });
+        }
+        
+        const resolved = await resolveEncoding(encoding || model);
+        if (!resolved.valid) {
+            return res.status(400).json({ error: resolved.error, supportedEncodings: SUPPORTED_ENCODINGS });
+        }
+        
+        const codexVersion = parseCodexVersion(version);
+        if (!codexVersion.valid) {
+            return res.status(400).json({ error: codexVersion.error });
+        }
+        
+        const candidate = { original: original.trim(), compressed: compressed.trim(), inflections };
+        
+        // An unavailable codex only skips the collision check - the other checks still answer
+        let codex = null;
+        try {
+            codex = await loadCodex(codexVersion.version);
+        } catch (error) {
+            if (error.status === 404) {
+                return res.status(404).json({ error: error.message });
+            }
+            console.log(`⚠️ Codex unavailable for instant check: ${error.message}`);
+        }
+        
+        const tokenMatrix = await buildSavingsMatrix(candidate.original, candidate.compressed);
+        const checks = [
+            checkTokens(tokenMatrix, resolved.encoding),
+            checkContextSafety(candidate),
+            checkCollision(candidate, codex ? codex.entries : null),
+            checkRoundTrip(candidate),
+            aiCheck ? await checkAIRewrite(candidate) : skippedCheck('ai_rewrite', 'AI rewrite check not requested')
+        ];
+        
+        return res.status(200).json({
+            ...summarizeChecks(checks),
+            original: candidate.original,
+            compressed: candidate.compressed,
+            encoding: resolved.encoding,
+            tokensSaved: tokenMatrix[resolved.encoding].saved,
+            tokenMatrix,
+            checks,
+            codexVersion: codex ? codex.version : null
+        });
+        
+    } catch (error) {
+        console.error('Instant check error:', error);
+        return res.status(500).json({ error: 'Compression check failed' });
+    }
+}
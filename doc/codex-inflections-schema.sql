@@ -0,0 +1,7 @@
+-- Codex Inflections - which inflected forms of a compression's original it also compresses
+-- Add to existing Token Compressor schema (new installs get this from supabase-setup-fixed.sql)
+
+-- Rule list or object, read by the compression engine (public/js/codex/compression-engine.js):
+-- ["plural", "ed", "ing", "capitalize"] or {"plural": "analyses", "capitalize": true}
+-- NULL = only the exact original is compressed
+ALTER TABLE compressions ADD COLUMN IF NOT EXISTS inflections JSONB;
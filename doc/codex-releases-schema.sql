@@ -0,0 +1,42 @@
+-- Codex Releases - numbered, immutable snapshots of the approved codex
+-- Add to existing Token Compressor schema (see public/js/codex/releases.js for the versioning rules)
+
+-- Deprecate an entry with: UPDATE compressions SET deprecated_at = NOW() WHERE original = '...';
+-- It keeps compressing until a later major release removes it (DELETE the row).
+ALTER TABLE compressions ADD COLUMN IF NOT EXISTS deprecated_at TIMESTAMPTZ;
+
+-- One row per release, published by the orchestrator after a ceremony that changed the codex.
+-- entries is the whole codex at release time, oldest first; changelog is the diff against the
+-- previous release: {"added": [], "removed": [], "deprecated": [], "undeprecated": [], "changed": [], "updated": []}
+CREATE TABLE codex_releases (
+    version TEXT PRIMARY KEY, -- Semver: '1.4.0'
+    bump TEXT NOT NULL CHECK (bump IN ('major', 'minor', 'patch')),
+    hour INTEGER, -- Ceremony hour that published it
+    entry_count INTEGER NOT NULL,
+    entries JSONB NOT NULL,
+    changelog JSONB NOT NULL,
+    released_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_codex_releases_released_at ON codex_releases(released_at DESC);
+
+-- Releases are immutable: text compressed with one must always decompress the same way
+CREATE OR REPLACE FUNCTION reject_codex_release_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'codex releases are immutable (publish a new version instead)';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER codex_releases_immutable
+    BEFORE UPDATE OR DELETE ON codex_releases
+    FOR EACH ROW EXECUTE FUNCTION reject_codex_release_changes();
+
+ALTER TABLE codex_releases ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read access to codex_releases" ON codex_releases
+    FOR SELECT USING (true);
+
+-- Allow service role to publish releases (inserts only - see the trigger above)
+CREATE POLICY "Allow service role to insert codex_releases" ON codex_releases
+    FOR INSERT WITH CHECK (auth.role() = 'service_role');
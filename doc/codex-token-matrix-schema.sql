@@ -0,0 +1,6 @@
+-- Codex Token Matrix - per-tokenizer savings for each validated compression
+-- Add to existing Token Compressor schema (new installs get this from supabase-setup-fixed.sql)
+
+-- Savings per encoding, computed at ceremony time:
+-- {"o200k_base": {"originalTokens": 2, "compressedTokens": 1, "saved": 1}, "cl100k_base": {...}, ...}
+ALTER TABLE compressions ADD COLUMN IF NOT EXISTS token_matrix JSONB;
@@ -0,0 +1,71 @@
+-- Leaderboard - daily, weekly and all-time rankings of accepted compressions
+-- Add to existing Token Compressor schema (see public/js/leaderboard.js)
+
+-- How often the phrase occurred in the articles its ceremony saw (at least 1)
+ALTER TABLE compressions
+    ADD COLUMN IF NOT EXISTS corpus_frequency INTEGER NOT NULL DEFAULT 1;
+
+-- One row per contributor per UTC day: humans by name, every agent discovery as 'AI'.
+-- Rows were keyed by email, which the trigger never knew - key them by name instead.
+ALTER TABLE leaderboard
+    ADD COLUMN IF NOT EXISTS score BIGINT NOT NULL DEFAULT 0, -- Sum of tokens_saved × corpus_frequency
+    ALTER COLUMN email DROP NOT NULL,
+    ALTER COLUMN email SET DEFAULT '',
+    DROP CONSTRAINT IF EXISTS leaderboard_email_date_key;
+
+-- Rebuild from the codex: existing compressions score their savings once
+TRUNCATE leaderboard;
+INSERT INTO leaderboard (name, compressions_count, tokens_saved, score, date)
+SELECT
+    CASE WHEN source LIKE 'Human:%' THEN BTRIM(SUBSTRING(source FROM 7)) ELSE 'AI' END,
+    COUNT(*),
+    COALESCE(SUM(tokens_saved), 0),
+    COALESCE(SUM(tokens_saved * GREATEST(corpus_frequency, 1)), 0),
+    (created_at AT TIME ZONE 'UTC')::date
+FROM compressions
+GROUP BY 1, 5;
+
+ALTER TABLE leaderboard ADD CONSTRAINT leaderboard_name_date_key UNIQUE (name, date);
+
+-- Credit every accepted compression (the daily board rolls over at midnight UTC)
+CREATE OR REPLACE FUNCTION update_leaderboard_on_compression()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO leaderboard (name, compressions_count, tokens_saved, score, date)
+    VALUES (
+        CASE WHEN NEW.source LIKE 'Human:%' THEN BTRIM(SUBSTRING(NEW.source FROM 7)) ELSE 'AI' END,
+        1,
+        COALESCE(NEW.tokens_saved, 0),
+        COALESCE(NEW.tokens_saved, 0) * GREATEST(COALESCE(NEW.corpus_frequency, 1), 1),
+        (NOW() AT TIME ZONE 'UTC')::date
+    )
+    ON CONFLICT (name, date)
+    DO UPDATE SET
+        compressions_count = leaderboard.compressions_count + 1,
+        tokens_saved = leaderboard.tokens_saved + EXCLUDED.tokens_saved,
+        score = leaderboard.score + EXCLUDED.score,
+        updated_at = NOW();
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Weekly (from Monday, UTC) and all-time boards add the daily rows up
+CREATE OR REPLACE VIEW leaderboard_weekly AS
+SELECT name,
+       SUM(compressions_count)::INTEGER AS compressions_count,
+       SUM(tokens_saved)::INTEGER AS tokens_saved,
+       SUM(score)::BIGINT AS score
+FROM leaderboard
+WHERE date >= date_trunc('week', NOW() AT TIME ZONE 'UTC')::date
+GROUP BY name;
+
+CREATE OR REPLACE VIEW leaderboard_all_time AS
+SELECT name,
+       SUM(compressions_count)::INTEGER AS compressions_count,
+       SUM(tokens_saved)::INTEGER AS tokens_saved,
+       SUM(score)::BIGINT AS score
+FROM leaderboard
+GROUP BY name;
+
+CREATE INDEX IF NOT EXISTS idx_leaderboard_date_score ON leaderboard(date, score DESC);
@@ -0,0 +1,37 @@
+-- Submitter notifications - ceremony results and daily codex digests for "daily updates" opt-ins
+-- Add to existing Token Compressor schema (see server/notifications.js)
+
+-- Addresses never to mail again: unsubscribed via their signed link, or hard-bounced
+CREATE TABLE notification_suppressions (
+    id BIGSERIAL PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE, -- Lowercased
+    reason TEXT NOT NULL DEFAULT 'unsubscribed', -- 'unsubscribed' or 'bounced'
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One row per mail per address: a ceremony's results (key = ceremony_key, e.g. '2026-10-19T14')
+-- or a day's digest (key = '2026-10-19'). Mails logged as sent are never sent again.
+CREATE TABLE notification_log (
+    id BIGSERIAL PRIMARY KEY,
+    email TEXT NOT NULL, -- Lowercased
+    kind TEXT NOT NULL CHECK (kind IN ('ceremony', 'digest')),
+    key TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('sent', 'failed')),
+    transport TEXT, -- 'smtp', 'file' or 'console'
+    error TEXT,
+    sent_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (email, kind, key)
+);
+
+ALTER TABLE notification_suppressions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notification_log ENABLE ROW LEVEL SECURITY;
+
+-- No public read access: both tables hold email addresses.
+-- Only the runner and the unsubscribe API (service role key) use them.
+CREATE POLICY "Allow service role to manage notification_suppressions" ON notification_suppressions
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Allow service role to manage notification_log" ON notification_log
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE INDEX idx_notification_log_kind_key ON notification_log(kind, key);
@@ -0,0 +1,43 @@
+-- Headless Orchestrator Runner - guarantees discovery and ceremonies run exactly once
+-- Add to existing Token Compressor schema
+
+-- Runner lease: a single row naming the one process allowed to run the discovery schedule.
+-- The holder renews it every 30 seconds; any runner may take it over once it expires.
+CREATE TABLE runner_lease (
+    id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+    holder TEXT, -- Runner id (hostname:pid:random)
+    expires_at TIMESTAMPTZ NOT NULL DEFAULT to_timestamp(0),
+    renewed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO runner_lease (id) VALUES (1);
+
+-- Ceremony runs: one row per wall-clock hour. The primary key makes claiming a ceremony
+-- atomic, so a second runner (or a leftover browser tab) can never run the same ceremony.
+CREATE TABLE ceremony_runs (
+    ceremony_key TEXT PRIMARY KEY, -- UTC hour, e.g. '2026-10-19T14'
+    runner_id TEXT,
+    hour INTEGER, -- Orchestrator hour counter (codex version)
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ
+);
+
+ALTER TABLE runner_lease ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ceremony_runs ENABLE ROW LEVEL SECURITY;
+
+-- Public read access (the viewer shows whether the runner is online)
+CREATE POLICY "Allow public read access to runner_lease" ON runner_lease
+    FOR SELECT USING (true);
+
+CREATE POLICY "Allow public read access to ceremony_runs" ON ceremony_runs
+    FOR SELECT USING (true);
+
+-- Only the runner (service role key) writes runner state: with the public anon key, any
+-- visitor could hold the lease forever or claim future ceremonies
+CREATE POLICY "Allow service role to update runner_lease" ON runner_lease
+    FOR UPDATE USING (auth.role() = 'service_role');
+
+CREATE POLICY "Allow service role to manage ceremony_runs" ON ceremony_runs
+    FOR ALL USING (auth.role() = 'service_role');
+
+ALTER PUBLICATION supabase_realtime ADD TABLE runner_lease;
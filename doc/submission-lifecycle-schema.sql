@@ -0,0 +1,33 @@
+-- Submission Lifecycle - status tracking and per-submitter history for human submissions
+-- Add to existing Token Compressor schema (see public/js/submission-lifecycle.js for the states)
+
+-- received → queued → testing → accepted | rejected | duplicate
+-- status_history: [{"status": "queued", "at": "...", "reason": "..."}], appended on every change.
+-- tested/valid stay in step with status (tested = final state, valid = accepted) for older readers.
+ALTER TABLE submissions
+    ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'received'
+        CHECK (status IN ('received', 'queued', 'testing', 'accepted', 'rejected', 'duplicate')),
+    ADD COLUMN IF NOT EXISTS status_reason TEXT, -- Why it was rejected / is a duplicate
+    ADD COLUMN IF NOT EXISTS status_history JSONB NOT NULL DEFAULT '[]'::jsonb,
+    ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS ceremony_hour INTEGER, -- Ceremony that tested it
+    ADD COLUMN IF NOT EXISTS original_tokens INTEGER,
+    ADD COLUMN IF NOT EXISTS compressed_tokens INTEGER,
+    ADD COLUMN IF NOT EXISTS tokens_saved INTEGER,
+    ADD COLUMN IF NOT EXISTS token_matrix JSONB; -- Savings per encoding, as in compressions.token_matrix
+
+-- Existing rows: untested ones wait for the next ceremony, tested ones keep their verdict
+UPDATE submissions
+SET status = CASE
+        WHEN NOT tested THEN 'queued'
+        WHEN valid THEN 'accepted'
+        ELSE 'rejected'
+    END,
+    status_updated_at = COALESCE(tested_at, created_at)
+WHERE status = 'received';
+
+CREATE INDEX IF NOT EXISTS idx_submissions_status ON submissions(status);
+
+-- Per-submitter history lookups are case-insensitive exact matches (ilike without wildcards)
+CREATE INDEX IF NOT EXISTS idx_submissions_email_lower ON submissions(LOWER(email));
+CREATE INDEX IF NOT EXISTS idx_submissions_name_lower ON submissions(LOWER(name));
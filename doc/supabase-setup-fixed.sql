@@ -12,6 +12,10 @@ CREATE TABLE compressions (
     source TEXT DEFAULT 'AI-Discovery', -- 'AI-Discovery', 'Human: [name]'
     hour INTEGER NOT NULL, -- Hour when discovered (for analytics)
     tokens_saved INTEGER DEFAULT 2,
+    token_matrix JSONB, -- Savings per encoding: {"o200k_base": {"originalTokens": 2, "compressedTokens": 1, "saved": 1}, ...}
+    inflections JSONB, -- Inflected forms also compressed: ["plural", "ed", "ing", "capitalize"] (NULL = exact original only)
+    deprecated_at TIMESTAMP WITH TIME ZONE, -- Set to deprecate: still applied, removed in a later major codex release
+    corpus_frequency INTEGER NOT NULL DEFAULT 1, -- Occurrences in the articles its ceremony saw (leaderboard score multiplier)
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     validated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -26,21 +30,33 @@ CREATE TABLE submissions (
     daily_updates BOOLEAN DEFAULT FALSE,
     tested BOOLEAN DEFAULT FALSE,
     valid BOOLEAN DEFAULT NULL, -- NULL=untested, TRUE=accepted, FALSE=rejected
+    -- Lifecycle (doc/submission-lifecycle-schema.sql): received → queued → testing → accepted | rejected | duplicate
+    status TEXT NOT NULL DEFAULT 'received'
+        CHECK (status IN ('received', 'queued', 'testing', 'accepted', 'rejected', 'duplicate')),
+    status_reason TEXT,
+    status_history JSONB NOT NULL DEFAULT '[]'::jsonb,
+    status_updated_at TIMESTAMP WITH TIME ZONE,
+    ceremony_hour INTEGER,
+    original_tokens INTEGER,
+    compressed_tokens INTEGER,
+    tokens_saved INTEGER,
+    token_matrix JSONB,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     tested_at TIMESTAMP WITH TIME ZONE
 );
 
--- Leaderboard table: Tracks daily contributor rankings
+-- Leaderboard table: Tracks daily contributor rankings (humans by name, agents as 'AI', UTC days)
 CREATE TABLE leaderboard (
     id SERIAL PRIMARY KEY,
     name TEXT NOT NULL,
-    email TEXT NOT NULL,
+    email TEXT DEFAULT '',
     compressions_count INTEGER DEFAULT 0,
     tokens_saved INTEGER DEFAULT 0,
+    score BIGINT NOT NULL DEFAULT 0, -- Sum of tokens_saved × corpus_frequency
     date DATE DEFAULT CURRENT_DATE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    UNIQUE(email, date)
+    UNIQUE(name, date)
 );
 
 -- Articles table: Track processed articles for diversity
@@ -116,26 +132,24 @@ CREATE POLICY "Allow service role to update stats" ON stats
 
 -- Functions for automatic leaderboard updates
 
--- Function to update leaderboard when compression is validated
+-- Function to credit every validated compression (the daily board rolls over at midnight UTC)
 CREATE OR REPLACE FUNCTION update_leaderboard_on_compression()
 RETURNS TRIGGER AS $$
 BEGIN
-    -- Only process human submissions
-    IF NEW.source LIKE 'Human:%' THEN
-        INSERT INTO leaderboard (name, email, compressions_count, tokens_saved, date)
-        VALUES (
-            SUBSTRING(NEW.source FROM 8), -- Extract name after 'Human: '
-            '', -- Email would come from submissions table in real implementation
-            1,
-            NEW.tokens_saved,
-            CURRENT_DATE
-        )
-        ON CONFLICT (email, date) 
-        DO UPDATE SET 
-            compressions_count = leaderboard.compressions_count + 1,
-            tokens_saved = leaderboard.tokens_saved + NEW.tokens_saved,
-            updated_at = NOW();
-    END IF;
+    INSERT INTO leaderboard (name, compressions_count, tokens_saved, score, date)
+    VALUES (
+        CASE WHEN NEW.source LIKE 'Human:%' THEN BTRIM(SUBSTRING(NEW.source FROM 7)) ELSE 'AI' END,
+        1,
+        COALESCE(NEW.tokens_saved, 0),
+        COALESCE(NEW.tokens_saved, 0) * GREATEST(COALESCE(NEW.corpus_frequency, 1), 1),
+        (NOW() AT TIME ZONE 'UTC')::date
+    )
+    ON CONFLICT (name, date)
+    DO UPDATE SET
+        compressions_count = leaderboard.compressions_count + 1,
+        tokens_saved = leaderboard.tokens_saved + EXCLUDED.tokens_saved,
+        score = leaderboard.score + EXCLUDED.score,
+        updated_at = NOW();
     
     RETURN NEW;
 END;
@@ -147,6 +161,24 @@ CREATE TRIGGER compression_leaderboard_update
     FOR EACH ROW
     EXECUTE FUNCTION update_leaderboard_on_compression();
 
+-- Weekly (from Monday, UTC) and all-time boards add the daily rows up
+CREATE VIEW leaderboard_weekly AS
+SELECT name,
+       SUM(compressions_count)::INTEGER AS compressions_count,
+       SUM(tokens_saved)::INTEGER AS tokens_saved,
+       SUM(score)::BIGINT AS score
+FROM leaderboard
+WHERE date >= date_trunc('week', NOW() AT TIME ZONE 'UTC')::date
+GROUP BY name;
+
+CREATE VIEW leaderboard_all_time AS
+SELECT name,
+       SUM(compressions_count)::INTEGER AS compressions_count,
+       SUM(tokens_saved)::INTEGER AS tokens_saved,
+       SUM(score)::BIGINT AS score
+FROM leaderboard
+GROUP BY name;
+
 -- Function to update global stats
 CREATE OR REPLACE FUNCTION update_global_stats()
 RETURNS TRIGGER AS $$
@@ -190,7 +222,11 @@ CREATE INDEX idx_compressions_original ON compressions(original);
 CREATE INDEX idx_compressions_compressed ON compressions(compressed);
 CREATE INDEX idx_submissions_tested ON submissions(tested);
 CREATE INDEX idx_submissions_created_at ON submissions(created_at DESC);
+CREATE INDEX idx_submissions_status ON submissions(status);
+CREATE INDEX idx_submissions_email_lower ON submissions(LOWER(email));
+CREATE INDEX idx_submissions_name_lower ON submissions(LOWER(name));
 CREATE INDEX idx_leaderboard_date ON leaderboard(date DESC);
+CREATE INDEX idx_leaderboard_date_score ON leaderboard(date, score DESC);
 CREATE INDEX idx_articles_processed_at ON articles(processed_at DESC);
 
 -- Enable real-time subscriptions for all tables
@@ -0,0 +1,31 @@
+-- Symbol Registry - which symbols are taken, and by which word
+-- Add to existing Token Compressor schema
+
+-- One row per symbol in use. The primary key makes reserving a symbol atomic, so two
+-- generation cycles (or runners) can never hand the same symbol to different words.
+-- 'reserved': proposed by the Generation Agent, awaiting the next ceremony (expires)
+-- 'allocated': validated at a ceremony and part of the codex (never expires)
+CREATE TABLE symbol_allocations (
+    symbol TEXT PRIMARY KEY,
+    original TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'reserved' CHECK (status IN ('reserved', 'allocated')),
+    holder TEXT, -- Runner id that made the reservation
+    reserved_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ -- NULL once allocated
+);
+
+-- Symbols already in the codex are allocated
+INSERT INTO symbol_allocations (symbol, original, status, expires_at)
+SELECT DISTINCT ON (compressed) compressed, original, 'allocated', NULL
+FROM compressions
+ORDER BY compressed, created_at
+ON CONFLICT (symbol) DO NOTHING;
+
+ALTER TABLE symbol_allocations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read access to symbol_allocations" ON symbol_allocations
+    FOR SELECT USING (true);
+
+-- Only the runner (service role key) reserves and allocates symbols
+CREATE POLICY "Allow service role to manage symbol_allocations" ON symbol_allocations
+    FOR ALL USING (auth.role() = 'service_role');
@@ -40,7 +40,17 @@ const handlers = {
   '/api/deepseek': (await import('./api/deepseek.js')).default,
   '/api/groq': (await import('./api/groq.js')).default,
   '/api/tokenize': (await import('./api/tokenize.js')).default,
+  '/api/compress': (await import('./api/compress.js')).default,
+  '/api/decompress': (await import('./api/decompress.js')).default,
+  '/api/analyze': (await import('./api/analyze.js')).default,
+  '/api/releases': (await import('./api/releases.js')).default,
+  '/api/export': (await import('./api/export.js')).default,
+  '/api/validate': (await import('./api/validate.js')).default,
+  '/api/v1/chat/completions': (await import('./api/v1/chat/completions.js')).default,
+  '/api/codex': (await import('./api/codex.js')).default,
+  '/api/symbols': (await import('./api/symbols.js')).default,
   '/api/twitter': (await import('./api/twitter.js')).default,
+  '/api/unsubscribe': (await import('./api/unsubscribe.js')).default,
   '/api/test': (await import('./api/test.js')).default
 };
 
@@ -151,7 +161,7 @@ async function getBody(req) {
 
 // Start server
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
+server.listen(PORT, async () => {
   console.log(`
 🚀 Token Compressor Local Server
 ================================
@@ -164,7 +174,43 @@ Environment:
 - Groq API: ${process.env.GROQ_API_KEY ? '✓ Configured' : '✗ Missing'}
 - Brave Search: ${process.env.BRAVE_SEARCH_API_KEY ? '✓ Configured' : '✗ Missing'}
 - Supabase: ${process.env.SUPABASE_URL ? '✓ Configured' : '✗ Missing'}
+- LLM upstream: ${process.env.MOCK_LLM === 'true' ? 'mock (server/mock-llm-server.js)' : process.env.LLM_BASE_URL || 'public APIs'}
+- Storage backend: ${process.env.STORAGE_BACKEND === 'local' ? `local (${process.env.LOCAL_DB_PATH || '.data/local-db.json'})` : 'supabase'}
+- Orchestrator runner: ${process.env.RUN_ORCHESTRATOR === 'true' ? '✓ Enabled' : '✗ Disabled (set RUN_ORCHESTRATOR=true or run npm run runner)'}
+- Notifications: ${process.env.NOTIFY_SECRET ? `✓ Enabled (${process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console')})` : '✗ Disabled (set NOTIFY_SECRET)'}
 
 Press Ctrl+C to stop the server
 `);
-});
\ No newline at end of file
+  
+  // Offline runs: answer DeepSeek/Groq calls from the bundled mock provider
+  if (process.env.MOCK_LLM === 'true') {
+    await startMockLLM();
+  }
+  
+  // Run the discovery schedule in this process (browser tabs are read-only viewers)
+  if (process.env.RUN_ORCHESTRATOR === 'true') {
+    startRunner();
+  }
+});
+
+async function startMockLLM() {
+  try {
+    const { startMockLLMServer, loadMockScript } = await import('./server/mock-llm-server.js');
+    const script = process.env.MOCK_LLM_SCRIPT ? loadMockScript(process.env.MOCK_LLM_SCRIPT) : [];
+    const mock = await startMockLLMServer({ port: Number(process.env.MOCK_LLM_PORT) || 0, script });
+    process.env.LLM_BASE_URL = mock.url;
+    console.log(`🤖 Mock LLM server listening at ${mock.url}`);
+  } catch (error) {
+    console.error('💥 Mock LLM server failed to start:', error);
+  }
+}
+
+async function startRunner() {
+  try {
+    const { startOrchestratorRunner, stopRunnerOnExit } = await import('./server/orchestrator-runner.js');
+    const runner = await startOrchestratorRunner({ apiBaseUrl: `http://localhost:${PORT}` });
+    stopRunnerOnExit(runner);
+  } catch (error) {
+    console.error('💥 Orchestrator runner failed to start:', error);
+  }
+}
\ No newline at end of file
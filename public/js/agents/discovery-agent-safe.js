@@ -11,9 +11,8 @@ window.TokenCompressor.DiscoveryAgent = class DiscoveryAgent {
         this.name = 'Discovery Agent';
         this.status = 'idle'; // Possible states: idle, searching, analyzing, collaborating, complete, error
         
-        // Safely get UI elements (won't fail if missing)
-        this.chatElement = document.getElementById('discovery-chat');
-        this.statusElement = document.getElementById('discovery-status');
+        // Event bus for real-time updates (no DOM access - works without any UI)
+        this.events = window.TokenCompressor.agentEvents;
         
         // System connections
         this.apiClient = window.TokenCompressor.APIClient;
@@ -28,38 +27,23 @@ window.TokenCompressor.DiscoveryAgent = class DiscoveryAgent {
         console.log('🔍 Discovery Agent initialized (safe mode)');
     }
     
-    // Safe message adding that checks for element
+    // Message and status updates are events - rendering is RealTimeUI's job
     addMessage(content) {
-        if (!this.chatElement) {
-            console.log(`[Discovery Agent] ${content}`);
-            return;
-        }
-        
-        const messageDiv = document.createElement('div');
-        messageDiv.className = 'message discovery';
-        messageDiv.innerHTML = `
-            <div class="message-header">[Discovery Agent - ${new Date().toLocaleTimeString()}]</div>
-            <div>${content}</div>
-        `;
-        
-        this.chatElement.appendChild(messageDiv);
-        this.chatElement.scrollTop = this.chatElement.scrollHeight;
+        this.emit('message', { content });
     }
     
-    // Safe status update
     updateStatus(status) {
         this.status = status;
-        
-        if (this.statusElement) {
-            this.statusElement.className = `agent-status ${status}`;
-        }
-        
-        // Safe window update
-        const window = document.getElementById('discovery-agent-window');
-        if (window) {
-            const isActive = ['searching', 'analyzing', 'collaborating'].includes(status);
-            window.className = `agent-window ${isActive ? 'discovery-active' : ''}`;
-        }
+        this.emit('status', { status });
+    }
+    
+    emit(type, data = {}) {
+        this.events.emit(type, {
+            agent: 'discovery',
+            agentName: this.name,
+            timestamp: Date.now(),
+            ...data
+        });
     }
     
     // Keep all the existing methods unchanged
@@ -3,13 +3,14 @@
  * 
  * WHAT IT DOES:
  * 1. Searches the web for random articles using Brave Search API
- * 2. Analyzes article text to find "wasteful" multi-token words
+ * 2. Analyzes article text to find "wasteful" multi-token words and repeated phrases
  * 3. Reports findings to the Generation Agent for compression
  * 
  * EXAMPLE PROCESS:
  * - Searches for "artificial intelligence news" 
  * - Finds article: "The implementation was approximately successful..."
- * - Detects: "implementation" (3 tokens), "approximately" (4 tokens)
+ * - Detects: "implementation" (3 tokens), "approximately" (4 tokens),
+ *   and phrases like "in order to" (3 tokens, 4x in the article)
  * - Reports these as compression candidates
  * 
  * KEY TECHNOLOGIES:
@@ -26,9 +27,8 @@ window.TokenCompressor.DiscoveryAgent = class DiscoveryAgent {
         this.name = 'Discovery Agent';
         this.status = 'idle'; // Possible states: idle, searching, analyzing, error
         
-        // UI elements for real-time updates
-        this.chatElement = document.getElementById('discovery-chat');      // Chat window
-        this.statusElement = document.getElementById('discovery-status');  // Status indicator
+        // Event bus for real-time updates (RealTimeUI renders, the headless runner logs)
+        this.events = window.TokenCompressor.agentEvents;
         
         // System connections
         this.apiClient = window.TokenCompressor.APIClient;                 // API communication
@@ -78,7 +78,8 @@ window.TokenCompressor.DiscoveryAgent = class DiscoveryAgent {
             
             // STEP 3: Report results
             if (analysis.wastefulWords.length > 0) {
-                this.addMessage(`💡 Discovered ${analysis.wastefulWords.length} multi-token words:`);
+                const phraseNote = analysis.phraseCount ? ` (${analysis.phraseCount} phrases)` : '';
+                this.addMessage(`💡 Discovered ${analysis.wastefulWords.length} multi-token words${phraseNote}:`);
                 
                 // Show top findings in chat
                 const topWords = analysis.wastefulWords.slice(0, 3);
@@ -136,20 +137,25 @@ window.TokenCompressor.DiscoveryAgent = class DiscoveryAgent {
     }
     
     /**
-     * Analyze article content for multi-token words
+     * Analyze article content for multi-token words and repeated multi-word phrases
      * ENHANCED: Focus on mathematical symbol compression targets
      */
     async analyzeArticle(content) {
         try {
-            // First, get accurate token analysis
-            const tokenAnalysis = await this.apiClient.tokenize(content);
+            // First, get accurate token analysis (with n-gram phrase mining)
+            const { minWords, maxWords, minFrequency } = this.config.phraseMining;
+            const tokenAnalysis = await this.apiClient.tokenize(content, undefined, {
+                phrases: { minWords, maxWords, minFrequency }
+            });
+            const phraseCandidates = this.buildPhraseCandidates(tokenAnalysis.multiTokenPhrases || []);
+            const multiTokenWords = tokenAnalysis.multiTokenWords || [];
             
-            if (tokenAnalysis.multiTokenWords && tokenAnalysis.multiTokenWords.length > 0) {
+            if (multiTokenWords.length > 0 || phraseCandidates.length > 0) {
                 // Calculate actual frequency in the text
                 const wordFrequency = this.calculateWordFrequency(content);
                 
                 // Enhanced analysis focusing on mathematical symbol targets
-                const enhancedWords = tokenAnalysis.multiTokenWords
+                const enhancedWords = multiTokenWords
                     .map(word => ({
                         word: word.word,
                         tokens: word.tokens,
@@ -161,11 +167,19 @@ window.TokenCompressor.DiscoveryAgent = class DiscoveryAgent {
                     .sort((a, b) => b.compressionPotential - a.compressionPotential); // Sort by potential savings
                 
                 this.addMessage(`📊 Found ${enhancedWords.length} multi-token words, top savings: ${enhancedWords.slice(0, 3).map(w => `${w.word}(${w.compressionPotential})`).join(', ')}`);
+                if (phraseCandidates.length > 0) {
+                    this.addMessage(`🧩 Found ${phraseCandidates.length} repeated phrases: ${phraseCandidates.slice(0, 3).map(p => `"${p.word}"(${p.tokens}×${p.frequency})`).join(', ')}`);
+                }
+                
+                // Top 10 words plus the phrase candidates, phrases compete on the same savings scale
+                const wastefulWords = [...enhancedWords.slice(0, 10), ...phraseCandidates]
+                    .sort((a, b) => b.compressionPotential - a.compressionPotential);
                 
                 return {
-                    wastefulWords: enhancedWords.slice(0, 10), // Top 10 targets
+                    wastefulWords,
+                    phraseCount: phraseCandidates.length,
                     symbolValidation: tokenAnalysis.symbolValidation, // Pass through symbol info
-                    totalPotentialSavings: enhancedWords.reduce((sum, w) => sum + w.compressionPotential, 0)
+                    totalPotentialSavings: [...enhancedWords, ...phraseCandidates].reduce((sum, w) => sum + w.compressionPotential, 0)
                 };
             }
             
@@ -178,6 +192,25 @@ window.TokenCompressor.DiscoveryAgent = class DiscoveryAgent {
         }
     }
 
+    /**
+     * Turn mined phrases (already ranked by total token cost × frequency) into
+     * candidates shaped like wastefulWords, keeping the top config.phraseMining.maxCandidates
+     */
+    buildPhraseCandidates(phrases) {
+        return phrases
+            .filter(p => p.tokens > 1 && p.frequency >= this.config.phraseMining.minFrequency)
+            .slice(0, this.config.phraseMining.maxCandidates)
+            .map(p => ({
+                word: p.phrase,
+                tokens: p.tokens,
+                frequency: p.frequency,
+                isPhrase: true,
+                wordCount: p.words,
+                isHighValue: true,
+                compressionPotential: (p.tokens - 1) * p.frequency
+            }));
+    }
+
     /**
      * Calculate word frequency in text content
      */
@@ -221,7 +254,7 @@ window.TokenCompressor.DiscoveryAgent = class DiscoveryAgent {
     async analyzeWithAI(content) {
         const systemPrompt = this.apiClient.getSystemPrompt('discovery');
         const userPrompt = `<analysis_request>
-Analyze this text for multi-token words that are perfect candidates for mathematical symbol compression:
+Analyze this text for multi-token words and repeated multi-word phrases that are perfect candidates for mathematical symbol compression:
 
 "${content.substring(0, 1500)}"
 
@@ -236,6 +269,7 @@ HIGH-VALUE TARGETS include:
 - Technical terms: implementation, configuration, optimization
 - Business terms: unfortunately, approximately, comprehensive
 - Development terms: infrastructure, documentation, integration
+- Repeated phrases of 2-6 words: "in order to", "as well as", "on the other hand"
 
 MATHEMATICAL SYMBOL INSIGHT: Mathematical symbols (∂, ∫, ∑) never naturally precede English words, making them perfect unambiguous compression markers.
 
@@ -331,48 +365,30 @@ Provide your analysis prioritizing words with highest token savings potential.
     }
     
     /**
-     * Add message to agent chat window
+     * Add message to agent chat (emitted as a 'message' event)
      */
     addMessage(content) {
-        if (!this.chatElement) return;
-        
-        const messageDiv = document.createElement('div');
-        messageDiv.className = 'message discovery';
-        messageDiv.innerHTML = `
-            <div class="message-header">[Discovery Agent - ${new Date().toLocaleTimeString()}]</div>
-            <div>${content}</div>
-        `;
-        
-        this.chatElement.appendChild(messageDiv);
-        this.chatElement.scrollTop = this.chatElement.scrollHeight;
-        
-        // Limit message history
-        const messages = this.chatElement.querySelectorAll('.message');
-        const maxMessages = window.TokenCompressor.config.ui.maxChatMessages;
-        
-        if (messages.length > maxMessages) {
-            const messagesToRemove = messages.length - maxMessages;
-            for (let i = 0; i < messagesToRemove; i++) {
-                messages[i].remove();
-            }
-        }
+        this.emit('message', { content });
     }
     
     /**
-     * Update agent status
+     * Update agent status (emitted as a 'status' event)
      */
     updateStatus(status) {
         this.status = status;
-        
-        if (this.statusElement) {
-            this.statusElement.className = `agent-status ${status}`;
-        }
-        
-        // Update window visual state
-        const window = document.getElementById('discovery-agent-window');
-        if (window) {
-            window.className = `agent-window ${status === 'searching' || status === 'analyzing' ? 'discovery-active' : ''}`;
-        }
+        this.emit('status', { status });
+    }
+    
+    /**
+     * Emit a structured event on the shared agent event bus
+     */
+    emit(type, data = {}) {
+        this.events.emit(type, {
+            agent: 'discovery',
+            agentName: this.name,
+            timestamp: Date.now(),
+            ...data
+        });
     }
     
     /**
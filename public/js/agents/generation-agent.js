@@ -31,9 +31,8 @@ window.TokenCompressor.GenerationAgent = class GenerationAgent {
         this.name = 'Generation Agent';
         this.status = 'idle'; // Possible states: idle, thinking, generating, collaborating, error
         
-        // UI elements for real-time updates
-        this.chatElement = document.getElementById('generation-chat');      // Chat window
-        this.statusElement = document.getElementById('generation-status');  // Status indicator
+        // Event bus for real-time updates (RealTimeUI renders, the headless runner logs)
+        this.events = window.TokenCompressor.agentEvents;
         
         // System connections
         this.apiClient = window.TokenCompressor.APIClient;                 // API communication
@@ -43,6 +42,7 @@ window.TokenCompressor.GenerationAgent = class GenerationAgent {
         this.currentCodex = new Map();        // Track existing compressions to avoid duplicates
         this.conversationContext = [];        // Remember conversation with Discovery Agent
         this.compressionHistory = [];         // All compressions this session
+        this.freeSymbols = [];                // Free single-token symbols offered this cycle (symbol registry)
         
         this.updateStatus('idle');
         console.log('🎨 Generation Agent initialized');
@@ -95,8 +95,12 @@ window.TokenCompressor.GenerationAgent = class GenerationAgent {
             
             this.addMessage(`🎯 Processing ${newWords.length} new words for compression...`);
             
+            // Only offer symbols that are free and a single token (symbol registry)
+            await this.loadFreeSymbols();
+            
             // Create comprehensive prompt following best practices
             const compressionResult = await this.performCreativeGeneration(newWords);
+            compressionResult.compressions = await this.reserveSymbols(compressionResult.compressions);
             
             if (compressionResult.compressions.length > 0) {
                 // PHASE 5: Show transparent processing with accurate totals
@@ -181,6 +185,57 @@ window.TokenCompressor.GenerationAgent = class GenerationAgent {
         }
     }
     
+    /**
+     * Refresh the symbol registry and take the free single-token symbols for this cycle
+     */
+    async loadFreeSymbols() {
+        const registry = window.TokenCompressor.symbolRegistry;
+        if (!registry) {
+            this.freeSymbols = [];
+            return;
+        }
+        
+        try {
+            const stats = await registry.refresh();
+            this.freeSymbols = registry.getFreeSymbols({ limit: window.TokenCompressor.config.symbolRegistry.offerSize });
+            this.addMessage(`🔣 ${stats.free} free single-token symbols (${stats.allocated} allocated, ${stats.reserved} reserved)`);
+        } catch (error) {
+            console.error('Failed to load symbol registry:', error);
+            this.freeSymbols = [];
+        }
+    }
+    
+    /**
+     * Reserve every registry symbol the model proposed. Symbols that are taken, multi-token,
+     * or already claimed by another candidate this cycle are dropped; abbreviations pass through.
+     */
+    async reserveSymbols(compressions) {
+        const registry = window.TokenCompressor.symbolRegistry;
+        if (!registry || registry.inventory.length === 0) return compressions;
+        
+        const offered = new Set(this.freeSymbols.map(entry => entry.symbol));
+        const kept = [];
+        
+        for (const compression of compressions) {
+            if (!registry.isRegistrySymbol(compression.compressed)) {
+                kept.push(compression);
+                continue;
+            }
+            
+            if (offered.has(compression.compressed) && await registry.reserve(compression.compressed, compression.original)) {
+                kept.push({
+                    ...compression,
+                    reservedSymbol: true,
+                    symbolTokens: registry.getTokenCost(compression.compressed)
+                });
+            } else {
+                this.addMessage(`🚫 Dropped "${compression.original}" → "${compression.compressed}": symbol is taken or not a single token`);
+            }
+        }
+        
+        return kept;
+    }
+    
     /**
      * Perform creative compression generation with structured thinking
      * ENHANCED: Uses agent context to avoid duplicates and build on patterns
@@ -242,7 +297,7 @@ EXPERIMENT WITH ALL APPROACHES:
 
 **Symbols to Try** (test which are actually 1 token):
 - Greek: α β γ δ ε θ λ μ π ρ σ τ φ ψ ω (known 1-token)
-- Math: + - * / = < > % $ # @ ! ? & | ~ ` ^ 
+- Math: + - * / = < > % $ # @ ! ? & | ~ \` ^ 
 - Unicode: → ← ↑ ↓ ⇒ ⇐ ∀ ∃ ∈ ∉ ⊂ ⊃ ∪ ∩
 - Emoji: Test if any emoji are single tokens
 - Combinations: Try symbol+letter combos like ~a, @b, #c
@@ -316,6 +371,7 @@ For each word, provide:
 <compressed>symbol</compressed>
 <reasoning>mathematical symbol choice and context-safety explanation</reasoning>
 <token_savings>verified_number_from_tiktoken</token_savings>
+<inflections>optional: plural, ed, ing, capitalize - forms that should share the symbol</inflections>
 </compression>
 </output_format>`;
     }
@@ -329,12 +385,19 @@ For each word, provide:
             .join('\n');
         
         const wordList = wastefulWords
-            .map(w => `"${w.word}" (${w.tokens} tokens, frequency: ${w.frequency})`)
+            .map(w => `"${w.word}" (${w.tokens} tokens, frequency: ${w.frequency}${w.isPhrase ? `, ${w.wordCount}-word phrase` : ''})`)
             .join('\n');
 
         // PHASE 4 ENHANCEMENT: Include learning patterns and failed attempts
         let learningContext = '';
         let failureAvoidance = '';
+        let availableSymbols = '';
+        
+        if (this.freeSymbols.length > 0) {
+            availableSymbols = `<available_symbols>
+${this.freeSymbols.map(entry => entry.symbol).join(' ')}
+</available_symbols>`;
+        }
         
         if (this.agentContext) {
             // Include successful patterns
@@ -389,8 +452,12 @@ ${learningContext}
 
 ${failureAvoidance}
 
+${availableSymbols}
+
 <requirements>
 - Each compression MUST result in exactly 1 token
+- Single-symbol compressions MUST use a symbol from <available_symbols> - every other symbol is already taken or costs more than 1 token
+- A multi-word phrase is compressed as a whole: <original> is the exact phrase, spaces included
 - NEVER duplicate existing codex entries (${Object.keys(this.currentCodex).length} already exist)
 - Build on successful patterns from learning data
 - Avoid patterns that recently failed
@@ -421,6 +488,7 @@ Generate compressions using the specified XML format. Be creative and think thro
             const compressed = this.extractXMLContent(compressionXML, 'compressed');
             const reasoning = this.extractXMLContent(compressionXML, 'reasoning');
             const tokenSavings = parseInt(this.extractXMLContent(compressionXML, 'token_savings')) || 2;
+            const inflections = this.parseInflections(this.extractXMLContent(compressionXML, 'inflections'));
             
             if (original && compressed && original !== compressed) {
                 compressions.push({
@@ -428,7 +496,8 @@ Generate compressions using the specified XML format. Be creative and think thro
                     compressed: compressed.trim(),
                     reasoning: reasoning || 'Creative generation',
                     tokensSaved: tokenSavings,
-                    source: 'AI'
+                    source: 'AI',
+                    ...(inflections && { inflections })
                 });
             }
         }
@@ -441,6 +510,19 @@ Generate compressions using the specified XML format. Be creative and think thro
         return { compressions };
     }
     
+    /**
+     * Inflection rules from an <inflections> list, unknown rules dropped (null when none)
+     */
+    parseInflections(list) {
+        const known = Object.keys(window.TokenCompressor.CompressionEngine?.INFLECTION_RULES || {});
+        const rules = list
+            .split(/[\s,]+/)
+            .map(rule => rule.trim().toLowerCase().replace(/^-/, ''))
+            .filter((rule, index, all) => known.includes(rule) && all.indexOf(rule) === index);
+        
+        return rules.length > 0 ? rules : null;
+    }
+    
     /**
      * Extract content from XML tags
      */
@@ -505,68 +587,30 @@ Generate compressions using the specified XML format. Be creative and think thro
     }
     
     /**
-     * Add message to chat window with enhanced formatting
+     * Add message to agent chat (emitted as a 'message' event)
      */
     addMessage(content) {
-        if (!this.chatElement) return;
-        
-        const messageDiv = document.createElement('div');
-        messageDiv.className = 'message generation';
-        
-        // Add typing indicator briefly
-        messageDiv.innerHTML = `
-            <div class="message-header">[Generation Agent - ${new Date().toLocaleTimeString()}]</div>
-            <div class="typing-indicator">
-                <span></span><span></span><span></span>
-            </div>
-        `;
-        
-        this.chatElement.appendChild(messageDiv);
-        this.chatElement.scrollTop = this.chatElement.scrollHeight;
-        
-        // Replace typing indicator with actual content after brief delay
-        setTimeout(() => {
-            messageDiv.innerHTML = `
-                <div class="message-header">[Generation Agent - ${new Date().toLocaleTimeString()}]</div>
-                <div>${content}</div>
-            `;
-        }, window.TokenCompressor.config.ui.typingIndicatorDelay);
-        
-        // Limit message history
-        this.limitMessageHistory();
+        this.emit('message', { content });
     }
     
     /**
-     * Limit message history for performance
+     * Update agent status (emitted as a 'status' event)
      */
-    limitMessageHistory() {
-        const messages = this.chatElement.querySelectorAll('.message');
-        const maxMessages = window.TokenCompressor.config.ui.maxChatMessages;
-        
-        if (messages.length > maxMessages) {
-            const messagesToRemove = messages.length - maxMessages;
-            for (let i = 0; i < messagesToRemove; i++) {
-                messages[i].remove();
-            }
-        }
+    updateStatus(status) {
+        this.status = status;
+        this.emit('status', { status });
     }
     
     /**
-     * Update agent status with visual indicators
+     * Emit a structured event on the shared agent event bus
      */
-    updateStatus(status) {
-        this.status = status;
-        
-        if (this.statusElement) {
-            this.statusElement.className = `agent-status ${status}`;
-        }
-        
-        // Update window visual state  
-        const window = document.getElementById('generation-agent-window');
-        if (window) {
-            const isActive = ['thinking', 'generating', 'collaborating'].includes(status);
-            window.className = `agent-window ${isActive ? 'discovery-active' : ''}`;
-        }
+    emit(type, data = {}) {
+        this.events.emit(type, {
+            agent: 'generation',
+            agentName: this.name,
+            timestamp: Date.now(),
+            ...data
+        });
     }
     
     /**
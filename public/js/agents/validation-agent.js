@@ -26,6 +26,8 @@
  * 
  * CEREMONY PROCESS:
  * - Collects all AI + human compression candidates
+ * - Screens them against the whole approved codex (symbol collisions, prefix
+ *   conflicts, symbols that already occur naturally in text)
  * - Tests each in multiple contexts
  * - Updates global codex with valid ones
  * - Triggers Twitter announcement of discoveries
@@ -39,8 +41,10 @@ window.TokenCompressor.ValidationAgent = class ValidationAgent {
         this.name = 'Validation Agent';
         this.status = 'idle'; // Possible states: idle, testing, analyzing, ceremony, error
         
-        // UI elements for real-time updates
-        this.resultsElement = document.getElementById('test-results');      // Results display
+        // Event bus for real-time updates (RealTimeUI renders, the headless runner logs)
+        this.events = window.TokenCompressor.agentEvents;
+        
+        // System connections
         this.apiClient = window.TokenCompressor.APIClient;                 // API communication
         this.config = window.TokenCompressor.config.agents.validation;     // Agent settings
         
@@ -57,7 +61,7 @@ window.TokenCompressor.ValidationAgent = class ValidationAgent {
      * Main testing ceremony - comprehensive validation following best practices
      * XML-structured prompts, detailed tool descriptions, systematic testing
      */
-    async runTestingCeremony(candidateCompressions, humanSubmissions = []) {
+    async runTestingCeremony(candidateCompressions, humanSubmissions = [], context = {}) {
         this.updateStatus('ceremony');
         this.addResult('🎭 Testing Ceremony begins!', 'info');
         
@@ -88,8 +92,12 @@ window.TokenCompressor.ValidationAgent = class ValidationAgent {
                 return { validCompressions: [], rejectedCompressions: [] };
             }
             
+            // Whole-codex interference: collisions, prefix conflicts, natural occurrences
+            const screening = this.screenCodexInterference(allCandidates, context.codex || [], context.corpus || []);
+            
             // Comprehensive testing with AI assistance
-            const validationResults = await this.performComprehensiveValidation(allCandidates);
+            const validationResults = await this.performComprehensiveValidation(screening.cleared);
+            validationResults.rejectedCompressions.push(...screening.rejected);
             
             // Display results
             this.displayCeremonyResults(validationResults);
@@ -106,6 +114,40 @@ window.TokenCompressor.ValidationAgent = class ValidationAgent {
         }
     }
     
+    /**
+     * Screen candidates against the full approved codex before any per-candidate testing.
+     * Rejects candidates that would make decompression ambiguous; flags symbols that
+     * already occur in real text (the test corpus, recent articles, maths/finance notation).
+     * approvedCodex may come in any order (Storage.getAllCompressions is newest first).
+     */
+    screenCodexInterference(candidates, approvedCodex, extraCorpus = []) {
+        const interference = window.TokenCompressor.CodexInterference;
+        if (!interference) {
+            this.addResult('⚠️ Codex interference check unavailable - skipping', 'warning');
+            return { cleared: candidates, rejected: [] };
+        }
+        
+        // Oldest entries first, as /api/compress loads them: when stored entries conflict, the earlier one wins
+        const codex = [...approvedCodex].sort((a, b) => (a.created_at || '').localeCompare(b.created_at || '') || (a.id ?? 0) - (b.id ?? 0));
+        const { cleared, rejected } = interference.screenCandidates(candidates, codex, {
+            corpus: [...interference.NATURAL_NOTATION_CORPUS, ...this.testCorpus, ...extraCorpus],
+            maxNaturalOccurrenceRate: this.config.maxNaturalOccurrenceRate
+        });
+        
+        for (const candidate of cleared.filter(c => c.interference.verdict === 'flagged')) {
+            const messages = candidate.interference.issues.map(issue => issue.message).join('; ');
+            this.addResult(`⚠️ "${candidate.original}" → "${candidate.compressed}": ${messages}`, 'warning');
+        }
+        for (const candidate of rejected) {
+            this.addResult(`❌ "${candidate.original}" → "${candidate.compressed}" (${candidate.rejectionReason})`, 'failure');
+        }
+        
+        return {
+            cleared,
+            rejected: rejected.map(candidate => ({ ...candidate, isValid: false, validatedBy: 'Codex Interference' }))
+        };
+    }
+    
     /**
      * Perform comprehensive validation using Claude best practices
      * Detailed instructions, XML structure, extended thinking
@@ -457,6 +499,7 @@ Validate each compression using the specified XML format. Think through edge cas
                         originalTokens: tiktokenResult.originalTokens,
                         compressedTokens: tiktokenResult.compressedTokens,
                         tokenSavings: tiktokenResult.tokenSavings,
+                        tokenMatrix: tiktokenResult.tokenMatrix || null, // Savings per encoding (o200k_base, cl100k_base, ...)
                         isEffective: tiktokenResult.isEffective,
                         isContextSafe: tiktokenResult.isContextSafe,
                         tiktokenVerified: true,
@@ -507,48 +550,41 @@ Validate each compression using the specified XML format. Think through edge cas
             testsFailed.push('Not a context-safe mathematical symbol');
         }
         
-        // Test against enhanced corpus (including mathematical expressions)
-        for (const sentence of this.testCorpus) {
-            // Skip if sentence contains actual mathematical expressions that should be preserved
+        // Round-trip the enhanced corpus (including mathematical expressions), the candidate's own
+        // sentences and its inflected forms with this entry alone - the same check as /api/validate
+        const { codex, results } = window.TokenCompressor.CodexRoundTrip.checkCandidateRoundTrip(candidate, this.testCorpus);
+        if (codex.skipped.length > 0) {
+            testsFailed.push(codex.skipped[0].reason);
+        }
+        
+        for (const { text: sentence, passed } of results.filter(result => result.kind === 'corpus')) {
             const containsMath = /[∂∫∑∏][a-zA-Z]/.test(sentence); // Math symbol followed by variable
             
-            if (containsMath) {
-                // For math-containing sentences, ensure we don't corrupt the math
-                const compressed = sentence.replace(
-                    new RegExp(`\\b${this.escapeRegex(candidate.original)}\\b(?!/)`, 'g'), // Don't replace in ∂f/∂x
-                    candidate.compressed
-                );
-                
-                const expanded = compressed.replace(
-                    new RegExp(`${this.escapeRegex(candidate.compressed)}(?=\\s)`, 'g'), // Only expand before space
-                    candidate.original
-                );
-                
-                if (expanded === sentence) {
-                    testsPassed.push('Math-preserving replacement');
-                } else {
-                    testsFailed.push(`Failed math preservation: "${sentence}"`);
-                }
+            if (passed) {
+                testsPassed.push(containsMath ? 'Math-preserving replacement' : 'String replacement');
             } else {
-                // Normal text replacement test
-                const compressed = sentence.replace(
-                    new RegExp(`\\b${this.escapeRegex(candidate.original)}\\b`, 'g'),
-                    candidate.compressed
-                );
-                
-                const expanded = compressed.replace(
-                    new RegExp(`${this.escapeRegex(candidate.compressed)}(?=\\s)`, 'g'), // Symbol + space pattern
-                    candidate.original
-                );
-                
-                if (expanded === sentence) {
-                    testsPassed.push('String replacement');
-                } else {
-                    testsFailed.push(`Failed on: "${sentence}"`);
-                }
+                testsFailed.push(containsMath ? `Failed math preservation: "${sentence}"` : `Failed on: "${sentence}"`);
             }
         }
         
+        // Declared inflections: every form must be compressed and restored exactly
+        for (const { surface, passed } of results.filter(result => result.kind === 'form')) {
+            if (passed) {
+                testsPassed.push(`Inflected form "${surface}"`);
+            } else {
+                testsFailed.push(`Failed inflected form: "${surface}"`);
+            }
+        }
+        
+        // Sentence starts, quotes, the symbol in real text, and code, URLs, emails, JSON keys and HTML
+        const broken = results.find(result => result.kind === 'candidate' && !result.passed);
+        
+        if (broken === undefined) {
+            testsPassed.push('Candidate sentences and protected spans intact');
+        } else {
+            testsFailed.push(`Failed on: "${broken.text}"`);
+        }
+        
         // Additional enhanced checks
         if (candidate.compressed.length > 4) {
             testsFailed.push('Compressed form too long');
@@ -646,47 +682,31 @@ Validate each compression using the specified XML format. Think through edge cas
     }
     
     /**
-     * Add result to testing display
+     * Add result to testing display (emitted as a 'result' event)
+     * type: info | success | failure | warning
      */
     addResult(content, type = 'info') {
-        if (!this.resultsElement) return;
-        
-        const resultDiv = document.createElement('div');
-        resultDiv.className = `result-item ${type}`;
-        resultDiv.innerHTML = `[${new Date().toLocaleTimeString()}] ${content}`;
-        
-        this.resultsElement.appendChild(resultDiv);
-        this.resultsElement.scrollTop = this.resultsElement.scrollHeight;
-        
-        // Limit results history
-        const results = this.resultsElement.querySelectorAll('.result-item');
-        if (results.length > 20) {
-            results[0].remove();
-        }
+        this.emit('result', { content, type });
     }
     
     /**
-     * Update agent status
+     * Update agent status (emitted as a 'status' event)
      */
     updateStatus(status) {
         this.status = status;
-        
-        // Update testing zone visual state
-        const testingZone = document.getElementById('testing-zone');
-        if (testingZone) {
-            if (status === 'ceremony') {
-                testingZone.classList.add('ceremony-active');
-            } else {
-                testingZone.classList.remove('ceremony-active');
-            }
-        }
+        this.emit('status', { status });
     }
     
     /**
-     * Escape regex special characters
+     * Emit a structured event on the shared agent event bus
      */
-    escapeRegex(string) {
-        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    emit(type, data = {}) {
+        this.events.emit(type, {
+            agent: 'validation',
+            agentName: this.name,
+            timestamp: Date.now(),
+            ...data
+        });
     }
     
     /**
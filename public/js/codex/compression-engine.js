@@ -0,0 +1,767 @@
+/**
+ * COMPRESSION ENGINE - Applies the validated codex to real text
+ *
+ * Isomorphic ES module: imported directly by the API routes in Node and
+ * loaded with <script type="module"> in the browser, where it is also exposed
+ * as window.TokenCompressor.CompressionEngine.
+ *
+ * GUARANTEES:
+ * - decompress(compress(text, codex).text, codex) === text for ANY text
+ * - Longest original wins when codex entries overlap ("as well as" before "well")
+ * - Originals only match on whole words (Unicode-aware, so "café" is one word)
+ * - Entries that declare inflections also compress "implementations",
+ *   "Implementation" and "IMPLEMENTED", and restore exactly that form
+ *
+ * HOW ROUND-TRIP IS GUARANTEED:
+ * Symbols that already appear in the input (a real "≈" in a maths article) are
+ * prefixed with an escape character (default "\") so decompression leaves them
+ * alone. The escape character itself is only escaped when it would otherwise be
+ * read as an escape. Symbols must form a prefix-free set, so at every position
+ * at most one symbol can match - entries that break this are skipped (and
+ * reported) identically by compress and decompress.
+ *
+ * HOW INFLECTED FORMS ARE RESTORED:
+ * An inflected form is written as the entry's symbol followed by a short code:
+ * "implementations" -> "∫s", "Implementing" -> "∫ingC", "IMPLEMENTATION" -> "∫U".
+ * A matched form always ends on a word boundary, so word characters directly
+ * after an inflectable symbol can only be its code.
+ *
+ * PROTECTED SPANS:
+ * Code, URLs, emails, JSON keys and HTML tags are never rewritten. compress and
+ * decompress both segment their input (see SEGMENTERS) and copy protected spans
+ * as they are, so a "∫" inside a code block stays a "∫".
+ */
+
+export const DEFAULT_ESCAPE = '\\';
+
+// Rule -> code written after the symbol. Irregular forms keep the rule's code.
+export const INFLECTION_RULES = {
+    plural: 's',
+    ed: 'ed',
+    ing: 'ing',
+    capitalize: null
+};
+
+const CASE_CODES = { capitalized: 'C', upper: 'U' };
+
+/**
+ * Protected-span segmenters. A segmenter is { name, pattern } (every match is protected)
+ * or { name, find: (text) => [[start, end], ...] } - pass your own list as options.segmenters.
+ */
+export const SEGMENTERS = {
+    // ``` or ~~~ fences; an unclosed fence runs to the end of the text
+    fenced_code: { name: 'fenced_code', find: findFencedCode },
+    // `code` or ``code with ` inside``, within one paragraph
+    inline_code: { name: 'inline_code', pattern: /(?<!`)(`+)(?!`)(?:(?!\n[ \t]*\n)[\s\S])*?(?<!`)\1(?!`)/g },
+    url: { name: 'url', find: findUrls },
+    email: { name: 'email', pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+/gu },
+    // "key": in JSON (string values stay compressible)
+    json_key: { name: 'json_key', pattern: /"(?:[^"\\\n]|\\.)*"(?=\s*:)/g },
+    html_tag: { name: 'html_tag', pattern: /<!--[\s\S]*?-->|<\/?[A-Za-z][\w:.-]*(?:\s[^<>]*)?\/?>/g }
+};
+
+export const DEFAULT_SEGMENTERS = Object.values(SEGMENTERS);
+
+const WORD_CHAR = /[\p{L}\p{N}_]/u;
+
+// Escaping a symbol inserts an escape character before it. Inside a backtick run or a
+// quoted key that re-pairs the delimiters, and right after a URL the escape would join
+// the URL - so symbols can't contain ` or ", or start with what can end a URL.
+export const SPAN_UNSAFE_SYMBOL = /[`"]|^[\s.,;:!?)\]'<>]/u;
+
+/**
+ * Normalize any codex shape into a validated, deterministic entry list.
+ *
+ * Accepts a { original: compressed } object, a Map, or an array of rows
+ * ({ original, compressed, tokens_saved | tokensSaved }) as returned by
+ * SupabaseClient.getCompressions(). Conflicting entries are skipped in input
+ * order so compress and decompress always agree on the active codex.
+ */
+export function normalizeCodex(codex, options = {}) {
+    const escape = options.escape || DEFAULT_ESCAPE;
+    if (Array.from(escape).length !== 1) {
+        throw new Error(`Escape must be a single character, got "${escape}"`);
+    }
+
+    const rows = toRows(codex);
+    const entries = [];
+    const skipped = [];
+    const byOriginal = new Map();
+    const bySymbol = new Map();
+
+    for (const row of rows) {
+        const original = typeof row.original === 'string' ? row.original : '';
+        const compressed = typeof row.compressed === 'string' ? row.compressed : '';
+        const skip = reason => skipped.push({ original, compressed, reason });
+
+        if (!original.trim() || !compressed) {
+            skip('Empty original or compressed form');
+            continue;
+        }
+        if (original === compressed) {
+            skip('No actual compression');
+            continue;
+        }
+        if (compressed.includes(escape)) {
+            skip(`Compressed form contains the escape character "${escape}"`);
+            continue;
+        }
+        if (SPAN_UNSAFE_SYMBOL.test(compressed)) {
+            skip('Symbol contains a backtick or double quote, or starts with whitespace or punctuation that can end a URL');
+            continue;
+        }
+        if (byOriginal.has(original)) {
+            skip(`Duplicate original (already mapped to "${byOriginal.get(original).compressed}")`);
+            continue;
+        }
+        if (bySymbol.has(compressed)) {
+            skip(`Symbol already used for "${bySymbol.get(compressed).original}"`);
+            continue;
+        }
+
+        const prefixConflict = entries.find(e => e.compressed.startsWith(compressed) || compressed.startsWith(e.compressed));
+        if (prefixConflict) {
+            skip(`Symbol is ambiguous with "${prefixConflict.compressed}" (one is a prefix of the other)`);
+            continue;
+        }
+
+        const inflections = parseInflections(row.inflections, original);
+        if (inflections.error) {
+            skip(inflections.error);
+            continue;
+        }
+        if (inflections.rules && isWordChar(escape)) {
+            skip(`Inflections need an escape character that is not a letter or digit (got "${escape}")`);
+            continue;
+        }
+
+        const entry = {
+            ...row,
+            original,
+            compressed,
+            tokensSaved: readTokensSaved(row),
+            forms: inflections.rules ? deriveForms(original, inflections.rules) : []
+        };
+        entries.push(entry);
+        byOriginal.set(original, entry);
+        bySymbol.set(compressed, entry);
+    }
+
+    // Declared originals win over derived forms, then earlier entries over later ones
+    const surfaces = new Set(byOriginal.keys());
+    for (const entry of entries) {
+        entry.forms = entry.forms.filter(form => {
+            if (surfaces.has(form.surface)) return false;
+            surfaces.add(form.surface);
+            return true;
+        });
+    }
+
+    return { entries, skipped, escape };
+}
+
+/**
+ * Validate an entry's inflection declaration.
+ *
+ * Accepts null, a rule list (['plural', 'ed', 'ing', 'capitalize']) or an object
+ * whose suffix rules may give an irregular form ({ plural: 'analyses', capitalize: true }).
+ *
+ * RETURNS: { rules: { plural: true | 'analyses', ... } | null, error? }
+ */
+export function parseInflections(value, original = '') {
+    if (value === undefined || value === null) return { rules: null };
+
+    const rules = Array.isArray(value)
+        ? Object.fromEntries(value.map(rule => [rule, true]))
+        : (typeof value === 'object' ? { ...value } : null);
+    if (!rules) {
+        return { rules: null, error: 'Inflections must be a rule list or an object' };
+    }
+
+    for (const [rule, setting] of Object.entries(rules)) {
+        if (!(rule in INFLECTION_RULES)) {
+            return { rules: null, error: `Unknown inflection rule "${rule}"` };
+        }
+        const irregular = typeof setting === 'string' && INFLECTION_RULES[rule] !== null;
+        if (setting === false) {
+            delete rules[rule];
+        } else if (setting !== true && !irregular) {
+            return { rules: null, error: `Inflection "${rule}" must be true${INFLECTION_RULES[rule] ? ' or the irregular form' : ''}` };
+        } else if (irregular && !(isWordChar(codePointAt(setting, 0)) && isWordChar(lastCodePoint(setting)))) {
+            return { rules: null, error: `Irregular ${rule} "${setting}" must start and end with a letter or digit` };
+        }
+    }
+
+    if (Object.keys(rules).length === 0) return { rules: null };
+    if (!isWordChar(codePointAt(original, 0)) || !isWordChar(lastCodePoint(original))) {
+        return { rules: null, error: 'Only originals that start and end with a letter or digit can be inflected' };
+    }
+    return { rules };
+}
+
+/**
+ * Regular English inflection of a lemma (the last word of a phrase)
+ */
+export function inflect(lemma, rule) {
+    switch (rule) {
+        case 'plural':
+            if (/(s|x|z|ch|sh)$/i.test(lemma)) return `${lemma}es`;
+            if (/[^aeiou]y$/i.test(lemma)) return `${lemma.slice(0, -1)}ies`;
+            return `${lemma}s`;
+        case 'ed':
+            if (/e$/i.test(lemma)) return `${lemma}d`;
+            if (/[^aeiou]y$/i.test(lemma)) return `${lemma.slice(0, -1)}ied`;
+            return `${lemma}ed`;
+        case 'ing':
+            if (/ie$/i.test(lemma)) return `${lemma.slice(0, -2)}ying`;
+            if (/[^aeioy]e$/i.test(lemma)) return `${lemma.slice(0, -1)}ing`;
+            return `${lemma}ing`;
+        default:
+            throw new Error(`Unknown inflection rule "${rule}"`);
+    }
+}
+
+/**
+ * Every surface form an entry compresses besides its original, with the code written after the symbol
+ *
+ * RETURNS: [{ surface: 'Implementations', code: 'sC' }]
+ */
+export function deriveForms(original, rules) {
+    const bases = [{ surface: original, code: '' }];
+    for (const [rule, code] of Object.entries(INFLECTION_RULES)) {
+        if (code === null || !rules[rule]) continue;
+        bases.push({ surface: typeof rules[rule] === 'string' ? rules[rule] : inflect(original, rule), code });
+    }
+
+    const forms = bases.slice(1);
+    if (rules.capitalize) {
+        for (const { surface, code } of bases) {
+            forms.push({ surface: capitalize(surface), code: code + CASE_CODES.capitalized });
+            forms.push({ surface: surface.toUpperCase(), code: code + CASE_CODES.upper });
+        }
+    }
+
+    // "Iphone" capitalizes to itself, "ß" uppercases to "SS": keep the first of each surface
+    const seen = new Set([original]);
+    return forms.filter(form => !seen.has(form.surface) && seen.add(form.surface));
+}
+
+/**
+ * Compress text with the codex. Protected spans (code, URLs, emails, JSON keys,
+ * HTML tags - see SEGMENTERS) are copied byte-for-byte; only the text between
+ * them is compressed.
+ *
+ * Options:
+ * - escape: single escape character (default "\")
+ * - countTokens: (text) => number, used for per-entry and whole-text token reports
+ * - segmenters: protected-span segmenters (default DEFAULT_SEGMENTERS, [] compresses everything).
+ *   decompress() must be given the same list.
+ *
+ * RETURNS: { text, entries: [{ original, compressed, occurrences, tokensSavedPerUse, tokensSaved }],
+ *            totalTokensSaved, escapes, protectedSpans, skipped, tokens? }
+ */
+export function compress(text, codex, options = {}) {
+    const source = String(text ?? '');
+    const normalized = isNormalized(codex) ? codex : normalizeCodex(codex, options);
+    const segmenters = options.segmenters ?? DEFAULT_SEGMENTERS;
+    const spans = segment(source, segmenters);
+    const compressed = spans.map(span => span.protected ? null : compressSpan(span.text, normalized));
+
+    // decompress() segments the compressed text, so it has to find exactly the same protected
+    // spans. A symbol next to a span can change what a segmenter matches (a word-character
+    // symbol glued to an email address) - write the span that caused it without replacements
+    // (natural symbols are still escaped) and retry.
+    let output;
+    for (;;) {
+        output = layout(spans, (span, k) => span.protected ? span.text : compressed[k].text);
+        const position = firstSegmentMismatch(output, segmenters);
+        if (position === null) break;
+
+        const replaced = output.spans.filter(span => !span.protected && compressed[span.index].occurrences.size > 0);
+        if (replaced.length === 0) break;
+        const culprit = replaced.filter(span => span.start <= position).pop() || replaced[0];
+        compressed[culprit.index] = compressSpan(spans[culprit.index].text, normalized, { replace: false });
+    }
+
+    const occurrences = new Map();
+    let escapes = 0;
+    compressed.forEach(result => {
+        if (!result) return;
+        escapes += result.escapes;
+        for (const [entry, count] of result.occurrences) {
+            occurrences.set(entry, (occurrences.get(entry) || 0) + count);
+        }
+    });
+
+    const report = buildReport(normalized.entries, occurrences, options.countTokens);
+
+    const result = {
+        text: output.text,
+        entries: report.entries,
+        totalTokensSaved: report.totalTokensSaved,
+        escapes,
+        protectedSpans: spans.filter(span => span.protected).length,
+        skipped: normalized.skipped
+    };
+
+    if (typeof options.countTokens === 'function') {
+        const before = options.countTokens(source);
+        const after = options.countTokens(output.text);
+        result.tokens = { before, after, saved: before - after };
+    }
+
+    return result;
+}
+
+/**
+ * Restore text produced by compress() with the same codex (and segmenters).
+ * Protected spans are copied as they are, even if they contain codex symbols.
+ *
+ * RETURNS: { text, entries: [{ original, compressed, occurrences, forms? }] }
+ * forms lists the inflected forms that were restored: [{ surface, compressed: '∫s', occurrences }]
+ */
+export function decompress(text, codex, options = {}) {
+    const source = String(text ?? '');
+    const normalized = isNormalized(codex) ? codex : normalizeCodex(codex, options);
+    const occurrences = new Map();
+    const forms = new Map(); // entry -> Map(code -> count)
+    let restored = '';
+
+    for (const span of segment(source, options.segmenters ?? DEFAULT_SEGMENTERS)) {
+        if (span.protected) {
+            restored += span.text;
+            continue;
+        }
+
+        const result = decompressSpan(span.text, normalized);
+        restored += result.text;
+        for (const [entry, count] of result.occurrences) {
+            occurrences.set(entry, (occurrences.get(entry) || 0) + count);
+        }
+        for (const [entry, codes] of result.forms) {
+            if (!forms.has(entry)) forms.set(entry, new Map());
+            for (const [code, count] of codes) {
+                forms.get(entry).set(code, (forms.get(entry).get(code) || 0) + count);
+            }
+        }
+    }
+
+    return {
+        text: restored,
+        entries: normalized.entries
+            .filter(e => occurrences.has(e))
+            .map(e => ({
+                original: e.original,
+                compressed: e.compressed,
+                occurrences: occurrences.get(e),
+                ...(forms.has(e) && {
+                    forms: e.forms
+                        .filter(form => forms.get(e).has(form.code))
+                        .map(form => ({ surface: form.surface, compressed: e.compressed + form.code, occurrences: forms.get(e).get(form.code) }))
+                })
+            }))
+    };
+}
+
+/**
+ * Convenience check used by validation: does this text survive a full round trip?
+ */
+export function roundTrips(text, codex, options = {}) {
+    const normalized = isNormalized(codex) ? codex : normalizeCodex(codex, options);
+    const compressed = compress(text, normalized, options).text;
+    return decompress(compressed, normalized, options).text === String(text ?? '');
+}
+
+/**
+ * Split text into protected and compressible spans, in order. Where segmenters overlap
+ * the earliest span wins, then the segmenter listed first, then the longest.
+ *
+ * RETURNS: [{ text, start, end, protected, kind }] - kind is the segmenter name (null for compressible)
+ */
+export function segment(text, segmenters = DEFAULT_SEGMENTERS) {
+    const source = String(text ?? '');
+    const ranges = [];
+
+    segmenters.forEach((segmenter, priority) => {
+        for (const [start, end] of findRanges(source, segmenter)) {
+            if (end > start) ranges.push({ start, end, priority, kind: segmenter.name });
+        }
+    });
+    ranges.sort((a, b) => a.start - b.start || a.priority - b.priority || b.end - a.end);
+
+    const spans = [];
+    let position = 0;
+    for (const range of ranges) {
+        if (range.start < position) continue;
+        if (range.start > position) {
+            spans.push({ text: source.slice(position, range.start), start: position, end: range.start, protected: false, kind: null });
+        }
+        spans.push({ text: source.slice(range.start, range.end), start: range.start, end: range.end, protected: true, kind: range.kind });
+        position = range.end;
+    }
+    if (position < source.length) {
+        spans.push({ text: source.slice(position), start: position, end: source.length, protected: false, kind: null });
+    }
+
+    return spans;
+}
+
+// ----- span compression -----
+
+function compressSpan(source, normalized, { replace = true } = {}) {
+    const { entries, escape } = normalized;
+    const bySurface = new Map();
+    for (const entry of entries) {
+        bySurface.set(entry.original, { entry, code: '' });
+        for (const form of entry.forms || []) {
+            bySurface.set(form.surface, { entry, code: form.code });
+        }
+    }
+    const originalIndex = buildIndex(replace ? Array.from(bySurface.keys()) : []);
+    const symbolIndex = buildIndex(entries.map(e => e.compressed));
+
+    // PASS 1: find replacements left to right, longest original first
+    const pieces = [];
+    const occurrences = new Map();
+    let literal = '';
+    let i = 0;
+
+    while (i < source.length) {
+        const match = matchOriginalAt(source, i, originalIndex);
+        if (match) {
+            if (literal) pieces.push({ literal });
+            literal = '';
+            const { entry, code } = bySurface.get(match);
+            pieces.push({ symbol: entry.compressed + code, entry, surface: match });
+            i += match.length;
+        } else {
+            const char = codePointAt(source, i);
+            literal += char;
+            i += char.length;
+        }
+    }
+    if (literal) pieces.push({ literal });
+
+    // A code is read up to the next non-word character, so an inflectable symbol directly
+    // followed by a symbol that starts with one ("∫" + "db") stays uncompressed
+    for (let p = 0; p < pieces.length; p++) {
+        const { entry, surface } = pieces[p];
+        if (!entry) continue;
+        const next = pieces[p + 1];
+        if (entry.forms.length > 0 && next?.symbol && isWordChar(codePointAt(next.symbol, 0))) {
+            pieces[p] = { literal: surface };
+        } else {
+            occurrences.set(entry, (occurrences.get(entry) || 0) + 1);
+        }
+    }
+
+    // PASS 2: serialize right to left so every escape decision sees the final output after it
+    const out = [];
+    let head = '';
+    let escapes = 0;
+    const headLength = Math.max(escape.length, symbolIndex.maxLength) + 1;
+    const prepend = piece => {
+        out.push(piece);
+        head = (piece + head).slice(0, headLength);
+    };
+
+    for (let p = pieces.length - 1; p >= 0; p--) {
+        const piece = pieces[p];
+        if (piece.symbol) {
+            prepend(piece.symbol);
+            continue;
+        }
+
+        const chars = Array.from(piece.literal);
+        for (let c = chars.length - 1; c >= 0; c--) {
+            const char = chars[c];
+            const needsEscape = char === escape
+                ? startsWithEscapable(head, escape, symbolIndex)
+                : matchSymbolAt(char + head, 0, symbolIndex) !== null;
+
+            if (needsEscape) {
+                prepend(escape + char);
+                escapes++;
+            } else {
+                prepend(char);
+            }
+        }
+    }
+
+    return { text: out.reverse().join(''), occurrences, escapes };
+}
+
+function decompressSpan(source, normalized) {
+    const { entries, escape } = normalized;
+    const symbolIndex = buildIndex(entries.map(e => e.compressed));
+    const bySymbol = new Map(entries.map(e => [e.compressed, e]));
+    const formsByCode = new Map(entries.map(e => [e, new Map((e.forms || []).map(form => [form.code, form.surface]))]));
+    const occurrences = new Map();
+    const forms = new Map();
+
+    let restored = '';
+    let i = 0;
+
+    while (i < source.length) {
+        if (source.startsWith(escape, i)) {
+            const rest = i + escape.length;
+            if (rest < source.length && startsWithEscapable(source.slice(rest, rest + symbolIndex.maxLength + escape.length), escape, symbolIndex)) {
+                const char = codePointAt(source, rest);
+                restored += char;
+                i = rest + char.length;
+                continue;
+            }
+        }
+
+        const symbol = matchSymbolAt(source, i, symbolIndex);
+        if (symbol !== null) {
+            const entry = bySymbol.get(symbol);
+            i += symbol.length;
+
+            const code = readCode(source, i, formsByCode.get(entry));
+            restored += code ? formsByCode.get(entry).get(code) : entry.original;
+            i += code.length;
+
+            occurrences.set(entry, (occurrences.get(entry) || 0) + 1);
+            if (code) {
+                if (!forms.has(entry)) forms.set(entry, new Map());
+                forms.get(entry).set(code, (forms.get(entry).get(code) || 0) + 1);
+            }
+            continue;
+        }
+
+        const char = codePointAt(source, i);
+        restored += char;
+        i += char.length;
+    }
+
+    return { text: restored, occurrences, forms };
+}
+
+/**
+ * Join span texts, recording where each span ends up in the output
+ */
+function layout(spans, textOf) {
+    let text = '';
+    const placed = spans.map((span, index) => {
+        const value = textOf(span, index);
+        const start = text.length;
+        text += value;
+        return { index, text: value, start, end: text.length, protected: span.protected };
+    });
+    return { text, spans: placed };
+}
+
+/**
+ * First output position where segmenting the output disagrees with the layout (null = none)
+ */
+function firstSegmentMismatch(output, segmenters) {
+    const expected = output.spans.filter(span => span.protected);
+    const actual = segment(output.text, segmenters).filter(span => span.protected);
+
+    for (let k = 0; k < Math.max(expected.length, actual.length); k++) {
+        const want = expected[k];
+        const got = actual[k];
+        if (want && got && want.start === got.start && want.end === got.end) continue;
+        if (!want || !got) return (want || got).start;
+        return want.start !== got.start ? Math.min(want.start, got.start) : Math.min(want.end, got.end);
+    }
+    return null;
+}
+
+// ----- helpers -----
+
+function findRanges(text, segmenter) {
+    if (typeof segmenter.find === 'function') {
+        return segmenter.find(text);
+    }
+    const { source, flags } = segmenter.pattern;
+    const pattern = new RegExp(source, flags.includes('g') ? flags : `${flags}g`);
+    return Array.from(text.matchAll(pattern), match => [match.index, match.index + match[0].length]);
+}
+
+function findFencedCode(text) {
+    const ranges = [];
+    const opening = /^ {0,3}(`{3,}|~{3,})([^\n]*)$/gm;
+    let open;
+
+    while ((open = opening.exec(text)) !== null) {
+        const [line, fence, info] = open;
+        if (fence[0] === '`' && info.includes('`')) continue; // Inline code, not a fence
+
+        const closing = new RegExp(`^ {0,3}${fence[0]}{${fence.length},}[ \\t]*\\r?$`, 'gm');
+        closing.lastIndex = open.index + line.length;
+        const close = closing.exec(text);
+        const end = close ? close.index + close[0].length : text.length;
+
+        ranges.push([open.index, end]);
+        opening.lastIndex = end;
+    }
+
+    return ranges;
+}
+
+function findUrls(text) {
+    const ranges = [];
+
+    for (const match of text.matchAll(/\b(?:[a-z][a-z0-9+.-]*:\/\/|www\.)[^\s<>"'`]+/gi)) {
+        let url = match[0];
+        // Sentence punctuation after a URL is not part of it; ")" only when it closes nothing in the URL
+        const unbalanced = () => url.split('(').length < url.split(')').length;
+        while (/[.,;:!?\]]$/.test(url) || (url.endsWith(')') && unbalanced())) {
+            url = url.slice(0, -1);
+        }
+        ranges.push([match.index, match.index + url.length]);
+    }
+
+    return ranges;
+}
+
+function toRows(codex) {
+    if (!codex) return [];
+    if (Array.isArray(codex)) return codex.filter(row => row && typeof row === 'object');
+    if (codex instanceof Map) return Array.from(codex.entries()).map(([original, compressed]) => ({ original, compressed }));
+    if (typeof codex === 'object') return Object.entries(codex).map(([original, compressed]) => ({ original, compressed }));
+    return [];
+}
+
+function isNormalized(codex) {
+    return !!codex && Array.isArray(codex.entries) && Array.isArray(codex.skipped) && typeof codex.escape === 'string';
+}
+
+function readTokensSaved(row) {
+    const value = row.tokensSaved ?? row.tokens_saved;
+    return Number.isFinite(Number(value)) && value !== null ? Number(value) : null;
+}
+
+/**
+ * Index strings by first code point, longest first, for longest-match lookups
+ */
+function buildIndex(strings) {
+    const index = new Map();
+    let maxLength = 0;
+
+    for (const str of strings) {
+        const first = codePointAt(str, 0);
+        if (!index.has(first)) index.set(first, []);
+        index.get(first).push(str);
+        maxLength = Math.max(maxLength, str.length);
+    }
+    for (const list of index.values()) {
+        list.sort((a, b) => b.length - a.length);
+    }
+
+    return { index, maxLength };
+}
+
+function matchOriginalAt(text, position, originalIndex) {
+    const candidates = originalIndex.index.get(codePointAt(text, position));
+    if (!candidates) return null;
+
+    for (const original of candidates) {
+        if (!text.startsWith(original, position)) continue;
+        if (isWordChar(codePointAt(original, 0)) && isWordChar(codePointBefore(text, position))) continue;
+        if (isWordChar(lastCodePoint(original)) && isWordChar(codePointAt(text, position + original.length))) continue;
+        return original;
+    }
+
+    return null;
+}
+
+function matchSymbolAt(text, position, symbolIndex) {
+    const candidates = symbolIndex.index.get(codePointAt(text, position));
+    if (!candidates) return null;
+    return candidates.find(symbol => text.startsWith(symbol, position)) ?? null;
+}
+
+/**
+ * The inflection code after an inflectable symbol ('' for the original itself)
+ */
+function readCode(text, position, forms) {
+    if (forms.size === 0) return '';
+
+    let end = position;
+    while (end < text.length && isWordChar(codePointAt(text, end))) {
+        end += codePointAt(text, end).length;
+    }
+    const code = text.slice(position, end);
+    return forms.has(code) ? code : '';
+}
+
+function capitalize(text) {
+    const first = codePointAt(text, 0);
+    return first.toUpperCase() + text.slice(first.length);
+}
+
+function startsWithEscapable(text, escape, symbolIndex) {
+    return text.startsWith(escape) || matchSymbolAt(text, 0, symbolIndex) !== null;
+}
+
+function buildReport(entries, occurrences, countTokens) {
+    const measure = typeof countTokens === 'function';
+    let totalTokensSaved = 0;
+
+    const reportEntries = entries
+        .filter(e => occurrences.has(e))
+        .map(entry => {
+            const count = occurrences.get(entry);
+            // Measured mid-sentence (leading space), which is how most occurrences are tokenized
+            const perUse = measure
+                ? countTokens(` ${entry.original}`) - countTokens(` ${entry.compressed}`)
+                : entry.tokensSaved;
+            const tokensSaved = perUse === null ? null : perUse * count;
+            totalTokensSaved += tokensSaved || 0;
+
+            return {
+                original: entry.original,
+                compressed: entry.compressed,
+                occurrences: count,
+                tokensSavedPerUse: perUse,
+                tokensSaved
+            };
+        })
+        .sort((a, b) => (b.tokensSaved || 0) - (a.tokensSaved || 0));
+
+    return { entries: reportEntries, totalTokensSaved };
+}
+
+function codePointAt(text, position) {
+    if (position < 0 || position >= text.length) return '';
+    return String.fromCodePoint(text.codePointAt(position));
+}
+
+function codePointBefore(text, position) {
+    if (position <= 0) return '';
+    const low = text.charCodeAt(position - 1);
+    if (low >= 0xDC00 && low <= 0xDFFF && position >= 2) {
+        return text.slice(position - 2, position);
+    }
+    return text[position - 1];
+}
+
+function lastCodePoint(text) {
+    return codePointBefore(text, text.length);
+}
+
+function isWordChar(char) {
+    return !!char && WORD_CHAR.test(char);
+}
+
+// Browser global, matching the rest of window.TokenCompressor
+if (typeof window !== 'undefined') {
+    window.TokenCompressor = window.TokenCompressor || {};
+    window.TokenCompressor.CompressionEngine = {
+        DEFAULT_ESCAPE,
+        INFLECTION_RULES,
+        SEGMENTERS,
+        DEFAULT_SEGMENTERS,
+        SPAN_UNSAFE_SYMBOL,
+        normalizeCodex,
+        parseInflections,
+        deriveForms,
+        compress,
+        decompress,
+        roundTrips,
+        segment
+    };
+}
@@ -0,0 +1,179 @@
+/**
+ * CODEX INTERFERENCE - Screens ceremony candidates against the whole approved codex
+ *
+ * Isomorphic ES module like compression-engine.js; exposed in the browser as
+ * window.TokenCompressor.CodexInterference.
+ *
+ * Per-candidate checks only test one compression in isolation. A candidate can
+ * pass all of them and still break the codex it joins:
+ * - REJECTED (decompression would be ambiguous, or the engine would skip the entry):
+ *   symbol already used, original already mapped, one symbol a prefix of another,
+ *   symbol contains the escape character or protected-span syntax, invalid inflections, the original is an
+ *   inflected form of an existing entry, or the full codex stops round-tripping
+ * - FLAGGED (still reversible - the engine escapes natural occurrences - but every
+ *   escape costs tokens): the symbol already appears in real text, e.g. "π" in maths
+ *   or "€" in finance. Above maxNaturalOccurrenceRate of corpus texts it is rejected.
+ *   Inflected forms that another entry already compresses are flagged too.
+ */
+
+import { DEFAULT_ESCAPE, SPAN_UNSAFE_SYMBOL, normalizeCodex, parseInflections, deriveForms, roundTrips } from './compression-engine.js';
+
+export const DEFAULT_MAX_NATURAL_OCCURRENCE_RATE = 0.05;
+
+// Text where our candidate symbols occur naturally (maths, science, finance, legal, code)
+export const NATURAL_NOTATION_CORPUS = [
+    'The area of a circle is π r², so with r = 2 the area is approximately 12.57.',
+    'Integrate ∫ x² dx from 0 to 1 to get 1/3, then take ∂f/∂x at the boundary.',
+    'The sum ∑ 1/n² converges to π²/6, while ∏ (1 - 1/p²) over primes gives 6/π².',
+    'Let α = 0.05 and β = 0.2; the test has power 1 - β = 0.8 at effect size δ = 0.5.',
+    'ΔG = ΔH - TΔS determines whether the reaction is spontaneous at 298 K.',
+    'The resistor is rated at 4.7 kΩ and the signal has wavelength λ = 532 nm.',
+    'Sample mean μ = 3.2, standard deviation σ = 0.4, and correlation ρ = 0.91.',
+    'For all ε > 0 there exists δ > 0 such that |f(x) - L| < ε whenever |x - a| < δ.',
+    'The angle θ = 45° gives sin θ = cos θ ≈ 0.707; therefore x ≈ y ∴ x = y.',
+    'The golden ratio φ ≈ 1.618 and the wave function ψ satisfies Hψ = Eψ.',
+    'Shares closed at €42.10, up from £36.20 in London and ¥5,400 in Tokyo.',
+    'The fund returned 7.2% in €, while ₹ and ₽ denominated assets fell sharply.',
+    'Bitcoin (₿) traded at $61,000 and the coffee cost 95¢ before tax.',
+    'See 17 U.S.C. § 107 and ¶ 12 of the complaint; cf. §§ 3–5 of the agreement.',
+    'Footnotes are marked with *, † and ‡ in the printed edition.',
+    'Suits ♠ ♥ ♦ ♣ rank differently in bridge; the melody is marked ♪ and ♫.',
+    'In the shell, a && b || c runs c only if a or b fails; use \\n for newlines.',
+    'const total = items.reduce((sum, x) => sum + x, 0); // O(n) time',
+    'Use w/ or w/o toppings; the db query returns rows in ~30 ms at p99.',
+    'The matrix Σ is positive definite, and Ω denotes the sample space.',
+    'Greek text: Η γρήγορη καφέ αλεπού πηδάει πάνω από τον τεμπέλη σκύλο.',
+    'Her email is ana@example.com and the hashtag was #implementation2024.'
+];
+
+/**
+ * Check one candidate against the approved codex and a corpus of real text.
+ *
+ * Options:
+ * - corpus: texts to scan for natural occurrences and to round-trip (default NATURAL_NOTATION_CORPUS)
+ * - maxNaturalOccurrenceRate: share of corpus texts the symbol may already appear in (default 0.05)
+ * - escape: engine escape character (default "\")
+ *
+ * RETURNS: { verdict: 'clear' | 'flagged' | 'rejected', issues: [{ type, severity, message, conflictsWith? }],
+ *            naturalOccurrences: { count, texts, rate } }
+ */
+export function checkCandidateInterference(candidate, codex, options = {}) {
+    const corpus = options.corpus || NATURAL_NOTATION_CORPUS;
+    const escape = options.escape || DEFAULT_ESCAPE;
+    const maxRate = options.maxNaturalOccurrenceRate ?? DEFAULT_MAX_NATURAL_OCCURRENCE_RATE;
+    const { entries } = normalizeCodex(codex, { escape });
+    const original = String(candidate.original ?? '');
+    const compressed = String(candidate.compressed ?? '');
+    const issues = [];
+    const reject = (type, message, conflictsWith) => issues.push({ type, severity: 'reject', message, ...(conflictsWith && { conflictsWith }) });
+    const flag = (type, message) => issues.push({ type, severity: 'flag', message });
+
+    if (!original.trim() || !compressed) {
+        reject('empty', 'Empty original or compressed form');
+        return { verdict: 'rejected', issues, naturalOccurrences: { count: 0, texts: [], rate: 0 } };
+    }
+    if (compressed.includes(escape)) {
+        reject('escape_character', `Symbol contains the escape character "${escape}"`);
+    }
+    if (SPAN_UNSAFE_SYMBOL.test(compressed)) {
+        reject('span_syntax', 'Symbol contains a backtick or double quote, or starts with whitespace or punctuation that can end a URL');
+    }
+    const inflections = parseInflections(candidate.inflections, original);
+    if (inflections.error) {
+        reject('invalid_inflections', inflections.error);
+    }
+
+    for (const entry of entries) {
+        const conflictsWith = { original: entry.original, compressed: entry.compressed };
+
+        if (entry.original === original && entry.compressed === compressed) {
+            reject('already_approved', 'Already in the codex', conflictsWith);
+        } else if (entry.compressed === compressed) {
+            reject('symbol_collision', `Symbol "${compressed}" already means "${entry.original}"`, conflictsWith);
+        } else if (entry.original === original) {
+            reject('duplicate_original', `"${original}" is already compressed to "${entry.compressed}"`, conflictsWith);
+        } else if (entry.compressed.startsWith(compressed) || compressed.startsWith(entry.compressed)) {
+            reject('prefix_conflict', `Symbol is ambiguous with "${entry.compressed}" (one is a prefix of the other)`, conflictsWith);
+        } else if (entry.forms.some(form => form.surface === original)) {
+            // Declared originals win over derived forms, so this would change how existing text compresses
+            reject('inflection_conflict', `"${original}" is already compressed as an inflected form of "${entry.original}"`, conflictsWith);
+        }
+    }
+
+    if (inflections.rules) {
+        const owners = new Map(entries.flatMap(entry => [entry.original, ...entry.forms.map(form => form.surface)].map(surface => [surface, entry])));
+        for (const form of deriveForms(original, inflections.rules)) {
+            const owner = owners.get(form.surface);
+            if (owner && owner.original !== original) {
+                flag('inflection_shadowed', `"${form.surface}" stays with "${owner.original}" ("${owner.compressed}")`);
+            }
+        }
+    }
+
+    // Natural occurrences: every one becomes an escape sequence in compressed text
+    const occurrences = corpus.filter(text => text.includes(compressed));
+    const rate = corpus.length > 0 ? occurrences.length / corpus.length : 0;
+    if (occurrences.length > 0) {
+        const message = `Symbol appears naturally in ${occurrences.length}/${corpus.length} corpus texts (each use must be escaped)`;
+        if (rate > maxRate) {
+            reject('natural_occurrence', message);
+        } else {
+            flag('natural_occurrence', message);
+        }
+    }
+
+    // The whole codex with this candidate must still round-trip every corpus text
+    if (!issues.some(issue => issue.severity === 'reject')) {
+        const extended = [...entries, { original, compressed, inflections: candidate.inflections ?? null }];
+        const failing = corpus.find(text => !roundTrips(text, extended, { escape }));
+        if (failing !== undefined) {
+            reject('round_trip', `Codex no longer round-trips: "${failing}"`);
+        }
+    }
+
+    const verdict = issues.some(issue => issue.severity === 'reject') ? 'rejected'
+        : issues.length > 0 ? 'flagged' : 'clear';
+
+    return {
+        verdict,
+        issues,
+        naturalOccurrences: { count: occurrences.length, texts: occurrences, rate }
+    };
+}
+
+/**
+ * Screen a ceremony's candidates in order. Each cleared candidate joins the working
+ * codex, so two candidates competing for the same symbol in one ceremony are caught
+ * too (the later one is rejected).
+ *
+ * RETURNS: { cleared: [candidate + interference], rejected: [candidate + interference + rejectionReason] }
+ */
+export function screenCandidates(candidates, codex, options = {}) {
+    const working = [...normalizeCodex(codex, options).entries];
+    const cleared = [];
+    const rejected = [];
+
+    for (const candidate of candidates) {
+        const interference = checkCandidateInterference(candidate, working, options);
+
+        if (interference.verdict === 'rejected') {
+            const reason = interference.issues.find(issue => issue.severity === 'reject');
+            rejected.push({ ...candidate, interference, rejectionReason: reason.message });
+        } else {
+            cleared.push({ ...candidate, interference });
+            working.push({ original: candidate.original, compressed: candidate.compressed, inflections: candidate.inflections ?? null });
+        }
+    }
+
+    return { cleared, rejected };
+}
+
+// Browser global, matching the rest of window.TokenCompressor
+if (typeof window !== 'undefined') {
+    window.TokenCompressor = window.TokenCompressor || {};
+    window.TokenCompressor.CodexInterference = {
+        NATURAL_NOTATION_CORPUS,
+        checkCandidateInterference,
+        screenCandidates
+    };
+}
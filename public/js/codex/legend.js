@@ -0,0 +1,91 @@
+/**
+ * CODEX LEGEND - Tells the model reading compressed text what the symbols mean
+ *
+ * Isomorphic ES module like compression-engine.js; exposed in the browser as
+ * window.TokenCompressor.CodexLegend.
+ *
+ * A model can only use "∂ the ∫ took ≈ two weeks" with a legend in its system
+ * prompt, and the legend is paid for like any other tokens. buildLegend() lists
+ * only the symbols (and inflected forms) a compressed prompt actually uses, and
+ * reports whether compression still saves tokens once the legend is added.
+ *
+ * FORMATS:
+ * - compact: ∂=unfortunately;∫=implementation;∫s=implementations;
+ * - json:    {"∂":"unfortunately","∫":"implementation"}
+ * - xml:     <legend><symbol value="∂">unfortunately</symbol></legend>
+ */
+
+import { decompress } from './compression-engine.js';
+
+export const LEGEND_FORMATS = ['compact', 'json', 'xml'];
+
+/**
+ * Build the minimal legend for a compressed prompt.
+ *
+ * Options:
+ * - format: one of LEGEND_FORMATS (default 'compact')
+ * - countTokens: (text) => number, adds the token report
+ * - escape, segmenters: as given to compress()
+ *
+ * RETURNS: { format, text, symbols: [{ symbol, meaning, original, occurrences }],
+ *            tokens?: { saved, legend, net }, worthIt? }
+ * text is '' when no symbol is used (no legend needed); original is the codex entry a symbol belongs to.
+ */
+export function buildLegend(compressedText, codex, options = {}) {
+    const format = options.format || 'compact';
+    if (!LEGEND_FORMATS.includes(format)) {
+        throw new Error(`Unknown legend format "${format}" (expected ${LEGEND_FORMATS.join(', ')})`);
+    }
+
+    const restored = decompress(compressedText, codex, options);
+    const symbols = restored.entries.flatMap(entry => {
+        const forms = entry.forms || [];
+        const base = entry.occurrences - forms.reduce((sum, form) => sum + form.occurrences, 0);
+        return [
+            ...(base > 0 ? [{ symbol: entry.compressed, meaning: entry.original, original: entry.original, occurrences: base }] : []),
+            ...forms.map(form => ({ symbol: form.compressed, meaning: form.surface, original: entry.original, occurrences: form.occurrences }))
+        ];
+    });
+
+    const text = symbols.length > 0 ? formatLegend(symbols, format) : '';
+    const legend = { format, text, symbols };
+
+    if (typeof options.countTokens === 'function') {
+        const saved = options.countTokens(restored.text) - options.countTokens(String(compressedText ?? ''));
+        const legendTokens = text ? options.countTokens(text) : 0;
+        legend.tokens = { saved, legend: legendTokens, net: saved - legendTokens };
+        legend.worthIt = legend.tokens.net > 0;
+    }
+
+    return legend;
+}
+
+/**
+ * Render symbol/meaning pairs in one of LEGEND_FORMATS
+ */
+export function formatLegend(symbols, format = 'compact') {
+    switch (format) {
+        case 'compact':
+            return symbols.map(({ symbol, meaning }) => `${symbol}=${meaning};`).join('');
+        case 'json':
+            return JSON.stringify(Object.fromEntries(symbols.map(({ symbol, meaning }) => [symbol, meaning])));
+        case 'xml':
+            return `<legend>${symbols.map(({ symbol, meaning }) => `<symbol value="${escapeXml(symbol)}">${escapeXml(meaning)}</symbol>`).join('')}</legend>`;
+        default:
+            throw new Error(`Unknown legend format "${format}" (expected ${LEGEND_FORMATS.join(', ')})`);
+    }
+}
+
+function escapeXml(text) {
+    return text.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+// Browser global, matching the rest of window.TokenCompressor
+if (typeof window !== 'undefined') {
+    window.TokenCompressor = window.TokenCompressor || {};
+    window.TokenCompressor.CodexLegend = {
+        LEGEND_FORMATS,
+        buildLegend,
+        formatLegend
+    };
+}
@@ -0,0 +1,176 @@
+/**
+ * CODEX RELEASES - Numbered, immutable snapshots of the approved codex
+ *
+ * Isomorphic ES module like compression-engine.js; exposed in the browser as
+ * window.TokenCompressor.CodexReleases.
+ *
+ * The compressions table changes every ceremony, and text compressed with one
+ * codex can decompress differently with another. After each ceremony the
+ * orchestrator snapshots the codex as a semver release (codex_releases table,
+ * never updated); API callers pin a release with version: "1.4.0".
+ *
+ * VERSIONING (against the previous release):
+ * - major: an entry was removed, or its symbol or inflections changed
+ * - minor: entries were added, deprecated or un-deprecated
+ * - patch: only metadata changed (source, tokens_saved, token_matrix)
+ * - no release when nothing changed
+ *
+ * Deprecated entries (compressions.deprecated_at set) still compress and decompress -
+ * deprecation announces that a later major release will remove them.
+ */
+
+export const FIRST_VERSION = '1.0.0';
+
+const SEMVER = /^v?(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)$/;
+
+/**
+ * Parse "MAJOR.MINOR.PATCH" (a leading "v" is allowed)
+ *
+ * RETURNS: { major, minor, patch } or null
+ */
+export function parseSemver(value) {
+    const match = typeof value === 'string' ? SEMVER.exec(value.trim()) : null;
+    return match ? { major: Number(match[1]), minor: Number(match[2]), patch: Number(match[3]) } : null;
+}
+
+/**
+ * Sort comparator for version strings, oldest first
+ */
+export function compareSemver(a, b) {
+    const left = parseSemver(a);
+    const right = parseSemver(b);
+    return (left.major - right.major) || (left.minor - right.minor) || (left.patch - right.patch);
+}
+
+/**
+ * The version after previousVersion for a bump ('major' | 'minor' | 'patch')
+ */
+export function nextVersion(previousVersion, bump) {
+    if (!previousVersion) return FIRST_VERSION;
+
+    const { major, minor, patch } = parseSemver(previousVersion);
+    switch (bump) {
+        case 'major': return `${major + 1}.0.0`;
+        case 'minor': return `${major}.${minor + 1}.0`;
+        case 'patch': return `${major}.${minor}.${patch + 1}`;
+        default: throw new Error(`Unknown version bump "${bump}"`);
+    }
+}
+
+/**
+ * A compressions row as stored in a release
+ */
+export function snapshotEntry(row) {
+    return {
+        original: row.original,
+        compressed: row.compressed,
+        inflections: row.inflections ?? null,
+        source: row.source ?? null,
+        hour: row.hour ?? null,
+        tokens_saved: row.tokens_saved ?? null,
+        token_matrix: row.token_matrix ?? null,
+        deprecated: Boolean(row.deprecated ?? row.deprecated_at)
+    };
+}
+
+/**
+ * What changed between two codex snapshots, keyed by original (the first row wins, as in normalizeCodex)
+ *
+ * RETURNS: { added, removed, deprecated, undeprecated: [{ original, compressed }],
+ *            changed: [{ original, from: { compressed, inflections }, to }], updated: [{ original, compressed }] }
+ */
+export function diffCodex(previousEntries, entries) {
+    const before = byOriginal(previousEntries);
+    const after = byOriginal(entries);
+    const changelog = { added: [], removed: [], deprecated: [], undeprecated: [], changed: [], updated: [] };
+    const summary = entry => ({ original: entry.original, compressed: entry.compressed });
+
+    for (const [original, entry] of after) {
+        const old = before.get(original);
+        if (!old) {
+            changelog.added.push(summary(entry));
+            continue;
+        }
+
+        if (old.compressed !== entry.compressed || !sameValue(old.inflections, entry.inflections)) {
+            changelog.changed.push({
+                original,
+                from: { compressed: old.compressed, inflections: old.inflections ?? null },
+                to: { compressed: entry.compressed, inflections: entry.inflections ?? null }
+            });
+        } else if (!sameValue(old.source, entry.source) || !sameValue(old.tokens_saved, entry.tokens_saved) || !sameValue(old.token_matrix, entry.token_matrix)) {
+            changelog.updated.push(summary(entry));
+        }
+
+        if (entry.deprecated && !old.deprecated) changelog.deprecated.push(summary(entry));
+        if (!entry.deprecated && old.deprecated) changelog.undeprecated.push(summary(entry));
+    }
+
+    for (const [original, entry] of before) {
+        if (!after.has(original)) changelog.removed.push(summary(entry));
+    }
+
+    return changelog;
+}
+
+/**
+ * Semver bump a changelog calls for, or null when nothing changed
+ */
+export function releaseBump(changelog) {
+    if (changelog.removed.length > 0 || changelog.changed.length > 0) return 'major';
+    if (changelog.added.length > 0 || changelog.deprecated.length > 0 || changelog.undeprecated.length > 0) return 'minor';
+    if (changelog.updated.length > 0) return 'patch';
+    return null;
+}
+
+/**
+ * The release to publish for the current compressions rows, or null when the codex
+ * is unchanged since previousRelease (null = nothing released yet).
+ *
+ * RETURNS: { version, bump, hour, entry_count, entries, changelog } or null
+ */
+export function planRelease(previousRelease, rows, options = {}) {
+    const entries = [...rows]
+        .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || '') || (a.id || 0) - (b.id || 0))
+        .map(snapshotEntry);
+
+    const changelog = diffCodex(previousRelease?.entries || [], entries);
+    const bump = releaseBump(changelog);
+    if (!bump) return null;
+
+    return {
+        version: previousRelease ? nextVersion(previousRelease.version, bump) : FIRST_VERSION,
+        bump: previousRelease ? bump : 'major',
+        hour: options.hour ?? null,
+        entry_count: entries.length,
+        entries,
+        changelog
+    };
+}
+
+function byOriginal(entries) {
+    const map = new Map();
+    for (const entry of entries) {
+        if (!map.has(entry.original)) map.set(entry.original, entry);
+    }
+    return map;
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Browser global, matching the rest of window.TokenCompressor
+if (typeof window !== 'undefined') {
+    window.TokenCompressor = window.TokenCompressor || {};
+    window.TokenCompressor.CodexReleases = {
+        FIRST_VERSION,
+        parseSemver,
+        compareSemver,
+        nextVersion,
+        snapshotEntry,
+        diffCodex,
+        releaseBump,
+        planRelease
+    };
+}
@@ -0,0 +1,87 @@
+/**
+ * CANDIDATE ROUND-TRIP - One codex candidate alone, through the compression engine
+ *
+ * Isomorphic ES module like compression-engine.js; exposed in the browser as
+ * window.TokenCompressor.CodexRoundTrip.
+ *
+ * The instant check (/api/validate) and the ceremony's local validation
+ * (ValidationAgent.validateCompressionLocally) both test candidates here, so they
+ * run the same sentences under the same rules:
+ * - every text compresses and decompresses byte-for-byte
+ * - code, URLs, emails, JSON keys and HTML come out of compression unchanged
+ * - every declared inflected form is compressed (bare and quoted) and restored
+ *
+ * Callers add their own running text (a test article, the ceremony corpus) on top
+ * of the candidate's sentences.
+ */
+
+import { normalizeCodex, compress, roundTrips, segment } from './compression-engine.js';
+
+/**
+ * Sentences built around the candidate: sentence starts, quotes, the symbol occurring
+ * naturally, and the candidate (and its symbol) inside protected spans and next to them
+ */
+export function buildCandidateCorpus({ original, compressed }) {
+    const capitalized = original.charAt(0).toUpperCase() + original.slice(1);
+    const slug = original.trim().replace(/\s+/g, '-');
+    return [
+        `${capitalized} comes first; the ${original} comes last.`,
+        `'${original},' she said, "${original}."`,
+        `The symbol ${compressed} already appears here, next to the ${original}.`,
+        `Call \`${original}\` or \`${compressed}\` before the ${original}.`,
+        `The ${original}:\n\`\`\`js\nconst ${slug.replace(/\W/g, '_')} = "${original}";\n\`\`\`\n${original} done.`,
+        `See https://example.com/${slug}?q=${compressed} for the ${original}.`,
+        `Mail ${slug}@example.com about the ${original}.`,
+        `{"${original}": "${original}", "${compressed}": 1}`,
+        `<a title="${original}" href="/${slug}">${original}</a> <!-- ${original} -->`
+    ];
+}
+
+/**
+ * One sentence per declared inflected form of a normalized entry, using the form twice
+ */
+export function buildInflectedFormCorpus(entry) {
+    return (entry?.forms || []).map(form => ({ surface: form.surface, text: `${form.surface} first, then "${form.surface}".` }));
+}
+
+/**
+ * True when text restores exactly and its protected spans survive compression unchanged
+ */
+export function preservesText(text, codex) {
+    const protectedTexts = value => segment(value).filter(span => span.protected).map(span => span.text).join('\u0000');
+    return roundTrips(text, codex) && protectedTexts(compress(text, codex).text) === protectedTexts(text);
+}
+
+/**
+ * Round-trip the candidate alone over corpus, its own sentences and its inflected forms.
+ *
+ * RETURNS: { codex, results: [{ kind: 'corpus' | 'candidate' | 'form', text, surface?, passed }], failures }
+ * failures lists the texts that did not pass. codex.entries is empty when the engine
+ * skips the candidate (codex.skipped says why).
+ */
+export function checkCandidateRoundTrip(candidate, corpus = []) {
+    const codex = normalizeCodex([candidate]);
+    const results = [
+        ...corpus.map(text => ({ kind: 'corpus', text, passed: preservesText(text, codex) })),
+        ...buildCandidateCorpus(candidate).map(text => ({ kind: 'candidate', text, passed: preservesText(text, codex) })),
+        ...buildInflectedFormCorpus(codex.entries[0]).map(({ surface, text }) => ({
+            kind: 'form',
+            text,
+            surface,
+            passed: compress(text, codex).entries[0]?.occurrences === 2 && preservesText(text, codex)
+        }))
+    ];
+
+    return { codex, results, failures: results.filter(result => !result.passed).map(result => result.text) };
+}
+
+// Browser global, matching the rest of window.TokenCompressor
+if (typeof window !== 'undefined') {
+    window.TokenCompressor = window.TokenCompressor || {};
+    window.TokenCompressor.CodexRoundTrip = {
+        buildCandidateCorpus,
+        buildInflectedFormCorpus,
+        preservesText,
+        checkCandidateRoundTrip
+    };
+}
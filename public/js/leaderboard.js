@@ -0,0 +1,110 @@
+/**
+ * LEADERBOARD - Who saved the most tokens today, this week and all time
+ *
+ * Every compression a ceremony accepts is credited to its submitter: humans by name
+ * ("Human: Ana" → Ana), every agent discovery to "AI". Score = measured tokens saved ×
+ * corpus frequency (how often the phrase occurred in the articles the ceremony saw, at least 1).
+ *
+ * The leaderboard table holds one row per contributor per UTC day, so the daily board rolls
+ * over at midnight UTC; the weekly board (from Monday) and the all-time board add the days up.
+ * Crediting is the update_leaderboard_on_compression() trigger (doc/leaderboard-schema.sql),
+ * which LocalStore emulates through credit().
+ */
+
+window.TokenCompressor = window.TokenCompressor || {};
+
+window.TokenCompressor.Leaderboard = {
+    PERIODS: ['today', 'week', 'all'],
+    
+    TITLES: { today: "Today's Leaderboard", week: "This Week's Leaderboard", all: 'All-Time Leaderboard' },
+    
+    AI_NAME: 'AI',
+    
+    LIMIT: 10,
+    
+    /**
+     * Who a compression is credited to, from its source ('Human: Ana', 'AI', 'AI-Discovery')
+     */
+    contributorOf(source) {
+        return source?.startsWith('Human:') ? source.slice(6).trim() : this.AI_NAME;
+    },
+    
+    /**
+     * Occurrences of a compression (and its inflected forms) in the corpus, at least 1
+     */
+    corpusFrequency(compression, corpus = []) {
+        const engine = window.TokenCompressor.CompressionEngine;
+        if (!engine || corpus.length === 0) return 1;
+        
+        const codex = engine.normalizeCodex([compression]);
+        if (codex.entries.length === 0) return 1;
+        
+        const occurrences = corpus.reduce((sum, text) => sum + (engine.compress(text, codex).entries[0]?.occurrences || 0), 0);
+        return Math.max(1, occurrences);
+    },
+    
+    /**
+     * UTC day a leaderboard row belongs to ('2025-01-31')
+     */
+    dayOf(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    },
+    
+    /**
+     * Monday (UTC) of the week containing date, like date_trunc('week', ...)
+     */
+    weekStartOf(date = new Date()) {
+        const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+        monday.setUTCDate(monday.getUTCDate() - (monday.getUTCDay() + 6) % 7);
+        return this.dayOf(monday);
+    },
+    
+    /**
+     * When the daily board rolls over: the next UTC midnight
+     */
+    nextReset(now = new Date()) {
+        return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+    },
+    
+    /**
+     * Leaderboard credit for one saved compression row (tokens_saved, corpus_frequency, source)
+     *
+     * RETURNS: { name, date, compressions_count, tokens_saved, score }
+     */
+    credit(compression, now = new Date()) {
+        const tokensSaved = compression.tokens_saved || 0;
+        return {
+            name: this.contributorOf(compression.source),
+            date: this.dayOf(now),
+            compressions_count: 1,
+            tokens_saved: tokensSaved,
+            score: tokensSaved * Math.max(1, compression.corpus_frequency || 1)
+        };
+    },
+    
+    /**
+     * One period's board from daily rows: totals per contributor, best score first
+     * (same as the leaderboard_weekly / leaderboard_all_time views)
+     *
+     * RETURNS: [{ name, compressions_count, tokens_saved, score }]
+     */
+    rank(rows, period = 'today', now = new Date(), limit = this.LIMIT) {
+        if (!this.PERIODS.includes(period)) {
+            throw new Error(`Unknown leaderboard period "${period}" (expected ${this.PERIODS.join(', ')})`);
+        }
+        
+        const since = { today: this.dayOf(now), week: this.weekStartOf(now), all: '' }[period];
+        const totals = new Map();
+        for (const row of rows.filter(row => row.date >= since)) {
+            const total = totals.get(row.name) || { name: row.name, compressions_count: 0, tokens_saved: 0, score: 0 };
+            total.compressions_count += row.compressions_count || 0;
+            total.tokens_saved += row.tokens_saved || 0;
+            total.score += row.score ?? row.tokens_saved ?? 0;
+            totals.set(row.name, total);
+        }
+        
+        return [...totals.values()]
+            .sort((a, b) => b.score - a.score || b.tokens_saved - a.tokens_saved || a.name.localeCompare(b.name))
+            .slice(0, limit);
+    }
+};
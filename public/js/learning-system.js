@@ -20,7 +20,6 @@ window.TokenCompressor.LearningSystem = class LearningSystem {
         this.tokenSavingsTotal = 0;    // Track total tokens saved
         
         // Database integration
-        this.supabase = window.TokenCompressor.SupabaseClient;
         this.agentContextCache = new Map(); // Cache for agent context
         
         // Load learnings from both database and localStorage
@@ -29,6 +28,13 @@ window.TokenCompressor.LearningSystem = class LearningSystem {
         console.log('🧠 Learning System initialized with database integration');
     }
     
+    /**
+     * Storage backend, resolved on use - the runner selects it after this script loads
+     */
+    get storage() {
+        return window.TokenCompressor.Storage;
+    }
+    
     /**
      * Initialize learnings from database and localStorage - ENHANCED
      */
@@ -61,16 +67,14 @@ window.TokenCompressor.LearningSystem = class LearningSystem {
      */
     async loadExistingCompressions() {
         try {
-            const { data: compressions, error } = await this.supabase.supabase
-                .from('compressions')
-                .select('original, compressed, tokens_saved, created_at, source')
-                .order('created_at', { ascending: false });
-                
-            if (error) throw error;
+            const compressions = await this.storage.getAllCompressions();
             
             // Convert to internal format for agent context
             compressions.forEach(comp => {
                 const key = `${comp.original}->${comp.compressed}`;
+                if (!this.discoveries.has(key)) {
+                    this.tokenSavingsTotal += comp.tokens_saved;
+                }
                 this.discoveries.set(key, {
                     original: comp.original,
                     compressed: comp.compressed,
@@ -80,7 +84,6 @@ window.TokenCompressor.LearningSystem = class LearningSystem {
                     pattern: this.identifyPattern(comp.compressed),
                     source: comp.source
                 });
-                this.tokenSavingsTotal += comp.tokens_saved;
             });
             
             console.log(`💾 Loaded ${compressions.length} existing compressions from database`);
@@ -94,12 +97,7 @@ window.TokenCompressor.LearningSystem = class LearningSystem {
      */
     async loadLearningPatterns() {
         try {
-            const { data: patterns, error } = await this.supabase.supabase
-                .from('learning_patterns')
-                .select('*')
-                .order('success_rate', { ascending: false });
-                
-            if (error) throw error;
+            const patterns = await this.storage.getLearningPatterns();
             
             // Convert to internal format
             this.successfulPatterns = patterns.map(p => ({
@@ -126,13 +124,7 @@ window.TokenCompressor.LearningSystem = class LearningSystem {
      */
     async loadFailedAttempts() {
         try {
-            const { data: failures, error } = await this.supabase.supabase
-                .from('failed_attempts')
-                .select('*')
-                .order('created_at', { ascending: false })
-                .limit(100); // Only recent failures
-                
-            if (error) throw error;
+            const failures = await this.storage.getFailedAttempts(100); // Only recent failures
             
             // Convert to internal format
             this.failedAttempts = failures.map(f => ({
@@ -245,22 +237,20 @@ window.TokenCompressor.LearningSystem = class LearningSystem {
      */
     async recordFailedAttempt(original, compressed, originalTokens, compressedTokens, failureReason, patternType, domain) {
         try {
-            const { error } = await this.supabase.supabase
-                .from('failed_attempts')
-                .insert({
-                    original_word: original,
-                    attempted_compression: compressed,
-                    failure_reason: failureReason || 'token_count_fail',
-                    failure_details: `Original: ${originalTokens} tokens, Compressed: ${compressedTokens} tokens, Savings: ${originalTokens - compressedTokens}`,
-                    pattern_type: patternType,
-                    domain_source: domain,
-                    token_count_original: originalTokens,
-                    token_count_compressed: compressedTokens,
-                    semantic_score: null, // Could be added later with semantic validation
-                    agent_version: '1.0'
-                });
-                
-            if (error) throw error;
+            const saved = await this.storage.saveFailedAttempt({
+                original_word: original,
+                attempted_compression: compressed,
+                failure_reason: failureReason || 'token_count_fail',
+                failure_details: `Original: ${originalTokens} tokens, Compressed: ${compressedTokens} tokens, Savings: ${originalTokens - compressedTokens}`,
+                pattern_type: patternType,
+                domain_source: domain,
+                token_count_original: originalTokens,
+                token_count_compressed: compressedTokens,
+                semantic_score: null, // Could be added later with semantic validation
+                agent_version: '1.0'
+            });
+            
+            if (!saved) throw new Error('storage rejected the failed attempt');
             
         } catch (error) {
             console.warn('Failed to record failed attempt to database:', error);
@@ -376,6 +366,12 @@ window.TokenCompressor.LearningSystem = class LearningSystem {
                 return word.substring(0, 3).toLowerCase();
                 
             case 'greek_letter':
+                // Prefer the registry: free and a single token, not just unused here
+                const registry = window.TokenCompressor.symbolRegistry;
+                if (registry?.inventory.length > 0) {
+                    return registry.getFreeSymbols({ block: 'greek', limit: 1 })[0]?.symbol || null;
+                }
+                
                 // Use next available Greek letter
                 const greekLetters = 'αβγδεθλμπρστφψω'.split('');
                 const usedLetters = Array.from(this.discoveries.values())
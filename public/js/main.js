@@ -34,14 +34,14 @@ window.TokenCompressor.App = class App {
                 console.log('⚙️ Configuration loaded');
             }
             
-            // Step 3: Initialize Supabase client
-            if (window.TokenCompressor.SupabaseClient) {
-                const supabaseInit = window.TokenCompressor.SupabaseClient.init();
-                if (!supabaseInit) {
-                    throw new Error('Failed to initialize Supabase client');
+            // Step 3: Initialize storage (Supabase or local, see config.storage)
+            if (window.TokenCompressor.Storage) {
+                const storageInit = window.TokenCompressor.Storage.init();
+                if (!storageInit) {
+                    throw new Error('Failed to initialize storage');
                 }
-                this.components.set('supabaseClient', window.TokenCompressor.SupabaseClient);
-                console.log('📊 Supabase client initialized');
+                this.components.set('storage', window.TokenCompressor.Storage);
+                console.log(`📊 Storage initialized (${window.TokenCompressor.config.storage.backend})`);
             }
             
             // Step 4: Initialize API client
@@ -58,12 +58,18 @@ window.TokenCompressor.App = class App {
                 console.log('🖥️ Real-time UI initialized');
             }
             
-            // Step 6: Initialize and start Orchestrator
+            // Step 6: Initialize Orchestrator - read-only viewer unless this tab runs the lab itself
             if (window.TokenCompressor.Orchestrator) {
-                const orchestrator = new window.TokenCompressor.Orchestrator();
-                await orchestrator.initialize();
+                const runMode = window.TokenCompressor.config.discovery.runMode;
+                const orchestrator = new window.TokenCompressor.Orchestrator({ mode: runMode });
+                if (runMode === 'browser') {
+                    await orchestrator.initialize();
+                    console.log('🎭 Orchestrator initialized and running');
+                } else {
+                    await orchestrator.initializeViewer();
+                    console.log('👀 Orchestrator initialized as viewer (headless runner does discovery)');
+                }
                 this.components.set('orchestrator', orchestrator);
-                console.log('🎭 Orchestrator initialized and running');
             }
             
             // Step 7: Set up global event handlers
@@ -145,8 +151,8 @@ window.TokenCompressor.App = class App {
             const orchestrator = this.components.get('orchestrator');
             const realTimeUI = this.components.get('realTimeUI');
             
-            // Check if orchestrator is running
-            if (orchestrator && !orchestrator.isRunning) {
+            // Check if orchestrator is running (viewers never run the schedule)
+            if (orchestrator && orchestrator.mode === 'browser' && !orchestrator.isRunning) {
                 console.warn('⚠️ Orchestrator not running - attempting restart');
                 orchestrator.startDiscoveryProcess();
             }
@@ -201,9 +207,12 @@ window.TokenCompressor.App = class App {
      * Show initialization complete message
      */
     showInitializationComplete() {
-        // Update status indicator
+        // Update status indicator (viewers show the headless runner's status instead)
+        const orchestrator = this.components.get('orchestrator');
         const statusElement = document.getElementById('status-indicator');
-        if (statusElement) {
+        if (orchestrator?.mode === 'viewer') {
+            orchestrator.updateRunnerStatus();
+        } else if (statusElement) {
             statusElement.textContent = 'ONLINE';
             statusElement.className = 'status online';
         }
@@ -257,7 +266,7 @@ window.TokenCompressor.App = class App {
                 orchestrator: orchestrator?.getStatus() || null,
                 realTimeUI: realTimeUI?.isInitialized || false,
                 apiClient: !!this.components.get('apiClient'),
-                supabaseClient: !!this.components.get('supabaseClient')
+                storage: !!this.components.get('storage')
             }
         };
     }
@@ -1,10 +1,18 @@
 // Agent Orchestrator - Coordinates 30-second cycles and testing ceremonies
+//
+// Modes (config.discovery.runMode / constructor options):
+// - 'headless': runs the schedule inside the Node runner (server/orchestrator-runner.js), no DOM
+// - 'viewer':   browser tab only displays what the runner writes to the database
+// - 'browser':  legacy - the tab runs the schedule itself (local experiments only)
 window.TokenCompressor = window.TokenCompressor || {};
 
 window.TokenCompressor.Orchestrator = class Orchestrator {
-    constructor() {
+    constructor(options = {}) {
+        this.mode = options.mode || 'browser';
+        this.runnerId = options.runnerId || `browser-${Math.random().toString(36).substr(2, 9)}`;
         this.isInitialized = false;
         this.isRunning = false;
+        this.isCeremonyRunning = false;
         this.currentCycle = 0;
         this.currentHour = 1;
         
@@ -15,13 +23,20 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
         
         // State management
         this.pendingCandidates = [];
+        this.recentArticles = [];          // Article texts from discovery, scanned at ceremony for natural symbol use and phrase frequency
         this.activeConversation = null;
         this.lastCeremonyTime = 0;
         
+        // Ceremony events for the runner: 'ceremony' { ceremonyKey, hour, submissions, outcomes } (notifications)
+        this.events = new window.TokenCompressor.EventEmitter();
+        
         // Configuration
         this.config = window.TokenCompressor.config.discovery;
         this.cycleInterval = null;
         this.ceremonyTimeout = null;
+        this.ceremonyCheckInterval = null;
+        this.uiUpdateInterval = null;
+        this.viewerRefreshInterval = null;
         
         // Statistics
         this.stats = {
@@ -43,8 +58,16 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
         
         try {
             // Initialize required services
-            if (!window.TokenCompressor.SupabaseClient.init()) {
-                throw new Error('Failed to initialize Supabase client');
+            if (!window.TokenCompressor.Storage.init()) {
+                throw new Error('Failed to initialize storage');
+            }
+            
+            // The learning system loaded before storage was ready - give agents the full history
+            await window.TokenCompressor.learningSystem?.initializeLearnings();
+            
+            // Symbol reservations are held in this runner's name
+            if (window.TokenCompressor.symbolRegistry) {
+                window.TokenCompressor.symbolRegistry.holder = this.runnerId;
             }
             
             // Create agent instances
@@ -63,6 +86,9 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
             
         } catch (error) {
             console.error('Orchestrator initialization failed:', error);
+            if (this.mode === 'headless') {
+                throw error; // Runner decides whether to retry
+            }
             window.TokenCompressor.ErrorHandler.showError(
                 'Initialization Error',
                 'Failed to start the discovery lab. Please refresh the page.'
@@ -70,6 +96,50 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
         }
     }
     
+    /**
+     * Initialize as a read-only viewer: the headless runner does the work,
+     * this tab only mirrors statistics and runner status from the database
+     */
+    async initializeViewer() {
+        if (this.isInitialized) return;
+        
+        if (!window.TokenCompressor.Storage.init()) {
+            console.error('Viewer initialization failed: no database connection');
+            return;
+        }
+        
+        await this.loadInitialStats();
+        await this.updateRunnerStatus();
+        
+        // Stats changes arrive in real time; runner status is polled (lease renewals every 30s)
+        window.TokenCompressor.Storage.subscribeToStats(() => this.loadInitialStats());
+        this.viewerRefreshInterval = setInterval(() => {
+            this.loadInitialStats();
+            this.updateRunnerStatus();
+        }, 30000);
+        
+        this.startUIUpdates();
+        
+        this.isInitialized = true;
+        console.log('👀 Orchestrator running as read-only viewer');
+    }
+    
+    /**
+     * Show whether a headless runner currently holds the lease
+     */
+    async updateRunnerStatus() {
+        const lease = await window.TokenCompressor.Storage.getRunnerLease();
+        const isOnline = !!lease?.holder && new Date(lease.expires_at).getTime() > Date.now();
+        
+        const statusElement = document.getElementById('status-indicator');
+        if (statusElement) {
+            statusElement.textContent = isOnline ? 'ONLINE' : 'RUNNER OFFLINE';
+            statusElement.className = `status ${isOnline ? 'online' : 'error'}`;
+        }
+        
+        return isOnline;
+    }
+    
     /**
      * Start the continuous discovery process
      */
@@ -85,8 +155,10 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
         // Schedule ceremony check
         this.scheduleCeremonyCheck();
         
-        // Update UI periodically
-        this.startUIUpdates();
+        // Update UI periodically (no DOM in the headless runner)
+        if (this.mode !== 'headless') {
+            this.startUIUpdates();
+        }
     }
     
     /**
@@ -102,7 +174,7 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
         if (currentMinute >= 55) {
             console.log('⏸️ Pausing cycles for testing ceremony');
             // Schedule after ceremony
-            setTimeout(() => this.scheduleNextCycle(), 60000);
+            this.cycleInterval = setTimeout(() => this.scheduleNextCycle(), 60000);
             return;
         }
         
@@ -124,6 +196,7 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
             
             // Step 1: Discovery Agent searches and analyzes
             const discoveryResult = await this.discoveryAgent.runDiscoveryCycle();
+            this.rememberArticle(this.discoveryAgent.currentArticle);
             
             if (!discoveryResult || discoveryResult.wastefulWords.length === 0) {
                 console.log('📭 No wasteful words found this cycle');
@@ -145,7 +218,7 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
             await this.runCollaborativeDiscussion(discoveryResult, generationResult);
             
             // Step 4: Queue candidates for testing
-            this.queueCandidatesForTesting(generationResult.compressions);
+            await this.queueCandidatesForTesting(generationResult.compressions);
             
             this.stats.cyclesCompleted++;
             
@@ -155,6 +228,18 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
         }
     }
     
+    /**
+     * Keep recent article texts for the ceremony's natural-occurrence scan
+     */
+    rememberArticle(article) {
+        if (!article?.content || this.recentArticles.includes(article.content)) return;
+        
+        this.recentArticles.push(article.content);
+        if (this.recentArticles.length > this.config.maxRecentArticles) {
+            this.recentArticles.shift();
+        }
+    }
+    
     /**
      * Run collaborative discussion between agents
      */
@@ -193,7 +278,7 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
     /**
      * Queue compression candidates for testing
      */
-    queueCandidatesForTesting(compressions) {
+    async queueCandidatesForTesting(compressions) {
         compressions.forEach(compression => {
             this.pendingCandidates.push({
                 ...compression,
@@ -204,9 +289,11 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
         
         console.log(`📋 Queued ${compressions.length} candidates (${this.pendingCandidates.length} total pending)`);
         
-        // Limit pending queue size
+        // Limit pending queue size (dropped candidates give their symbols back)
         if (this.pendingCandidates.length > this.config.maxPendingCandidates) {
+            const dropped = this.pendingCandidates.slice(0, -this.config.maxPendingCandidates);
             this.pendingCandidates = this.pendingCandidates.slice(-this.config.maxPendingCandidates);
+            await this.releaseSymbols(dropped);
         }
     }
     
@@ -214,7 +301,7 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
      * Check for and run testing ceremony
      */
     scheduleCeremonyCheck() {
-        setInterval(() => {
+        this.ceremonyCheckInterval = setInterval(() => {
             const now = new Date();
             const currentMinute = now.getMinutes();
             
@@ -232,20 +319,42 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
         if (this.isCeremonyRunning) return;
         
         this.isCeremonyRunning = true;
+        
+        // Claim this wall-clock hour so the ceremony runs exactly once across all runners
+        const ceremonyKey = new Date().toISOString().slice(0, 13);
+        const claimed = await window.TokenCompressor.Storage.claimCeremony(ceremonyKey, this.runnerId, this.currentHour);
+        if (!claimed) {
+            console.log(`🎭 Ceremony ${ceremonyKey} already claimed - skipping`);
+            this.isCeremonyRunning = false;
+            return;
+        }
+        
         console.log('🎭 Testing ceremony begins!');
         
         try {
-            // Get human submissions
-            const humanSubmissions = await window.TokenCompressor.SupabaseClient.getUntestedSubmissions();
+            // Get human submissions and mark them as being tested by this ceremony
+            const Storage = window.TokenCompressor.Storage;
+            const queued = await Storage.getUntestedSubmissions();
+            await Storage.updateSubmissionStatuses(queued.map(submission => ({ id: submission.id, status: 'testing', hour: this.currentHour })));
+            const queuedIds = new Set(queued.map(submission => submission.id));
+            const humanSubmissions = (await Storage.getUntestedSubmissions()).filter(submission => queuedIds.has(submission.id));
             
-            // Run validation
+            // Run validation against the full approved codex and the articles seen this hour
             const results = await this.validationAgent.runTestingCeremony(
                 this.pendingCandidates,
-                humanSubmissions
+                humanSubmissions,
+                {
+                    codex: await window.TokenCompressor.Storage.getAllCompressions(),
+                    corpus: this.recentArticles
+                }
             );
             
             // Process results
-            await this.processCeremonyResults(results, humanSubmissions);
+            const outcomes = await this.processCeremonyResults(results, humanSubmissions);
+            this.events.emit('ceremony', { ceremonyKey, hour: this.currentHour, submissions: humanSubmissions, outcomes });
+            
+            // Snapshot the codex as a numbered release (also picks up deprecations made since the last one)
+            await this.publishCodexRelease();
             
             // Clear pending candidates
             this.pendingCandidates = [];
@@ -259,8 +368,12 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
             
             this.lastCeremonyTime = Date.now();
             
+            await window.TokenCompressor.Storage.completeCeremony(ceremonyKey);
+            
         } catch (error) {
             console.error('Testing ceremony error:', error);
+            // Unclaim the hour so the next check (every 30 seconds during minute 55) retries it
+            await window.TokenCompressor.Storage.releaseCeremony(ceremonyKey, this.runnerId);
         } finally {
             this.isCeremonyRunning = false;
             console.log('🎭 Testing ceremony completed');
@@ -269,20 +382,27 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
     
     /**
      * Process ceremony results and update database
+     *
+     * RETURNS: what happened to each human submission (SubmissionLifecycle.ceremonyOutcomes)
      */
     async processCeremonyResults(results, humanSubmissions) {
         const { validCompressions, rejectedCompressions } = results;
         
-        // Save valid compressions to database
+        // Save valid compressions to database (the leaderboard credit is scored by corpus frequency)
         for (const compression of validCompressions) {
-            await window.TokenCompressor.SupabaseClient.saveCompression({
+            await window.TokenCompressor.Storage.saveCompression({
                 original: compression.original,
                 compressed: compression.compressed,
                 source: compression.source,
                 hour: this.currentHour,
-                tokensSaved: compression.tokensSaved || 2
+                tokensSaved: compression.tokensSaved || 2,
+                tokenMatrix: compression.tokenMatrix || null,
+                inflections: compression.inflections || null,
+                corpusFrequency: window.TokenCompressor.Leaderboard.corpusFrequency(compression, this.recentArticles)
             });
             
+            await window.TokenCompressor.symbolRegistry?.allocate(compression.compressed, compression.original);
+            
             // Update statistics
             if (compression.source?.startsWith('Human:')) {
                 this.stats.humanWins++;
@@ -292,14 +412,68 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
             this.stats.totalCompressions++;
         }
         
-        // Mark human submissions as tested
+        await this.releaseSymbols(rejectedCompressions);
+        
+        // Record each human submission's fate: accepted, rejected (with the reason), duplicate, or back in the queue
+        let outcomes = [];
         if (humanSubmissions.length > 0) {
-            const testedIds = humanSubmissions.map(s => s.id);
-            await window.TokenCompressor.SupabaseClient.markSubmissionsTested(testedIds, true);
+            outcomes = window.TokenCompressor.SubmissionLifecycle.ceremonyOutcomes(humanSubmissions, results);
+            await window.TokenCompressor.Storage.updateSubmissionStatuses(outcomes);
+            
+            const counts = outcomes.reduce((tally, outcome) => ({ ...tally, [outcome.status]: (tally[outcome.status] || 0) + 1 }), {});
+            console.log(`👥 Human submissions: ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')}`);
         }
         
         // Update global stats
         await this.updateGlobalStats();
+        
+        return outcomes;
+    }
+    
+    /**
+     * Publish a codex release when the codex changed since the last one (see codex/releases.js)
+     */
+    async publishCodexRelease() {
+        const Storage = window.TokenCompressor.Storage;
+        
+        try {
+            const previous = await Storage.getLatestCodexRelease();
+            const rows = await Storage.getAllCompressions();
+            
+            // An empty read next to a non-empty release is a failed query, not a codex with every entry removed
+            if (rows.length === 0 && previous?.entry_count > 0) {
+                console.warn('⚠️ Codex read returned no entries - skipping release');
+                return null;
+            }
+            
+            const release = window.TokenCompressor.CodexReleases.planRelease(previous, rows, { hour: this.currentHour });
+            if (!release) return null;
+            
+            if (!await Storage.saveCodexRelease(release)) {
+                console.warn(`⚠️ Codex ${release.version} was not published (already exists or storage unavailable)`);
+                return null;
+            }
+            
+            const { added, removed, deprecated, changed } = release.changelog;
+            console.log(`🏷️ Codex ${release.version} released (${release.bump}): +${added.length} -${removed.length} ~${changed.length}, ${deprecated.length} deprecated`);
+            return release;
+            
+        } catch (error) {
+            console.error('Codex release failed:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Free the symbol reservations of candidates that will not join the codex
+     */
+    async releaseSymbols(candidates) {
+        const registry = window.TokenCompressor.symbolRegistry;
+        if (!registry) return;
+        
+        for (const candidate of candidates.filter(c => c.reservedSymbol)) {
+            await registry.free(candidate.compressed);
+        }
     }
     
     /**
@@ -331,7 +505,7 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
      */
     async loadInitialStats() {
         try {
-            const dbStats = await window.TokenCompressor.SupabaseClient.getStats();
+            const dbStats = await window.TokenCompressor.Storage.getStats();
             
             if (dbStats.current_hour) {
                 this.currentHour = dbStats.current_hour;
@@ -341,6 +515,10 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
                 this.stats.totalCompressions = dbStats.total_compressions;
             }
             
+            if (dbStats.total_articles_processed) {
+                this.stats.cyclesCompleted = dbStats.total_articles_processed;
+            }
+            
             // Update UI
             this.updateStatsDisplay();
             
@@ -360,7 +538,7 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
         ];
         
         for (const update of updates) {
-            await window.TokenCompressor.SupabaseClient.updateStat(update.metric, update.value);
+            await window.TokenCompressor.Storage.updateStat(update.metric, update.value);
         }
     }
     
@@ -369,7 +547,7 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
      */
     async getCurrentCodex() {
         try {
-            const compressions = await window.TokenCompressor.SupabaseClient.getCompressions(100);
+            const compressions = await window.TokenCompressor.Storage.getCompressions(100);
             const codex = {};
             
             compressions.forEach(comp => {
@@ -388,7 +566,7 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
      * Start periodic UI updates
      */
     startUIUpdates() {
-        setInterval(() => {
+        this.uiUpdateInterval = setInterval(() => {
             this.updateStatsDisplay();
             this.updateCountdowns();
         }, this.config.ui?.updateInterval || 1000);
@@ -398,6 +576,8 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
      * Update statistics display
      */
     updateStatsDisplay() {
+        if (this.mode === 'headless') return;
+        
         // Update hour counter
         const hourElement = document.getElementById('current-hour');
         if (hourElement) {
@@ -442,6 +622,15 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
         if (marqueeCountdownElement) {
             marqueeCountdownElement.textContent = countdownText;
         }
+        
+        // Countdown to the daily leaderboard reset (midnight UTC)
+        const leaderboardResetElement = document.getElementById('leaderboard-reset');
+        if (leaderboardResetElement) {
+            const secondsToReset = Math.ceil((window.TokenCompressor.Leaderboard.nextReset(now) - now) / 1000);
+            leaderboardResetElement.textContent = [Math.floor(secondsToReset / 3600), Math.floor(secondsToReset / 60) % 60, secondsToReset % 60]
+                .map(part => part.toString().padStart(2, '0'))
+                .join(':');
+        }
     }
     
     /**
@@ -460,6 +649,13 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
             this.ceremonyTimeout = null;
         }
         
+        for (const interval of ['ceremonyCheckInterval', 'uiUpdateInterval', 'viewerRefreshInterval']) {
+            if (this[interval]) {
+                clearInterval(this[interval]);
+                this[interval] = null;
+            }
+        }
+        
         console.log('🛑 Orchestrator stopped');
     }
     
@@ -468,6 +664,8 @@ window.TokenCompressor.Orchestrator = class Orchestrator {
      */
     getStatus() {
         return {
+            mode: this.mode,
+            runnerId: this.runnerId,
             isInitialized: this.isInitialized,
             isRunning: this.isRunning,
             currentCycle: this.currentCycle,
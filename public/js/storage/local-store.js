@@ -0,0 +1,777 @@
+/**
+ * LOCAL STORE - Drop-in replacement for SupabaseClient without a database
+ *
+ * Same method set and return shapes as SupabaseClient, backed by in-memory tables
+ * that a persistence adapter saves as one JSON document:
+ * - browser: localStorage (LocalStore.browserAdapter)
+ * - Node:    a JSON file (server/json-file-adapter.js)
+ *
+ * The Supabase triggers (stats recount, leaderboard, learning patterns) are emulated
+ * on insert. Realtime: changes made through this store are emitted in-process; changes
+ * made by another process or tab are picked up by polling the adapter and diffing rows.
+ */
+
+window.TokenCompressor = window.TokenCompressor || {};
+
+window.TokenCompressor.LocalStore = class LocalStore {
+    constructor(options = {}) {
+        const config = window.TokenCompressor.config.storage || {};
+        
+        this.adapter = options.adapter || LocalStore.browserAdapter(config.localKey);
+        this.pollInterval = options.pollInterval ?? config.pollInterval ?? 5000;
+        this.events = new window.TokenCompressor.EventEmitter();
+        this.subscriptions = new Map();
+        this.tables = null;
+        this.storedKeys = new Map(); // Table → row keys in the stored document as of our last read or write
+        this.pollTimer = null;
+    }
+    
+    /**
+     * Persist to localStorage under one key
+     */
+    static browserAdapter(key = 'tokenCompressorLocalDB') {
+        return {
+            load: () => {
+                const raw = localStorage.getItem(key);
+                return raw ? JSON.parse(raw) : null;
+            },
+            save: (tables) => localStorage.setItem(key, JSON.stringify(tables))
+        };
+    }
+    
+    /**
+     * Fresh database: same seed rows as doc/supabase-setup-fixed.sql and doc/orchestrator-runner-schema.sql
+     */
+    static emptyTables() {
+        const now = new Date().toISOString();
+        const stats = ['current_hour', 'total_compressions', 'total_articles_processed', 'total_tokens_saved', 'human_wins', 'ai_wins']
+            .map((metricName, index) => ({
+                id: index + 1,
+                metric_name: metricName,
+                metric_value: metricName === 'current_hour' ? 1 : 0,
+                updated_at: now
+            }));
+        
+        return {
+            compressions: [],
+            submissions: [],
+            leaderboard: [],
+            stats,
+            learning_patterns: [],
+            failed_attempts: [],
+            runner_lease: [{ id: 1, holder: null, expires_at: new Date(0).toISOString(), renewed_at: null }],
+            ceremony_runs: [],
+            symbol_allocations: [],
+            codex_releases: [],
+            notification_suppressions: [],
+            notification_log: []
+        };
+    }
+    
+    /**
+     * Load the tables (idempotent). Always succeeds - an unreadable document starts fresh.
+     */
+    init() {
+        if (this.tables) return true;
+        
+        this.tables = this.readTables();
+        this.rememberStoredKeys();
+        console.log(`💾 [LOCAL-STORE] Initialized with ${this.tables.compressions.length} compressions`);
+        return true;
+    }
+    
+    readTables() {
+        let stored = null;
+        try {
+            stored = this.adapter.load();
+        } catch (error) {
+            console.error('❌ [LOCAL-STORE] Failed to load stored tables, starting fresh:', error);
+        }
+        return { ...LocalStore.emptyTables(), ...(stored || {}) };
+    }
+    
+    /**
+     * Save the tables. Rows another process added since our last read (the unsubscribe API's
+     * suppressions, another runner's rows) are merged in first instead of overwritten; rows we
+     * had read are ours to update or delete.
+     */
+    persist() {
+        try {
+            for (const [name, rows] of Object.entries(this.readTables())) {
+                const known = this.storedKeys.get(name) || new Set();
+                const ours = new Set((this.tables[name] || []).map(row => this.rowKey(row)));
+                for (const row of rows.filter(row => !known.has(this.rowKey(row)) && !ours.has(this.rowKey(row)))) {
+                    (this.tables[name] = this.tables[name] || []).push(row);
+                    this.emitChange(name, 'INSERT', row, null);
+                }
+            }
+            this.adapter.save(this.tables);
+            this.rememberStoredKeys();
+        } catch (error) {
+            console.error('❌ [LOCAL-STORE] Failed to persist tables:', error);
+        }
+    }
+    
+    rememberStoredKeys() {
+        this.storedKeys = new Map(Object.entries(this.tables).map(([name, rows]) => [name, new Set(rows.map(row => this.rowKey(row)))]));
+    }
+    
+    table(name) {
+        this.init();
+        return this.tables[name];
+    }
+    
+    nextId(name) {
+        return this.table(name).reduce((max, row) => Math.max(max, row.id || 0), 0) + 1;
+    }
+    
+    insertRow(name, values) {
+        const now = new Date().toISOString();
+        const row = { id: this.nextId(name), created_at: now, ...values };
+        this.table(name).push(row);
+        this.emitChange(name, 'INSERT', row, null);
+        return row;
+    }
+    
+    updateRows(name, predicate, changes) {
+        const updated = [];
+        for (const row of this.table(name)) {
+            if (!predicate(row)) continue;
+            const old = { ...row };
+            Object.assign(row, changes);
+            this.emitChange(name, 'UPDATE', row, old);
+            updated.push(row);
+        }
+        return updated;
+    }
+    
+    emitChange(table, eventType, row, old) {
+        this.events.emit(table, { eventType, table, new: { ...row }, old: old ? { ...old } : null });
+    }
+    
+    /**
+     * Newest first, like .order('created_at', { ascending: false })
+     */
+    newestFirst(rows) {
+        return [...rows].sort((a, b) => (b.created_at || '').localeCompare(a.created_at || '') || b.id - a.id);
+    }
+    
+    /**
+     * Submit human compression idea: stored as received, then queued or turned away by intake
+     *
+     * RETURNS: { success, submission } (submission as shown to its submitter - see SubmissionLifecycle.publicView)
+     */
+    async submitCompression(data) {
+        const lifecycle = window.TokenCompressor.SubmissionLifecycle;
+        const verdict = lifecycle.intake(data, await lifecycle.loadIntakeContext(this, data));
+        const row = this.insertRow('submissions', lifecycle.newSubmission(data, verdict));
+        this.persist();
+        return { success: true, submission: lifecycle.publicView(row) };
+    }
+    
+    /**
+     * Get validated compressions from codex
+     */
+    async getCompressions(limit = 50) {
+        return this.newestFirst(this.table('compressions')).slice(0, limit);
+    }
+    
+    /**
+     * Get every compression in the codex (learning system context - no limit)
+     */
+    async getAllCompressions() {
+        return this.newestFirst(this.table('compressions'));
+    }
+    
+    /**
+     * Save discovered compression, then run the emulated insert triggers
+     */
+    async saveCompression(compression) {
+        const now = new Date().toISOString();
+        const row = this.insertRow('compressions', {
+            original: compression.original,
+            compressed: compression.compressed,
+            source: compression.source || 'AI-Discovery',
+            hour: compression.hour,
+            tokens_saved: compression.tokensSaved || 0,
+            token_matrix: compression.tokenMatrix || null,
+            inflections: compression.inflections || null,
+            corpus_frequency: compression.corpusFrequency || 1,
+            validated_at: now
+        });
+        
+        this.updateLeaderboard(row);
+        this.updateGlobalStats();
+        this.updateLearningPatterns(row);
+        this.persist();
+        return [row];
+    }
+    
+    /**
+     * Emulates update_leaderboard_on_compression(), one row per contributor per day
+     */
+    updateLeaderboard(compression) {
+        const credit = window.TokenCompressor.Leaderboard.credit(compression);
+        const entry = this.table('leaderboard').find(row => row.name === credit.name && row.date === credit.date);
+        
+        if (entry) {
+            this.updateRows('leaderboard', row => row === entry, {
+                compressions_count: entry.compressions_count + credit.compressions_count,
+                tokens_saved: entry.tokens_saved + credit.tokens_saved,
+                score: (entry.score ?? entry.tokens_saved) + credit.score,
+                updated_at: new Date().toISOString()
+            });
+        } else {
+            this.insertRow('leaderboard', {
+                ...credit,
+                email: '',
+                updated_at: new Date().toISOString()
+            });
+        }
+    }
+    
+    /**
+     * Emulates update_global_stats()
+     */
+    updateGlobalStats() {
+        const compressions = this.table('compressions');
+        const recount = {
+            total_compressions: compressions.length,
+            total_tokens_saved: compressions.reduce((sum, row) => sum + (row.tokens_saved || 0), 0),
+            human_wins: compressions.filter(row => row.source?.startsWith('Human:')).length,
+            ai_wins: compressions.filter(row => row.source === 'AI-Discovery').length
+        };
+        
+        for (const [metricName, value] of Object.entries(recount)) {
+            this.setStat(metricName, value);
+        }
+    }
+    
+    /**
+     * Emulates update_learning_patterns_on_success() (doc/learning-tables-schema.sql)
+     */
+    updateLearningPatterns(compression) {
+        const { original, compressed } = compression;
+        const saved = compression.tokens_saved || 0;
+        
+        let patternType = 'multi_character';
+        if (/^[∂∫∏∑ΔΩ]/.test(compressed)) patternType = 'mathematical_symbol';
+        else if (/^[αβγδεθλμπρστφψω]/.test(compressed)) patternType = 'greek_letter';
+        else if (/^[†‡§¶◊♦]/.test(compressed)) patternType = 'special_symbol';
+        else if ([...compressed].length === 1) patternType = 'single_character';
+        
+        let domain = 'general';
+        if (/(technology|implementation|software|algorithm|database|configuration)/.test(original)) domain = 'tech';
+        else if (/(business|management|organization|strategy|performance)/.test(original)) domain = 'business';
+        else if (/(unfortunately|approximately|comprehensive|development)/.test(original)) domain = 'common';
+        
+        const now = new Date().toISOString();
+        const pattern = this.table('learning_patterns')
+            .find(row => row.pattern_type === patternType && row.domain_source === domain);
+        
+        if (pattern) {
+            const successful = pattern.successful_attempts + 1;
+            const total = pattern.total_attempts + 1;
+            this.updateRows('learning_patterns', row => row === pattern, {
+                total_attempts: total,
+                successful_attempts: successful,
+                success_rate: successful / total,
+                token_savings_avg: (pattern.token_savings_avg * pattern.successful_attempts + saved) / successful,
+                last_updated: now
+            });
+        } else {
+            this.insertRow('learning_patterns', {
+                pattern_type: patternType,
+                pattern_description: `Pattern detected from successful compression: ${patternType}`,
+                total_attempts: 1,
+                successful_attempts: 1,
+                success_rate: 1.0,
+                example_original: original,
+                example_compressed: compressed,
+                domain_source: domain,
+                token_savings_avg: saved,
+                last_updated: now
+            });
+        }
+    }
+    
+    /**
+     * Get the leaderboard for a period ('today', 'week' or 'all'), best score first
+     */
+    async getLeaderboard(period = 'today') {
+        return window.TokenCompressor.Leaderboard.rank(this.table('leaderboard'), period);
+    }
+    
+    /**
+     * Get system statistics
+     */
+    async getStats() {
+        const stats = {};
+        this.table('stats').forEach(stat => {
+            stats[stat.metric_name] = stat.metric_value;
+        });
+        return stats;
+    }
+    
+    /**
+     * Update system statistics
+     */
+    async updateStat(metricName, value) {
+        this.setStat(metricName, value);
+        this.persist();
+        return true;
+    }
+    
+    setStat(metricName, value) {
+        this.updateRows('stats', row => row.metric_name === metricName && row.metric_value !== value, {
+            metric_value: value,
+            updated_at: new Date().toISOString()
+        });
+    }
+    
+    /**
+     * Subscribe to changes. Same payload as Supabase realtime: { eventType, table, new, old }.
+     * Filters support Supabase's 'column=eq.value' form.
+     */
+    subscribeToTable(tableName, callback, filter = null) {
+        const [column, value] = filter ? filter.split('=eq.') : [];
+        const listener = (payload) => {
+            if (column && String(payload.new?.[column]) !== value) return;
+            callback(payload);
+        };
+        
+        const key = `${tableName}_${Date.now()}_${this.subscriptions.size}`;
+        const off = this.events.on(tableName, listener);
+        const subscription = {
+            unsubscribe: () => {
+                off();
+                this.subscriptions.delete(key);
+                if (this.subscriptions.size === 0) this.stopPolling();
+            }
+        };
+        
+        this.subscriptions.set(key, subscription);
+        this.startPolling();
+        return subscription;
+    }
+    
+    /**
+     * Subscribe to compressions (for timeline updates)
+     */
+    subscribeToCompressions(callback) {
+        return this.subscribeToTable('compressions', (payload) => {
+            if (payload.eventType === 'INSERT') {
+                callback(payload.new);
+            }
+        });
+    }
+    
+    /**
+     * Subscribe to leaderboard changes (every day's rows - the weekly and all-time boards add them up)
+     */
+    subscribeToLeaderboard(callback) {
+        return this.subscribeToTable('leaderboard', callback);
+    }
+    
+    /**
+     * Subscribe to statistics updates
+     */
+    subscribeToStats(callback) {
+        return this.subscribeToTable('stats', (payload) => {
+            if (payload.eventType === 'UPDATE') {
+                callback({
+                    metric: payload.new.metric_name,
+                    value: payload.new.metric_value
+                });
+            }
+        });
+    }
+    
+    /**
+     * Unsubscribe from all real-time updates
+     */
+    unsubscribeAll() {
+        for (const subscription of [...this.subscriptions.values()]) {
+            subscription.unsubscribe();
+        }
+        this.subscriptions.clear();
+        this.stopPolling();
+    }
+    
+    startPolling() {
+        if (this.pollTimer || !this.pollInterval) return;
+        this.init(); // Baseline for the first diff
+        this.pollTimer = setInterval(() => this.refresh(), this.pollInterval);
+        this.pollTimer.unref?.(); // Never keep a Node process alive just for polling
+    }
+    
+    stopPolling() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    }
+    
+    /**
+     * Reload from the adapter and emit INSERT/UPDATE events for rows another process
+     * (the headless runner, another tab) changed since our last read
+     */
+    refresh() {
+        this.init();
+        const previous = this.tables;
+        const current = this.readTables();
+        this.tables = current;
+        this.rememberStoredKeys();
+        
+        for (const [name, rows] of Object.entries(current)) {
+            const before = new Map((previous[name] || []).map(row => [this.rowKey(row), row]));
+            for (const row of rows) {
+                const old = before.get(this.rowKey(row));
+                if (!old) {
+                    this.emitChange(name, 'INSERT', row, null);
+                } else if (JSON.stringify(old) !== JSON.stringify(row)) {
+                    this.emitChange(name, 'UPDATE', row, old);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Primary key of a row (tables keyed by something other than id mirror the SQL schema)
+     */
+    rowKey(row) {
+        return row.id ?? row.ceremony_key ?? row.symbol ?? row.version;
+    }
+    
+    /**
+     * Get submissions awaiting testing (queued, or stuck in testing by an unfinished ceremony), oldest first
+     */
+    async getUntestedSubmissions() {
+        const lifecycle = window.TokenCompressor.SubmissionLifecycle;
+        return this.table('submissions')
+            .filter(row => lifecycle.isAwaitingCeremony(row))
+            .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id - b.id);
+    }
+    
+    /**
+     * Move submissions through the lifecycle
+     *
+     * updates: [{ id, status, reason?, hour?, measurements? }] - moves the lifecycle doesn't allow are skipped
+     * RETURNS: number of submissions updated
+     */
+    async updateSubmissionStatuses(updates) {
+        const lifecycle = window.TokenCompressor.SubmissionLifecycle;
+        let updated = 0;
+        
+        for (const update of updates) {
+            const row = this.table('submissions').find(candidate => candidate.id === update.id);
+            if (!row) continue;
+            
+            try {
+                this.updateRows('submissions', candidate => candidate === row, lifecycle.transition(row, update));
+                updated++;
+            } catch (error) {
+                console.warn(`⚠️ [LOCAL-STORE] ${error.message}`);
+            }
+        }
+        
+        if (updated > 0) this.persist();
+        return updated;
+    }
+    
+    /**
+     * Earlier submissions of a phrase (any case or spacing), for intake
+     */
+    async getSubmissionsForPhrase(original) {
+        const lifecycle = window.TokenCompressor.SubmissionLifecycle;
+        const phrase = lifecycle.phraseKey(original);
+        return this.table('submissions').filter(row => lifecycle.phraseKey(row.original) === phrase);
+    }
+    
+    /**
+     * Everything one submitter sent, newest first - by email, or by name when the query has no "@"
+     */
+    async getSubmissionsBySubmitter(query, limit = 50) {
+        const lifecycle = window.TokenCompressor.SubmissionLifecycle;
+        const needle = String(query || '').trim().toLowerCase();
+        if (!needle) return [];
+        
+        const field = needle.includes('@') ? 'email' : 'name';
+        const rows = this.table('submissions').filter(row => (row[field] || '').trim().toLowerCase() === needle);
+        return this.newestFirst(rows).slice(0, limit).map(row => lifecycle.publicView(row));
+    }
+    
+    /**
+     * Get learning patterns, best success rate first
+     */
+    async getLearningPatterns() {
+        return [...this.table('learning_patterns')].sort((a, b) => b.success_rate - a.success_rate);
+    }
+    
+    /**
+     * Get the most recent failed attempts
+     */
+    async getFailedAttempts(limit = 100) {
+        return this.newestFirst(this.table('failed_attempts')).slice(0, limit);
+    }
+    
+    /**
+     * Failed attempts at a phrase (any case or spacing), for intake
+     */
+    async getFailedAttemptsForPhrase(original) {
+        const lifecycle = window.TokenCompressor.SubmissionLifecycle;
+        const phrase = lifecycle.phraseKey(original);
+        return this.table('failed_attempts').filter(row => lifecycle.phraseKey(row.original_word) === phrase);
+    }
+    
+    /**
+     * Record a failed compression attempt (row uses the failed_attempts column names)
+     */
+    async saveFailedAttempt(attempt) {
+        this.insertRow('failed_attempts', attempt);
+        this.persist();
+        return true;
+    }
+    
+    /**
+     * Acquire or renew the runner lease. Re-reads first: the lease is shared between processes.
+     */
+    async acquireRunnerLease(runnerId, ttlMs = 120000) {
+        this.refresh();
+        const now = new Date();
+        const lease = this.table('runner_lease')[0];
+        
+        if (lease.holder && lease.holder !== runnerId && new Date(lease.expires_at) >= now) {
+            return false;
+        }
+        
+        this.updateRows('runner_lease', row => row === lease, {
+            holder: runnerId,
+            expires_at: new Date(now.getTime() + ttlMs).toISOString(),
+            renewed_at: now.toISOString()
+        });
+        this.persist();
+        return true;
+    }
+    
+    /**
+     * Release the runner lease on shutdown so another runner can take over immediately
+     */
+    async releaseRunnerLease(runnerId) {
+        this.updateRows('runner_lease', row => row.holder === runnerId, {
+            holder: null,
+            expires_at: new Date(0).toISOString()
+        });
+        this.persist();
+        return true;
+    }
+    
+    /**
+     * Get the current runner lease
+     */
+    async getRunnerLease() {
+        return { ...this.table('runner_lease')[0] };
+    }
+    
+    /**
+     * Claim the ceremony for one wall-clock hour. Returns false if anyone already claimed it.
+     */
+    async claimCeremony(ceremonyKey, runnerId, hour) {
+        this.refresh();
+        if (this.table('ceremony_runs').some(row => row.ceremony_key === ceremonyKey)) {
+            return false;
+        }
+        
+        this.table('ceremony_runs').push({
+            ceremony_key: ceremonyKey,
+            runner_id: runnerId,
+            hour: hour,
+            started_at: new Date().toISOString(),
+            completed_at: null
+        });
+        this.persist();
+        return true;
+    }
+    
+    /**
+     * Mark a claimed ceremony as completed
+     */
+    async completeCeremony(ceremonyKey) {
+        this.updateRows('ceremony_runs', row => row.ceremony_key === ceremonyKey, {
+            completed_at: new Date().toISOString()
+        });
+        this.persist();
+        return true;
+    }
+    
+    /**
+     * Give up an unfinished ceremony claim (the ceremony failed), so the hour can be retried
+     */
+    async releaseCeremony(ceremonyKey, runnerId) {
+        this.refresh();
+        const rows = this.table('ceremony_runs');
+        const index = rows.findIndex(row => row.ceremony_key === ceremonyKey && row.runner_id === runnerId && !row.completed_at);
+        if (index !== -1) {
+            rows.splice(index, 1);
+            this.persist();
+        }
+        return true;
+    }
+    
+    /**
+     * Get symbol allocations and live reservations (symbol registry)
+     */
+    async getSymbolAllocations() {
+        this.refresh();
+        return this.table('symbol_allocations').map(row => ({ ...row }));
+    }
+    
+    /**
+     * Reserve a symbol for a word until the next ceremony. Fails if the symbol is allocated
+     * or someone else holds an unexpired reservation.
+     */
+    async reserveSymbol(symbol, original, holder, ttlMs) {
+        this.refresh();
+        const now = new Date();
+        const existing = this.table('symbol_allocations').find(row => row.symbol === symbol);
+        if (existing && (existing.status === 'allocated' || new Date(existing.expires_at) >= now)) {
+            return false;
+        }
+        
+        const reservation = {
+            symbol,
+            original,
+            status: 'reserved',
+            holder,
+            reserved_at: now.toISOString(),
+            expires_at: new Date(now.getTime() + ttlMs).toISOString()
+        };
+        
+        if (existing) {
+            this.updateRows('symbol_allocations', row => row.symbol === symbol, reservation);
+        } else {
+            this.table('symbol_allocations').push(reservation);
+            this.emitChange('symbol_allocations', 'INSERT', reservation, null);
+        }
+        this.persist();
+        return true;
+    }
+    
+    /**
+     * Release a reservation (candidate rejected or dropped). Allocated symbols stay taken.
+     */
+    async freeSymbol(symbol, holder) {
+        this.refresh();
+        const rows = this.table('symbol_allocations');
+        const index = rows.findIndex(row => row.symbol === symbol && row.holder === holder && row.status === 'reserved');
+        if (index !== -1) {
+            rows.splice(index, 1);
+            this.persist();
+        }
+        return true;
+    }
+    
+    /**
+     * Mark a symbol as permanently allocated to a validated compression
+     */
+    async allocateSymbol(symbol, original) {
+        this.refresh();
+        const allocation = { symbol, original, status: 'allocated', expires_at: null };
+        const updated = this.updateRows('symbol_allocations', row => row.symbol === symbol, allocation);
+        
+        if (updated.length === 0) {
+            const row = { ...allocation, holder: null, reserved_at: new Date().toISOString() };
+            this.table('symbol_allocations').push(row);
+            this.emitChange('symbol_allocations', 'INSERT', row, null);
+        }
+        this.persist();
+        return true;
+    }
+    
+    /**
+     * Get the newest codex release (with its entries), or null before the first release
+     */
+    async getLatestCodexRelease() {
+        this.refresh();
+        const releases = this.table('codex_releases'); // Append-only, so the last row is the newest
+        return releases.length > 0 ? { ...releases[releases.length - 1] } : null;
+    }
+    
+    /**
+     * Publish a codex release. Releases are never updated: returns false if the version exists.
+     */
+    async saveCodexRelease(release) {
+        this.refresh();
+        if (this.table('codex_releases').some(row => row.version === release.version)) {
+            return false;
+        }
+        
+        const row = { ...release, released_at: new Date().toISOString() };
+        this.table('codex_releases').push(row);
+        this.emitChange('codex_releases', 'INSERT', row, null);
+        this.persist();
+        return true;
+    }
+    
+    /**
+     * Submitters who opted into daily updates, one row per address
+     */
+    async getDailyUpdateSubscribers() {
+        const subscribers = new Map();
+        for (const row of this.table('submissions')) {
+            const email = (row.email || '').trim().toLowerCase();
+            if (row.daily_updates && email && !subscribers.has(email)) {
+                subscribers.set(email, { email, name: row.name });
+            }
+        }
+        return [...subscribers.values()];
+    }
+    
+    /**
+     * Addresses never to mail again. Re-reads first: the unsubscribe API writes them from its own process.
+     */
+    async getNotificationSuppressions() {
+        this.refresh();
+        return this.table('notification_suppressions').map(row => ({ ...row }));
+    }
+    
+    /**
+     * Put an address on the suppression list ('unsubscribed' or 'bounced'). Idempotent.
+     */
+    async suppressNotifications(email, reason = 'unsubscribed') {
+        this.refresh();
+        const address = String(email || '').trim().toLowerCase();
+        if (!this.table('notification_suppressions').some(row => row.email === address)) {
+            this.insertRow('notification_suppressions', { email: address, reason });
+            this.persist();
+        }
+        return true;
+    }
+    
+    /**
+     * Mails already attempted for one ceremony or digest
+     */
+    async getNotificationLog(kind, key) {
+        return this.table('notification_log').filter(row => row.kind === kind && row.key === key);
+    }
+    
+    /**
+     * Record a mail attempt. A later attempt at the same (email, kind, key) replaces the earlier one.
+     */
+    async recordNotification(entry) {
+        const values = { ...entry, sent_at: new Date().toISOString() };
+        const updated = this.updateRows('notification_log', row => row.email === entry.email && row.kind === entry.kind && row.key === entry.key, values);
+        if (updated.length === 0) {
+            this.insertRow('notification_log', values);
+        }
+        this.persist();
+        return true;
+    }
+    
+    /**
+     * Health check - the local store is always reachable
+     */
+    async healthCheck() {
+        return this.init();
+    }
+};
+
+console.log('💾 Local Store class loaded');
@@ -0,0 +1,30 @@
+// Storage selection - everything persistent goes through window.TokenCompressor.Storage
+window.TokenCompressor = window.TokenCompressor || {};
+
+/**
+ * Pick the storage backend. Both expose the same interface:
+ * compressions, submissions, stats, leaderboard, learning_patterns, failed_attempts,
+ * runner lease / ceremony claims, and subscribeTo* realtime updates.
+ *
+ * - 'supabase': SupabaseClient (hosted Postgres + realtime channels)
+ * - 'local':    LocalStore (options.adapter decides where it persists; defaults to localStorage)
+ */
+window.TokenCompressor.selectStorage = function (backend = null, options = {}) {
+    const config = window.TokenCompressor.config;
+    const requested = new URLSearchParams(window.location?.search || '').get('storage');
+    const selected = backend || requested || config.storage?.backend || 'supabase';
+    
+    if (selected === 'local') {
+        window.TokenCompressor.Storage = new window.TokenCompressor.LocalStore(options);
+    } else if (selected === 'supabase') {
+        window.TokenCompressor.Storage = window.TokenCompressor.SupabaseClient;
+    } else {
+        throw new Error(`Unknown storage backend "${selected}" (expected 'supabase' or 'local')`);
+    }
+    
+    config.storage = { ...config.storage, backend: selected };
+    console.log(`🗄️ Storage backend: ${selected}`);
+    return window.TokenCompressor.Storage;
+};
+
+window.TokenCompressor.selectStorage();
@@ -0,0 +1,290 @@
+/**
+ * SUBMISSION LIFECYCLE - What happened to every human submission
+ *
+ * received → queued → testing → accepted | rejected | duplicate
+ *
+ * - received:  stored by the submission form
+ * - queued:    passed intake, waits for the next ceremony. Intake turns away resubmissions, mappings
+ *              the codex already has, symbols it already uses and known failures straight away.
+ * - testing:   picked up by a ceremony; a ceremony that produced no verdict puts it back in the queue
+ * - accepted:  joined the codex
+ * - rejected:  failed a test (status_reason says which)
+ * - duplicate: the codex (or an earlier candidate in the same ceremony) already has it
+ *
+ * Every change is appended to status_history; the legacy tested/valid columns are kept in
+ * step so older readers still work. Both storage backends apply transitions through here.
+ */
+
+window.TokenCompressor = window.TokenCompressor || {};
+
+window.TokenCompressor.SubmissionLifecycle = {
+    STATES: ['received', 'queued', 'testing', 'accepted', 'rejected', 'duplicate'],
+    
+    FINAL_STATES: ['accepted', 'rejected', 'duplicate'],
+    
+    TRANSITIONS: {
+        received: ['queued', 'rejected', 'duplicate'],
+        queued: ['testing'],
+        testing: ['testing', 'queued', 'accepted', 'rejected', 'duplicate'],
+        accepted: [],
+        rejected: [],
+        duplicate: []
+    },
+    
+    // Ceremonies a submission may sit through without a verdict before it is rejected
+    MAX_CEREMONY_ATTEMPTS: 3,
+    
+    // Interference rejections that mean "already have it" rather than "doesn't work"
+    DUPLICATE_ISSUES: ['already_approved', 'duplicate_original', 'inflection_conflict'],
+    
+    // One plain mailbox: no display name, quotes, spaces or control characters (the runner mails it)
+    EMAIL_PATTERN: /^[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)+$/,
+    
+    canTransition(from, to) {
+        return (this.TRANSITIONS[from || 'received'] || []).includes(to);
+    },
+    
+    /**
+     * Status of a row, including rows stored before the status column existed
+     */
+    statusOf(row) {
+        if (row.status) return row.status;
+        if (!row.tested) return 'queued';
+        return row.valid ? 'accepted' : 'rejected';
+    },
+    
+    /**
+     * Rows waiting for a ceremony: queued, or left in testing by a ceremony that never finished
+     */
+    isAwaitingCeremony(row) {
+        return ['queued', 'testing'].includes(this.statusOf(row));
+    },
+    
+    /**
+     * Whether an address may be stored for notifications (same check as server/mail-transports.js isValidAddress)
+     */
+    isValidEmail(email) {
+        return typeof email === 'string' && email.length <= 254 && this.EMAIL_PATTERN.test(email);
+    },
+    
+    /**
+     * Phrase as compared at intake: case, spacing and Unicode compatibility forms don't make a new idea
+     */
+    phraseKey(text) {
+        return String(text || '').normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+    },
+    
+    // Symbols keep their case (σ is not Σ) but not their compatibility form (the ohm sign Ω is Ω)
+    symbolKey(text) {
+        return String(text || '').normalize('NFKC').trim();
+    },
+    
+    /**
+     * What intake compares a submission against (storage: SupabaseClient or LocalStore)
+     *
+     * RETURNS: { codex, submissions (same phrase), failedAttempts (same phrase) }
+     */
+    async loadIntakeContext(storage, data) {
+        const original = data.original?.trim() || '';
+        if (!original) return { codex: [], submissions: [], failedAttempts: [] };
+        
+        const [codex, submissions, failedAttempts] = await Promise.all([
+            storage.getAllCompressions(),
+            storage.getSubmissionsForPhrase(original),
+            storage.getFailedAttemptsForPhrase(original)
+        ]);
+        return { codex, submissions, failedAttempts };
+    },
+    
+    /**
+     * Intake checks run when the form is submitted, so the submitter hears straight away
+     *
+     * context: { codex, submissions, failedAttempts } from loadIntakeContext (all optional)
+     * RETURNS: { status: 'queued' } or { status: 'rejected' | 'duplicate', reason }
+     */
+    intake(data, context = {}) {
+        const original = data.original?.trim() || '';
+        const compressed = data.compressed?.trim() || '';
+        
+        if (!original || !compressed) {
+            return { status: 'rejected', reason: 'Original and compressed text are both required' };
+        }
+        if (original === compressed) {
+            return { status: 'rejected', reason: 'Compressed form is the same as the original' };
+        }
+        if (data.email?.trim() && !this.isValidEmail(data.email.trim())) {
+            return { status: 'rejected', reason: 'Email address is not valid' };
+        }
+        
+        const phrase = this.phraseKey(original);
+        const symbol = this.symbolKey(compressed);
+        const sameMapping = row => this.phraseKey(row.original) === phrase && this.symbolKey(row.compressed) === symbol;
+        
+        // Resubmissions, including case and spacing variants (whoever sent the first one)
+        const earlier = (context.submissions || []).find(sameMapping);
+        if (earlier) {
+            const status = this.statusOf(earlier);
+            return {
+                status: 'duplicate',
+                reason: `Already submitted (${status}${earlier.status_reason ? `: ${earlier.status_reason}` : ''})`
+            };
+        }
+        
+        const conflict = this.codexConflict({ original, compressed }, context.codex || []);
+        if (conflict) return conflict;
+        
+        const failed = (context.failedAttempts || []).find(row => this.phraseKey(row.original_word) === phrase && this.symbolKey(row.attempted_compression) === symbol);
+        if (failed) {
+            return { status: 'rejected', reason: `Already tried and failed: ${failed.failure_details || failed.failure_reason}` };
+        }
+        
+        return { status: 'queued' };
+    },
+    
+    /**
+     * The codex's objection to a candidate, if any: the mapping, phrase or an inflected form is
+     * already there (duplicate), or the symbol is taken or ambiguous (rejected).
+     * Variants are matched to the codex's own spelling first, so "Approximately" finds "approximately".
+     */
+    codexConflict(candidate, codex) {
+        const interference = window.TokenCompressor.CodexInterference;
+        if (!interference || codex.length === 0) return null;
+        
+        const samePhrase = codex.find(entry => this.phraseKey(entry.original) === this.phraseKey(candidate.original));
+        const sameSymbol = codex.find(entry => this.symbolKey(entry.compressed) === this.symbolKey(candidate.compressed));
+        const matched = {
+            original: samePhrase ? samePhrase.original : candidate.original,
+            compressed: sameSymbol ? sameSymbol.compressed : candidate.compressed
+        };
+        
+        // Only conflicts with codex entries: symbol syntax and natural occurrences are the ceremony's call
+        const { issues } = interference.checkCandidateInterference(matched, codex, { corpus: [] });
+        const rejections = issues.filter(issue => issue.severity === 'reject' && issue.conflictsWith);
+        const duplicate = rejections.find(issue => this.DUPLICATE_ISSUES.includes(issue.type));
+        const rejection = duplicate || rejections[0];
+        
+        return rejection ? { status: duplicate ? 'duplicate' : 'rejected', reason: rejection.message } : null;
+    },
+    
+    /**
+     * Row to insert for a new submission: received, then the intake verdict
+     */
+    newSubmission(data, verdict, now = new Date().toISOString()) {
+        const history = [{ status: 'received', at: now }];
+        const row = {
+            name: data.name,
+            email: data.email?.trim(),
+            original: data.original?.normalize('NFKC').trim().replace(/\s+/g, ' '),
+            compressed: data.compressed?.trim(),
+            daily_updates: data.dailyUpdates || false,
+            status: 'received',
+            status_reason: null,
+            status_history: history,
+            status_updated_at: now,
+            tested: false,
+            valid: null,
+            tested_at: null
+        };
+        return { ...row, ...this.transition(row, verdict, now) };
+    },
+    
+    /**
+     * Column changes for moving a row to update.status (throws on a move the lifecycle doesn't allow)
+     *
+     * update: { status, reason?, hour?, measurements?: { originalTokens, compressedTokens, tokensSaved, tokenMatrix } }
+     */
+    transition(row, update, now = new Date().toISOString()) {
+        const from = this.statusOf(row);
+        if (!this.canTransition(from, update.status)) {
+            throw new Error(`Submission ${row.id ?? 'new'} cannot move from ${from} to ${update.status}`);
+        }
+        
+        const final = this.FINAL_STATES.includes(update.status);
+        const measurements = update.measurements || null;
+        return {
+            status: update.status,
+            status_reason: update.reason || null,
+            status_history: [...(row.status_history || []), { status: update.status, at: now, ...(update.reason && { reason: update.reason }) }],
+            status_updated_at: now,
+            ...(update.hour !== undefined && { ceremony_hour: update.hour }),
+            ...(measurements && {
+                original_tokens: measurements.originalTokens ?? null,
+                compressed_tokens: measurements.compressedTokens ?? null,
+                tokens_saved: measurements.tokensSaved ?? null,
+                token_matrix: measurements.tokenMatrix ?? null
+            }),
+            tested: final,
+            valid: final ? update.status === 'accepted' : null,
+            tested_at: final ? now : null
+        };
+    },
+    
+    /**
+     * Final (or requeue) status for each submission a ceremony tested, from its results.
+     * submissions are the rows as moved to testing (their history counts this ceremony).
+     *
+     * RETURNS: [{ id, status, reason, measurements }]
+     */
+    ceremonyOutcomes(submissions, results) {
+        const verdicts = new Map();
+        for (const result of results.validCompressions || []) {
+            if (result.submissionId != null) verdicts.set(result.submissionId, { accepted: true, result });
+        }
+        for (const result of results.rejectedCompressions || []) {
+            if (result.submissionId != null && !verdicts.has(result.submissionId)) verdicts.set(result.submissionId, { accepted: false, result });
+        }
+        
+        return submissions.map(submission => {
+            const verdict = verdicts.get(submission.id);
+            
+            if (!verdict) {
+                const attempts = (submission.status_history || []).filter(entry => entry.status === 'testing').length;
+                return attempts >= this.MAX_CEREMONY_ATTEMPTS
+                    ? { id: submission.id, status: 'rejected', reason: `No verdict after ${attempts} ceremonies`, measurements: null }
+                    : { id: submission.id, status: 'queued', reason: 'No verdict this ceremony - queued for the next one', measurements: null };
+            }
+            
+            const { accepted, result } = verdict;
+            const measurements = {
+                originalTokens: result.originalTokens ?? null,
+                compressedTokens: result.compressedTokens ?? null,
+                tokensSaved: result.tokenSavings ?? result.tokensSaved ?? null,
+                tokenMatrix: result.tokenMatrix ?? null
+            };
+            if (accepted) {
+                return { id: submission.id, status: 'accepted', reason: null, measurements };
+            }
+            
+            const rejection = result.interference?.issues?.find(issue => issue.severity === 'reject');
+            const duplicate = rejection && this.DUPLICATE_ISSUES.includes(rejection.type);
+            return {
+                id: submission.id,
+                status: duplicate ? 'duplicate' : 'rejected',
+                reason: result.rejectionReason || rejection?.message || 'Rejected by validation',
+                measurements
+            };
+        });
+    },
+    
+    /**
+     * A row as shown to its submitter (no email)
+     */
+    publicView(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            original: row.original,
+            compressed: row.compressed,
+            status: this.statusOf(row),
+            reason: row.status_reason ?? null,
+            ceremonyHour: row.ceremony_hour ?? null,
+            tokensSaved: row.tokens_saved ?? null,
+            originalTokens: row.original_tokens ?? null,
+            compressedTokens: row.compressed_tokens ?? null,
+            tokenMatrix: row.token_matrix ?? null,
+            history: row.status_history || [],
+            submittedAt: row.created_at,
+            updatedAt: row.status_updated_at || row.tested_at || row.created_at
+        };
+    }
+};
@@ -0,0 +1,183 @@
+/**
+ * SYMBOL REGISTRY - Which symbols exist, what they cost, and who has them
+ *
+ * Before this, symbols were picked by the LLM from a palette (and the learning
+ * system took "the next unused Greek letter"), so two cycles could propose the
+ * same symbol for different words, or a symbol that is 2+ tokens in practice.
+ *
+ * - Inventory: every candidate code point with its token cost per encoding
+ *   (/api/symbols, measured with tiktoken)
+ * - Allocations: symbols in the codex ('allocated') and symbols proposed for the
+ *   next ceremony ('reserved', expire after config.symbolRegistry.reservationTtl)
+ * - reserve/free/allocate go through storage, where reserving is atomic
+ * - getFreeSymbols() is what the Generation Agent is offered: free, single-token
+ *   under every config.symbolRegistry.encodings encoding
+ */
+
+window.TokenCompressor = window.TokenCompressor || {};
+
+window.TokenCompressor.SymbolRegistry = class SymbolRegistry {
+    constructor(options = {}) {
+        this.config = window.TokenCompressor.config.symbolRegistry;
+        this.holder = options.holder || `registry-${Math.random().toString(36).substr(2, 9)}`;
+        
+        this.inventory = [];               // [{ symbol, codePoint, block, tokens, singleToken }]
+        this.inventoryMeasured = false;    // false = config palette fallback, costs unknown
+        this.allocations = new Map();      // symbol -> { original, status, holder, expires_at }
+        
+        console.log('🔣 Symbol Registry initialized');
+    }
+    
+    /**
+     * Storage backend, resolved on use - the runner selects it after this script loads
+     */
+    get storage() {
+        return window.TokenCompressor.Storage;
+    }
+    
+    /**
+     * Load the inventory (once) and the current allocations (every call)
+     */
+    async refresh() {
+        if (!this.inventoryMeasured) {
+            await this.loadInventory();
+        }
+        
+        const [allocations, codex] = await Promise.all([
+            this.storage.getSymbolAllocations(),
+            this.storage.getAllCompressions()
+        ]);
+        
+        this.allocations = new Map(allocations.map(row => [row.symbol, row]));
+        
+        // Codex entries saved before the registry existed have no allocation row
+        for (const entry of codex) {
+            if (!this.allocations.has(entry.compressed)) {
+                this.allocations.set(entry.compressed, { symbol: entry.compressed, original: entry.original, status: 'allocated', holder: null, expires_at: null });
+            }
+        }
+        
+        return this.getStats();
+    }
+    
+    /**
+     * Measured inventory from the API; the config palette (costs unknown) when it is unreachable
+     */
+    async loadInventory() {
+        try {
+            const result = await window.TokenCompressor.APIClient.getSymbolInventory(this.config.encodings);
+            this.inventory = result.symbols;
+            this.inventoryMeasured = true;
+        } catch (error) {
+            console.warn(`⚠️ Symbol inventory unavailable, using config palette: ${error.message}`);
+            const palette = window.TokenCompressor.config.agents.generation.mathematicalSymbols;
+            this.inventory = [...palette.singleToken, ...palette.suffixSymbols].map(symbol => ({
+                symbol,
+                codePoint: `U+${symbol.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`,
+                block: /[α-ωΑ-Ω]/.test(symbol) ? 'greek' : 'palette',
+                tokens: null,
+                singleToken: null
+            }));
+        }
+    }
+    
+    /**
+     * Is the symbol allocated, or reserved by anyone with an unexpired reservation?
+     */
+    isTaken(symbol, now = new Date()) {
+        const row = this.allocations.get(symbol);
+        if (!row) return false;
+        return row.status === 'allocated' || new Date(row.expires_at) >= now;
+    }
+    
+    /**
+     * Is this a symbol the registry manages (anything else - abbreviations etc. - is not tracked)?
+     */
+    isRegistrySymbol(symbol) {
+        return this.inventory.some(entry => entry.symbol === symbol);
+    }
+    
+    /**
+     * Free single-token symbols, in inventory order
+     *
+     * Options: block ('greek', 'math', ...), limit
+     */
+    getFreeSymbols({ block = null, limit = Infinity } = {}) {
+        const now = new Date();
+        const taken = Array.from(this.allocations.keys()).filter(symbol => this.isTaken(symbol, now));
+        
+        return this.inventory
+            .filter(entry => entry.singleToken !== false)
+            .filter(entry => !block || entry.block === block)
+            .filter(entry => !this.isTaken(entry.symbol, now))
+            // A taken multi-character symbol starting with this one would make decompression ambiguous
+            .filter(entry => !taken.some(symbol => symbol.startsWith(entry.symbol)))
+            .slice(0, limit);
+    }
+    
+    /**
+     * Token cost of a symbol per encoding (null when unmeasured or not in the inventory)
+     */
+    getTokenCost(symbol) {
+        return this.inventory.find(entry => entry.symbol === symbol)?.tokens || null;
+    }
+    
+    /**
+     * Reserve a free symbol for a word until the next ceremony
+     */
+    async reserve(symbol, original) {
+        if (this.isTaken(symbol)) return false;
+        
+        const reserved = await this.storage.reserveSymbol(symbol, original, this.holder, this.config.reservationTtl);
+        if (reserved) {
+            this.allocations.set(symbol, {
+                symbol,
+                original,
+                status: 'reserved',
+                holder: this.holder,
+                expires_at: new Date(Date.now() + this.config.reservationTtl).toISOString()
+            });
+        }
+        return reserved;
+    }
+    
+    /**
+     * Release our reservation (the candidate was rejected or dropped)
+     */
+    async free(symbol) {
+        const row = this.allocations.get(symbol);
+        if (row?.status !== 'reserved' || row.holder !== this.holder) return false;
+        
+        this.allocations.delete(symbol);
+        return this.storage.freeSymbol(symbol, this.holder);
+    }
+    
+    /**
+     * Allocate a symbol permanently once its compression passed the ceremony
+     */
+    async allocate(symbol, original) {
+        this.allocations.set(symbol, { symbol, original, status: 'allocated', holder: null, expires_at: null });
+        return this.storage.allocateSymbol(symbol, original);
+    }
+    
+    /**
+     * Inventory summary
+     */
+    getStats() {
+        const now = new Date();
+        const rows = Array.from(this.allocations.values());
+        return {
+            inventory: this.inventory.length,
+            measured: this.inventoryMeasured,
+            singleToken: this.inventory.filter(entry => entry.singleToken !== false).length,
+            free: this.getFreeSymbols().length,
+            reserved: rows.filter(row => row.status === 'reserved' && new Date(row.expires_at) >= now).length,
+            allocated: rows.filter(row => row.status === 'allocated').length
+        };
+    }
+};
+
+// Global instance shared by the agents and the learning system
+window.TokenCompressor.symbolRegistry = new window.TokenCompressor.SymbolRegistry();
+
+console.log('🔣 Symbol Registry class loaded');
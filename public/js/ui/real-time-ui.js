@@ -1,4 +1,4 @@
-// Real-time UI Integration - Connects agents to UI with Supabase subscriptions
+// Real-time UI Integration - Connects agents to UI with storage subscriptions
 window.TokenCompressor = window.TokenCompressor || {};
 
 window.TokenCompressor.RealTimeUI = class RealTimeUI {
@@ -7,6 +7,9 @@ window.TokenCompressor.RealTimeUI = class RealTimeUI {
         this.subscriptions = [];
         this.chatWindows = new Map();
         this.formHandlers = new Map();
+        this.agentEventUnsubscribers = [];
+        this.leaderboardPeriod = 'today';
+        this.leaderboardRolloverTimer = null;
         
         console.log('🖥️ Real-time UI initialized');
     }
@@ -21,10 +24,13 @@ window.TokenCompressor.RealTimeUI = class RealTimeUI {
             // Initialize chat windows
             this.initializeChatWindows();
             
+            // Render agent events (agents never touch the DOM themselves)
+            this.subscribeToAgentEvents();
+            
             // Set up form handlers
             this.setupFormHandlers();
             
-            // Set up Supabase subscriptions
+            // Set up storage subscriptions (Supabase realtime or local store events)
             await this.setupRealtimeSubscriptions();
             
             // Initialize statistics display
@@ -108,12 +114,110 @@ window.TokenCompressor.RealTimeUI = class RealTimeUI {
         }
     }
     
+    /**
+     * Subscribe to the shared agent event bus
+     */
+    subscribeToAgentEvents() {
+        const events = window.TokenCompressor.agentEvents;
+        if (!events) return;
+        
+        this.agentEventUnsubscribers = [
+            events.on('message', (event) => this.renderAgentMessage(event)),
+            events.on('status', (event) => this.renderAgentStatus(event)),
+            events.on('result', (event) => this.renderAgentResult(event))
+        ];
+        
+        console.log('📣 Subscribed to agent events');
+    }
+    
+    /**
+     * Render an agent 'message' event in that agent's chat window
+     */
+    renderAgentMessage({ agent, agentName, content, timestamp }) {
+        const chatWindow = this.chatWindows.get(`${agent}-chat`);
+        if (!chatWindow) return;
+        
+        const header = `<div class="message-header">[${this.sanitizeMessage(agentName)} - ${new Date(timestamp).toLocaleTimeString()}]</div>`;
+        const body = `<div>${this.sanitizeMessage(content)}</div>`;
+        
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${agent}`;
+        
+        if (agent === 'generation') {
+            // Brief typing indicator before the Generation Agent's messages
+            messageDiv.innerHTML = `${header}<div class="typing-indicator"><span></span><span></span><span></span></div>`;
+            setTimeout(() => {
+                messageDiv.innerHTML = header + body;
+            }, window.TokenCompressor.config.ui.typingIndicatorDelay);
+        } else {
+            messageDiv.innerHTML = header + body;
+        }
+        
+        chatWindow.element.appendChild(messageDiv);
+        chatWindow.element.scrollTop = chatWindow.element.scrollHeight;
+        chatWindow.messageCount++;
+        
+        this.limitHistory(chatWindow.element, '.message', window.TokenCompressor.config.ui.maxChatMessages);
+    }
+    
+    /**
+     * Render an agent 'status' event on its status indicator and window
+     */
+    renderAgentStatus({ agent, status }) {
+        if (agent === 'validation') {
+            document.getElementById('testing-zone')?.classList.toggle('ceremony-active', status === 'ceremony');
+            return;
+        }
+        
+        const statusElement = document.getElementById(`${agent}-status`);
+        if (statusElement) {
+            statusElement.className = `agent-status ${status}`;
+        }
+        
+        const activeStatuses = {
+            discovery: ['searching', 'analyzing'],
+            generation: ['thinking', 'generating', 'collaborating']
+        };
+        const agentWindow = document.getElementById(`${agent}-agent-window`);
+        if (agentWindow) {
+            const isActive = (activeStatuses[agent] || []).includes(status);
+            agentWindow.className = `agent-window ${isActive ? 'discovery-active' : ''}`;
+        }
+    }
+    
+    /**
+     * Render a ValidationAgent 'result' event in the testing results panel (or its chat window)
+     */
+    renderAgentResult({ content, type, timestamp }) {
+        const resultsElement = document.getElementById('test-results') || this.chatWindows.get('validation-chat')?.element;
+        if (!resultsElement) return;
+        
+        const resultDiv = document.createElement('div');
+        resultDiv.className = `result-item ${type}`;
+        resultDiv.innerHTML = `[${new Date(timestamp).toLocaleTimeString()}] ${this.sanitizeMessage(content)}`;
+        
+        resultsElement.appendChild(resultDiv);
+        resultsElement.scrollTop = resultsElement.scrollHeight;
+        
+        this.limitHistory(resultsElement, '.result-item', 20);
+    }
+    
+    /**
+     * Keep only the newest items in a scrolling panel
+     */
+    limitHistory(container, selector, maxItems) {
+        const items = container.querySelectorAll(selector);
+        for (let i = 0; i < items.length - maxItems; i++) {
+            items[i].remove();
+        }
+    }
+    
     /**
      * Set up form handlers for user interactions
      */
     setupFormHandlers() {
         // Human submission form
-        const submissionForm = document.getElementById('compression-form');
+        const submissionForm = document.getElementById('submission-form');
         if (submissionForm) {
             submissionForm.addEventListener('submit', this.handleSubmissionForm.bind(this));
             this.formHandlers.set('submission', submissionForm);
@@ -126,6 +230,30 @@ window.TokenCompressor.RealTimeUI = class RealTimeUI {
             this.formHandlers.set('test', testForm);
         }
         
+        // Submission history lookup (by email or name)
+        const historyForm = document.getElementById('history-form');
+        if (historyForm) {
+            historyForm.addEventListener('submit', this.handleHistoryLookup.bind(this));
+            this.formHandlers.set('history', historyForm);
+        }
+        
+        // Codex export button (format and filters from the selects next to it)
+        const exportButton = document.getElementById('export-codex');
+        if (exportButton) {
+            exportButton.addEventListener('click', this.handleExportCodex.bind(this));
+            this.formHandlers.set('export', exportButton);
+        }
+        
+        // Leaderboard period (today, this week, all time)
+        const periodSelect = document.getElementById('leaderboard-period');
+        if (periodSelect) {
+            periodSelect.addEventListener('change', (event) => {
+                this.leaderboardPeriod = event.target.value;
+                this.updateLeaderboard();
+            });
+            this.formHandlers.set('leaderboard', periodSelect);
+        }
+        
         console.log(`📝 Set up ${this.formHandlers.size} form handlers`);
     }
     
@@ -137,9 +265,12 @@ window.TokenCompressor.RealTimeUI = class RealTimeUI {
         
         const formData = new FormData(event.target);
         const submission = {
+            name: formData.get('name')?.trim(),
+            email: formData.get('email')?.trim(),
             original: formData.get('original')?.trim(),
             compressed: formData.get('compressed')?.trim(),
-            explanation: formData.get('explanation')?.trim()
+            explanation: formData.get('explanation')?.trim(),
+            dailyUpdates: formData.get('daily_updates') === 'on'
         };
         
         // Validate input
@@ -153,14 +284,17 @@ window.TokenCompressor.RealTimeUI = class RealTimeUI {
             this.showFormLoading('submission', true);
             
             // Submit to database
-            const result = await window.TokenCompressor.SupabaseClient.submitCompression(submission);
+            const result = await window.TokenCompressor.Storage.submitCompression(submission);
             
-            if (result.success) {
+            if (result.success && result.submission.status === 'queued') {
                 this.showSuccess('Submission received! It will be tested in the next ceremony.');
                 event.target.reset();
                 
                 // Update pending submissions display
                 this.updatePendingSubmissions();
+            } else if (result.success) {
+                // Turned away at intake - stored with its reason, so it shows up in the submitter's history
+                this.showError(`Submission ${result.submission.status}: ${result.submission.reason}`);
             } else {
                 this.showError(result.error || 'Failed to submit compression');
             }
@@ -182,7 +316,8 @@ window.TokenCompressor.RealTimeUI = class RealTimeUI {
         const formData = new FormData(event.target);
         const testData = {
             original: formData.get('test-original')?.trim(),
-            compressed: formData.get('test-compressed')?.trim()
+            compressed: formData.get('test-compressed')?.trim(),
+            aiCheck: formData.get('test-ai') === 'on'
         };
         
         if (!testData.original || !testData.compressed) {
@@ -193,10 +328,11 @@ window.TokenCompressor.RealTimeUI = class RealTimeUI {
         try {
             this.showFormLoading('test', true);
             
-            // Use validation agent to test
+            // Instant checks on the server: tokens, context safety, codex collisions, round-trip, AI rewrite
             const result = await window.TokenCompressor.APIClient.validateCompression(
                 testData.original, 
-                testData.compressed
+                testData.compressed,
+                { aiCheck: testData.aiCheck }
             );
             
             // Show result
@@ -211,12 +347,12 @@ window.TokenCompressor.RealTimeUI = class RealTimeUI {
     }
     
     /**
-     * Set up Supabase real-time subscriptions
+     * Set up real-time subscriptions on the storage backend
      */
     async setupRealtimeSubscriptions() {
         try {
             // Subscribe to new compressions
-            const compressionsSubscription = window.TokenCompressor.SupabaseClient.subscribeToCompressions(
+            const compressionsSubscription = window.TokenCompressor.Storage.subscribeToCompressions(
                 (payload) => this.handleNewCompression(payload)
             );
             
@@ -225,7 +361,7 @@ window.TokenCompressor.RealTimeUI = class RealTimeUI {
             }
             
             // Subscribe to statistics updates
-            const statsSubscription = window.TokenCompressor.SupabaseClient.subscribeToStats(
+            const statsSubscription = window.TokenCompressor.Storage.subscribeToStats(
                 (payload) => this.handleStatsUpdate(payload)
             );
             
@@ -233,6 +369,15 @@ window.TokenCompressor.RealTimeUI = class RealTimeUI {
                 this.subscriptions.push(statsSubscription);
             }
             
+            // Subscribe to leaderboard credits
+            const leaderboardSubscription = window.TokenCompressor.Storage.subscribeToLeaderboard(
+                () => this.updateLeaderboard()
+            );
+            
+            if (leaderboardSubscription) {
+                this.subscriptions.push(leaderboardSubscription);
+            }
+            
             console.log(`📡 Set up ${this.subscriptions.length} real-time subscriptions`);
             
         } catch (error) {
@@ -271,6 +416,8 @@ window.TokenCompressor.RealTimeUI = class RealTimeUI {
         this.updateStatistics();
         this.updateCodexDisplay();
         this.updatePendingSubmissions();
+        this.updateLeaderboard();
+        this.scheduleLeaderboardRollover();
     }
     
     /**
@@ -278,7 +425,7 @@ window.TokenCompressor.RealTimeUI = class RealTimeUI {
      */
     async updateStatistics() {
         try {
-            const stats = await window.TokenCompressor.SupabaseClient.getStats();
+            const stats = await window.TokenCompressor.Storage.getStats();
             
             // Update current hour
             const hourElement = document.getElementById('current-hour');
@@ -308,7 +455,7 @@ window.TokenCompressor.RealTimeUI = class RealTimeUI {
      */
     async updateCodexDisplay() {
         try {
-            const compressions = await window.TokenCompressor.SupabaseClient.getCompressions(10);
+            const compressions = await window.TokenCompressor.Storage.getCompressions(10);
             const codexElement = document.getElementById('recent-compressions');
             
             if (codexElement && compressions.length > 0) {
@@ -327,12 +474,59 @@ window.TokenCompressor.RealTimeUI = class RealTimeUI {
         }
     }
     
+    /**
+     * Fill the leaderboard for the selected period
+     */
+    async updateLeaderboard() {
+        try {
+            const period = this.leaderboardPeriod;
+            const rows = await window.TokenCompressor.Storage.getLeaderboard(period);
+            if (period !== this.leaderboardPeriod) return; // Switched period while loading
+            
+            const titleElement = document.getElementById('leaderboard-title');
+            if (titleElement) {
+                titleElement.textContent = window.TokenCompressor.Leaderboard.TITLES[period];
+            }
+            
+            const bodyElement = document.getElementById('leaderboard-body');
+            if (!bodyElement) return;
+            
+            bodyElement.innerHTML = rows.length > 0
+                ? rows.map((row, index) => `
+                    <tr>
+                        <td class="${index < 3 ? `rank-${index + 1}` : ''}">#${index + 1}</td>
+                        <td>${row.name === window.TokenCompressor.Leaderboard.AI_NAME ? '🤖 ' : ''}${this.sanitizeMessage(row.name)}</td>
+                        <td>${row.compressions_count}</td>
+                        <td>${row.tokens_saved}</td>
+                        <td>${row.score}</td>
+                    </tr>
+                `).join('')
+                : '<tr><td colspan="5">No accepted compressions yet - be the first!</td></tr>';
+            
+        } catch (error) {
+            console.error('Failed to update leaderboard:', error);
+        }
+    }
+    
+    /**
+     * Refresh the leaderboard when the day (and on Mondays the week) rolls over
+     */
+    scheduleLeaderboardRollover() {
+        const now = new Date();
+        const delay = window.TokenCompressor.Leaderboard.nextReset(now) - now + 1000;
+        
+        this.leaderboardRolloverTimer = setTimeout(() => {
+            this.updateLeaderboard();
+            this.scheduleLeaderboardRollover();
+        }, delay);
+    }
+    
     /**
      * Update pending submissions count
      */
     async updatePendingSubmissions() {
         try {
-            const pending = await window.TokenCompressor.SupabaseClient.getUntestedSubmissions();
+            const pending = await window.TokenCompressor.Storage.getUntestedSubmissions();
             const pendingElement = document.getElementById('pending-submissions');
             
             if (pendingElement) {
@@ -364,21 +558,136 @@ window.TokenCompressor.RealTimeUI = class RealTimeUI {
     }
     
     /**
-     * Show test result
+     * Export the codex in the selected format and download it
+     */
+    async handleExportCodex(event) {
+        const button = event.currentTarget;
+        const selected = (id) => document.getElementById(id)?.value || null;
+        
+        try {
+            button.disabled = true;
+            
+            const file = await window.TokenCompressor.APIClient.exportCodex({
+                format: selected('export-format') || 'json',
+                tier: selected('export-tier') || 'full',
+                source: selected('export-source') || 'all',
+                category: selected('export-category'),
+                encoding: selected('export-tokenizer')
+            });
+            
+            this.downloadFile(file.filename, file.content, file.contentType);
+            this.showSuccess(`Exported ${file.count} codex entries as ${file.filename}`);
+            
+        } catch (error) {
+            console.error('Codex export error:', error);
+            this.showError('Failed to export the codex. Please try again.');
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    /**
+     * Save text as a file through a temporary download link
+     */
+    downloadFile(filename, content, contentType) {
+        const url = URL.createObjectURL(new Blob([content], { type: contentType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Show test result with a pass/fail line per check
      */
     showTestResult(result) {
         const resultElement = document.getElementById('test-result');
         if (!resultElement) return;
         
+        const labels = {
+            tokens: 'Token savings',
+            context_safety: 'Context safety',
+            collision: 'Codex collisions',
+            round_trip: 'Round-trip',
+            ai_rewrite: 'AI rewrite'
+        };
+        const icons = { pass: '✅', warn: '⚠️', fail: '❌', skip: '⏭️' };
+        const checks = (result.checks || []).map(check => `
+            <li class="result-item ${check.status === 'fail' ? 'failure' : 'success'}">
+                ${icons[check.status] || ''} <strong>${labels[check.name] || this.sanitizeMessage(check.name)}:</strong>
+                ${this.sanitizeMessage(check.detail)}
+            </li>
+        `).join('');
+        
         resultElement.style.display = 'block';
         resultElement.className = `test-result ${result.isValid ? 'success' : 'error'}`;
         resultElement.innerHTML = `
             <h4>${result.isValid ? '✅ Valid Compression' : '❌ Invalid Compression'}</h4>
-            <p>${result.explanation}</p>
-            ${result.tokensSaved ? `<p><strong>Tokens Saved:</strong> ${result.tokensSaved}</p>` : ''}
+            <p>${this.sanitizeMessage(result.explanation)}</p>
+            ${result.tokensSaved ? `<p><strong>Tokens Saved:</strong> ${result.tokensSaved} (${this.sanitizeMessage(result.encoding)})</p>` : ''}
+            ${checks ? `<ul class="test-checks">${checks}</ul>` : ''}
         `;
     }
     
+    /**
+     * Handle the "My Submissions" lookup
+     */
+    async handleHistoryLookup(event) {
+        event.preventDefault();
+        
+        const query = new FormData(event.target).get('submitter')?.trim();
+        if (!query) {
+            this.showError('Please enter the email or name you submitted with');
+            return;
+        }
+        
+        try {
+            this.showFormLoading('history', true);
+            const submissions = await window.TokenCompressor.Storage.getSubmissionsBySubmitter(query);
+            this.showSubmissionHistory(query, submissions);
+            
+        } catch (error) {
+            console.error('Submission history error:', error);
+            this.showError('Failed to load submissions. Please try again.');
+        } finally {
+            this.showFormLoading('history', false);
+        }
+    }
+    
+    /**
+     * Show every submission of one submitter with its status, reason and measured savings
+     */
+    showSubmissionHistory(query, submissions) {
+        const historyElement = document.getElementById('submission-history');
+        if (!historyElement) return;
+        
+        const icons = { received: '📥', queued: '⏳', testing: '🧪', accepted: '✅', rejected: '❌', duplicate: '♻️' };
+        const items = submissions.map(submission => {
+            const details = [
+                submission.reason && this.sanitizeMessage(submission.reason),
+                submission.tokensSaved !== null && `saves ${submission.tokensSaved} tokens`,
+                submission.ceremonyHour !== null && `hour ${submission.ceremonyHour}`,
+                new Date(submission.updatedAt).toLocaleString()
+            ].filter(Boolean).join(' · ');
+            
+            return `
+                <li class="result-item ${['rejected', 'duplicate'].includes(submission.status) ? 'failure' : 'success'}">
+                    ${icons[submission.status] || ''} <strong>${submission.status}</strong>
+                    "${this.sanitizeMessage(submission.original)}" → "${this.sanitizeMessage(submission.compressed)}"
+                    <div>${details}</div>
+                </li>
+            `;
+        }).join('');
+        
+        historyElement.style.display = 'block';
+        historyElement.innerHTML = submissions.length > 0
+            ? `<h4>${submissions.length} submission${submissions.length > 1 ? 's' : ''} from ${this.sanitizeMessage(query)}</h4><ul class="test-checks">${items}</ul>`
+            : `<p>No submissions found for ${this.sanitizeMessage(query)}</p>`;
+    }
+    
     /**
      * Show success message
      */
@@ -435,6 +744,12 @@ window.TokenCompressor.RealTimeUI = class RealTimeUI {
             }
         });
         this.subscriptions = [];
+        
+        clearTimeout(this.leaderboardRolloverTimer);
+        this.leaderboardRolloverTimer = null;
+        
+        this.agentEventUnsubscribers.forEach(unsubscribe => unsubscribe());
+        this.agentEventUnsubscribers = [];
         this.isInitialized = false;
         
         console.log('🖥️ Real-time UI destroyed');
@@ -138,17 +138,119 @@ window.TokenCompressor.APIClient = {
     
     /**
      * Tokenize text using tiktoken
+     *
+     * Options: phrases (true or { minWords, maxWords, minFrequency, limit }) adds multiTokenPhrases
      */
-    async tokenize(text, encoding = 'cl100k_base') {
+    async tokenize(text, encoding = 'cl100k_base', options = {}) {
         console.log(`🔢 [API-CLIENT] tokenize() called with text: ${text.length} chars, encoding: ${encoding}`);
         const result = await this.request('/tokenize', {
             method: 'POST',
-            body: JSON.stringify({ text, encoding })
+            body: JSON.stringify({ text, encoding, ...options })
         });
         console.log(`🔢 [API-CLIENT] tokenize() result:`, result?.tokens ? `${result.tokens} tokens` : 'no token count');
         return result;
     },
     
+    /**
+     * Compress text with the approved codex (optionally pinned to a codex version)
+     *
+     * Options: legend (true or 'compact' | 'json' | 'xml') adds the legend and net savings, segmenters
+     */
+    async compress(text, version = null, options = {}) {
+        console.log(`🗜️ [API-CLIENT] compress() called with text: ${text.length} chars, version: ${version || 'latest'}`);
+        const result = await this.request('/compress', {
+            method: 'POST',
+            body: JSON.stringify({ text, version, ...options })
+        });
+        console.log(`🗜️ [API-CLIENT] compress() result:`, result?.tokens ? `${result.tokens.saved} tokens saved${result.legend ? `, ${result.legend.netTokensSaved} net of legend` : ''}` : 'no token report');
+        return result;
+    },
+    
+    /**
+     * Restore text produced by compress() using the same codex version
+     */
+    async decompress(text, version = null) {
+        console.log(`🔧 [API-CLIENT] decompress() called with text: ${text.length} chars, version: ${version || 'latest'}`);
+        const result = await this.request('/decompress', {
+            method: 'POST',
+            body: JSON.stringify({ text, version })
+        });
+        console.log(`🔧 [API-CLIENT] decompress() result:`, result?.text ? `${result.text.length} chars` : 'no text');
+        return result;
+    },
+    
+    /**
+     * Break-even analysis: net savings after the legend and the codex subset worth using for this text
+     *
+     * Options: encoding/model, legend ('compact' | 'json' | 'xml'), segmenters, version
+     */
+    async analyze(text, options = {}) {
+        console.log(`⚖️ [API-CLIENT] analyze() called with text: ${text.length} chars`);
+        const result = await this.request('/analyze', {
+            method: 'POST',
+            body: JSON.stringify({ text, ...options })
+        });
+        console.log(`⚖️ [API-CLIENT] analyze() result:`, result?.recommendation ? `use ${result.recommendation.use}, ${result.recommendation.tokens.net} net tokens saved` : 'no recommendation');
+        return result;
+    },
+    
+    /**
+     * Instant check of one compression: { isValid, explanation, tokensSaved, tokenMatrix, checks: [{ name, status, detail }] }
+     *
+     * Options: aiCheck (also run the AI rewrite check), encoding/model, inflections, version
+     */
+    async validateCompression(original, compressed, options = {}) {
+        console.log(`🧪 [API-CLIENT] validateCompression() called for "${original}" → "${compressed}"${options.aiCheck ? ' with AI check' : ''}`);
+        const result = await this.request('/validate', {
+            method: 'POST',
+            body: JSON.stringify({ original, compressed, ...options })
+        });
+        console.log(`🧪 [API-CLIENT] validateCompression() result:`, result?.checks ? `${result.isValid ? 'valid' : 'invalid'} - ${result.explanation}` : 'no result');
+        return result;
+    },
+    
+    /**
+     * Get the approved codex with per-encoding savings, optionally only entries that save tokens for a model
+     */
+    async getCodex(model = null, version = null) {
+        console.log(`📖 [API-CLIENT] getCodex() called for model: ${model || 'all'}, version: ${version || 'latest'}`);
+        const result = await this.request('/codex', {
+            method: 'POST',
+            body: JSON.stringify({ model, version })
+        });
+        console.log(`📖 [API-CLIENT] getCodex() result:`, result?.entries ? `${result.entries.length} entries` : 'no entries');
+        return result;
+    },
+    
+    /**
+     * Export the codex as a file: { filename, contentType, content, count, codexVersion }
+     *
+     * Options: format ('json' | 'csv' | 'js' | 'ts' | 'legend'), tier ('top' | 'full'),
+     * category, source ('all' | 'human' | 'ai'), encoding/model, legend, version
+     */
+    async exportCodex(options = {}) {
+        console.log(`📦 [API-CLIENT] exportCodex() called with format: ${options.format || 'json'}, tier: ${options.tier || 'full'}`);
+        const result = await this.request('/export', {
+            method: 'POST',
+            body: JSON.stringify(options)
+        });
+        console.log(`📦 [API-CLIENT] exportCodex() result:`, result?.filename ? `${result.filename}, ${result.count} entries` : 'no file');
+        return result;
+    },
+    
+    /**
+     * Get the symbol inventory with token costs per encoding (symbol registry)
+     */
+    async getSymbolInventory(encodings = null, singleTokenOnly = false) {
+        console.log(`🔣 [API-CLIENT] getSymbolInventory() called for encodings: ${encodings ? encodings.join(', ') : 'all'}`);
+        const result = await this.request('/symbols', {
+            method: 'POST',
+            body: JSON.stringify({ encodings, singleTokenOnly })
+        });
+        console.log(`🔣 [API-CLIENT] getSymbolInventory() result:`, result?.symbols ? `${result.symbols.length} symbols (${result.singleTokenCount} single-token)` : 'no symbols');
+        return result;
+    },
+    
     /**
      * Post to Twitter (for ceremony announcements)
      */
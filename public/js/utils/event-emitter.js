@@ -0,0 +1,63 @@
+// Event emitter for agent -> UI communication (works in the browser and the headless runner)
+window.TokenCompressor = window.TokenCompressor || {};
+
+window.TokenCompressor.EventEmitter = class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+    
+    /**
+     * Subscribe to an event. Returns an unsubscribe function.
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+    
+    /**
+     * Subscribe to the next occurrence of an event only
+     */
+    once(event, listener) {
+        const unsubscribe = this.on(event, (payload) => {
+            unsubscribe();
+            listener(payload);
+        });
+        return unsubscribe;
+    }
+    
+    /**
+     * Remove a listener
+     */
+    off(event, listener) {
+        this.listeners.get(event)?.delete(listener);
+    }
+    
+    /**
+     * Emit an event - a failing listener never breaks the agent that emitted it
+     */
+    emit(event, payload) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+        
+        for (const listener of [...listeners]) {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Event listener error (${event}):`, error);
+            }
+        }
+    }
+};
+
+/**
+ * Shared agent event bus. Agents emit structured events, subscribers render or log them:
+ * - 'message': { agent, agentName, content, timestamp }        (chat windows)
+ * - 'status':  { agent, agentName, status, timestamp }         (status indicators)
+ * - 'result':  { agent, agentName, content, type, timestamp }  (ceremony results)
+ */
+window.TokenCompressor.agentEvents = new window.TokenCompressor.EventEmitter();
+
+console.log('📣 Agent event bus ready');
@@ -12,6 +12,11 @@ window.TokenCompressor.SupabaseClient = {
         console.log(`🔵 [SUPABASE-CLIENT] init() called`);
         const config = window.TokenCompressor.config;
         
+        if (this.client) {
+            console.log(`✅ [SUPABASE-CLIENT] Already initialized`);
+            return true;
+        }
+        
         console.log(`🔵 [SUPABASE-CLIENT] Checking for Supabase library...`);
         if (typeof window.supabase === 'undefined') {
             console.error(`❌ [SUPABASE-CLIENT] Supabase library not loaded`);
@@ -37,7 +42,9 @@ window.TokenCompressor.SupabaseClient = {
     },
     
     /**
-     * Submit human compression idea
+     * Submit human compression idea: stored as received, then queued or turned away by intake
+     *
+     * RETURNS: { success, submission } (submission as shown to its submitter - see SubmissionLifecycle.publicView)
      */
     async submitCompression(data) {
         console.log(`📝 [SUPABASE-CLIENT] submitCompression() called`);
@@ -54,31 +61,28 @@ window.TokenCompressor.SupabaseClient = {
         }
         
         try {
-            console.log(`🔵 [SUPABASE-CLIENT] Inserting into submissions table...`);
-            const { data: result, error } = await this.client
+            const lifecycle = window.TokenCompressor.SubmissionLifecycle;
+            const verdict = lifecycle.intake(data, await lifecycle.loadIntakeContext(this, data));
+            
+            console.log(`🔵 [SUPABASE-CLIENT] Inserting into submissions table (intake: ${verdict.status})...`);
+            const { data: rows, error } = await this.client
                 .from('submissions')
-                .insert({
-                    name: data.name,
-                    email: data.email,
-                    original: data.original,
-                    compressed: data.compressed,
-                    daily_updates: data.dailyUpdates || false,
-                    tested: false
-                });
+                .insert(lifecycle.newSubmission(data, verdict))
+                .select(this.SUBMISSION_PUBLIC_COLUMNS);
             
             if (error) {
                 console.error(`❌ [SUPABASE-CLIENT] Insert error:`, error);
                 throw error;
             }
             
-            console.log(`✅ [SUPABASE-CLIENT] Submission successful:`, result);
-            return result;
+            console.log(`✅ [SUPABASE-CLIENT] Submission successful:`, rows?.[0]?.id);
+            return { success: true, submission: lifecycle.publicView(rows[0]) };
             
         } catch (error) {
             console.error(`❌ [SUPABASE-CLIENT] submitCompression() failed:`, error);
             throw await window.TokenCompressor.ErrorHandler.handleError(error, {
                 operation: 'submit_compression',
-                formField: 'compression-form'
+                formField: 'submission-form'
             });
         }
     },
@@ -143,7 +147,10 @@ window.TokenCompressor.SupabaseClient = {
                     compressed: compression.compressed,
                     source: compression.source,
                     hour: compression.hour,
-                    tokens_saved: compression.tokensSaved || 0
+                    tokens_saved: compression.tokensSaved || 0,
+                    token_matrix: compression.tokenMatrix || null,
+                    inflections: compression.inflections || null,
+                    corpus_frequency: compression.corpusFrequency || 1
                 });
             
             if (error) {
@@ -160,21 +167,32 @@ window.TokenCompressor.SupabaseClient = {
         }
     },
     
+    // Where each leaderboard period is read from (views: doc/leaderboard-schema.sql)
+    LEADERBOARD_SOURCES: { today: 'leaderboard', week: 'leaderboard_weekly', all: 'leaderboard_all_time' },
+    
     /**
-     * Get today's leaderboard
+     * Get the leaderboard for a period ('today', 'week' or 'all'), best score first
      */
-    async getLeaderboard() {
+    async getLeaderboard(period = 'today') {
         if (!this.client) return [];
         
         try {
-            const today = new Date().toISOString().split('T')[0];
+            const Leaderboard = window.TokenCompressor.Leaderboard;
+            if (!Leaderboard.PERIODS.includes(period)) {
+                throw new Error(`Unknown leaderboard period "${period}"`);
+            }
             
-            const { data, error } = await this.client
-                .from('leaderboard')
-                .select('*')
-                .eq('date', today)
+            let query = this.client
+                .from(this.LEADERBOARD_SOURCES[period])
+                .select('name, compressions_count, tokens_saved, score');
+            if (period === 'today') {
+                query = query.eq('date', Leaderboard.dayOf());
+            }
+            
+            const { data, error } = await query
+                .order('score', { ascending: false })
                 .order('tokens_saved', { ascending: false })
-                .limit(10);
+                .limit(Leaderboard.LIMIT);
             
             if (error) throw error;
             return data || [];
@@ -282,11 +300,10 @@ window.TokenCompressor.SupabaseClient = {
     },
     
     /**
-     * Subscribe to leaderboard changes
+     * Subscribe to leaderboard changes (every day's rows - the weekly and all-time boards add them up)
      */
     subscribeToLeaderboard(callback) {
-        const today = new Date().toISOString().split('T')[0];
-        return this.subscribeToTable('leaderboard', callback, `date=eq.${today}`);
+        return this.subscribeToTable('leaderboard', callback);
     },
     
     /**
@@ -316,7 +333,7 @@ window.TokenCompressor.SupabaseClient = {
     },
     
     /**
-     * Get submissions awaiting testing
+     * Get submissions awaiting testing (queued, or stuck in testing by an unfinished ceremony), oldest first
      */
     async getUntestedSubmissions() {
         if (!this.client) return [];
@@ -325,7 +342,7 @@ window.TokenCompressor.SupabaseClient = {
             const { data, error } = await this.client
                 .from('submissions')
                 .select('*')
-                .eq('tested', false)
+                .in('status', ['queued', 'testing'])
                 .order('created_at', { ascending: true });
             
             if (error) throw error;
@@ -338,26 +355,641 @@ window.TokenCompressor.SupabaseClient = {
     },
     
     /**
-     * Mark submissions as tested
+     * Move submissions through the lifecycle
+     *
+     * updates: [{ id, status, reason?, hour?, measurements? }] - moves the lifecycle doesn't allow are skipped
+     * RETURNS: number of submissions updated
      */
-    async markSubmissionsTested(submissionIds, valid = true) {
-        if (!this.client || !submissionIds.length) return false;
+    async updateSubmissionStatuses(updates) {
+        if (!this.client || !updates.length) return 0;
+        
+        const lifecycle = window.TokenCompressor.SubmissionLifecycle;
+        let updated = 0;
         
         try {
-            const { error } = await this.client
+            // Current status and history, so each transition is checked and appended to
+            const { data: rows, error } = await this.client
                 .from('submissions')
-                .update({ 
-                    tested: true,
-                    valid: valid,
-                    tested_at: new Date().toISOString()
+                .select('id, status, status_history, tested, valid')
+                .in('id', updates.map(update => update.id));
+            
+            if (error) throw error;
+            const byId = new Map((rows || []).map(row => [row.id, row]));
+            
+            for (const update of updates) {
+                const row = byId.get(update.id);
+                if (!row) continue;
+                
+                let changes;
+                try {
+                    changes = lifecycle.transition(row, update);
+                } catch (transitionError) {
+                    console.warn(`⚠️ [SUPABASE-CLIENT] ${transitionError.message}`);
+                    continue;
+                }
+                
+                // Only from the status we read - a concurrent change makes this a no-op instead of a lost update
+                const { data: written, error: updateError } = await this.client
+                    .from('submissions')
+                    .update(changes)
+                    .eq('id', update.id)
+                    .eq('status', lifecycle.statusOf(row))
+                    .select('id');
+                
+                if (updateError) throw updateError;
+                updated += written?.length || 0;
+            }
+            
+            return updated;
+            
+        } catch (error) {
+            console.error('Failed to update submission statuses:', error);
+            return updated;
+        }
+    },
+    
+    /**
+     * ilike pattern without wildcards: a case-insensitive exact match
+     */
+    ilikeExact(value) {
+        return value.replace(/[\\%_]/g, '\\$&');
+    },
+    
+    /**
+     * ilike pattern matching a phrase the way SubmissionLifecycle.phraseKey compares it
+     * (ilike covers case; Unicode compatibility forms and spacing are normalized here)
+     */
+    ilikePhrase(original) {
+        return this.ilikeExact(original.normalize('NFKC').trim().replace(/\s+/g, ' '));
+    },
+    
+    /**
+     * Earlier submissions of a phrase (any case, spacing or compatibility form), for intake
+     */
+    async getSubmissionsForPhrase(original) {
+        if (!this.client) return [];
+        
+        try {
+            const { data, error } = await this.client
+                .from('submissions')
+                .select('id, original, compressed, status, status_reason, tested, valid, created_at')
+                .ilike('original', this.ilikePhrase(original));
+            
+            if (error) throw error;
+            return data || [];
+            
+        } catch (error) {
+            console.error('Failed to fetch submissions for phrase:', error);
+            return [];
+        }
+    },
+    
+    // Everything a submitter may see about their submissions (never the email)
+    SUBMISSION_PUBLIC_COLUMNS: 'id, name, original, compressed, status, status_reason, status_history, status_updated_at, ceremony_hour, original_tokens, compressed_tokens, tokens_saved, token_matrix, tested, valid, tested_at, created_at',
+    
+    /**
+     * Everything one submitter sent, newest first - by email, or by name when the query has no "@"
+     */
+    async getSubmissionsBySubmitter(query, limit = 50) {
+        const needle = String(query || '').trim();
+        if (!this.client || !needle) return [];
+        
+        try {
+            const { data, error } = await this.client
+                .from('submissions')
+                .select(this.SUBMISSION_PUBLIC_COLUMNS)
+                .ilike(needle.includes('@') ? 'email' : 'name', this.ilikeExact(needle))
+                .order('created_at', { ascending: false })
+                .limit(limit);
+            
+            if (error) throw error;
+            return (data || []).map(row => window.TokenCompressor.SubmissionLifecycle.publicView(row));
+            
+        } catch (error) {
+            console.error('Failed to fetch submissions for submitter:', error);
+            return [];
+        }
+    },
+    
+    // Rows per request when reading a whole table (at most the API's max-rows setting)
+    PAGE_SIZE: 1000,
+    
+    /**
+     * Acquire or renew the runner lease (only the holder runs discovery + ceremonies)
+     * Succeeds when the lease is free, expired, or already ours.
+     */
+    async acquireRunnerLease(runnerId, ttlMs = 120000) {
+        if (!this.client) return false;
+        
+        try {
+            const now = new Date();
+            const { data, error } = await this.client
+                .from('runner_lease')
+                .update({
+                    holder: runnerId,
+                    expires_at: new Date(now.getTime() + ttlMs).toISOString(),
+                    renewed_at: now.toISOString()
                 })
-                .in('id', submissionIds);
+                .eq('id', 1)
+                .or(`holder.is.null,holder.eq."${runnerId}",expires_at.lt."${now.toISOString()}"`)
+                .select();
+            
+            if (error) throw error;
+            return (data?.length || 0) > 0;
+            
+        } catch (error) {
+            console.error('Failed to acquire runner lease:', error);
+            return false;
+        }
+    },
+    
+    /**
+     * Release the runner lease on shutdown so another runner can take over immediately
+     */
+    async releaseRunnerLease(runnerId) {
+        if (!this.client) return false;
+        
+        try {
+            const { error } = await this.client
+                .from('runner_lease')
+                .update({ holder: null, expires_at: new Date(0).toISOString() })
+                .eq('id', 1)
+                .eq('holder', runnerId);
+            
+            if (error) throw error;
+            return true;
+            
+        } catch (error) {
+            console.error('Failed to release runner lease:', error);
+            return false;
+        }
+    },
+    
+    /**
+     * Get the current runner lease (viewer uses this to show whether the lab is running)
+     */
+    async getRunnerLease() {
+        if (!this.client) return null;
+        
+        try {
+            const { data, error } = await this.client
+                .from('runner_lease')
+                .select('*')
+                .eq('id', 1)
+                .maybeSingle();
+            
+            if (error) throw error;
+            return data;
+            
+        } catch (error) {
+            console.error('Failed to fetch runner lease:', error);
+            return null;
+        }
+    },
+    
+    /**
+     * Claim the ceremony for one wall-clock hour. Returns false if anyone already claimed it.
+     */
+    async claimCeremony(ceremonyKey, runnerId, hour) {
+        if (!this.client) return false;
+        
+        try {
+            const { error } = await this.client
+                .from('ceremony_runs')
+                .insert({
+                    ceremony_key: ceremonyKey,
+                    runner_id: runnerId,
+                    hour: hour
+                });
+            
+            if (error) {
+                // Unique violation: this hour's ceremony is already claimed
+                if (error.code === '23505') return false;
+                throw error;
+            }
+            return true;
+            
+        } catch (error) {
+            console.error('Failed to claim ceremony:', error);
+            return false;
+        }
+    },
+    
+    /**
+     * Mark a claimed ceremony as completed
+     */
+    async completeCeremony(ceremonyKey) {
+        if (!this.client) return false;
+        
+        try {
+            const { error } = await this.client
+                .from('ceremony_runs')
+                .update({ completed_at: new Date().toISOString() })
+                .eq('ceremony_key', ceremonyKey);
+            
+            if (error) throw error;
+            return true;
+            
+        } catch (error) {
+            console.error('Failed to complete ceremony:', error);
+            return false;
+        }
+    },
+    
+    /**
+     * Give up an unfinished ceremony claim (the ceremony failed), so the hour can be retried
+     */
+    async releaseCeremony(ceremonyKey, runnerId) {
+        if (!this.client) return false;
+        
+        try {
+            const { error } = await this.client
+                .from('ceremony_runs')
+                .delete()
+                .eq('ceremony_key', ceremonyKey)
+                .eq('runner_id', runnerId)
+                .is('completed_at', null);
+            
+            if (error) throw error;
+            return true;
+            
+        } catch (error) {
+            console.error('Failed to release ceremony:', error);
+            return false;
+        }
+    },
+    
+    /**
+     * Get symbol allocations and live reservations (symbol registry)
+     */
+    async getSymbolAllocations() {
+        if (!this.client) return [];
+        
+        try {
+            const { data, error } = await this.client
+                .from('symbol_allocations')
+                .select('symbol, original, status, holder, reserved_at, expires_at');
+            
+            if (error) throw error;
+            return data || [];
+            
+        } catch (error) {
+            console.error('Failed to fetch symbol allocations:', error);
+            return [];
+        }
+    },
+    
+    /**
+     * Reserve a symbol for a word until the next ceremony. Atomic: the symbol is the
+     * primary key, and an existing row is only taken over once its reservation expired.
+     */
+    async reserveSymbol(symbol, original, holder, ttlMs) {
+        if (!this.client) return false;
+        
+        try {
+            const now = new Date();
+            const reservation = {
+                symbol,
+                original,
+                status: 'reserved',
+                holder,
+                reserved_at: now.toISOString(),
+                expires_at: new Date(now.getTime() + ttlMs).toISOString()
+            };
+            
+            const { error } = await this.client
+                .from('symbol_allocations')
+                .insert(reservation);
+            
+            if (!error) return true;
+            // Anything but a unique violation is a real failure
+            if (error.code !== '23505') throw error;
+            
+            const { data, error: takeoverError } = await this.client
+                .from('symbol_allocations')
+                .update(reservation)
+                .eq('symbol', symbol)
+                .eq('status', 'reserved')
+                .lt('expires_at', now.toISOString())
+                .select();
+            
+            if (takeoverError) throw takeoverError;
+            return (data?.length || 0) > 0;
+            
+        } catch (error) {
+            console.error('Failed to reserve symbol:', error);
+            return false;
+        }
+    },
+    
+    /**
+     * Release a reservation (candidate rejected or dropped). Allocated symbols stay taken.
+     */
+    async freeSymbol(symbol, holder) {
+        if (!this.client) return false;
+        
+        try {
+            const { error } = await this.client
+                .from('symbol_allocations')
+                .delete()
+                .eq('symbol', symbol)
+                .eq('holder', holder)
+                .eq('status', 'reserved');
+            
+            if (error) throw error;
+            return true;
+            
+        } catch (error) {
+            console.error('Failed to free symbol:', error);
+            return false;
+        }
+    },
+    
+    /**
+     * Mark a symbol as permanently allocated to a validated compression
+     */
+    async allocateSymbol(symbol, original) {
+        if (!this.client) return false;
+        
+        try {
+            const { error } = await this.client
+                .from('symbol_allocations')
+                .upsert({ symbol, original, status: 'allocated', expires_at: null }, { onConflict: 'symbol' });
+            
+            if (error) throw error;
+            return true;
+            
+        } catch (error) {
+            console.error('Failed to allocate symbol:', error);
+            return false;
+        }
+    },
+    
+    /**
+     * Get every compression in the codex (learning system context - no limit)
+     */
+    async getAllCompressions() {
+        if (!this.client) return [];
+        
+        try {
+            // PostgREST caps every response (1000 rows by default): page until a short page
+            const rows = [];
+            for (let from = 0; ; from += this.PAGE_SIZE) {
+                const { data, error } = await this.client
+                    .from('compressions')
+                    .select('id, original, compressed, tokens_saved, token_matrix, inflections, hour, deprecated_at, created_at, source')
+                    .order('created_at', { ascending: false })
+                    .order('id', { ascending: false })
+                    .range(from, from + this.PAGE_SIZE - 1);
+                
+                if (error) throw error;
+                rows.push(...(data || []));
+                if (!data || data.length < this.PAGE_SIZE) return rows;
+            }
+            
+        } catch (error) {
+            console.error('Failed to fetch all compressions:', error);
+            return [];
+        }
+    },
+    
+    /**
+     * Get learning patterns, best success rate first
+     */
+    async getLearningPatterns() {
+        if (!this.client) return [];
+        
+        try {
+            const { data, error } = await this.client
+                .from('learning_patterns')
+                .select('*')
+                .order('success_rate', { ascending: false });
+            
+            if (error) throw error;
+            return data || [];
+            
+        } catch (error) {
+            console.error('Failed to fetch learning patterns:', error);
+            return [];
+        }
+    },
+    
+    /**
+     * Get the most recent failed attempts
+     */
+    async getFailedAttempts(limit = 100) {
+        if (!this.client) return [];
+        
+        try {
+            const { data, error } = await this.client
+                .from('failed_attempts')
+                .select('*')
+                .order('created_at', { ascending: false })
+                .limit(limit);
+            
+            if (error) throw error;
+            return data || [];
+            
+        } catch (error) {
+            console.error('Failed to fetch failed attempts:', error);
+            return [];
+        }
+    },
+    
+    /**
+     * Failed attempts at a phrase (any case, spacing or compatibility form), for intake
+     */
+    async getFailedAttemptsForPhrase(original) {
+        if (!this.client) return [];
+        
+        try {
+            const { data, error } = await this.client
+                .from('failed_attempts')
+                .select('original_word, attempted_compression, failure_reason, failure_details, created_at')
+                .ilike('original_word', this.ilikePhrase(original));
+            
+            if (error) throw error;
+            return data || [];
+            
+        } catch (error) {
+            console.error('Failed to fetch failed attempts for phrase:', error);
+            return [];
+        }
+    },
+    
+    /**
+     * Record a failed compression attempt (row uses the failed_attempts column names)
+     */
+    async saveFailedAttempt(attempt) {
+        if (!this.client) return false;
+        
+        try {
+            const { error } = await this.client
+                .from('failed_attempts')
+                .insert(attempt);
+            
+            if (error) throw error;
+            return true;
+            
+        } catch (error) {
+            console.error('Failed to record failed attempt:', error);
+            return false;
+        }
+    },
+    
+    /**
+     * Get the newest codex release (with its entries), or null before the first release.
+     * Throws when it can't be read - a release must never be planned against the wrong base.
+     */
+    async getLatestCodexRelease() {
+        if (!this.client) throw new Error('Supabase not configured');
+        
+        try {
+            const { data, error } = await this.client
+                .from('codex_releases')
+                .select('version, bump, hour, entry_count, entries, changelog, released_at')
+                .order('released_at', { ascending: false })
+                .limit(1);
+            
+            if (error) throw error;
+            return data?.[0] || null;
+            
+        } catch (error) {
+            console.error('Failed to fetch latest codex release:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * Publish a codex release. Releases are never updated: returns false if the version exists.
+     */
+    async saveCodexRelease(release) {
+        if (!this.client) return false;
+        
+        try {
+            const { error } = await this.client
+                .from('codex_releases')
+                .insert(release);
+            
+            if (error) {
+                // Unique violation: another runner published this version first
+                if (error.code === '23505') return false;
+                throw error;
+            }
+            return true;
+            
+        } catch (error) {
+            console.error('Failed to save codex release:', error);
+            return false;
+        }
+    },
+    
+    /**
+     * Submitters who opted into daily updates, one row per address (needs the service role key)
+     */
+    async getDailyUpdateSubscribers() {
+        if (!this.client) return [];
+        
+        try {
+            const { data, error } = await this.client
+                .from('submissions')
+                .select('email, name')
+                .eq('daily_updates', true)
+                .not('email', 'is', null);
+            
+            if (error) throw error;
+            const subscribers = new Map();
+            for (const row of data || []) {
+                const email = row.email.trim().toLowerCase();
+                if (email && !subscribers.has(email)) subscribers.set(email, { email, name: row.name });
+            }
+            return [...subscribers.values()];
+            
+        } catch (error) {
+            console.error('Failed to fetch daily update subscribers:', error);
+            return [];
+        }
+    },
+    
+    /**
+     * Addresses never to mail again. Throws when it can't be read - mailing an unsubscribed address is worse than a late mail.
+     */
+    async getNotificationSuppressions() {
+        if (!this.client) throw new Error('Supabase not configured');
+        
+        try {
+            const { data, error } = await this.client
+                .from('notification_suppressions')
+                .select('email, reason, created_at');
+            
+            if (error) throw error;
+            return data || [];
+            
+        } catch (error) {
+            console.error('Failed to fetch notification suppressions:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * Put an address on the suppression list ('unsubscribed' or 'bounced'). Idempotent.
+     */
+    async suppressNotifications(email, reason = 'unsubscribed') {
+        if (!this.client) return false;
+        
+        try {
+            const { error } = await this.client
+                .from('notification_suppressions')
+                .insert({ email: String(email || '').trim().toLowerCase(), reason });
+            
+            // Unique violation: already suppressed
+            if (error && error.code !== '23505') throw error;
+            return true;
+            
+        } catch (error) {
+            console.error('Failed to suppress notifications:', error);
+            return false;
+        }
+    },
+    
+    /**
+     * Mails already attempted for one ceremony or digest. Throws when it can't be read, so nothing is sent twice.
+     */
+    async getNotificationLog(kind, key) {
+        if (!this.client) throw new Error('Supabase not configured');
+        
+        try {
+            const { data, error } = await this.client
+                .from('notification_log')
+                .select('email, kind, key, status, sent_at')
+                .eq('kind', kind)
+                .eq('key', key);
+            
+            if (error) throw error;
+            return data || [];
+            
+        } catch (error) {
+            console.error('Failed to fetch notification log:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * Record a mail attempt. A later attempt at the same (email, kind, key) replaces the earlier one.
+     */
+    async recordNotification(entry) {
+        if (!this.client) return false;
+        
+        try {
+            const { error } = await this.client
+                .from('notification_log')
+                .upsert({ ...entry, sent_at: new Date().toISOString() }, { onConflict: 'email,kind,key' });
             
             if (error) throw error;
             return true;
             
         } catch (error) {
-            console.error('Failed to mark submissions as tested:', error);
+            console.error('Failed to record notification:', error);
             return false;
         }
     },
@@ -0,0 +1,80 @@
+// Minimal browser globals so the classic scripts in public/js can run inside Node.
+// The scripts attach themselves to window.TokenCompressor exactly as they do in the browser;
+// DOM lookups return null, which every agent already treats as "no UI attached".
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PUBLIC_JS = join(__dirname, '..', 'public', 'js');
+
+// Same order as the <script> tags in public/index.html (UI and main.js are browser-only)
+export const ORCHESTRATOR_SCRIPTS = [
+    'config.js',
+    'utils/error-handler.js',
+    'utils/event-emitter.js',
+    'utils/api-client.js',
+    'submission-lifecycle.js',
+    'leaderboard.js',
+    'utils/supabase-client.js',
+    'storage/local-store.js',
+    'storage/storage.js',
+    'codex/compression-engine.js',
+    'codex/interference.js',
+    'codex/round-trip.js',
+    'codex/legend.js',
+    'codex/releases.js',
+    'symbol-registry.js',
+    'learning-system.js',
+    'agents/discovery-agent.js',
+    'agents/generation-agent.js',
+    'agents/validation-agent.js',
+    'orchestrator.js'
+];
+
+/**
+ * Install window/document/localStorage/navigator shims on globalThis.
+ * Relative fetch URLs ('/api/tokenize') are resolved against apiBaseUrl.
+ */
+export function installBrowserGlobals({ apiBaseUrl, supabase = null } = {}) {
+    if (globalThis.window) return globalThis.window;
+    
+    const storage = new Map();
+    const nativeFetch = globalThis.fetch;
+    
+    globalThis.window = globalThis;
+    globalThis.supabase = supabase;
+    globalThis.addEventListener = () => {};
+    globalThis.alert = (message) => console.error(`⚠️ ${message}`);
+    globalThis.document = {
+        hidden: true,
+        getElementById: () => null,
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener: () => {}
+    };
+    globalThis.localStorage = {
+        getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+        setItem: (key, value) => storage.set(key, String(value)),
+        removeItem: (key) => storage.delete(key)
+    };
+    if (!globalThis.navigator) {
+        globalThis.navigator = { onLine: true, userAgent: `node/${process.version}` };
+    }
+    
+    globalThis.fetch = (resource, options) => {
+        const url = typeof resource === 'string' && resource.startsWith('/') ? `${apiBaseUrl}${resource}` : resource;
+        return nativeFetch(url, options);
+    };
+    
+    return globalThis.window;
+}
+
+/**
+ * Load classic browser scripts for their side effects (window.TokenCompressor.*)
+ */
+export async function loadBrowserScripts(scripts = ORCHESTRATOR_SCRIPTS) {
+    for (const script of scripts) {
+        await import(pathToFileURL(join(PUBLIC_JS, script)).href);
+    }
+    return globalThis.window.TokenCompressor;
+}
@@ -0,0 +1,36 @@
+// JSON file persistence for LocalStore (STORAGE_BACKEND=local) - shared by the runner and the API
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from 'fs';
+import { dirname, resolve } from 'path';
+
+export const DEFAULT_LOCAL_DB_PATH = '.data/local-db.json';
+
+/**
+ * Path of the local database file (LOCAL_DB_PATH, relative to the working directory)
+ */
+export function getLocalDbPath() {
+    return resolve(process.env.LOCAL_DB_PATH || DEFAULT_LOCAL_DB_PATH);
+}
+
+/**
+ * Adapter with the { load, save } shape LocalStore expects.
+ * Writes go to a temp file first so a reader never sees half a document.
+ */
+export function createJsonFileAdapter(filePath = getLocalDbPath()) {
+    return {
+        filePath,
+        load() {
+            try {
+                return JSON.parse(readFileSync(filePath, 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+        save(tables) {
+            mkdirSync(dirname(filePath), { recursive: true });
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            writeFileSync(tempPath, JSON.stringify(tables, null, 2));
+            renameSync(tempPath, filePath);
+        }
+    };
+}
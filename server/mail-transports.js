@@ -0,0 +1,255 @@
+// Mail transports for submitter notifications - SMTP in production, a file or the console in development
+import { connect as connectPlain } from 'net';
+import { connect as connectTls } from 'tls';
+import { mkdirSync, writeFileSync } from 'fs';
+import { join, resolve } from 'path';
+import { hostname } from 'os';
+import { randomBytes } from 'crypto';
+
+export const MAIL_TRANSPORTS = ['smtp', 'file', 'console'];
+export const DEFAULT_MAIL_DIR = '.data/mail';
+
+const SMTP_TIMEOUT_MS = 30000;
+
+// One plain mailbox, as accepted at intake (SubmissionLifecycle.EMAIL_PATTERN): no spaces, quotes or
+// control characters, so an address can never end a header or an SMTP command early
+const ADDRESS_PATTERN = /^[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)+$/;
+
+/**
+ * Transport from the environment:
+ * - MAIL_TRANSPORT=smtp|file|console (default: smtp when SMTP_HOST is set, else console)
+ * - smtp:    SMTP_HOST, SMTP_PORT (587), SMTP_SECURE=true for implicit TLS (port 465), SMTP_USER, SMTP_PASS
+ * - file:    MAIL_DIR (.data/mail), one .eml file per message
+ *
+ * RETURNS: { name, send(message) } - see formatMessage for the message shape
+ */
+export function selectMailTransport(env = process.env) {
+    const name = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'console');
+    
+    switch (name) {
+        case 'smtp':
+            if (!env.SMTP_HOST) {
+                throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+            }
+            return createSmtpTransport({
+                host: env.SMTP_HOST,
+                port: Number(env.SMTP_PORT) || (env.SMTP_SECURE === 'true' ? 465 : 587),
+                secure: env.SMTP_SECURE === 'true',
+                user: env.SMTP_USER || null,
+                pass: env.SMTP_PASS || null
+            });
+        case 'file':
+            return createFileTransport({ dir: env.MAIL_DIR || DEFAULT_MAIL_DIR });
+        case 'console':
+            return createConsoleTransport();
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected ${MAIL_TRANSPORTS.join(', ')})`);
+    }
+}
+
+/**
+ * Render a message as an RFC 5322 document (UTF-8 text body, base64 encoded)
+ *
+ * message: { from, to, subject, text, headers?: { 'List-Unsubscribe': '<...>', ... } }
+ */
+export function formatMessage(message, { messageId = createMessageId(message.from), date = new Date() } = {}) {
+    if (/[\r\n]/.test(message.from) || Object.values(message.headers || {}).some(value => /[\r\n]/.test(value))) {
+        throw new Error('Mail headers must not contain line breaks');
+    }
+    const headers = {
+        From: message.from,
+        To: mailAddress(message.to),
+        Subject: encodeHeader(message.subject),
+        Date: date.toUTCString(),
+        'Message-ID': messageId,
+        'MIME-Version': '1.0',
+        'Content-Type': 'text/plain; charset=utf-8',
+        'Content-Transfer-Encoding': 'base64',
+        ...message.headers
+    };
+    const body = Buffer.from(message.text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+    
+    return `${Object.entries(headers).map(([name, value]) => `${name}: ${value}`).join('\r\n')}\r\n\r\n${body}`;
+}
+
+export function isValidAddress(address) {
+    return typeof address === 'string' && address.length <= 254 && ADDRESS_PATTERN.test(address);
+}
+
+/**
+ * Bare address of a From/To value ("Lab <lab@example.com>" → lab@example.com). Throws on anything but one valid address.
+ */
+export function mailAddress(value) {
+    const address = (/^[^<>\r\n]*<([^<>]+)>$/.exec(String(value).trim())?.[1] || String(value)).trim();
+    if (!isValidAddress(address)) {
+        throw new Error(`Invalid mail address ${JSON.stringify(value)}`);
+    }
+    return address;
+}
+
+function createMessageId(from) {
+    return `<${Date.now()}.${randomBytes(6).toString('hex')}@${mailAddress(from).split('@')[1] || hostname()}>`;
+}
+
+// Non-ASCII headers as an RFC 2047 encoded word
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Writes every message to dir as an .eml file (open it in any mail client)
+ */
+export function createFileTransport({ dir = DEFAULT_MAIL_DIR } = {}) {
+    const path = resolve(dir);
+    return {
+        name: 'file',
+        async send(message) {
+            mkdirSync(path, { recursive: true });
+            const file = join(path, `${new Date().toISOString().replace(/[:.]/g, '-')}-${randomBytes(3).toString('hex')}.eml`);
+            writeFileSync(file, formatMessage(message));
+            return { id: file };
+        }
+    };
+}
+
+/**
+ * Logs every message instead of sending it
+ */
+export function createConsoleTransport() {
+    return {
+        name: 'console',
+        async send(message) {
+            console.log(`📧 [MAIL] To: ${message.to}\n📧 [MAIL] Subject: ${message.subject}\n${message.text}`);
+            return { id: null };
+        }
+    };
+}
+
+/**
+ * SMTP submission: EHLO, STARTTLS when offered (or implicit TLS with secure), AUTH PLAIN, one message per connection.
+ * Credentials are only ever sent over TLS: with a user and no TLS the send fails before AUTH.
+ * A rejected command throws an Error with the server's reply code as error.code (5xx = permanent).
+ */
+export function createSmtpTransport({ host, port = 587, secure = false, user = null, pass = null, timeout = SMTP_TIMEOUT_MS, heloName = hostname() }) {
+    return {
+        name: 'smtp',
+        async send(message) {
+            let socket = await openSocket({ host, port, secure, timeout });
+            let reader = replyReader(socket);
+            let encrypted = secure;
+            const command = async (line, expected, label = line?.split(' ')[0] || 'greeting') => {
+                if (line !== null) socket.write(`${line}\r\n`);
+                const reply = await reader.next();
+                if (!expected.includes(reply.code)) {
+                    const error = new Error(`SMTP ${label} failed: ${reply.text}`);
+                    error.code = reply.code;
+                    throw error;
+                }
+                return reply;
+            };
+            
+            try {
+                await command(null, [220]);
+                let ehlo = await command(`EHLO ${heloName}`, [250]);
+                
+                if (!secure && /^\d{3}[ -]STARTTLS\b/im.test(ehlo.text)) {
+                    await command('STARTTLS', [220]);
+                    reader.detach();
+                    socket = await upgradeSocket(socket, host, timeout);
+                    reader = replyReader(socket);
+                    encrypted = true;
+                    ehlo = await command(`EHLO ${heloName}`, [250]);
+                }
+                if (user) {
+                    if (!encrypted) {
+                        throw new Error(`SMTP server ${host}:${port} offers no STARTTLS - refusing to send credentials unencrypted (use SMTP_SECURE=true for implicit TLS)`);
+                    }
+                    await command(`AUTH PLAIN ${Buffer.from(`\u0000${user}\u0000${pass || ''}`, 'utf8').toString('base64')}`, [235]);
+                }
+                
+                const data = formatMessage(message);
+                await command(`MAIL FROM:<${mailAddress(message.from)}>`, [250]);
+                await command(`RCPT TO:<${mailAddress(message.to)}>`, [250, 251]);
+                await command('DATA', [354]);
+                const accepted = await command(`${data.replace(/^\./gm, '..')}\r\n.`, [250], 'message');
+                await command('QUIT', [221]).catch(() => {});
+                
+                return { id: accepted.text.slice(4) };
+                
+            } finally {
+                reader.detach();
+                socket.destroy();
+            }
+        }
+    };
+}
+
+function openSocket({ host, port, secure, timeout }) {
+    return new Promise((resolvePromise, reject) => {
+        const socket = secure
+            ? connectTls({ host, port, servername: host }, () => resolvePromise(socket))
+            : connectPlain({ host, port }, () => resolvePromise(socket));
+        socket.setTimeout(timeout, () => socket.destroy(new Error(`SMTP connection to ${host}:${port} timed out`)));
+        socket.once('error', reject);
+    });
+}
+
+function upgradeSocket(socket, host, timeout) {
+    return new Promise((resolvePromise, reject) => {
+        const secureSocket = connectTls({ socket, servername: host }, () => resolvePromise(secureSocket));
+        secureSocket.setTimeout(timeout, () => secureSocket.destroy(new Error(`SMTP TLS upgrade with ${host} timed out`)));
+        secureSocket.once('error', reject);
+    });
+}
+
+// SMTP replies ("250-first line" ... "250 last line") in arrival order
+function replyReader(socket) {
+    const replies = [];
+    const waiting = [];
+    let buffer = '';
+    let lines = [];
+    let failure = null;
+    
+    const flush = () => {
+        while (waiting.length > 0 && (replies.length > 0 || failure)) {
+            const { resolve: resolveReply, reject } = waiting.shift();
+            if (replies.length > 0) resolveReply(replies.shift());
+            else reject(failure);
+        }
+    };
+    const onData = (chunk) => {
+        buffer += chunk.toString('utf8');
+        let end;
+        while ((end = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, end).replace(/\r$/, '');
+            buffer = buffer.slice(end + 1);
+            lines.push(line);
+            if (/^\d{3}(?: |$)/.test(line)) {
+                replies.push({ code: Number(line.slice(0, 3)), text: lines.join('\n') });
+                lines = [];
+            }
+        }
+        flush();
+    };
+    const onError = (error) => {
+        failure = error;
+        flush();
+    };
+    const onClose = () => onError(failure || new Error('SMTP connection closed'));
+    
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+    
+    return {
+        next: () => new Promise((resolveReply, reject) => {
+            waiting.push({ resolve: resolveReply, reject });
+            flush();
+        }),
+        detach() {
+            socket.off('data', onData);
+            socket.off('error', onError);
+            socket.off('close', onClose);
+        }
+    };
+}
@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+
+/**
+ * MOCK LLM SERVER - OpenAI-compatible chat completions for offline, deterministic runs
+ *
+ * WHY:
+ * The agents need DeepSeek (discovery, validation) and Groq (generation, AI rewrite)
+ * for every cycle. Pointing the API routes at this server lets the full
+ * discovery -> generation -> ceremony loop run in CI with no network and no keys.
+ *
+ * RESPONSES (checked in order):
+ * 1. Scripted: MOCK_LLM_SCRIPT=path/to/script.json - [{ "match": "<regex>", "response": "..." }],
+ *    first entry whose regex matches the last user message wins
+ * 2. Rule-based, in the formats the agents parse:
+ *    - discovery  (<analysis_request>):      word|tokens|frequency lines
+ *    - generation (<target_words>):          <compression> XML blocks (symbols from <available_symbols>)
+ *    - validation (<compressions_to_test>):  <validation> XML blocks
+ *    - AI rewrite ("Please rewrite ..."):    the text, unchanged
+ *
+ * RUN:
+ * - npm run mock-llm                                   (port MOCK_LLM_PORT, default 4010)
+ * - LLM_BASE_URL=http://127.0.0.1:4010/v1 npm run dev  (API routes call the mock)
+ * - MOCK_LLM=true npm run dev                          (starts it inside local-server.js)
+ */
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+export const DEFAULT_MOCK_LLM_PORT = 4010;
+
+// Same order as config.agents.generation.mathematicalSymbols (singleToken, then suffixSymbols)
+const MOCK_SYMBOLS = [
+    '∂', '∫', '∏', '∑', 'Δ', 'Ω', 'α', 'β', 'γ', 'δ', 'ε', 'θ', 'λ', 'μ', 'π', 'ρ', 'σ', 'τ', 'φ', 'ψ', 'ω',
+    '†', '‡', '§', '¶', '◊', '♦', '♠', '♣', '♥', '♪', '♫'
+];
+
+const HIGH_VALUE_WORD = /(tion|ment|ness|able|ized|ally|ately)$/;
+
+/**
+ * Load scripted responses: [{ match, response }] with match compiled to a RegExp
+ */
+export function loadMockScript(filePath) {
+    const entries = JSON.parse(readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(entries)) {
+        throw new Error(`Mock script ${filePath} must be a JSON array of { match, response }`);
+    }
+    return entries.map(entry => ({ match: new RegExp(entry.match), response: String(entry.response) }));
+}
+
+/**
+ * Produce the assistant message for a chat completions request
+ */
+export function mockCompletion(messages, script = []) {
+    const prompt = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+    
+    const scripted = script.find(entry => entry.match.test(prompt));
+    if (scripted) {
+        return { agent: 'scripted', content: scripted.response };
+    }
+    
+    if (prompt.includes('<analysis_request>')) {
+        return { agent: 'discovery', content: mockDiscovery(prompt) };
+    }
+    if (prompt.includes('<compressions_to_test>')) {
+        return { agent: 'validation', content: mockValidation(prompt) };
+    }
+    if (prompt.includes('<target_words>')) {
+        return { agent: 'generation', content: mockGeneration(prompt) };
+    }
+    if (prompt.startsWith('Please rewrite this text')) {
+        return { agent: 'rewrite', content: prompt.slice(prompt.indexOf('\n\n') + 2) };
+    }
+    return { agent: 'generic', content: 'Mock LLM response.' };
+}
+
+/**
+ * Long suffix-pattern words from the quoted article, most frequent first
+ */
+function mockDiscovery(prompt) {
+    const article = prompt.match(/"([\s\S]+?)"\n/)?.[1] || '';
+    const counts = new Map();
+    for (const word of article.toLowerCase().match(/[a-z]{9,}/g) || []) {
+        counts.set(word, (counts.get(word) || 0) + 1);
+    }
+    
+    const words = [...counts.entries()]
+        .filter(([word]) => HIGH_VALUE_WORD.test(word) || word.length >= 12)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, 5);
+    
+    if (words.length === 0) {
+        return 'No multi-token compression candidates found in this text.';
+    }
+    
+    const lines = words.map(([word, frequency]) => `${word}|${Math.max(2, Math.ceil(word.length / 4))}|${frequency}`);
+    return `Multi-token candidates (word, tokens, frequency):\n${lines.join('\n')}`;
+}
+
+/**
+ * One unused symbol per target word; the starting symbol depends only on the word
+ */
+function mockGeneration(prompt) {
+    const targets = [...prompt.matchAll(/^"(.+?)" \((\d+) tokens/gm)];
+    const codexSection = prompt.match(/<existing_codex>([\s\S]*?)<\/existing_codex>/)?.[1] || '';
+    const used = new Set([...codexSection.matchAll(/→ "(.+?)"/g)].map(match => match[1]));
+    
+    // Stick to the symbol registry's offer when the prompt has one
+    const offered = prompt.match(/<available_symbols>\n([\s\S]*?)\n<\/available_symbols>/)?.[1].split(' ');
+    const palette = offered?.length ? offered : MOCK_SYMBOLS;
+    
+    const blocks = [];
+    for (const [, word, tokens] of targets) {
+        const start = [...word].reduce((hash, char) => (hash * 31 + char.codePointAt(0)) % palette.length, 0);
+        const symbol = palette.map((_, i) => palette[(start + i) % palette.length])
+            .find(candidate => !used.has(candidate));
+        if (!symbol) break;
+        
+        used.add(symbol);
+        blocks.push(`<compression>
+<original>${word}</original>
+<compressed>${symbol}</compressed>
+<reasoning>Mock: first unused symbol for "${word}"</reasoning>
+<token_savings>${Math.max(1, Number(tokens) - 1)}</token_savings>
+</compression>`);
+    }
+    
+    return blocks.join('\n\n') || 'No compressions to suggest.';
+}
+
+/**
+ * Accept symbol-only compressions shorter than the original, reject everything else
+ */
+function mockValidation(prompt) {
+    const candidates = [...prompt.matchAll(/^\d+\. "(.+?)" → "(.+?)" \(Source: (.+?)\)$/gm)];
+    
+    return candidates.map(([, original, compressed, source]) => {
+        const isValid = !/[\sA-Za-z0-9]/.test(compressed) && compressed.length < original.length;
+        return `<validation>
+<original>${original}</original>
+<compressed>${compressed}</compressed>
+<source>${source}</source>
+<is_valid>${isValid}</is_valid>
+<tiktoken_verified>${isValid}</tiktoken_verified>
+<token_savings>${isValid ? 1 : 0}</token_savings>
+<context_safe>${isValid}</context_safe>
+<tests_passed>${isValid ? 12 : 0}</tests_passed>
+<tests_failed>${isValid ? 0 : 12}</tests_failed>
+<rejection_reason>${isValid ? '' : 'Mock: compressed form must be a symbol shorter than the original'}</rejection_reason>
+<confidence>high</confidence>
+</validation>`;
+    }).join('\n\n') || 'No compressions to validate.';
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Start the mock server. Resolves once it is listening.
+ *
+ * RETURNS: { url (base URL ending in /v1), port, close() }
+ */
+export function startMockLLMServer({ port = DEFAULT_MOCK_LLM_PORT, host = '127.0.0.1', script = [] } = {}) {
+    let completionCount = 0;
+    
+    const server = createServer((req, res) => {
+        const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+        
+        if (req.method === 'GET' && pathname.endsWith('/models')) {
+            return sendJson(res, 200, { object: 'list', data: [{ id: 'mock', object: 'model', owned_by: 'mock-llm' }] });
+        }
+        
+        if (req.method !== 'POST' || !pathname.endsWith('/chat/completions')) {
+            return sendJson(res, 404, { error: { message: `No mock route for ${req.method} ${pathname}`, type: 'invalid_request_error' } });
+        }
+        
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            let body;
+            try {
+                body = JSON.parse(raw);
+            } catch (error) {
+                return sendJson(res, 400, { error: { message: 'Invalid JSON body', type: 'invalid_request_error' } });
+            }
+            
+            if (!Array.isArray(body.messages) || body.messages.length === 0) {
+                return sendJson(res, 400, { error: { message: 'messages must be a non-empty array', type: 'invalid_request_error' } });
+            }
+            
+            const { agent, content } = mockCompletion(body.messages, script);
+            const promptChars = body.messages.reduce((sum, message) => sum + (message.content?.length || 0), 0);
+            const promptTokens = Math.ceil(promptChars / 4);
+            const completionTokens = Math.ceil(content.length / 4);
+            completionCount++;
+            
+            console.log(`🤖 [MOCK-LLM] #${completionCount} ${agent} (${body.model || 'mock'})`);
+            
+            sendJson(res, 200, {
+                id: `chatcmpl-mock-${completionCount}`,
+                object: 'chat.completion',
+                created: Math.floor(Date.now() / 1000),
+                model: body.model || 'mock',
+                choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+                usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+            });
+        });
+    });
+    
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            const actualPort = server.address().port;
+            resolve({
+                url: `http://${host}:${actualPort}/v1`,
+                port: actualPort,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+// Standalone entry point: node server/mock-llm-server.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.MOCK_LLM_PORT) || DEFAULT_MOCK_LLM_PORT;
+    const script = process.env.MOCK_LLM_SCRIPT ? loadMockScript(process.env.MOCK_LLM_SCRIPT) : [];
+    
+    try {
+        const mock = await startMockLLMServer({ port, script });
+        console.log(`🤖 Mock LLM server listening at ${mock.url} (${script.length} scripted responses)`);
+        console.log(`   Point the API at it: LLM_BASE_URL=${mock.url} npm run dev`);
+    } catch (error) {
+        console.error('💥 Mock LLM server failed to start:', error);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,235 @@
+/**
+ * SUBMITTER NOTIFICATIONS - Mail for submitters who ticked "daily updates"
+ *
+ * - ceremony results: after each ceremony, one mail per submitter listing what happened to
+ *   their submissions (accepted with the measured savings, rejected or duplicate with the
+ *   reason, or back in the queue)
+ * - daily digest: after the daily reset (midnight UTC), the codex entries added the day before
+ *
+ * Every mail carries a signed unsubscribe link (HMAC of the address with NOTIFY_SECRET, checked
+ * by /api/unsubscribe). Unsubscribed and hard-bounced addresses go on the suppression list and
+ * are never mailed again; the notification log makes each mail go out once per ceremony / day,
+ * even across runner restarts.
+ *
+ * Runs in the headless runner (server/orchestrator-runner.js). Transports: server/mail-transports.js
+ * Schema: doc/notifications-schema.sql
+ */
+import { createHmac, timingSafeEqual } from 'crypto';
+import { isValidAddress } from './mail-transports.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const OUTCOME_ICONS = { accepted: '✅', rejected: '❌', duplicate: '♻️', queued: '⏳' };
+
+/**
+ * Address as stored on the suppression list and in the notification log
+ */
+export function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Unsubscribe token for an address: HMAC-SHA256 with the notification secret, base64url
+ */
+export function unsubscribeToken(email, secret) {
+    return createHmac('sha256', secret).update(normalizeEmail(email)).digest('base64url');
+}
+
+export function verifyUnsubscribeToken(email, token, secret) {
+    const expected = Buffer.from(unsubscribeToken(email, secret));
+    const given = Buffer.from(String(token || ''));
+    return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+export function unsubscribeUrl(baseUrl, email, secret) {
+    const params = new URLSearchParams({ email: normalizeEmail(email), token: unsubscribeToken(email, secret) });
+    return `${baseUrl.replace(/\/$/, '')}/api/unsubscribe?${params}`;
+}
+
+/**
+ * Ceremony results mail for one submitter
+ *
+ * submissions: [{ original, compressed, status, reason, tokensSaved }] (this ceremony's outcomes)
+ * RETURNS: { subject, text }
+ */
+export function composeCeremonyEmail({ name, hour, submissions, unsubscribe }) {
+    const counts = submissions.reduce((tally, { status }) => ({ ...tally, [status]: (tally[status] || 0) + 1 }), {});
+    const lines = submissions.map(({ original, compressed, status, reason, tokensSaved }) => {
+        const detail = status === 'accepted'
+            ? (tokensSaved !== null && tokensSaved !== undefined ? ` - saves ${tokensSaved} token${tokensSaved === 1 ? '' : 's'}` : '')
+            : (reason ? ` - ${reason}` : '');
+        return `${OUTCOME_ICONS[status] || '•'} "${original}" → "${compressed}": ${status}${detail}`;
+    });
+    
+    return {
+        subject: `Ceremony ${hour} results: ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')}`,
+        text: [
+            `Hi ${name || 'there'},`,
+            '',
+            `The hour ${hour} testing ceremony checked your submissions:`,
+            '',
+            ...lines,
+            '',
+            footer(unsubscribe)
+        ].join('\n')
+    };
+}
+
+/**
+ * Daily digest of the codex entries added on one UTC day
+ *
+ * entries: compressions rows (original, compressed, tokens_saved, source), oldest first
+ * RETURNS: { subject, text }
+ */
+export function composeDigestEmail({ day, entries, unsubscribe }) {
+    const credit = source => (source?.startsWith('Human:') ? source.slice(6).trim() : 'AI');
+    const lines = entries.map(entry => `• "${entry.original}" → "${entry.compressed}" - saves ${entry.tokens_saved ?? 0}, by ${credit(entry.source)}`);
+    
+    return {
+        subject: `Codex digest ${day}: ${entries.length} new entr${entries.length === 1 ? 'y' : 'ies'}`,
+        text: [
+            `New in the codex on ${day} (UTC):`,
+            '',
+            ...lines,
+            '',
+            footer(unsubscribe)
+        ].join('\n')
+    };
+}
+
+function footer(unsubscribe) {
+    return `You get this because you ticked "daily updates" when submitting a compression.\nUnsubscribe: ${unsubscribe}`;
+}
+
+/**
+ * Notification service over a storage backend (SupabaseClient or LocalStore) and a mail transport
+ *
+ * options: { storage, transport, secret (NOTIFY_SECRET), baseUrl (for unsubscribe links), from }
+ */
+export function createNotifier({ storage, transport, secret, baseUrl, from }) {
+    if (!secret) {
+        throw new Error('Notifications need a secret for unsubscribe links (NOTIFY_SECRET)');
+    }
+    let lastDigestDay = null;
+    
+    /**
+     * Send one mail per recipient not yet mailed for (kind, key) and not suppressed.
+     * recipients: [{ email, compose(unsubscribe) → { subject, text } }]
+     *
+     * RETURNS: { sent, skipped, failed }
+     */
+    const deliver = async (kind, key, recipients) => {
+        const suppressed = new Set((await storage.getNotificationSuppressions()).map(row => normalizeEmail(row.email)));
+        const delivered = new Set((await storage.getNotificationLog(kind, key))
+            .filter(row => row.status === 'sent')
+            .map(row => normalizeEmail(row.email)));
+        const summary = { sent: 0, skipped: 0, failed: 0 };
+        
+        for (const recipient of recipients) {
+            const email = normalizeEmail(recipient.email);
+            if (suppressed.has(email) || delivered.has(email)) {
+                summary.skipped++;
+                continue;
+            }
+            // Rows can be inserted without the form's intake check - never hand a malformed address to the transport
+            if (!isValidAddress(email)) {
+                console.warn(`⚠️ [NOTIFY] ${kind} ${key}: skipping invalid address ${JSON.stringify(email)}`);
+                summary.skipped++;
+                continue;
+            }
+            
+            const unsubscribe = unsubscribeUrl(baseUrl, email, secret);
+            const { subject, text } = recipient.compose(unsubscribe);
+            try {
+                await transport.send({
+                    from,
+                    to: email,
+                    subject,
+                    text,
+                    headers: { 'List-Unsubscribe': `<${unsubscribe}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+                });
+                await storage.recordNotification({ email, kind, key, status: 'sent', transport: transport.name, error: null });
+                summary.sent++;
+            } catch (error) {
+                console.error(`❌ [NOTIFY] ${kind} ${key} to ${email} failed:`, error.message);
+                await storage.recordNotification({ email, kind, key, status: 'failed', transport: transport.name, error: error.message });
+                // 550-553: mailbox unknown or refused - a hard bounce, stop mailing it
+                if (error.code >= 550 && error.code <= 553) {
+                    await storage.suppressNotifications(email, 'bounced');
+                }
+                summary.failed++;
+            }
+        }
+        
+        console.log(`📧 [NOTIFY] ${kind} ${key}: ${summary.sent} sent, ${summary.skipped} skipped, ${summary.failed} failed (${transport.name})`);
+        return summary;
+    };
+    
+    return {
+        /**
+         * Mail each opted-in submitter what this ceremony did with their submissions
+         *
+         * ceremony: { ceremonyKey, hour, submissions (rows with email, name, daily_updates), outcomes (SubmissionLifecycle.ceremonyOutcomes) }
+         */
+        async notifyCeremony({ ceremonyKey, hour, submissions, outcomes }) {
+            const byId = new Map(submissions.map(row => [row.id, row]));
+            const bySubmitter = new Map();
+            for (const outcome of outcomes) {
+                const row = byId.get(outcome.id);
+                if (!row?.daily_updates || !normalizeEmail(row.email)) continue;
+                
+                const email = normalizeEmail(row.email);
+                const entry = bySubmitter.get(email) || { email, name: row.name, submissions: [] };
+                entry.submissions.push({
+                    original: row.original,
+                    compressed: row.compressed,
+                    status: outcome.status,
+                    reason: outcome.reason,
+                    tokensSaved: outcome.measurements?.tokensSaved ?? null
+                });
+                bySubmitter.set(email, entry);
+            }
+            
+            return deliver('ceremony', ceremonyKey, [...bySubmitter.values()].map(entry => ({
+                email: entry.email,
+                compose: unsubscribe => composeCeremonyEmail({ name: entry.name, hour, submissions: entry.submissions, unsubscribe })
+            })));
+        },
+        
+        /**
+         * Mail the codex entries added on day ('2025-01-31', UTC) to every opted-in submitter
+         */
+        async sendDailyDigest(day) {
+            const entries = (await storage.getAllCompressions())
+                .filter(row => row.created_at?.slice(0, 10) === day)
+                .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id - b.id);
+            if (entries.length === 0) {
+                console.log(`📧 [NOTIFY] digest ${day}: no new codex entries - nothing to send`);
+                return { sent: 0, skipped: 0, failed: 0 };
+            }
+            
+            const subscribers = await storage.getDailyUpdateSubscribers();
+            return deliver('digest', day, subscribers.map(({ email }) => ({
+                email,
+                compose: unsubscribe => composeDigestEmail({ day, entries, unsubscribe })
+            })));
+        },
+        
+        /**
+         * Send yesterday's digest once the daily reset has passed (cheap to call on every lease renewal)
+         */
+        async sendDailyDigestIfDue(now = new Date()) {
+            const day = new Date(now.getTime() - DAY_MS).toISOString().slice(0, 10);
+            if (day === lastDigestDay) return null;
+            
+            // Claimed up front so a slow send isn't started again by the next call; a failure retries
+            lastDigestDay = day;
+            try {
+                return await this.sendDailyDigest(day);
+            } catch (error) {
+                lastDigestDay = null;
+                throw error;
+            }
+        }
+    };
+}
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * HEADLESS ORCHESTRATOR RUNNER - The one process that runs the discovery lab
+ *
+ * WHY:
+ * The discovery loop used to run inside whichever browser tab was open - zero
+ * visitors meant zero discoveries, ten visitors meant ten ceremonies at minute 55.
+ * Now exactly one runner holds the database lease and runs the schedule;
+ * browser tabs are read-only viewers (config.discovery.runMode = 'viewer').
+ *
+ * EXACTLY ONCE:
+ * - runner_lease: only the lease holder runs discovery cycles; renewed every 30s,
+ *   taken over by another runner when it expires (crash, deploy)
+ * - ceremony_runs: each hour's ceremony is claimed with a unique insert, so even
+ *   a stale runner or a 'browser' mode tab can never run it twice
+ *
+ * RUN:
+ * - npm run runner                            (standalone, needs the API server)
+ * - RUN_ORCHESTRATOR=true npm start           (inside local-server.js)
+ *
+ * NOTIFICATIONS:
+ * With NOTIFY_SECRET set, the runner mails opted-in submitters their ceremony results
+ * and, after midnight UTC, the previous day's codex digest (server/notifications.js)
+ *
+ * Schema: doc/orchestrator-runner-schema.sql, doc/notifications-schema.sql
+ * No database: STORAGE_BACKEND=local keeps every table in LOCAL_DB_PATH (.data/local-db.json)
+ */
+import { hostname } from 'os';
+import { fileURLToPath } from 'url';
+import { installBrowserGlobals, loadBrowserScripts } from './browser-globals.js';
+import { createJsonFileAdapter } from './json-file-adapter.js';
+import { selectMailTransport } from './mail-transports.js';
+import { createNotifier } from './notifications.js';
+
+const LEASE_RENEW_INTERVAL = 30000; // 30 seconds
+
+/**
+ * Start the runner. Resolves once the first lease attempt has been made.
+ *
+ * RETURNS: { runnerId, orchestrator, isLeader(), stop() }
+ */
+export async function startOrchestratorRunner({ apiBaseUrl, runnerId = null } = {}) {
+    if (!apiBaseUrl) {
+        throw new Error('apiBaseUrl is required (agents call the /api/* routes)');
+    }
+    
+    const supabase = await import('@supabase/supabase-js');
+    installBrowserGlobals({ apiBaseUrl, supabase });
+    const TokenCompressor = await loadBrowserScripts();
+    
+    TokenCompressor.APIClient.baseURL = `${apiBaseUrl}/api`;
+    
+    // No DOM here - agent chat and ceremony results go to the log
+    logAgentEvents(TokenCompressor.agentEvents);
+    
+    // STORAGE_BACKEND=local: no database, everything lives in one JSON file (LOCAL_DB_PATH)
+    const storage = selectRunnerStorage(TokenCompressor);
+    if (!storage.init()) {
+        throw new Error('Failed to initialize storage');
+    }
+    
+    const id = runnerId || `${hostname()}-${process.pid}-${Math.random().toString(36).substr(2, 6)}`;
+    const leaseTtl = TokenCompressor.config.discovery.runnerLeaseTtl;
+    const orchestrator = new TokenCompressor.Orchestrator({ mode: 'headless', runnerId: id });
+    const notifier = startNotifications(storage, orchestrator, apiBaseUrl);
+    let isLeader = false;
+    let stopped = false;
+    
+    const renewLease = async () => {
+        if (stopped) return;
+        
+        const held = await storage.acquireRunnerLease(id, leaseTtl);
+        
+        if (held && !isLeader) {
+            console.log(`👑 Runner ${id} acquired the lease - starting discovery schedule`);
+            isLeader = true;
+            try {
+                if (!orchestrator.isInitialized) {
+                    await orchestrator.initialize();
+                } else {
+                    orchestrator.startDiscoveryProcess();
+                }
+            } catch (error) {
+                console.error('Runner failed to start orchestrator:', error);
+                isLeader = false;
+                await storage.releaseRunnerLease(id);
+            }
+        } else if (!held && isLeader) {
+            console.warn(`⚠️ Runner ${id} lost the lease - stopping discovery schedule`);
+            isLeader = false;
+            orchestrator.stop();
+        } else if (!held) {
+            console.log(`⏳ Runner ${id} on standby - lease held by another runner (or database unreachable)`);
+        }
+        
+        if (isLeader && notifier) {
+            notifier.sendDailyDigestIfDue().catch(error => console.error('Daily digest failed:', error));
+        }
+    };
+    
+    await renewLease();
+    const leaseInterval = setInterval(renewLease, LEASE_RENEW_INTERVAL);
+    
+    return {
+        runnerId: id,
+        orchestrator,
+        isLeader: () => isLeader,
+        async stop() {
+            stopped = true;
+            clearInterval(leaseInterval);
+            orchestrator.stop();
+            if (isLeader) {
+                await storage.releaseRunnerLease(id);
+                isLeader = false;
+            }
+            console.log(`🛑 Runner ${id} stopped`);
+        }
+    };
+}
+
+function selectRunnerStorage(TokenCompressor) {
+    if (process.env.STORAGE_BACKEND === 'local') {
+        const adapter = createJsonFileAdapter();
+        console.log(`🗄️ Local storage file: ${adapter.filePath}`);
+        return TokenCompressor.selectStorage('local', { adapter });
+    }
+    
+    // Runner state is service-role only (doc/orchestrator-runner-schema.sql) - the anon key ships to every browser
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+        throw new Error('The runner needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY (or STORAGE_BACKEND=local)');
+    }
+    TokenCompressor.config.supabase = { url: process.env.SUPABASE_URL, anonKey: process.env.SUPABASE_SERVICE_ROLE_KEY };
+    return TokenCompressor.selectStorage('supabase');
+}
+
+/**
+ * Mail opted-in submitters after each ceremony (disabled without NOTIFY_SECRET)
+ *
+ * RETURNS: the notifier, or null
+ */
+function startNotifications(storage, orchestrator, apiBaseUrl) {
+    if (!process.env.NOTIFY_SECRET) {
+        console.log('📧 Notifications disabled (set NOTIFY_SECRET to mail submitters who opted into daily updates)');
+        return null;
+    }
+    
+    const transport = selectMailTransport();
+    const notifier = createNotifier({
+        storage,
+        transport,
+        secret: process.env.NOTIFY_SECRET,
+        baseUrl: process.env.PUBLIC_BASE_URL || apiBaseUrl,
+        from: process.env.MAIL_FROM || 'Token Compressor <noreply@localhost>'
+    });
+    orchestrator.events.on('ceremony', (ceremony) => {
+        notifier.notifyCeremony(ceremony).catch(error => console.error('Ceremony notifications failed:', error));
+    });
+    
+    console.log(`📧 Notifications enabled (${transport.name} transport)`);
+    return notifier;
+}
+
+function logAgentEvents(events) {
+    events.on('message', ({ agentName, content }) => console.log(`💬 [${agentName}] ${content}`));
+    events.on('result', ({ agentName, content }) => console.log(`🧪 [${agentName}] ${content}`));
+}
+
+/**
+ * Stop the runner (and release its lease) on Ctrl+C / platform shutdown
+ */
+export function stopRunnerOnExit(runner) {
+    const shutdown = async () => {
+        await runner.stop();
+        process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+}
+
+// Standalone entry point: node server/orchestrator-runner.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const dotenv = await import('dotenv');
+    dotenv.config({ path: '.env' });
+    
+    const apiBaseUrl = process.env.RUNNER_API_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+    console.log(`🎭 Starting headless orchestrator runner (API: ${apiBaseUrl})`);
+    
+    try {
+        const runner = await startOrchestratorRunner({ apiBaseUrl });
+        stopRunnerOnExit(runner);
+    } catch (error) {
+        console.error('💥 Runner failed to start:', error);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+
+/**
+ * ROUND-TRIP PROPERTY HARNESS - decompress(compress(x)) === x for the whole codex at once
+ *
+ * WHY:
+ * ValidationAgent.validateCompressionLocally checks one entry against twelve fixed
+ * sentences. Real text mixes every codex entry with punctuation, casing, quotes,
+ * plurals, neighbouring codex words, code, URLs and maths that already uses our
+ * symbols. This generates thousands of such sentences from a seed and, for any failure, shrinks
+ * it to a minimal counterexample (no single character or chunk can be removed
+ * without the round trip succeeding again).
+ *
+ * RUN:
+ * - npm run test:roundtrip                                   (current codex, 5000 sentences)
+ * - npm run test:roundtrip -- --runs 20000 --seed 42         (reproduce a reported seed)
+ * - npm run test:roundtrip -- --codex path/to/codex.json     ({ original: compressed } or rows)
+ *
+ * The current codex comes from loadCodex() - Supabase, the local JSON store with
+ * STORAGE_BACKEND=local, or the baseline codex when neither is available.
+ */
+
+import { readFileSync } from 'fs';
+import { normalizeCodex, compress, decompress, DEFAULT_ESCAPE } from '../public/js/codex/compression-engine.js';
+
+export const DEFAULT_RUNS = 5000;
+export const DEFAULT_SEED = 1;
+
+const FILLER_WORDS = [
+  'the', 'a', 'an', 'of', 'and', 'or', 'to', 'in', 'is', 'was', 'we', 'it', 'that', 'with',
+  'for', 'on', 'not', 'team', 'code', 'report', 'three', 'very', 'well', 'as', 'café', 'naïve'
+];
+const MATH_FRAGMENTS = ['x', 'y', 'f(x)', 'dx', '= 0', '+ 1', '≤', '→', '∑', '∞', '√2', '≈', '\\', '\\\\', '2^n'];
+const PUNCTUATION = ['.', ',', ';', ':', '!', '?', '...', ')', '—'];
+const QUOTES = [['"', '"'], ["'", "'"], ['“', '”'], ['‘', '’'], ['(', ')'], ['`', '`'], ['«', '»']];
+const SEPARATORS = [' ', ' ', ' ', ' ', '  ', '\n', '\t', '-', '/', '_', ''];
+const OTHER_CHARS = ['😀', '🚀', '42', '3.14', '#', '@', '&', 'ß', '中文', ' '];
+// Protected spans (code, URLs, emails, JSON keys, HTML) around a codex word or symbol,
+// including unclosed ones that must not be protected
+const PROTECTED_TEMPLATES = [
+  w => `\`${w}\``,
+  w => `\`\`${w} \` ${w}\`\``,
+  w => `\n\`\`\`js\n${w}()\n\`\`\`\n`,
+  w => `\n~~~\n${w}`,
+  w => `https://example.com/${w}?q=${w}`,
+  w => `(www.${w}.io)`,
+  w => `${w}@mail.com`,
+  w => `{"${w}": "${w}"}`,
+  w => `<a title="${w}">${w}</a>`,
+  w => `<!-- ${w} -->`,
+  w => `\`${w}`,
+  w => `<${w}`
+];
+
+/**
+ * Small deterministic PRNG (mulberry32) so every failure is reproducible from its seed
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (max) => Math.floor(next() * max),
+    pick: (list) => list[Math.floor(next() * list.length)],
+    chance: (probability) => next() < probability
+  };
+}
+
+/**
+ * One randomized sentence built around the codex entries
+ */
+export function generateSentence(random, entries) {
+  const originals = entries.map(e => e.original);
+  const symbols = entries.map(e => e.compressed);
+  const length = 1 + random.int(14);
+  let sentence = '';
+
+  for (let i = 0; i < length; i++) {
+    let token = nextToken(random, originals, symbols);
+
+    if (random.chance(0.1)) {
+      const [open, close] = random.pick(QUOTES);
+      token = `${open}${token}${close}`;
+    }
+    if (random.chance(0.2)) {
+      token += random.pick(PUNCTUATION);
+    }
+
+    sentence += (i === 0 ? '' : random.pick(SEPARATORS)) + token;
+  }
+
+  if (random.chance(0.5)) {
+    sentence = sentence.charAt(0).toUpperCase() + sentence.slice(1);
+  }
+  return sentence + (random.chance(0.6) ? random.pick(PUNCTUATION) : '');
+}
+
+function nextToken(random, originals, symbols) {
+  const roll = random.next();
+
+  if (roll < 0.45 && originals.length > 0) {
+    return inflect(random, random.pick(originals));
+  }
+  if (roll < 0.55 && originals.length > 0) {
+    // Adjacent codex words, glued together or split by a single character
+    return random.pick(originals) + random.pick(['', '-', '/', "'", '.']) + random.pick(originals);
+  }
+  if (roll < 0.7) {
+    // Existing notation: our own symbols, the escape character and real maths
+    const symbol = symbols.length > 0 && random.chance(0.6) ? random.pick(symbols) : random.pick(MATH_FRAGMENTS);
+    return random.chance(0.3) ? DEFAULT_ESCAPE + symbol : symbol + (random.chance(0.3) ? random.pick(MATH_FRAGMENTS) : '');
+  }
+  if (roll < 0.75) {
+    return random.pick(OTHER_CHARS);
+  }
+  if (roll < 0.82) {
+    const word = originals.length > 0 ? random.pick(originals) : random.pick(FILLER_WORDS);
+    return random.pick(PROTECTED_TEMPLATES)(symbols.length > 0 && random.chance(0.3) ? random.pick(symbols) : word);
+  }
+  return random.pick(FILLER_WORDS);
+}
+
+function inflect(random, word) {
+  switch (random.int(10)) {
+    case 0: return word.charAt(0).toUpperCase() + word.slice(1);
+    case 1: return word.toUpperCase();
+    case 2: return `${word}s`;
+    case 3: return `${word}'s`;
+    case 4: return `${word}es`;
+    case 5: return `un${word}`;
+    case 6: return `${word.replace(/e$/, '')}ed`;
+    case 7: return `${word.replace(/e$/, '')}ing`;
+    default: return word;
+  }
+}
+
+/**
+ * Compress then decompress with the same normalized codex
+ *
+ * RETURNS: { ok, compressed, restored }
+ */
+export function checkRoundTrip(text, codex) {
+  const compressed = compress(text, codex).text;
+  const restored = decompress(compressed, codex).text;
+  return { ok: restored === text, compressed, restored };
+}
+
+/**
+ * Shrink a failing input to a 1-minimal counterexample by deleting code-point chunks
+ * (halves, then quarters, ... down to single characters) while it keeps failing.
+ */
+export function shrinkCounterexample(text, fails) {
+  let chars = Array.from(text);
+  let chunk = Math.max(1, Math.floor(chars.length / 2));
+
+  while (chunk >= 1) {
+    let removed = false;
+    for (let start = 0; start < chars.length; ) {
+      const candidate = [...chars.slice(0, start), ...chars.slice(start + chunk)];
+      if (candidate.length < chars.length && fails(candidate.join(''))) {
+        chars = candidate;
+        removed = true;
+      } else {
+        start += chunk;
+      }
+    }
+    if (!removed) {
+      if (chunk === 1) break;
+      chunk = Math.floor(chunk / 2);
+    }
+  }
+
+  return chars.join('');
+}
+
+/**
+ * Run the round-trip property over `runs` generated sentences.
+ *
+ * Options:
+ * - runs, seed: case i uses seed + i, so any failure can be regenerated on its own
+ * - maxFailures: stop collecting after this many distinct minimal counterexamples
+ * - check: (text, normalized) => { ok, compressed, restored } (defaults to checkRoundTrip)
+ *
+ * RETURNS: { runs, seed, codexSize, skipped, passed, failures: [{ seed, input, minimal, compressed, restored }] }
+ */
+export function runRoundTripProperty(codex, options = {}) {
+  const runs = options.runs ?? DEFAULT_RUNS;
+  const seed = options.seed ?? DEFAULT_SEED;
+  const maxFailures = options.maxFailures ?? 5;
+  const check = options.check || checkRoundTrip;
+  const normalized = normalizeCodex(codex);
+  const fails = (text) => !check(text, normalized).ok;
+
+  const failures = [];
+  const seen = new Set();
+  let passed = 0;
+
+  for (let i = 0; i < runs; i++) {
+    const caseSeed = seed + i;
+    const input = generateSentence(createRandom(caseSeed), normalized.entries);
+
+    if (!fails(input)) {
+      passed++;
+      continue;
+    }
+
+    const minimal = shrinkCounterexample(input, fails);
+    if (!seen.has(minimal)) {
+      seen.add(minimal);
+      const { compressed, restored } = check(minimal, normalized);
+      failures.push({ seed: caseSeed, input, minimal, compressed, restored });
+    }
+    if (failures.length >= maxFailures) break;
+  }
+
+  return {
+    runs,
+    seed,
+    codexSize: normalized.entries.length,
+    skipped: normalized.skipped,
+    passed,
+    failures
+  };
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '');
+    args[flag] = argv[i + 1];
+    i++;
+  }
+  return args;
+}
+
+async function loadCodexForRun(codexPath) {
+  if (codexPath) {
+    return JSON.parse(readFileSync(codexPath, 'utf8'));
+  }
+  const { loadCodex } = await import('../api/_codex.js');
+  return (await loadCodex()).entries;
+}
+
+// Main execution
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const runs = Number(args.runs) || DEFAULT_RUNS;
+  const seed = Number(args.seed) || DEFAULT_SEED;
+  const codex = await loadCodexForRun(args.codex);
+
+  console.log('🔁 ROUND-TRIP PROPERTY TEST');
+  console.log('===========================\n');
+
+  const started = Date.now();
+  const result = runRoundTripProperty(codex, { runs, seed });
+
+  console.log(`Codex: ${result.codexSize} entries (${result.skipped.length} skipped as conflicting)`);
+  for (const entry of result.skipped) {
+    console.log(`   ⚠️ "${entry.original}" → "${entry.compressed}": ${entry.reason}`);
+  }
+  console.log(`Seed ${seed}, ${result.passed} passed in ${Date.now() - started}ms\n`);
+
+  if (result.failures.length === 0) {
+    console.log(`✅ All ${runs} generated sentences round-trip`);
+    return;
+  }
+
+  console.log(`❌ ${result.failures.length} minimal counterexample(s):\n`);
+  for (const failure of result.failures) {
+    console.log(`   seed:       ${failure.seed}`);
+    console.log(`   input:      ${JSON.stringify(failure.input)}`);
+    console.log(`   minimal:    ${JSON.stringify(failure.minimal)}`);
+    console.log(`   compressed: ${JSON.stringify(failure.compressed)}`);
+    console.log(`   restored:   ${JSON.stringify(failure.restored)}\n`);
+  }
+  process.exit(1);
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error('❌ Round-trip test failed to run:', error);
+    process.exit(1);
+  });
+}
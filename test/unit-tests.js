@@ -0,0 +1,1816 @@
+#!/usr/bin/env node
+
+/**
+ * UNIT TESTS - Offline, no server, no API keys
+ *
+ * Covers the pure helpers in api/tokenize.js and api/_tokenizer.js, plus the parsing
+ * and local validation logic of the browser agents. The classic scripts in public/js
+ * run against the window.TokenCompressor shims from server/browser-globals.js.
+ *
+ * Run: npm test
+ */
+
+import assert from 'assert';
+import { createServer } from 'net';
+import { installBrowserGlobals, loadBrowserScripts } from '../server/browser-globals.js';
+import { approximateTokenize, getTokenizer, countTokens } from '../api/_tokenizer.js';
+import { listCandidateSymbols, buildSymbolInventory } from '../api/_symbols.js';
+import { minePhrases, parsePhraseOptions, PHRASE_DEFAULTS } from '../api/_phrases.js';
+import { formatMessage, mailAddress, createSmtpTransport } from '../server/mail-transports.js';
+import { mockCompletion } from '../server/mock-llm-server.js';
+import { unsubscribeToken, verifyUnsubscribeToken, unsubscribeUrl, createNotifier } from '../server/notifications.js';
+
+// Isomorphic codex modules register on window.TokenCompressor only if window exists when they first
+// load, so they - and the API modules that import them - are imported after the globals
+installBrowserGlobals({ apiBaseUrl: 'http://127.0.0.1:9' }); // Unroutable: any network call fails fast
+const { compress, decompress, normalizeCodex, parseInflections, deriveForms, segment, SEGMENTERS } = await import('../public/js/codex/compression-engine.js');
+const { checkCandidateInterference, screenCandidates } = await import('../public/js/codex/interference.js');
+const { buildLegend, formatLegend } = await import('../public/js/codex/legend.js');
+const { parseSegmenters, parseOriginals, parseCodexVersion } = await import('../api/_codex.js');
+const { parseSemver, compareSemver, nextVersion, planRelease } = await import('../public/js/codex/releases.js');
+const { analyzeBreakEven } = await import('../api/_breakeven.js');
+const { parseProxyOptions, compressChatMessages, decompressChatResponse, LEGEND_PREAMBLE, LEGEND_ESCAPE_NOTE } = await import('../api/_chat.js');
+const { default: chatCompletions } = await import('../api/v1/chat/completions.js');
+const { default: symbolsHandler } = await import('../api/symbols.js');
+const { symbolCategory, parseExportOptions, selectExportEntries, renderExport } = await import('../api/_export.js');
+const { checkTokens, checkContextSafety, checkCollision, checkRoundTrip, checkAIRewrite, summarizeChecks } = await import('../api/_validate.js');
+const {
+  calculateCompressionPotential,
+  validateContextSafety,
+  isProperNoun,
+  isGrammaticallyEquivalent,
+  calculateSemanticSimilarity,
+  checkWordPreservation
+} = await import('../api/tokenize.js');
+const { createRandom, generateSentence, shrinkCounterexample, runRoundTripProperty } = await import('./round-trip-harness.js');
+
+const COLORS = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+class UnitTester {
+  constructor() {
+    this.testResults = [];
+  }
+
+  log(message, color = 'reset') {
+    console.log(`${COLORS[color]}${message}${COLORS.reset}`);
+  }
+
+  async runTest(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✅ ${name}`, 'green');
+      this.testResults.push({ name, status: 'PASSED', error: null });
+    } catch (error) {
+      this.log(`❌ ${name}`, 'red');
+      this.log(`   ${error.message}`, 'red');
+      this.testResults.push({ name, status: 'FAILED', error: error.message });
+    }
+  }
+
+  printResults() {
+    const failed = this.testResults.filter(r => r.status === 'FAILED').length;
+    const passed = this.testResults.length - failed;
+
+    this.log(`\n📊 ${passed} passed, ${failed} failed (${this.testResults.length} total)`, failed === 0 ? 'green' : 'red');
+
+    if (failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+/**
+ * Load the browser scripts with their startup logging silenced
+ */
+async function loadTokenCompressor() {
+  const { log, info, warn } = console;
+  console.log = console.info = console.warn = () => {};
+  try {
+    return await loadBrowserScripts();
+  } finally {
+    Object.assign(console, { log, info, warn });
+  }
+}
+
+/**
+ * Run a callback with agent logging silenced (agents log on construction and status changes).
+ * Async callbacks stay silenced until they settle.
+ */
+function quietly(fn) {
+  const { log } = console;
+  const restore = () => { console.log = log; };
+  console.log = () => {};
+
+  let result;
+  try {
+    result = fn();
+  } catch (error) {
+    restore();
+    throw error;
+  }
+  if (result && typeof result.then === 'function') {
+    return result.finally(restore);
+  }
+  restore();
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// api/_tokenizer.js + api/tokenize.js
+// ---------------------------------------------------------------------------
+
+function testApproximateTokenize() {
+  assert.strictEqual(approximateTokenize(''), 0);
+  assert.strictEqual(approximateTokenize('   '), 0, 'whitespace alone costs nothing');
+  assert.strictEqual(approximateTokenize('a cat.'), 3, 'short words and punctuation are 1 token each');
+  assert.strictEqual(approximateTokenize('hello world'), 4, 'words of 5-8 characters are 2 tokens');
+  assert.strictEqual(approximateTokenize('implementation'), 4, 'long words are ceil(length / 4)');
+}
+
+async function testCountTokensSpecialTokens() {
+  const text = 'Unfortunately the <|endoftext|> token.';
+  for (const encoding of ['o200k_base', 'cl100k_base']) {
+    const tokenizer = await getTokenizer(encoding);
+    const count = countTokens(tokenizer, text);
+    assert.ok(Number.isInteger(count) && count > 0, `${encoding}: counted, not thrown`);
+    assert.ok(countTokens(tokenizer, '<|endoftext|>') > 1, `${encoding}: the marker is ordinary text, not one special token`);
+  }
+}
+
+function testCalculateCompressionPotential() {
+  const result = calculateCompressionPotential([
+    { word: 'implementation', tokens: 3 },
+    { word: 'approximately', tokens: 4 }
+  ]);
+
+  assert.strictEqual(result.potentialSavings, 5);
+  assert.strictEqual(result.averageWastagePerWord, '2.5');
+  assert.deepStrictEqual(result.topTargets[0], {
+    word: 'implementation',
+    tokens: 3,
+    potentialSavings: 2,
+    compressionRatio: '66.7%'
+  });
+
+  const many = Array.from({ length: 12 }, (_, i) => ({ word: `word${i}`, tokens: 2 }));
+  assert.strictEqual(calculateCompressionPotential(many).topTargets.length, 10, 'top targets are capped at 10');
+
+  assert.deepStrictEqual(calculateCompressionPotential([]), {
+    potentialSavings: 0,
+    topTargets: [],
+    averageWastagePerWord: 0
+  });
+}
+
+function testValidateContextSafety() {
+  assert.deepStrictEqual(validateContextSafety('implementation', 'impl'), { isSafe: true, issues: [], riskLevel: 'safe' });
+
+  const properNoun = validateContextSafety('Google', 'G');
+  assert.strictEqual(properNoun.isSafe, false);
+  assert.strictEqual(properNoun.riskLevel, 'risky');
+  assert.match(properNoun.issues[0], /^Proper noun detected/);
+
+  assert.match(validateContextSafety('funding', 'fund').issues[0], /^Grammatical mismatch/);
+  assert.match(validateContextSafety('computer', 'comp').issues[0], /^Context ambiguity/);
+  assert.match(validateContextSafety('<b>', 'b').issues[0], /^HTML markup detected/);
+
+  const unsafe = validateContextSafety('Quickly', 'q');
+  assert.strictEqual(unsafe.riskLevel, 'unsafe', 'two or more issues are unsafe');
+}
+
+function testIsProperNoun() {
+  for (const word of ['Google', 'TechCrunch', 'New York', 'GPT', 'Python3', 'Seattle']) {
+    assert.strictEqual(isProperNoun(word), true, `${word} is a proper noun`);
+  }
+  for (const word of ['implementation', 'approximately', 'iPhone', 'x']) {
+    assert.strictEqual(isProperNoun(word), false, `${word} is not a proper noun`);
+  }
+}
+
+function testIsGrammaticallyEquivalent() {
+  assert.strictEqual(isGrammaticallyEquivalent('funding', 'fund'), false, 'gerund to noun');
+  assert.strictEqual(isGrammaticallyEquivalent('quickly', 'qk'), false, 'adverb loses -ly');
+  assert.strictEqual(isGrammaticallyEquivalent('running', '∂ing'), true, 'keeps -ing');
+  assert.strictEqual(isGrammaticallyEquivalent('beautiful', 'btf'), true, 'adjective endings are only medium risk');
+  assert.strictEqual(isGrammaticallyEquivalent('implementation', '∫'), true);
+}
+
+function testCalculateSemanticSimilarity() {
+  assert.deepStrictEqual(
+    calculateSemanticSimilarity('The cat sat on the mat.', 'The cat sat on the mat.'),
+    { score: 100, wordOverlap: 100, structureMatch: 100 }
+  );
+
+  const different = calculateSemanticSimilarity('The quick brown fox. It ran.', 'A slow red dog');
+  assert.strictEqual(different.wordOverlap, 0);
+  assert.strictEqual(different.score, 10, 'only the sentence-structure share (30%) remains');
+
+  const partial = calculateSemanticSimilarity('the implementation works well', 'the ∫ works well');
+  assert.ok(partial.score > 50 && partial.score < 100, `partial overlap scores in between (got ${partial.score})`);
+}
+
+function testCheckWordPreservation() {
+  const text = 'the implementation works and the implementation scales';
+  assert.deepStrictEqual(checkWordPreservation(text, text, 'implementation'), {
+    accuracy: 100,
+    contexts: [],
+    originalCount: 2,
+    restoredCount: 2
+  });
+
+  const lost = checkWordPreservation('the implementation works', 'the ∫ works', 'implementation');
+  assert.strictEqual(lost.accuracy, 0);
+  assert.strictEqual(lost.restoredCount, 0);
+
+  assert.strictEqual(checkWordPreservation('nothing here', 'nothing here', 'implementation').accuracy, 100, 'absent words are trivially preserved');
+}
+
+// ---------------------------------------------------------------------------
+// public/js/codex/compression-engine.js (inflections)
+// ---------------------------------------------------------------------------
+
+const INFLECTED_CODEX = [
+  { original: 'implementation', compressed: '∫', inflections: ['plural', 'capitalize'] },
+  { original: 'compute', compressed: 'κ', inflections: { ed: true, ing: true, capitalize: true } },
+  { original: 'analysis', compressed: 'α', inflections: { plural: 'analyses' } },
+  { original: 'database', compressed: 'db' }
+];
+
+function testDeriveForms() {
+  const surfaces = (original, rules) => deriveForms(original, rules).map(form => `${form.surface}:${form.code}`);
+
+  assert.deepStrictEqual(surfaces('implementation', { plural: true, capitalize: true }), [
+    'implementations:s', 'Implementation:C', 'IMPLEMENTATION:U', 'Implementations:sC', 'IMPLEMENTATIONS:sU'
+  ]);
+  assert.deepStrictEqual(surfaces('try', { plural: true, ed: true, ing: true }), ['tries:s', 'tried:ed', 'trying:ing']);
+  assert.deepStrictEqual(surfaces('compute', { ed: true, ing: true }), ['computed:ed', 'computing:ing']);
+  assert.deepStrictEqual(surfaces('process', { plural: true }), ['processes:s']);
+  assert.deepStrictEqual(surfaces('die', { ing: true }), ['dying:ing']);
+  assert.deepStrictEqual(surfaces('iPhone', { capitalize: true }), ['IPhone:C', 'IPHONE:U']);
+  assert.deepStrictEqual(surfaces('in order to', { capitalize: true }), ['In order to:C', 'IN ORDER TO:U']);
+}
+
+function testParseInflections() {
+  assert.deepStrictEqual(parseInflections(null), { rules: null });
+  assert.deepStrictEqual(parseInflections(['plural', 'ing'], 'build'), { rules: { plural: true, ing: true } });
+  assert.deepStrictEqual(parseInflections({ plural: 'analyses', ed: false }, 'analysis'), { rules: { plural: 'analyses' } });
+  assert.deepStrictEqual(parseInflections([], 'build'), { rules: null });
+
+  assert.match(parseInflections(['plurals'], 'build').error, /Unknown inflection rule "plurals"/);
+  assert.match(parseInflections({ capitalize: 'Build' }, 'build').error, /must be true$/);
+  assert.match(parseInflections({ plural: 'x-' }, 'x').error, /must start and end with a letter or digit/);
+  assert.match(parseInflections(['plural'], 'e.g.').error, /Only originals that start and end/);
+  assert.match(parseInflections('plural', 'build').error, /rule list or an object/);
+}
+
+function testInflectedRoundTrip() {
+  const codex = normalizeCodex(INFLECTED_CODEX);
+  const text = 'Implementations of the IMPLEMENTATION computed; Computing analyses (an analysis).';
+  const compressed = compress(text, codex);
+
+  assert.strictEqual(compressed.text, '∫sC of the ∫U κed; κingC αs (an α).');
+  assert.strictEqual(decompress(compressed.text, codex).text, text, 'exact casing and suffix are restored');
+  assert.deepStrictEqual(compressed.entries.map(e => [e.original, e.occurrences]), [['implementation', 2], ['compute', 2], ['analysis', 2]]);
+
+  // Natural text that looks like a code is escaped like any other symbol
+  for (const natural of ['∫s and ∫C', 'implementation\'s', 'unimplementations', 'implementationdb', 'IMPLEMENTATIONs']) {
+    assert.strictEqual(decompress(compress(natural, codex).text, codex).text, natural, natural);
+  }
+
+  // Codes are read up to the next non-word character, so a word-character symbol can't follow directly
+  const glued = normalizeCodex([...INFLECTED_CODEX, { original: '#data', compressed: 'dt' }]);
+  assert.strictEqual(compress('implementation#data', glued).text, 'implementationdt');
+  assert.strictEqual(decompress('implementationdt', glued).text, 'implementation#data');
+
+  const shadowed = normalizeCodex([{ original: 'implementations', compressed: 'Ж' }, ...INFLECTED_CODEX]);
+  assert.ok(!shadowed.entries[1].forms.some(form => form.surface === 'implementations'), 'declared originals win over derived forms');
+  assert.strictEqual(compress('implementations', shadowed).text, 'Ж');
+
+  const invalid = normalizeCodex([{ original: 'build', compressed: 'β', inflections: ['plurals'] }]);
+  assert.deepStrictEqual(invalid.skipped.map(s => s.reason), ['Unknown inflection rule "plurals"']);
+}
+
+function testInflectedRoundTripProperty() {
+  const result = runRoundTripProperty([
+    ...INFLECTED_CODEX,
+    { original: 'as well as', compressed: '&&', inflections: ['capitalize'] },
+    { original: 'well', compressed: 'w/', inflections: ['ed', 'capitalize'] },
+    { original: 'try', compressed: 'τ', inflections: ['plural', 'ed', 'ing', 'capitalize'] }
+  ], { runs: 2000, seed: 13 });
+
+  assert.deepStrictEqual(result.skipped, []);
+  assert.deepStrictEqual(result.failures, [], `counterexamples: ${JSON.stringify(result.failures.map(f => f.minimal))}`);
+}
+
+// ---------------------------------------------------------------------------
+// public/js/codex/compression-engine.js (protected spans)
+// ---------------------------------------------------------------------------
+
+const SPAN_CODEX = { implementation: '∫', however: 'λ', com: 'κ', '(x)': 'xx' };
+
+const MIXED_PROMPT = [
+  'However, the implementation is in `implementation.js` (see https://example.com/implementation?q=however).',
+  '```js',
+  'const implementation = "∫ however";',
+  '```',
+  'Mail implementation@example.com or post {"implementation": "however"} as <b title="however">however</b> <!-- implementation -->.'
+].join('\n');
+
+function testSegment() {
+  const protectedSpans = segment(MIXED_PROMPT).filter(span => span.protected).map(span => [span.kind, span.text]);
+  assert.deepStrictEqual(protectedSpans, [
+    ['inline_code', '`implementation.js`'],
+    ['url', 'https://example.com/implementation?q=however'],
+    ['fenced_code', '```js\nconst implementation = "∫ however";\n```'],
+    ['email', 'implementation@example.com'],
+    ['json_key', '"implementation"'],
+    ['html_tag', '<b title="however">'],
+    ['html_tag', '</b>'],
+    ['html_tag', '<!-- implementation -->']
+  ]);
+  assert.strictEqual(segment(MIXED_PROMPT).map(span => span.text).join(''), MIXED_PROMPT, 'spans cover the text exactly');
+
+  // Unclosed fences run to the end; unmatched backticks and angle brackets protect nothing
+  assert.deepStrictEqual(segment('a\n~~~\nb ∫').map(span => span.protected), [false, true]);
+  assert.ok(segment('a ` b << c > d').every(span => !span.protected));
+  assert.deepStrictEqual(segment('(see www.example.com/a_(b)).').filter(span => span.protected).map(span => span.text), ['www.example.com/a_(b)']);
+  assert.ok(segment(MIXED_PROMPT, []).every(span => !span.protected), 'no segmenters, nothing protected');
+}
+
+function testProtectedRoundTrip() {
+  const codex = normalizeCodex(SPAN_CODEX);
+  const result = compress(MIXED_PROMPT, codex);
+  const protectedTexts = text => segment(text).filter(span => span.protected).map(span => span.text);
+
+  assert.deepStrictEqual(protectedTexts(result.text), protectedTexts(MIXED_PROMPT), 'protected spans are byte-for-byte');
+  assert.strictEqual(result.protectedSpans, 8);
+  assert.ok(result.text.startsWith('However, the ∫ is in `implementation.js`'));
+  assert.ok(result.text.includes('{"implementation": "λ"}'), 'JSON string values are still compressed');
+  assert.strictEqual(decompress(result.text, codex).text, MIXED_PROMPT);
+
+  // A symbol inside code is left alone, outside it is expanded
+  assert.strictEqual(decompress('`∫` ∫', codex).text, '`∫` implementation');
+
+  // segmenters: [] compresses everything, a custom segmenter protects its matches
+  assert.strictEqual(compress('`implementation`', codex, { segmenters: [] }).text, '`∫`');
+  const mentions = [{ name: 'mention', pattern: /@\w+/ }];
+  const mentioned = compress('@however however', codex, { segmenters: mentions });
+  assert.strictEqual(mentioned.text, '@however λ');
+  assert.strictEqual(decompress(mentioned.text, codex, { segmenters: mentions }).text, '@however however');
+}
+
+function testSegmentMismatchFallback() {
+  const codex = normalizeCodex(SPAN_CODEX);
+
+  // "xx" glued to the address would make the email "xxa@b.com": that stretch stays uncompressed
+  const text = 'however (x)a@b.com (x) however';
+  const result = compress(text, codex);
+  assert.strictEqual(result.text, 'however (x)a@b.com xx λ');
+  assert.strictEqual(decompress(result.text, codex).text, text);
+
+  // ...but natural symbols in it are still escaped
+  const natural = 'λ (x)a@b.com';
+  assert.strictEqual(compress(natural, codex).text, '\\λ (x)a@b.com');
+  assert.strictEqual(decompress(compress(natural, codex).text, codex).text, natural);
+
+  // Symbols that would re-pair code spans or join a URL are skipped
+  const unsafe = normalizeCodex({ js: '`', title: '"', ending: '.x', implementation: '∫' });
+  assert.deepStrictEqual(unsafe.skipped.map(s => s.original), ['js', 'title', 'ending']);
+  assert.deepStrictEqual(checkCandidateInterference({ original: 'js', compressed: '`' }, []).issues.map(i => i.type), ['span_syntax']);
+}
+
+function testParseSegmenters() {
+  assert.strictEqual(parseSegmenters(undefined).segmenters.length, Object.keys(SEGMENTERS).length);
+  assert.deepStrictEqual(parseSegmenters([]).segmenters, []);
+  assert.deepStrictEqual(parseSegmenters(['url', 'url', 'email']).segmenters, [SEGMENTERS.url, SEGMENTERS.email]);
+  assert.strictEqual(parseSegmenters(['markdown']).valid, false);
+  assert.match(parseSegmenters('url').error, /segmenters must be an array of: fenced_code/);
+}
+
+// ---------------------------------------------------------------------------
+// public/js/codex/legend.js
+// ---------------------------------------------------------------------------
+
+function testBuildLegend() {
+  const codex = normalizeCodex([...INFLECTED_CODEX, { original: 'unfortunately', compressed: '∂' }]);
+  const text = 'Unfortunately the implementations of the implementation ran, unfortunately.';
+  const compressed = compress(text, codex).text;
+
+  const legend = buildLegend(compressed, codex);
+  assert.strictEqual(legend.text, '∫=implementation;∫s=implementations;∂=unfortunately;', 'only used symbols, inflected forms spelled out');
+  assert.deepStrictEqual(legend.symbols.map(s => [s.symbol, s.occurrences]), [['∫', 1], ['∫s', 1], ['∂', 1]]);
+  assert.strictEqual(legend.tokens, undefined, 'no token report without countTokens');
+
+  assert.strictEqual(buildLegend(compressed, codex, { format: 'json' }).text, '{"∫":"implementation","∫s":"implementations","∂":"unfortunately"}');
+  assert.strictEqual(formatLegend([{ symbol: '<', meaning: 'a & "b"' }], 'xml'), '<legend><symbol value="&lt;">a &amp; &quot;b&quot;</symbol></legend>');
+  assert.strictEqual(buildLegend('nothing compressed', codex).text, '', 'no symbols, no legend');
+  assert.throws(() => buildLegend(compressed, codex, { format: 'yaml' }), /Unknown legend format "yaml"/);
+
+  // Symbols inside protected spans aren't used, so they need no legend
+  assert.strictEqual(buildLegend('`∂` ∫', codex).text, '∫=implementation;');
+
+  // Net savings: one token per character makes the arithmetic visible
+  const perChar = value => Array.from(value).length;
+  const report = buildLegend(compressed, codex, { countTokens: perChar });
+  assert.deepStrictEqual(report.tokens, { saved: 38, legend: 52, net: -14 });
+  assert.strictEqual(report.worthIt, false);
+
+  const repeated = compress([text, text, text].join(' '), codex).text;
+  assert.deepStrictEqual(buildLegend(repeated, codex, { countTokens: perChar }).tokens, { saved: 114, legend: 52, net: 62 }, 'the legend is paid once');
+}
+
+// One token per character: every saving and legend cost below can be checked by counting
+const perCharTokens = value => Array.from(value).length;
+
+function testAnalyzeBreakEven() {
+  const codex = [
+    { original: 'implementation', compressed: '∫' },   // saves 13 per use, "∫=implementation;" costs 17
+    { original: 'unfortunately', compressed: '∂' },    // saves 12 per use, costs 16
+    { original: 'however', compressed: 'λ' },          // saves 6 per use, costs 10
+    { original: 'database', compressed: 'db' }         // never used
+  ];
+  const analyze = text => analyzeBreakEven(text, codex, { countTokens: perCharTokens });
+
+  const mixed = analyze('implementation implementation unfortunately however');
+  assert.deepStrictEqual(mixed.entries.map(e => [e.original, e.occurrences, e.tokensSavedPerUse, e.legendTokens, e.breakEvenFrequency, e.netTokensSaved, e.recommended]), [
+    ['implementation', 2, 13, 17, 2, 9, true],
+    ['unfortunately', 1, 12, 16, 2, -4, false],
+    ['however', 1, 6, 10, 2, -4, false]
+  ]);
+  assert.deepStrictEqual(mixed.tokens, { original: 51, compressed: 7, legend: 43, net: 1 }, 'every entry that fires, legend included');
+  assert.strictEqual(mixed.recommendation.use, 'subset');
+  assert.deepStrictEqual(mixed.recommendation.originals, ['implementation']);
+  assert.strictEqual(mixed.recommendation.text, '∫ ∫ unfortunately however');
+  assert.strictEqual(mixed.recommendation.legend, '∫=implementation;');
+  assert.strictEqual(mixed.recommendation.tokens.net, 9);
+
+  assert.strictEqual(analyze('implementation implementation').recommendation.use, 'all');
+
+  const none = analyze('unfortunately, nothing else');
+  assert.strictEqual(none.recommendation.use, 'none', 'one use never pays for its legend line');
+  assert.strictEqual(none.recommendation.text, 'unfortunately, nothing else');
+  assert.deepStrictEqual(none.recommendation.tokens, { original: 27, compressed: 27, legend: 0, net: 0 });
+
+  const losing = analyzeBreakEven('database', [{ original: 'database', compressed: 'dbxxxxxxxx' }], { countTokens: perCharTokens });
+  assert.strictEqual(losing.entries[0].breakEvenFrequency, null, 'a symbol longer than its word never breaks even');
+}
+
+function testParseOriginals() {
+  assert.strictEqual(parseOriginals(undefined).originals, null);
+  assert.deepStrictEqual([...parseOriginals(['implementation', 'however']).originals], ['implementation', 'however']);
+  assert.match(parseOriginals(['implementation', 3]).error, /originals must be an array of strings/);
+}
+
+// ---------------------------------------------------------------------------
+// public/js/codex/releases.js
+// ---------------------------------------------------------------------------
+
+function testSemver() {
+  assert.deepStrictEqual(parseSemver('v1.4.0'), { major: 1, minor: 4, patch: 0 });
+  assert.strictEqual(parseSemver('1.4'), null);
+  assert.strictEqual(parseSemver('01.4.0'), null);
+  assert.deepStrictEqual(['1.10.0', '2.0.0', '1.2.3', '1.9.9'].sort(compareSemver), ['1.2.3', '1.9.9', '1.10.0', '2.0.0']);
+  assert.deepStrictEqual(['major', 'minor', 'patch'].map(bump => nextVersion('1.4.2', bump)), ['2.0.0', '1.5.0', '1.4.3']);
+  assert.strictEqual(nextVersion(null, 'minor'), '1.0.0');
+}
+
+function testPlanRelease() {
+  const row = (id, original, compressed, extra = {}) => ({ id, original, compressed, source: 'AI', hour: id, created_at: `2025-01-0${id}T00:00:00Z`, ...extra });
+  const implementation = row(1, 'implementation', '∫');
+  const however = row(2, 'however', 'λ');
+  const database = row(3, 'database', 'Σ');
+
+  assert.strictEqual(planRelease(null, []), null, 'nothing to release yet');
+
+  const first = planRelease(null, [however, implementation], { hour: 2 });
+  assert.strictEqual(first.version, '1.0.0');
+  assert.deepStrictEqual(first.entries.map(e => e.original), ['implementation', 'however'], 'entries oldest first');
+  assert.deepStrictEqual(first.changelog.added.map(e => e.original), ['implementation', 'however']);
+  assert.strictEqual(first.hour, 2);
+  assert.strictEqual(planRelease(first, [implementation, however]), null, 'unchanged codex, no release');
+
+  const added = planRelease(first, [implementation, however, database]);
+  assert.deepStrictEqual([added.version, added.bump, added.changelog.added], ['1.1.0', 'minor', [{ original: 'database', compressed: 'Σ' }]]);
+
+  const deprecated = planRelease(added, [implementation, { ...however, deprecated_at: '2025-02-01T00:00:00Z' }, database]);
+  assert.strictEqual(deprecated.version, '1.2.0');
+  assert.deepStrictEqual(deprecated.changelog.deprecated, [{ original: 'however', compressed: 'λ' }]);
+  assert.strictEqual(deprecated.entries[1].deprecated, true, 'deprecated entries stay in the release');
+
+  const metadata = planRelease(deprecated, [{ ...implementation, tokens_saved: 3 }, { ...however, deprecated_at: '2025-02-01T00:00:00Z' }, database]);
+  assert.deepStrictEqual([metadata.version, metadata.bump], ['1.2.1', 'patch']);
+
+  const removed = planRelease(metadata, [{ ...implementation, tokens_saved: 3 }, database]);
+  assert.deepStrictEqual([removed.version, removed.bump, removed.changelog.removed], ['2.0.0', 'major', [{ original: 'however', compressed: 'λ' }]]);
+
+  const changed = planRelease(removed, [{ ...implementation, tokens_saved: 3, inflections: ['plural'] }, database]);
+  assert.strictEqual(changed.version, '3.0.0');
+  assert.deepStrictEqual(changed.changelog.changed, [{
+    original: 'implementation',
+    from: { compressed: '∫', inflections: null },
+    to: { compressed: '∫', inflections: ['plural'] }
+  }], 'new inflections change how text decompresses');
+}
+
+function testParseCodexVersion() {
+  assert.strictEqual(parseCodexVersion('latest').version, null);
+  assert.strictEqual(parseCodexVersion('v1.4.0').version, '1.4.0');
+  assert.strictEqual(parseCodexVersion(42).version, 42, 'ceremony hours still work');
+  assert.match(parseCodexVersion('1.4').error, /codex release \("1.4.0"\), a ceremony hour/);
+}
+
+async function testPublishCodexRelease(TokenCompressor) {
+  const [store, otherRunner] = quietly(() => sharedLocalStores(TokenCompressor, 2));
+
+  await withStorage(TokenCompressor, store, async () => {
+    const orchestrator = new TokenCompressor.Orchestrator({ mode: 'headless', runnerId: 'runner-a' });
+    orchestrator.currentHour = 7;
+    assert.strictEqual(await orchestrator.publishCodexRelease(), null, 'empty codex, no release');
+
+    await store.saveCompression({ original: 'implementation', compressed: '∫', source: 'AI', hour: 7 });
+    const first = await orchestrator.publishCodexRelease();
+    assert.deepStrictEqual([first.version, first.hour, first.entry_count], ['1.0.0', 7, 1]);
+    assert.strictEqual(await orchestrator.publishCodexRelease(), null, 'nothing changed since 1.0.0');
+
+    assert.strictEqual(await otherRunner.saveCodexRelease({ ...first, entries: [] }), false, 'a published version is never overwritten');
+    assert.strictEqual((await otherRunner.getLatestCodexRelease()).entries.length, 1);
+  });
+}
+
+async function testSupabaseReadsWholeCodex(TokenCompressor) {
+  const client = TokenCompressor.SupabaseClient;
+  const rows = Array.from({ length: 2345 }, (_, index) => ({ id: 2345 - index, original: `phrase ${index}`, compressed: String(index) }));
+  const ranges = [];
+  const query = {
+    select: () => query,
+    order: () => query,
+    range: (from, to) => {
+      ranges.push([from, to]);
+      return Promise.resolve({ data: rows.slice(from, Math.min(to + 1, from + 1000)), error: null });
+    }
+  };
+  const previous = client.client;
+  client.client = { from: () => query };
+  try {
+    const codex = await client.getAllCompressions();
+    assert.strictEqual(codex.length, 2345, 'more rows than one response holds');
+    assert.deepStrictEqual(ranges, [[0, 999], [1000, 1999], [2000, 2999]]);
+  } finally {
+    client.client = previous;
+  }
+}
+
+async function testSupabasePhraseQueries(TokenCompressor) {
+  const client = TokenCompressor.SupabaseClient;
+  const patterns = [];
+  const query = {
+    select: () => query,
+    ilike: (column, pattern) => {
+      patterns.push([column, pattern]);
+      return Promise.resolve({ data: [], error: null });
+    }
+  };
+  const previous = client.client;
+  client.client = { from: () => query };
+  try {
+    // Fullwidth letters, a ligature and doubled spaces: the same phrase to SubmissionLifecycle.phraseKey
+    await client.getSubmissionsForPhrase('  ｆｉｎａｌ   deﬁnition_100% ');
+    await client.getFailedAttemptsForPhrase('  ｆｉｎａｌ   deﬁnition_100% ');
+    assert.deepStrictEqual(patterns, [
+      ['original', 'final definition\\_100\\%'],
+      ['original_word', 'final definition\\_100\\%']
+    ]);
+  } finally {
+    client.client = previous;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// api/_chat.js
+// ---------------------------------------------------------------------------
+
+async function testProxyRequiresCallerKey() {
+  const reply = {};
+  const res = {
+    status: (code) => { reply.status = code; return res; },
+    json: (body) => { reply.body = body; }
+  };
+  const previous = { key: process.env.OPENAI_API_KEY, optIn: process.env.PROXY_USE_SERVER_KEY };
+  process.env.OPENAI_API_KEY = 'sk-server';
+  delete process.env.PROXY_USE_SERVER_KEY;
+  try {
+    await chatCompletions({ method: 'POST', headers: { 'x-forwarded-for': 'proxy-auth-test' }, body: { model: 'gpt-4o', messages: [{ role: 'user', content: 'hi' }] } }, res);
+    assert.strictEqual(reply.status, 401, 'the server key is not spent on anonymous callers');
+    assert.strictEqual(reply.body.error.code, 'invalid_api_key');
+  } finally {
+    for (const [name, value] of [['OPENAI_API_KEY', previous.key], ['PROXY_USE_SERVER_KEY', previous.optIn]]) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+function testParseProxyOptions() {
+  assert.deepStrictEqual(parseProxyOptions(undefined).options.roles, ['system', 'user']);
+  assert.strictEqual(parseProxyOptions(false).options.enabled, false);
+  assert.deepStrictEqual(parseProxyOptions({ roles: ['user'], legend: 'xml' }).options.roles, ['user']);
+  assert.match(parseProxyOptions('yes').error, /compression must be false or an object/);
+  assert.match(parseProxyOptions({ roles: ['robot'] }).error, /compression.roles/);
+  assert.match(parseProxyOptions({ legend: 'yaml' }).error, /compression.legend/);
+  assert.match(parseProxyOptions({ decompressResponse: 'yes' }).error, /compression.decompressResponse must be a boolean/);
+}
+
+function testCompressChatMessages() {
+  const codex = [{ original: 'implementation', compressed: '∫' }, { original: 'however', compressed: 'λ' }];
+  const messages = [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'The implementation failed.' },
+    { role: 'assistant', content: 'however implementation' },
+    { role: 'user', content: [{ type: 'text', text: 'implementation again' }, { type: 'image_url', image_url: { url: 'https://example.com/a.png' } }] }
+  ];
+  const result = compressChatMessages(messages, codex, { countTokens: perCharTokens });
+
+  const block = `${LEGEND_PREAMBLE}\n∫=implementation;`;
+  assert.strictEqual(result.messages[0].content, `${block}\n\nBe brief.`, 'legend goes at the top of the existing system prompt');
+  assert.strictEqual(result.messages[1].content, 'The ∫ failed.');
+  assert.strictEqual(result.messages[2].content, 'however implementation', 'assistant turns are not compressed by default');
+  assert.deepStrictEqual(result.messages[3].content, [{ type: 'text', text: '∫ again' }, messages[3].content[1]]);
+  assert.strictEqual(messages[1].content, 'The implementation failed.', 'the request is not mutated');
+
+  assert.deepStrictEqual(result.entries, [{ original: 'implementation', compressed: '∫', occurrences: 2 }]);
+  assert.strictEqual(result.legend, '∫=implementation;', 'one legend line for symbols used in several messages');
+  assert.deepStrictEqual(result.tokens, { original: 77, compressed: 51, legend: block.length + 2, saved: 26, net: 26 - block.length - 2 });
+
+  const added = compressChatMessages([{ role: 'user', content: 'however' }], codex, { countTokens: perCharTokens, legend: 'json' });
+  assert.deepStrictEqual(added.messages, [
+    { role: 'system', content: `${LEGEND_PREAMBLE}\n{"λ":"however"}` },
+    { role: 'user', content: 'λ' }
+  ], 'a system message is added when there is none');
+
+  const escaped = compressChatMessages([{ role: 'user', content: 'The ∫ sign, then the implementation.' }], codex, { countTokens: perCharTokens });
+  assert.deepStrictEqual(escaped.messages, [
+    { role: 'system', content: `${LEGEND_PREAMBLE} ${LEGEND_ESCAPE_NOTE}\n∫=implementation;` },
+    { role: 'user', content: 'The \\∫ sign, then the ∫.' }
+  ], 'the legend explains escaped symbols when there are any');
+  assert.strictEqual(LEGEND_ESCAPE_NOTE, 'A "\\" right before a symbol means the symbol itself, not the word it stands for.');
+
+  const untouched = compressChatMessages([{ role: 'user', content: 'Nothing to see.' }], codex, { countTokens: perCharTokens });
+  assert.strictEqual(untouched.legend, '');
+  assert.strictEqual(untouched.messages.length, 1);
+}
+
+function testDecompressChatResponse() {
+  const codex = [{ original: 'implementation', compressed: '∫' }];
+  const data = { choices: [{ index: 0, message: { role: 'assistant', content: 'The ∫ works.' } }], usage: { prompt_tokens: 10 } };
+  assert.strictEqual(decompressChatResponse(data, codex).choices[0].message.content, 'The implementation works.');
+  assert.deepStrictEqual(decompressChatResponse({}, codex), {}, 'responses without choices pass through');
+}
+
+// ---------------------------------------------------------------------------
+// api/_export.js
+// ---------------------------------------------------------------------------
+
+const EXPORT_ROWS = [
+  { original: 'implementation', compressed: '∫', source: 'AI-Discovery', tokens_saved: 2, inflections: ['plural'], token_matrix: { o200k_base: { saved: 1 } } },
+  { original: 'however', compressed: 'λ', source: 'Human: Ana', tokens_saved: 1, token_matrix: { o200k_base: { saved: 3 } } },
+  { original: 'with respect to', compressed: 'w.r.t.', source: 'Human: Bo', tokens_saved: 3, deprecated: true }
+];
+
+function testSelectExportEntries() {
+  assert.deepStrictEqual(['∫', 'λ', 'w.r.t.', '→', '€'].map(symbolCategory), ['math', 'greek', 'ascii', 'arrows', 'currency']);
+
+  assert.deepStrictEqual(selectExportEntries(EXPORT_ROWS, { source: 'human' }).map(e => e.original), ['however', 'with respect to']);
+  assert.deepStrictEqual(selectExportEntries(EXPORT_ROWS, { category: 'greek' }).map(e => e.original), ['however']);
+  assert.deepStrictEqual(selectExportEntries(EXPORT_ROWS, { encoding: 'o200k_base' }).map(e => e.tokensSaved), [1, 3, null], 'savings under the target tokenizer');
+  assert.strictEqual(selectExportEntries(EXPORT_ROWS)[2].deprecated, true);
+
+  const many = Array.from({ length: 105 }, (_, i) => ({ original: `word${i}`, compressed: `§${i}`, source: 'AI', tokens_saved: i % 7 }));
+  const top = selectExportEntries(many, { tier: 'top' });
+  assert.strictEqual(top.length, 100);
+  assert.ok(top.every((entry, i) => i === 0 || Number(entry.original.slice(4)) > Number(top[i - 1].original.slice(4))), 'top tier keeps codex order');
+  assert.strictEqual(top.filter(entry => entry.tokensSaved === 0).length, 10, 'five of the fifteen zero-saving entries are dropped');
+
+  assert.match(parseExportOptions({ format: 'xlsx' }).error, /format must be one of: json, csv, js, ts, legend/);
+  assert.match(parseExportOptions({ tier: 'top10' }).error, /tier must be one of: top, full/);
+  assert.match(parseExportOptions({ category: 'emoji' }).error, /category must be one of/);
+  assert.match(parseExportOptions({ source: 'robots' }).error, /source must be one of: all, human, ai/);
+  assert.deepStrictEqual(parseExportOptions({}).options, { format: 'json', tier: 'full', category: null, source: 'all', legend: 'compact' });
+}
+
+async function testRenderExport() {
+  const entries = selectExportEntries([...EXPORT_ROWS, { original: 'say "hi", then', compressed: '☺', source: 'AI' }]);
+  const meta = { codexVersion: '1.2.0', filters: { tier: 'full' } };
+
+  const json = renderExport(entries, 'json', meta);
+  assert.strictEqual(json.filename, 'codex-1.2.0.json');
+  assert.deepStrictEqual(JSON.parse(json.content).entries, entries);
+
+  const csv = renderExport(entries, 'csv', meta).content.split('\r\n');
+  assert.strictEqual(csv[0], 'original,compressed,inflections,source,category,tokensSaved,deprecated');
+  assert.strictEqual(csv[1], 'implementation,∫,"[""plural""]",AI-Discovery,math,2,false');
+  assert.strictEqual(csv[4], '"say ""hi"", then",☺,,AI,misc,,false', 'quotes and commas are escaped');
+
+  const js = renderExport(entries, 'js', meta);
+  const module = await import(`data:text/javascript,${encodeURIComponent(js.content)}`);
+  assert.strictEqual(module.CODEX_VERSION, '1.2.0');
+  assert.deepStrictEqual(module.default, entries, 'the JS export is a valid ES module');
+
+  const ts = renderExport(entries, 'ts', meta);
+  assert.strictEqual(ts.filename, 'codex-1.2.0.d.ts');
+  assert.match(ts.content, /export type CodexSymbol = "∫" \| "λ" \| "w\.r\.t\." \| "☺";/);
+  assert.match(ts.content, /export declare const CODEX_VERSION: "1\.2\.0";/);
+  assert.match(renderExport([], 'ts', meta).content, /export type CodexOriginal = never;/);
+
+  const legend = renderExport(entries.slice(0, 2), 'legend', meta).content;
+  assert.strictEqual(legend, `${LEGEND_PREAMBLE}\n∫=implementation;∫s=implementations;λ=however;\n`, 'inflected forms are in the legend');
+  assert.strictEqual(renderExport([], 'legend', meta).content, '');
+}
+
+// ---------------------------------------------------------------------------
+// api/_validate.js
+// ---------------------------------------------------------------------------
+
+function testInstantChecks() {
+  const candidate = { original: 'implementation', compressed: '∫' };
+  const matrix = {
+    o200k_base: { originalTokens: 2, compressedTokens: 1, saved: 1 },
+    cl100k_base: { originalTokens: 2, compressedTokens: 2, saved: 0 }
+  };
+  assert.strictEqual(checkTokens(matrix, 'o200k_base').status, 'warn', 'saves under the target only');
+  assert.strictEqual(checkTokens(matrix, 'cl100k_base').status, 'fail');
+  assert.match(checkTokens(matrix, 'cl100k_base').detail, /o200k_base: 2→1, cl100k_base: 2→2/);
+
+  assert.strictEqual(checkContextSafety(candidate).status, 'pass');
+  assert.match(checkContextSafety({ original: 'Microsoft', compressed: 'µ' }).detail, /Proper noun/);
+
+  assert.strictEqual(checkCollision({ original: 'implementation', compressed: '⌘' }, []).status, 'pass');
+  assert.match(checkCollision(candidate, []).detail, /appears naturally/, 'natural occurrences only warn');
+  assert.strictEqual(checkCollision(candidate, []).status, 'warn');
+  assert.match(checkCollision(candidate, [{ original: 'however', compressed: '∫' }]).detail, /already means "however"/);
+  assert.strictEqual(checkCollision(candidate, null).status, 'skip', 'no codex, no collision check');
+
+  assert.strictEqual(checkRoundTrip(candidate).status, 'pass');
+  assert.match(checkRoundTrip({ original: 'run', compressed: 'ρ', inflections: ['plural'] }).detail, /including 1 inflected form\)/);
+  assert.match(checkRoundTrip({ original: 'implementation', compressed: '\\' }).detail, /escape character/);
+  const neverReplaced = checkRoundTrip({ original: 'www.example', compressed: '∯' });
+  assert.deepStrictEqual([neverReplaced.status, neverReplaced.detail], ['fail', '"www.example" is never replaced in running text'], 'a phrase only ever found inside protected spans');
+
+  const checks = [checkContextSafety(candidate), checkTokens(matrix, 'o200k_base'), checkCollision(candidate, null)];
+  assert.deepStrictEqual(summarizeChecks(checks), { isValid: true, explanation: 'Passed 1/2 checks with 1 warning' });
+  assert.strictEqual(summarizeChecks([...checks, checkTokens(matrix, 'cl100k_base')]).isValid, false);
+}
+
+async function testCheckAIRewrite() {
+  const candidate = { original: 'implementation', compressed: '∫' };
+  let sent = null;
+  const faithful = await checkAIRewrite(candidate, async text => { sent = text; return text; });
+  assert.strictEqual(faithful.status, 'pass');
+  assert.ok(sent.includes('∫') && !sent.includes('implementation'), 'the model sees compressed text');
+
+  const lost = await checkAIRewrite(candidate, async () => 'Something else entirely.');
+  assert.strictEqual(lost.status, 'fail');
+  assert.strictEqual(lost.confidence, 0);
+
+  const down = await checkAIRewrite(candidate, async () => { throw new Error('503'); });
+  assert.deepStrictEqual([down.status, down.passed], ['skip', true], 'an unreachable AI skips the check');
+}
+
+// ---------------------------------------------------------------------------
+// public/js/submission-lifecycle.js
+// ---------------------------------------------------------------------------
+
+function testSubmissionLifecycle(TokenCompressor) {
+  const lifecycle = TokenCompressor.SubmissionLifecycle;
+
+  assert.ok(lifecycle.canTransition('queued', 'testing'));
+  assert.ok(!lifecycle.canTransition('queued', 'accepted'), 'no verdict without a ceremony');
+  assert.ok(!lifecycle.canTransition('accepted', 'rejected'), 'final states are final');
+  assert.deepStrictEqual(
+    [{ tested: false }, { tested: true, valid: true }, { tested: true, valid: false }].map(row => lifecycle.statusOf(row)),
+    ['queued', 'accepted', 'rejected'],
+    'rows from before the status column'
+  );
+
+  const row = lifecycle.newSubmission({ name: 'Ana', email: 'ana@example.com', original: ' approximately ', compressed: '≈' }, lifecycle.intake({ original: 'approximately', compressed: '≈' }), 'T0');
+  assert.deepStrictEqual([row.status, row.original, row.status_history.map(entry => entry.status)], ['queued', 'approximately', ['received', 'queued']]);
+  assert.deepStrictEqual(lifecycle.intake({ original: 'same', compressed: 'same' }), { status: 'rejected', reason: 'Compressed form is the same as the original' });
+  assert.throws(() => lifecycle.transition(row, { status: 'accepted' }), /cannot move from queued to accepted/);
+
+  const accepted = lifecycle.transition({ ...row, status: 'testing' }, { status: 'accepted', measurements: { tokensSaved: 2, tokenMatrix: { o200k_base: { saved: 2 } } } }, 'T1');
+  assert.deepStrictEqual([accepted.tokens_saved, accepted.tested, accepted.valid, accepted.tested_at], [2, true, true, 'T1'], 'legacy columns follow the status');
+
+  const submissions = [1, 2, 3, 4, 5].map(id => ({ id, status: 'testing', status_history: [{ status: 'testing' }] }));
+  submissions[4].status_history = [{ status: 'testing' }, { status: 'queued' }, { status: 'testing' }, { status: 'queued' }, { status: 'testing' }];
+  const outcomes = lifecycle.ceremonyOutcomes(submissions, {
+    validCompressions: [{ submissionId: 1, tokenSavings: 3, originalTokens: 4, compressedTokens: 1 }, { original: 'ai', compressed: 'α' }],
+    rejectedCompressions: [
+      { submissionId: 2, rejectionReason: 'Already in the codex', interference: { issues: [{ type: 'already_approved', severity: 'reject', message: 'Already in the codex' }] } },
+      { submissionId: 3, rejectionReason: 'No token savings', tokenSavings: 0 }
+    ]
+  });
+  assert.deepStrictEqual(outcomes.map(outcome => outcome.status), ['accepted', 'duplicate', 'rejected', 'queued', 'rejected']);
+  assert.deepStrictEqual(outcomes[0].measurements, { originalTokens: 4, compressedTokens: 1, tokensSaved: 3, tokenMatrix: null });
+  assert.strictEqual(outcomes[2].reason, 'No token savings');
+  assert.match(outcomes[3].reason, /queued for the next one/);
+  assert.strictEqual(outcomes[4].reason, 'No verdict after 3 ceremonies');
+}
+
+function testSubmissionIntake(TokenCompressor) {
+  const lifecycle = TokenCompressor.SubmissionLifecycle;
+  const context = {
+    codex: [{ original: 'approximately', compressed: '≈' }, { original: 'implementation', compressed: '∫', inflections: ['plural'] }],
+    submissions: [{ original: 'therefore', compressed: '∴', status: 'queued' }, { original: 'because', compressed: '∵', status: 'rejected', status_reason: 'No token savings' }],
+    failedAttempts: [{ original_word: 'ohm', attempted_compression: 'Ω', failure_reason: 'no_savings', failure_details: 'Savings: 0' }]
+  };
+  const intake = (original, compressed) => lifecycle.intake({ original, compressed }, context);
+
+  assert.deepStrictEqual(intake('Therefore', '∴'), { status: 'duplicate', reason: 'Already submitted (queued)' }, 'case variant of an earlier submission');
+  assert.deepStrictEqual(intake('because', ' ∵'), { status: 'duplicate', reason: 'Already submitted (rejected: No token savings)' });
+  assert.deepStrictEqual(intake('Approximately ', '≈'), { status: 'duplicate', reason: 'Already in the codex' });
+  assert.deepStrictEqual(intake('approximately', '~'), { status: 'duplicate', reason: '"approximately" is already compressed to "≈"' });
+  assert.deepStrictEqual(intake('implementations', '∬').status, 'duplicate', 'an inflected form the codex already covers');
+  assert.deepStrictEqual(intake('about', '≈'), { status: 'rejected', reason: 'Symbol "≈" already means "approximately"' });
+  assert.deepStrictEqual(intake('OHM', '\u2126'), { status: 'rejected', reason: 'Already tried and failed: Savings: 0' }, 'the ohm sign is Ω');
+  assert.deepStrictEqual(intake('therefore', '∵'), { status: 'queued' }, 'another symbol for a pending phrase competes in the ceremony');
+  assert.deepStrictEqual(intake('ohm', 'Ω`'), { status: 'queued' }, 'symbol syntax is left to the ceremony');
+  assert.deepStrictEqual(lifecycle.intake({ original: 'therefore', compressed: '∴' }), { status: 'queued' }, 'no context, no duplicates');
+  assert.deepStrictEqual(lifecycle.intake({ original: 'therefore', compressed: '∴', email: ' ana@example.com ' }), { status: 'queued' });
+  for (const email of ['ana@example.com\r\nRCPT TO:<x@evil.test>', 'ana@example.com\nBcc: x@evil.test', 'Ana <ana@example.com>', 'ana@example', 'ana example@x.com']) {
+    assert.deepStrictEqual(lifecycle.intake({ original: 'therefore', compressed: '∴', email }), { status: 'rejected', reason: 'Email address is not valid' }, JSON.stringify(email));
+  }
+}
+
+async function testSubmissionHistory(TokenCompressor) {
+  const [store] = quietly(() => sharedLocalStores(TokenCompressor, 1));
+
+  await withStorage(TokenCompressor, store, async () => {
+    const queued = await store.submitCompression({ name: 'Ana', email: 'Ana@Example.com', original: 'approximately', compressed: '≈', dailyUpdates: true });
+    const turnedAway = await store.submitCompression({ name: 'Ana', email: 'ana@example.com', original: 'same', compressed: 'same' });
+    await store.submitCompression({ name: 'Bo', email: 'bo@example.com', original: 'implementation', compressed: '∫' });
+    assert.deepStrictEqual([queued.success, queued.submission.status, turnedAway.submission.status], [true, 'queued', 'rejected']);
+    assert.ok(!('email' in queued.submission), 'submitters never see emails');
+
+    const orchestrator = new TokenCompressor.Orchestrator({ mode: 'headless', runnerId: 'runner-a' });
+    orchestrator.currentHour = 9;
+    const pending = await store.getUntestedSubmissions();
+    assert.deepStrictEqual(pending.map(row => row.original), ['approximately', 'implementation']);
+    await store.updateSubmissionStatuses(pending.map(row => ({ id: row.id, status: 'testing', hour: 9 })));
+
+    await orchestrator.processCeremonyResults({
+      validCompressions: [{ original: 'approximately', compressed: '≈', source: 'Human: Ana', submissionId: pending[0].id, tokenSavings: 2, tokensSaved: 2 }],
+      rejectedCompressions: [{ original: 'implementation', compressed: '∫', source: 'Human: Bo', submissionId: pending[1].id, rejectionReason: 'AI rejected' }]
+    }, await store.getUntestedSubmissions());
+
+    assert.deepStrictEqual(await store.getUntestedSubmissions(), [], 'every tested submission got a verdict');
+    assert.strictEqual(await store.updateSubmissionStatuses([{ id: pending[0].id, status: 'rejected' }]), 0, 'a verdict is never overwritten');
+
+    const history = await store.getSubmissionsBySubmitter('ana@example.COM');
+    assert.deepStrictEqual(history.map(row => [row.original, row.status]), [['same', 'rejected'], ['approximately', 'accepted']]);
+    assert.deepStrictEqual([history[1].tokensSaved, history[1].ceremonyHour], [2, 9]);
+    assert.deepStrictEqual(history[1].history.map(entry => entry.status), ['received', 'queued', 'testing', 'accepted']);
+
+    const byName = await store.getSubmissionsBySubmitter(' bo ');
+    assert.deepStrictEqual(byName.map(row => [row.status, row.reason]), [['rejected', 'AI rejected']]);
+    assert.deepStrictEqual(await store.getSubmissionsBySubmitter(''), []);
+
+    await store.saveFailedAttempt({ original_word: 'ohm', attempted_compression: 'Ω', failure_reason: 'no_savings', failure_details: 'Savings: 0' });
+    const resubmissions = await Promise.all([
+      store.submitCompression({ name: 'Cy', email: 'cy@example.com', original: 'APPROXIMATELY', compressed: '≈' }),
+      store.submitCompression({ name: 'Cy', email: 'cy@example.com', original: ' Implementation', compressed: '∫' }),
+      store.submitCompression({ name: 'Cy', email: 'cy@example.com', original: 'ohm', compressed: 'Ω' })
+    ]);
+    assert.deepStrictEqual(
+      resubmissions.map(({ submission }) => [submission.status, submission.reason]),
+      [['duplicate', 'Already submitted (accepted)'], ['duplicate', 'Already submitted (rejected: AI rejected)'], ['rejected', 'Already tried and failed: Savings: 0']]
+    );
+  });
+}
+
+// ---------------------------------------------------------------------------
+// public/js/leaderboard.js
+// ---------------------------------------------------------------------------
+
+function testLeaderboard(TokenCompressor) {
+  const leaderboard = TokenCompressor.Leaderboard;
+  const now = new Date('2025-01-29T23:59:30Z'); // A Wednesday
+
+  assert.deepStrictEqual(['Human:  Ana ', 'AI', 'AI-Discovery', undefined].map(source => leaderboard.contributorOf(source)), ['Ana', 'AI', 'AI', 'AI']);
+  assert.deepStrictEqual([leaderboard.dayOf(now), leaderboard.weekStartOf(now), leaderboard.weekStartOf(new Date('2025-01-27T00:00:00Z'))], ['2025-01-29', '2025-01-27', '2025-01-27']);
+  assert.strictEqual(leaderboard.nextReset(now).toISOString(), '2025-01-30T00:00:00.000Z');
+
+  const corpus = ['Approximately two hours, approximately.', 'It took approximately a day.', 'Nothing here.'];
+  assert.strictEqual(leaderboard.corpusFrequency({ original: 'approximately', compressed: '≈', inflections: ['capitalize'] }, corpus), 3);
+  assert.strictEqual(leaderboard.corpusFrequency({ original: 'unfortunately', compressed: 'µ' }, corpus), 1, 'never seen still counts once');
+  assert.deepStrictEqual(leaderboard.credit({ source: 'Human: Ana', tokens_saved: 2, corpus_frequency: 3 }, now), { name: 'Ana', date: '2025-01-29', compressions_count: 1, tokens_saved: 2, score: 6 });
+
+  const rows = [
+    { name: 'Ana', date: '2025-01-29', compressions_count: 1, tokens_saved: 2, score: 6 },
+    { name: 'AI', date: '2025-01-29', compressions_count: 2, tokens_saved: 4, score: 4 },
+    { name: 'AI', date: '2025-01-27', compressions_count: 3, tokens_saved: 9, score: 20 },
+    { name: 'Bo', date: '2025-01-26', compressions_count: 5, tokens_saved: 30 } // Sunday, from before the score column
+  ];
+  const board = period => leaderboard.rank(rows, period, now).map(row => [row.name, row.score]);
+  assert.deepStrictEqual(board('today'), [['Ana', 6], ['AI', 4]]);
+  assert.deepStrictEqual(board('week'), [['AI', 24], ['Ana', 6]], 'the week starts on Monday');
+  assert.deepStrictEqual(board('all'), [['Bo', 30], ['AI', 24], ['Ana', 6]]);
+  assert.deepStrictEqual(leaderboard.rank(rows, 'today', new Date('2025-01-30T00:00:01Z')), [], 'rolls over at midnight UTC');
+  assert.throws(() => leaderboard.rank(rows, 'month'), /Unknown leaderboard period/);
+}
+
+async function testLeaderboardCredits(TokenCompressor) {
+  const [store] = quietly(() => sharedLocalStores(TokenCompressor, 1));
+  const leaderboard = TokenCompressor.Leaderboard;
+  const updates = [];
+  const subscription = store.subscribeToLeaderboard(payload => updates.push(payload.eventType));
+
+  try {
+    store.insertRow('leaderboard', { name: 'Ana', date: '2000-01-03', compressions_count: 4, tokens_saved: 8, score: 40 });
+    await store.saveCompression({ original: 'approximately', compressed: '≈', source: 'Human: Ana', tokensSaved: 2, corpusFrequency: 3 });
+    await store.saveCompression({ original: 'unfortunately', compressed: 'µ', source: 'AI', tokensSaved: 3 });
+    await store.saveCompression({ original: 'implementation', compressed: '∫', source: 'AI-Discovery', tokensSaved: 2, corpusFrequency: 2 });
+
+    const rows = board => board.map(row => [row.name, row.compressions_count, row.tokens_saved, row.score]);
+    assert.deepStrictEqual(rows(await store.getLeaderboard()), [['AI', 2, 5, 7], ['Ana', 1, 2, 6]], 'agents are credited together as AI');
+    assert.deepStrictEqual(rows(await store.getLeaderboard('all')), [['Ana', 5, 10, 46], ['AI', 2, 5, 7]]);
+    assert.deepStrictEqual(store.table('leaderboard').filter(row => row.date === leaderboard.dayOf()).length, 2, 'one row per contributor per day');
+    assert.deepStrictEqual(updates, ['INSERT', 'INSERT', 'INSERT', 'UPDATE'], 'every credit is pushed to subscribers');
+  } finally {
+    subscription.unsubscribe();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// server/notifications.js + server/mail-transports.js
+// ---------------------------------------------------------------------------
+
+function testUnsubscribeTokens() {
+  const token = unsubscribeToken(' Ana@Example.com ', 'secret');
+  assert.match(token, /^[A-Za-z0-9_-]{43}$/);
+  assert.strictEqual(verifyUnsubscribeToken('ana@example.com', token, 'secret'), true, 'addresses are compared lowercased and trimmed');
+  assert.strictEqual(verifyUnsubscribeToken('bo@example.com', token, 'secret'), false);
+  assert.strictEqual(verifyUnsubscribeToken('ana@example.com', token, 'other secret'), false);
+  assert.strictEqual(verifyUnsubscribeToken('ana@example.com', token.slice(1), 'secret'), false);
+  assert.strictEqual(verifyUnsubscribeToken('ana@example.com', undefined, 'secret'), false);
+  assert.strictEqual(
+    unsubscribeUrl('https://lab.example.com/', 'Ana@Example.com', 'secret'),
+    `https://lab.example.com/api/unsubscribe?email=ana%40example.com&token=${token}`
+  );
+}
+
+function testFormatMessage() {
+  const text = formatMessage({
+    from: 'Token Compressor <noreply@lab.example.com>',
+    to: 'ana@example.com',
+    subject: 'Ceremony 4 results: 1 accepted',
+    text: '✅ "approximately" → "≈"\nUnsubscribe: https://lab.example.com/x',
+    headers: { 'List-Unsubscribe': '<https://lab.example.com/x>' }
+  }, { messageId: '<1@lab.example.com>', date: new Date('2025-01-31T10:00:00Z') });
+
+  const [head, body] = text.split('\r\n\r\n');
+  assert.deepStrictEqual(head.split('\r\n'), [
+    'From: Token Compressor <noreply@lab.example.com>',
+    'To: ana@example.com',
+    'Subject: Ceremony 4 results: 1 accepted',
+    'Date: Fri, 31 Jan 2025 10:00:00 GMT',
+    'Message-ID: <1@lab.example.com>',
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    'List-Unsubscribe: <https://lab.example.com/x>'
+  ]);
+  assert.strictEqual(Buffer.from(body, 'base64').toString('utf8'), '✅ "approximately" → "≈"\r\nUnsubscribe: https://lab.example.com/x');
+  assert.match(formatMessage({ from: 'a@b.c', to: 'd@e.f', subject: 'Digest ≈', text: '' }), /^Subject: =\?UTF-8\?B\?RGlnZXN0IOKJiA==\?=$/m);
+  assert.match(formatMessage({ from: 'a@b.c', to: 'd@e.f', subject: 'Hi\r\nBcc: x@evil.test', text: '' }), /^Subject: =\?UTF-8\?B\?[^\r\n]+\?=$/m, 'line breaks in a subject stay encoded');
+  assert.throws(() => formatMessage({ from: 'a@b.c', to: 'd@e.f\r\nBcc: x@evil.test', subject: 'Hi', text: '' }), /Invalid mail address/);
+  assert.throws(() => mailAddress('d@e.f>\r\nRCPT TO:<x@evil.test'), /Invalid mail address/);
+  assert.strictEqual(mailAddress('Lab <lab@example.com>'), 'lab@example.com');
+}
+
+async function testNotifier(TokenCompressor) {
+  const [store] = quietly(() => sharedLocalStores(TokenCompressor, 1));
+  const sent = [];
+  let failure = null;
+  const transport = {
+    name: 'memory',
+    async send(message) {
+      if (failure) throw failure;
+      sent.push(message);
+      return { id: null };
+    }
+  };
+  const notifier = createNotifier({ storage: store, transport, secret: 'secret', baseUrl: 'https://lab.example.com', from: 'lab@example.com' });
+
+  const submissions = [
+    { name: 'Ana', email: 'Ana@Example.com', original: 'approximately', compressed: '≈', daily_updates: true },
+    { name: 'Ana', email: 'ana@example.com ', original: 'therefore', compressed: '∴', daily_updates: true },
+    { name: 'Bo', email: 'bo@example.com', original: 'because', compressed: '∵', daily_updates: false },
+    { name: 'Cy', email: 'cy@example.com', original: 'implementation', compressed: '∫', daily_updates: true },
+    { name: 'Eve', email: 'eve@example.com\r\nRCPT TO:<x@evil.test>', original: 'however', compressed: 'λ', daily_updates: true }
+  ].map(row => store.insertRow('submissions', row));
+  store.persist();
+  const outcomes = [
+    { id: submissions[0].id, status: 'accepted', reason: null, measurements: { tokensSaved: 2 } },
+    { id: submissions[1].id, status: 'rejected', reason: 'Symbol appears naturally in text', measurements: null },
+    { id: submissions[2].id, status: 'accepted', reason: null, measurements: { tokensSaved: 1 } },
+    { id: submissions[3].id, status: 'queued', reason: 'No verdict this ceremony - queued for the next one', measurements: null },
+    { id: submissions[4].id, status: 'accepted', reason: null, measurements: { tokensSaved: 1 } }
+  ];
+  const ceremony = { ceremonyKey: '2025-01-31T10', hour: 4, submissions, outcomes };
+
+  await store.suppressNotifications('CY@example.com', 'unsubscribed');
+  assert.deepStrictEqual(await notifier.notifyCeremony(ceremony), { sent: 1, skipped: 2, failed: 0 }, 'Bo did not opt in, Cy unsubscribed, Eve\'s address is not one mailbox');
+  assert.strictEqual(sent[0].to, 'ana@example.com', 'one mail per address');
+  assert.strictEqual(sent[0].subject, 'Ceremony 4 results: 1 accepted, 1 rejected');
+  assert.match(sent[0].text, /✅ "approximately" → "≈": accepted - saves 2 tokens\n❌ "therefore" → "∴": rejected - Symbol appears naturally in text/);
+  assert.strictEqual(sent[0].headers['List-Unsubscribe'], `<${unsubscribeUrl('https://lab.example.com', 'ana@example.com', 'secret')}>`);
+  assert.deepStrictEqual(await notifier.notifyCeremony(ceremony), { sent: 0, skipped: 3, failed: 0 }, 'a ceremony is mailed once');
+
+  // Digest: yesterday's codex entries to every opted-in address, once the day is over
+  await store.saveCompression({ original: 'approximately', compressed: '≈', source: 'Human: Ana', tokensSaved: 2 });
+  await store.saveCompression({ original: 'unfortunately', compressed: 'µ', source: 'AI', tokensSaved: 3 });
+  const today = new Date();
+  const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
+  assert.deepStrictEqual(await notifier.sendDailyDigestIfDue(tomorrow), { sent: 1, skipped: 2, failed: 0 });
+  assert.strictEqual(sent[1].subject, `Codex digest ${today.toISOString().slice(0, 10)}: 2 new entries`);
+  assert.match(sent[1].text, /• "approximately" → "≈" - saves 2, by Ana\n• "unfortunately" → "µ" - saves 3, by AI/);
+  assert.strictEqual(await notifier.sendDailyDigestIfDue(tomorrow), null, 'checked once per day');
+
+  // A hard bounce puts the address on the suppression list
+  failure = Object.assign(new Error('SMTP RCPT failed: 550 No such user'), { code: 550 });
+  const { error } = console;
+  console.error = () => {};
+  try {
+    assert.deepStrictEqual(await notifier.notifyCeremony({ ...ceremony, ceremonyKey: '2025-01-31T11' }), { sent: 0, skipped: 2, failed: 1 });
+  } finally {
+    console.error = error;
+  }
+  assert.deepStrictEqual((await store.getNotificationSuppressions()).map(row => [row.email, row.reason]), [
+    ['cy@example.com', 'unsubscribed'],
+    ['ana@example.com', 'bounced']
+  ]);
+  assert.deepStrictEqual((await store.getNotificationLog('ceremony', '2025-01-31T11')).map(row => [row.email, row.status]), [['ana@example.com', 'failed']]);
+}
+
+async function testSuppressionSurvivesRunnerWrites(TokenCompressor) {
+  const [runner, api] = quietly(() => sharedLocalStores(TokenCompressor, 2));
+  runner.init();
+  await runner.reserveSymbol('α', 'however', 'runner-a', 60000);
+
+  await api.suppressNotifications('ana@example.com', 'unsubscribed');
+  await runner.recordNotification({ email: 'bo@example.com', kind: 'ceremony', key: '2025-01-31T10', status: 'sent', transport: 'memory', error: null });
+  await runner.saveCompression({ original: 'approximately', compressed: '≈', source: 'AI', tokensSaved: 2 });
+  await runner.freeSymbol('α', 'runner-a');
+
+  api.refresh();
+  for (const store of [api, runner]) {
+    assert.deepStrictEqual(store.table('notification_suppressions').map(row => row.email), ['ana@example.com'], 'a runner write never drops an unsubscribe');
+    assert.deepStrictEqual(store.table('notification_log').map(row => row.email), ['bo@example.com']);
+    assert.deepStrictEqual(store.table('symbol_allocations'), [], 'rows the runner deleted stay deleted');
+  }
+}
+
+/**
+ * Minimal SMTP server: answers each command from replies (by verb) and records the commands and message lines
+ */
+async function startFakeSmtpServer(replies) {
+  const commands = [];
+  const received = [];
+  const server = createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 fake ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 2.0.0 Ok: queued as ABC123\r\n');
+          } else {
+            received.push(line);
+          }
+          continue;
+        }
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        commands.push(line);
+        inData = verb === 'DATA';
+        socket.write(`${replies[verb] || '250 Ok'}\r\n`);
+        if (verb === 'QUIT') socket.end();
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { port: server.address().port, commands, received, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+async function testSmtpTransport() {
+  const message = { from: 'Lab <lab@example.com>', to: 'ana@example.com', subject: 'Hi', text: 'hello' };
+
+  const server = await startFakeSmtpServer({ EHLO: '250-fake\r\n250 AUTH PLAIN', AUTH: '235 Ok', DATA: '354 End data with <CR><LF>.<CR><LF>', QUIT: '221 Bye' });
+  try {
+    const smtp = createSmtpTransport({ host: '127.0.0.1', port: server.port, heloName: 'test', timeout: 5000 });
+    assert.deepStrictEqual(await smtp.send(message), { id: '2.0.0 Ok: queued as ABC123' });
+    assert.deepStrictEqual(server.commands, [
+      'EHLO test',
+      'MAIL FROM:<lab@example.com>',
+      'RCPT TO:<ana@example.com>',
+      'DATA',
+      'QUIT'
+    ]);
+    assert.ok(server.received.includes('Subject: Hi'));
+
+    // No STARTTLS on offer: credentials are never sent in the clear
+    const authenticated = createSmtpTransport({ host: '127.0.0.1', port: server.port, user: 'lab', pass: 'pw', heloName: 'test', timeout: 5000 });
+    await assert.rejects(authenticated.send(message), /refusing to send credentials unencrypted/);
+    assert.ok(!server.commands.some(line => line.startsWith('AUTH')));
+  } finally {
+    await server.close();
+  }
+
+  const rejecting = await startFakeSmtpServer({ RCPT: '550 5.1.1 No such user', QUIT: '221 Bye' });
+  try {
+    const smtp = createSmtpTransport({ host: '127.0.0.1', port: rejecting.port, heloName: 'test', timeout: 5000 });
+    await assert.rejects(smtp.send(message), error => error.code === 550 && /SMTP RCPT failed: 550 5\.1\.1 No such user/.test(error.message));
+  } finally {
+    await rejecting.close();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// public/js/codex/interference.js
+// ---------------------------------------------------------------------------
+
+const APPROVED_CODEX = [
+  { original: 'implementation', compressed: '∫' },
+  { original: 'however', compressed: 'λ' },
+  { original: 'well', compressed: 'w/' }
+];
+
+function testCheckCandidateInterference() {
+  const corpus = ['Plain text without symbols.', 'More plain text.', 'The angle θ is small.', 'Costs rose.'];
+  const issueTypes = (candidate, codex = APPROVED_CODEX) => checkCandidateInterference(candidate, codex, { corpus }).issues.map(i => i.type);
+
+  assert.strictEqual(checkCandidateInterference({ original: 'database', compressed: 'Σ' }, APPROVED_CODEX, { corpus }).verdict, 'clear');
+  assert.deepStrictEqual(issueTypes({ original: 'database', compressed: '∫' }), ['symbol_collision']);
+  assert.deepStrictEqual(issueTypes({ original: 'however', compressed: 'Σ' }), ['duplicate_original']);
+  assert.deepStrictEqual(issueTypes({ original: 'however', compressed: 'λ' }), ['already_approved']);
+  assert.deepStrictEqual(issueTypes({ original: 'whatever', compressed: 'λλ' }), ['prefix_conflict']);
+  assert.deepStrictEqual(issueTypes({ original: 'without', compressed: 'w/o' }), ['prefix_conflict']);
+  assert.deepStrictEqual(issueTypes({ original: 'database', compressed: '\\d' }), ['escape_character']);
+
+  const inflected = [{ original: 'implementation', compressed: '∫', inflections: ['plural'] }];
+  assert.deepStrictEqual(issueTypes({ original: 'build', compressed: 'β', inflections: ['plurals'] }), ['invalid_inflections']);
+  assert.deepStrictEqual(issueTypes({ original: 'implementations', compressed: 'Ж' }, inflected), ['inflection_conflict']);
+  assert.deepStrictEqual(issueTypes({ original: 'build', compressed: 'β', inflections: ['capitalize'] }, [{ original: 'BUILD', compressed: '∑' }]),
+    ['inflection_shadowed'], 'a form another entry owns is flagged, not rejected');
+
+  const collision = checkCandidateInterference({ original: 'database', compressed: '∫' }, APPROVED_CODEX, { corpus });
+  assert.deepStrictEqual(collision.issues[0].conflictsWith, { original: 'implementation', compressed: '∫' });
+
+  // 1 of 4 texts: flagged under a 30% limit, rejected under the 5% default
+  const flagged = checkCandidateInterference({ original: 'therefore', compressed: 'θ' }, APPROVED_CODEX, { corpus, maxNaturalOccurrenceRate: 0.3 });
+  assert.strictEqual(flagged.verdict, 'flagged');
+  assert.deepStrictEqual(flagged.naturalOccurrences, { count: 1, texts: ['The angle θ is small.'], rate: 0.25 });
+  assert.strictEqual(checkCandidateInterference({ original: 'therefore', compressed: 'θ' }, APPROVED_CODEX, { corpus }).verdict, 'rejected');
+
+  // Default corpus covers maths and finance notation
+  assert.strictEqual(checkCandidateInterference({ original: 'euro', compressed: '€' }, []).verdict, 'rejected');
+  assert.strictEqual(checkCandidateInterference({ original: 'database', compressed: '' }, []).issues[0].type, 'empty');
+}
+
+function testScreenCandidates() {
+  const { cleared, rejected } = screenCandidates([
+    { original: 'database', compressed: 'Σ', source: 'AI' },
+    { original: 'customer', compressed: 'Σ', source: 'Human: Ada' },
+    { original: 'development', compressed: 'δ', source: 'AI' }
+  ], APPROVED_CODEX, { corpus: ['No symbols here.'] });
+
+  assert.deepStrictEqual(cleared.map(c => c.original), ['database', 'development']);
+  assert.deepStrictEqual(rejected.map(c => [c.original, c.source]), [['customer', 'Human: Ada']], 'same-ceremony collision rejects the later candidate');
+  assert.strictEqual(rejected[0].rejectionReason, 'Symbol "Σ" already means "database"');
+}
+
+// ---------------------------------------------------------------------------
+// api/_symbols.js
+// ---------------------------------------------------------------------------
+
+function testListCandidateSymbols() {
+  const candidates = listCandidateSymbols();
+  const symbols = candidates.map(c => c.symbol);
+
+  for (const symbol of ['α', 'Ω', '∫', '≈', '€', '†', '§', '→', '★']) {
+    assert.ok(symbols.includes(symbol), `${symbol} is a candidate`);
+  }
+  assert.ok(!symbols.some(symbol => /[\x00-\x7F]/.test(symbol)), 'no ASCII');
+  assert.ok(!symbols.includes('\u00AD'), 'no soft hyphen (format character)');
+  assert.ok(!symbols.includes('\u03A2'), 'no unassigned code points');
+  assert.strictEqual(new Set(symbols).size, symbols.length, 'no duplicates');
+  assert.deepStrictEqual(candidates.find(c => c.symbol === 'α'), { symbol: 'α', codePoint: 'U+03B1', block: 'greek' });
+}
+
+async function testBuildSymbolInventory() {
+  const inventory = await buildSymbolInventory(['o200k_base', 'cl100k_base']);
+  const alpha = inventory.find(entry => entry.symbol === 'α');
+
+  assert.strictEqual(inventory.length, listCandidateSymbols().length);
+  assert.deepStrictEqual(Object.keys(alpha.tokens), ['cl100k_base', 'o200k_base']);
+  assert.strictEqual(alpha.singleToken, Object.values(alpha.tokens).every(tokens => tokens === 1));
+  assert.ok(inventory.every(entry => Object.values(entry.tokens).every(tokens => tokens >= 1)));
+  assert.strictEqual(await buildSymbolInventory(['o200k_base', 'cl100k_base']), inventory, 'cached per encoding set');
+  assert.strictEqual(await buildSymbolInventory(['cl100k_base', 'o200k_base', 'cl100k_base']), inventory, 'order and repeats share the entry');
+
+  const reply = {};
+  const res = {
+    status: (code) => { reply.status = code; return res; },
+    json: (body) => { reply.body = body; }
+  };
+  await symbolsHandler({ method: 'POST', headers: { 'x-forwarded-for': 'symbols-test' }, body: { encodings: ['o200k_base', 'o200k_base'] } }, res);
+  assert.strictEqual(reply.status, 400, 'repeated encodings are rejected');
+}
+
+// ---------------------------------------------------------------------------
+// api/_phrases.js
+// ---------------------------------------------------------------------------
+
+// One token per word keeps the expected costs obvious
+const wordTokenizer = { encode: text => text.trim().split(/\s+/) };
+
+function testMinePhrases() {
+  const text = 'In order to ship, we test. We test in order to learn; in order to grow we refactor. ' +
+    'As well as tests, docs as well as code.';
+
+  const phrases = minePhrases(text, wordTokenizer);
+  assert.deepStrictEqual(phrases.map(p => p.phrase.toLowerCase()), ['in order to', 'as well as', 'we test'],
+    'ranked by tokens × frequency; "order to" and "as well" only occur inside longer phrases');
+  assert.deepStrictEqual(phrases[0], {
+    phrase: 'in order to', words: 3, tokens: 3, frequency: 3, totalTokens: 9, compressionPotential: 6
+  }, 'most common spelling wins');
+
+  assert.ok(!phrases.some(p => p.phrase.includes('ship we')), 'phrases never cross punctuation');
+  assert.deepStrictEqual(minePhrases(text, wordTokenizer, { minFrequency: 3 }).map(p => p.phrase), ['in order to']);
+  assert.strictEqual(minePhrases(text, wordTokenizer, { limit: 1 }).length, 1);
+  assert.deepStrictEqual(minePhrases(text, wordTokenizer, { maxWords: 2, minFrequency: 3 }).map(p => p.phrase).sort(),
+    ['in order', 'order to'], 'nothing longer than maxWords can subsume them');
+  assert.deepStrictEqual(minePhrases('', wordTokenizer), []);
+}
+
+function testParsePhraseOptions() {
+  assert.deepStrictEqual(parsePhraseOptions(true), { valid: true, options: PHRASE_DEFAULTS });
+  assert.deepStrictEqual(parsePhraseOptions({ maxWords: 4 }).options, { ...PHRASE_DEFAULTS, maxWords: 4 });
+
+  for (const invalid of [[], 'yes', { minWords: 1 }, { maxWords: 7 }, { minWords: 4, maxWords: 3 }, { limit: 0 }, { minFrequency: 1.5 }]) {
+    assert.strictEqual(parsePhraseOptions(invalid).valid, false, JSON.stringify(invalid));
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Browser agents (window.TokenCompressor)
+// ---------------------------------------------------------------------------
+
+async function testAnalyzeArticlePhrases(TokenCompressor) {
+  const agent = new TokenCompressor.DiscoveryAgent();
+  let requestOptions = null;
+  agent.apiClient = {
+    tokenize: async (text, encoding, options) => {
+      requestOptions = options;
+      return {
+        multiTokenWords: [{ word: 'implementation', tokens: 3 }],
+        multiTokenPhrases: [
+          { phrase: 'in order to', words: 3, tokens: 3, frequency: 4, totalTokens: 12, compressionPotential: 8 },
+          { phrase: 'of the', words: 2, tokens: 1, frequency: 9, totalTokens: 9, compressionPotential: 0 }
+        ]
+      };
+    }
+  };
+
+  const analysis = await agent.analyzeArticle('The implementation shipped in order to learn.');
+
+  assert.deepStrictEqual(requestOptions, { phrases: { minWords: 2, maxWords: 6, minFrequency: 2 } });
+  assert.deepStrictEqual(analysis.wastefulWords.map(w => [w.word, w.compressionPotential]), [['in order to', 8], ['implementation', 2]],
+    'phrases and words share one ranking; single-token phrases are dropped');
+  assert.strictEqual(analysis.wastefulWords[0].isPhrase, true);
+  assert.strictEqual(analysis.wastefulWords[0].wordCount, 3);
+  assert.strictEqual(analysis.phraseCount, 1);
+  assert.strictEqual(analysis.totalPotentialSavings, 10);
+}
+
+function testParseCreativeResponse(TokenCompressor) {
+  const agent = quietly(() => new TokenCompressor.GenerationAgent());
+
+  const { compressions } = agent.parseCreativeResponse(`<thinking>...</thinking>
+<compression>
+<original>implementation</original>
+<compressed>∫</compressed>
+<reasoning>Integral - builds up a whole</reasoning>
+<token_savings>3</token_savings>
+</compression>
+<compression>
+<original> unfortunately </original>
+<compressed>∂</compressed>
+</compression>
+<compression>
+<original>same</original>
+<compressed>same</compressed>
+</compression>`);
+
+  assert.deepStrictEqual(compressions, [
+    { original: 'implementation', compressed: '∫', reasoning: 'Integral - builds up a whole', tokensSaved: 3, source: 'AI' },
+    { original: 'unfortunately', compressed: '∂', reasoning: 'Creative generation', tokensSaved: 2, source: 'AI' }
+  ], 'missing fields get defaults, no-op compressions are dropped');
+
+  const fallback = agent.parseCreativeResponse('Try "approximately" → "≈" and "ok" → "k"');
+  assert.deepStrictEqual(fallback.compressions.map(c => [c.original, c.compressed]), [['approximately', '≈']], 'non-XML arrows are parsed, too-short originals skipped');
+
+  assert.deepStrictEqual(agent.parseCreativeResponse('no suggestions today'), { compressions: [] });
+
+  const inflected = agent.parseCreativeResponse(`<compression>
+<original>implementation</original>
+<compressed>∫</compressed>
+<inflections>plural, -ing, Capitalize, plural, sideways</inflections>
+</compression>`);
+  assert.deepStrictEqual(inflected.compressions[0].inflections, ['plural', 'ing', 'capitalize'], 'known rules only, once each');
+}
+
+function testParseValidationResponse(TokenCompressor) {
+  const agent = quietly(() => new TokenCompressor.ValidationAgent());
+  const candidates = [
+    { original: 'however', compressed: 'λ', source: 'AI', tokenMatrix: { cl100k_base: { saved: 1 } } },
+    { original: 'database', compressed: 'db', source: 'Human: Ada' }
+  ];
+
+  const results = agent.parseValidationResponse(`<validation>
+<original>however</original>
+<compressed>λ</compressed>
+<is_valid>true</is_valid>
+<tests_passed>12</tests_passed>
+<tests_failed>0</tests_failed>
+<confidence>high</confidence>
+</validation>
+<validation>
+<original>database</original>
+<compressed>db</compressed>
+<is_valid>false</is_valid>
+<tests_passed>3</tests_passed>
+<tests_failed>9</tests_failed>
+<rejection_reason>Ambiguous with "decibel"</rejection_reason>
+<confidence>medium</confidence>
+</validation>`, candidates);
+
+  assert.strictEqual(results.length, 2);
+  assert.strictEqual(results[0].isValid, true);
+  assert.strictEqual(results[0].testsPassed, 12);
+  assert.deepStrictEqual(results[0].tokenMatrix, candidates[0].tokenMatrix, 'candidate fields are carried over');
+  assert.strictEqual(results[0].validatedBy, 'AI');
+  assert.strictEqual(results[1].isValid, false);
+  assert.strictEqual(results[1].rejectionReason, 'Ambiguous with "decibel"');
+  assert.strictEqual(results[1].source, 'Human: Ada');
+
+  const fallback = agent.parseValidationResponse('❌ none of these work', candidates);
+  assert.deepStrictEqual(fallback.map(r => [r.isValid, r.validatedBy]), [[false, 'AI Fallback'], [false, 'AI Fallback']]);
+}
+
+/**
+ * The mock LLM (server/mock-llm-server.js) answers the agents' real prompts in formats their parsers accept
+ */
+function testMockLLMResponsesParse(TokenCompressor) {
+  const generator = quietly(() => new TokenCompressor.GenerationAgent());
+  generator.currentCodex = new Map([['however', 'λ']]);
+  const words = [
+    { word: 'implementation', tokens: 3, frequency: 4 },
+    { word: 'unfortunately', tokens: 3, frequency: 2 }
+  ];
+  const generation = mockCompletion([{ role: 'user', content: generator.buildCreativeGenerationPrompt(words) }]);
+  assert.strictEqual(generation.agent, 'generation');
+
+  const { compressions } = generator.parseCreativeResponse(generation.content);
+  assert.deepStrictEqual(compressions.map(c => [c.original, c.tokensSaved, c.source]), [['implementation', 2, 'AI'], ['unfortunately', 2, 'AI']]);
+  assert.ok(compressions.every(c => c.compressed !== 'λ'), 'symbols already in the codex are not suggested again');
+
+  const validator = quietly(() => new TokenCompressor.ValidationAgent());
+  const candidates = [...compressions, { original: 'database', compressed: 'db', source: 'Human: Ada' }];
+  const validation = mockCompletion([{ role: 'user', content: validator.buildValidationUserPrompt(candidates) }]);
+  assert.strictEqual(validation.agent, 'validation');
+
+  const results = validator.parseValidationResponse(validation.content, candidates);
+  assert.deepStrictEqual(results.map(r => [r.original, r.isValid, r.validatedBy]), [
+    ['implementation', true, 'AI'],
+    ['unfortunately', true, 'AI'],
+    ['database', false, 'AI']
+  ]);
+  assert.match(results[2].rejectionReason, /symbol shorter than the original/);
+}
+
+function testIdentifyPattern(TokenCompressor) {
+  const learningSystem = TokenCompressor.learningSystem;
+  const expected = {
+    'α': 'greek_letter',
+    '~impl': 'symbol_prefix',
+    'imp': 'three_letter_abbrev',
+    'IMPL': 'all_caps',
+    '∫': 'symbol_only',
+    'Σ': 'symbol_only',
+    'b4': 'phonetic_number',
+    'mngmnt': 'consonants_only',
+    'impl': 'other'
+  };
+
+  for (const [compressed, pattern] of Object.entries(expected)) {
+    assert.strictEqual(learningSystem.identifyPattern(compressed), pattern, `"${compressed}"`);
+  }
+}
+
+function testValidateCompressionLocally(TokenCompressor) {
+  const agent = quietly(() => new TokenCompressor.ValidationAgent());
+  const validate = (original, compressed) => agent.validateCompressionLocally({ original, compressed, source: 'AI' });
+
+  const valid = validate('however', 'λ');
+  assert.strictEqual(valid.isValid, true);
+  assert.strictEqual(valid.isContextSafe, true);
+  assert.strictEqual(valid.testsFailed, 0);
+  assert.strictEqual(valid.testsPassed, agent.testCorpus.length + 3, 'every corpus sentence + protected spans + context-safe + single-token');
+  assert.strictEqual(valid.validatedBy, 'Local Enhanced');
+  assert.strictEqual(valid.source, 'AI', 'candidate fields are carried over');
+
+  const notSafe = validate('analysis', 'ana');
+  assert.strictEqual(notSafe.isValid, false);
+  assert.strictEqual(notSafe.rejectionReason, 'Not a context-safe mathematical symbol');
+
+  const tooLong = validate('teamwork', '∂∂∂∂∂');
+  assert.strictEqual(tooLong.isValid, false);
+  assert.strictEqual(tooLong.rejectionReason, 'Compressed form too long');
+
+  // Round trips go through the compression engine, so a word ending a sentence is restored too
+  const sentenceEnd = validate('implementation', '∫');
+  assert.strictEqual(sentenceEnd.isValid, true);
+
+  const inflected = agent.validateCompressionLocally({ original: 'implementation', compressed: '∫', inflections: ['plural', 'capitalize'] });
+  assert.strictEqual(inflected.isValid, true);
+  assert.strictEqual(inflected.testsPassed, agent.testCorpus.length + 3 + 5, 'plus one check per inflected form');
+
+  // The ceremony and /api/validate round-trip the same candidate sentences and forms
+  const inflectedCandidate = { original: 'implementation', compressed: '∫', inflections: ['plural', 'capitalize'] };
+  const { results } = TokenCompressor.CodexRoundTrip.checkCandidateRoundTrip(inflectedCandidate, agent.testCorpus);
+  const kinds = results.reduce((tally, { kind }) => ({ ...tally, [kind]: (tally[kind] || 0) + 1 }), {});
+  assert.deepStrictEqual(kinds, { corpus: agent.testCorpus.length, candidate: 9, form: 5 });
+  assert.strictEqual(checkRoundTrip(inflectedCandidate).detail, `${1 + 9 + 5} texts restored exactly (including 5 inflected forms)`, 'a test article plus the shared sentences');
+
+  const badRules = agent.validateCompressionLocally({ original: 'implementation', compressed: '∫', inflections: ['plurals'] });
+  assert.strictEqual(badRules.isValid, false);
+  assert.strictEqual(badRules.rejectionReason, 'Unknown inflection rule "plurals"');
+}
+
+async function testCeremonyFailureReleasesClaim(TokenCompressor) {
+  let document = null;
+  const store = new TokenCompressor.LocalStore({
+    adapter: { load: () => (document ? JSON.parse(document) : null), save: (tables) => { document = JSON.stringify(tables); } }
+  });
+  const previous = TokenCompressor.Storage;
+  const { error } = console;
+  TokenCompressor.Storage = store;
+  console.error = () => {};
+  try {
+    const orchestrator = new TokenCompressor.Orchestrator({ mode: 'headless', runnerId: 'runner-a' });
+    orchestrator.validationAgent = { runTestingCeremony: async () => { throw new Error('validation API down'); } };
+    await orchestrator.runTestingCeremony();
+    console.error = error;
+
+    const ceremonyKey = new Date().toISOString().slice(0, 13);
+    assert.strictEqual(orchestrator.isCeremonyRunning, false);
+    assert.strictEqual(await store.claimCeremony(ceremonyKey, 'runner-b', 1), true, 'a failed ceremony leaves its hour unclaimed');
+    await store.releaseCeremony(ceremonyKey, 'runner-a');
+    assert.strictEqual(await store.claimCeremony(ceremonyKey, 'runner-a', 1), false, 'only the claiming runner can release it');
+  } finally {
+    TokenCompressor.Storage = previous;
+    console.error = error;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Round-trip property (test/round-trip-harness.js)
+// ---------------------------------------------------------------------------
+
+// Baseline entries plus the shapes that have bitten us: multi-word originals, symbols that
+// are ordinary characters, originals that contain other symbols, and a prefix conflict
+const PROPERTY_CODEX = {
+  implementation: '∫',
+  unfortunately: '∂',
+  approximately: '≈',
+  however: 'λ',
+  therefore: '∴',
+  'as well as': '&&',
+  well: 'w/',
+  with: 'w',
+  'x ≈ y': 'Q',
+  database: 'db'
+};
+
+function testRoundTripProperty() {
+  const result = runRoundTripProperty(PROPERTY_CODEX, { runs: 3000, seed: 7 });
+
+  assert.deepStrictEqual(result.skipped.map(s => s.original), ['with'], '"w" is a prefix of "w/" and is skipped');
+  assert.deepStrictEqual(result.failures, [], `counterexamples: ${JSON.stringify(result.failures.map(f => f.minimal))}`);
+  assert.strictEqual(result.passed, 3000);
+}
+
+function testSentenceGenerator() {
+  const entries = Object.entries(PROPERTY_CODEX).map(([original, compressed]) => ({ original, compressed }));
+  const first = generateSentence(createRandom(99), entries);
+  assert.strictEqual(generateSentence(createRandom(99), entries), first, 'the same seed regenerates the same sentence');
+
+  const sample = Array.from({ length: 200 }, (_, i) => generateSentence(createRandom(i), entries)).join('\n');
+  assert.ok(sample.includes('∫'), 'existing symbols appear in generated text');
+  assert.ok(sample.includes('\\'), 'the escape character appears in generated text');
+  assert.ok(/Implementation|IMPLEMENTATION/.test(sample), 'codex words appear capitalized');
+}
+
+function testShrinkCounterexample() {
+  // A decompressor that forgets about escapes fails whenever the input already contains "∫"
+  const brokenCheck = (text, codex) => {
+    const compressed = compress(text, codex).text;
+    const restored = compressed.replaceAll('\\∫', '∫').replaceAll('∫', 'implementation');
+    return { ok: restored === text, compressed, restored };
+  };
+
+  const result = runRoundTripProperty({ implementation: '∫' }, { runs: 500, check: brokenCheck });
+  assert.ok(result.failures.length > 0, 'the broken decompressor is caught');
+  assert.ok(result.failures.some(f => f.minimal === '∫'), `shrunk to a single symbol (got ${JSON.stringify(result.failures.map(f => f.minimal))})`);
+  assert.ok(result.failures.every(f => f.seed >= 1 && f.input.length >= f.minimal.length));
+
+  assert.strictEqual(shrinkCounterexample('The result: ∫f(x)dx, roughly.', text => text.includes('∫')), '∫');
+  assert.strictEqual(shrinkCounterexample('abc', text => text.length >= 2).length, 2, 'stops at a 1-minimal input');
+}
+
+function testScreenCodexInterference(TokenCompressor) {
+  const agent = quietly(() => new TokenCompressor.ValidationAgent());
+  const results = [];
+  agent.events.on('result', event => results.push(event));
+
+  const { cleared, rejected } = agent.screenCodexInterference([
+    { original: 'database', compressed: '∫', source: 'AI' },
+    { original: 'customer', compressed: 'Ж', source: 'AI' }
+  ], APPROVED_CODEX, ['Article mentioning Ж once.']);
+
+  assert.deepStrictEqual(cleared.map(c => c.original), ['customer']);
+  assert.strictEqual(cleared[0].interference.verdict, 'flagged', 'one natural occurrence among the whole corpus is only flagged');
+  assert.strictEqual(rejected[0].isValid, false);
+  assert.strictEqual(rejected[0].validatedBy, 'Codex Interference');
+  assert.deepStrictEqual(results.map(r => r.type), ['warning', 'failure']);
+
+  // Storage reads the codex newest first; conflicting stored entries resolve to the oldest, as in /api/compress
+  const newestFirst = [
+    { id: 2, original: 'moreover', compressed: 'λ', created_at: '2026-02-01T00:00:00Z' },
+    { id: 1, original: 'however', compressed: 'λ', created_at: '2026-01-01T00:00:00Z' }
+  ];
+  const screened = quietly(() => agent.screenCodexInterference([{ original: 'nevertheless', compressed: 'λ', source: 'AI' }], newestFirst));
+  assert.match(screened.rejected[0].rejectionReason, /already means "however"/);
+}
+
+/**
+ * Two LocalStores sharing one in-memory document behave like two runners on one database
+ */
+function sharedLocalStores(TokenCompressor, count) {
+  let document = null;
+  const adapter = {
+    load: () => (document ? JSON.parse(document) : null),
+    save: (tables) => { document = JSON.stringify(tables); }
+  };
+  return Array.from({ length: count }, () => new TokenCompressor.LocalStore({ adapter }));
+}
+
+async function withStorage(TokenCompressor, storage, fn) {
+  const previous = TokenCompressor.Storage;
+  TokenCompressor.Storage = storage;
+  try {
+    return await fn();
+  } finally {
+    TokenCompressor.Storage = previous;
+  }
+}
+
+function measuredRegistry(TokenCompressor, holder) {
+  const registry = new TokenCompressor.SymbolRegistry({ holder });
+  registry.inventory = [
+    { symbol: 'α', codePoint: 'U+03B1', block: 'greek', tokens: { o200k_base: 1 }, singleToken: true },
+    { symbol: 'β', codePoint: 'U+03B2', block: 'greek', tokens: { o200k_base: 1 }, singleToken: true },
+    { symbol: '∫', codePoint: 'U+222B', block: 'math', tokens: { o200k_base: 2 }, singleToken: false },
+    { symbol: '†', codePoint: 'U+2020', block: 'punctuation', tokens: { o200k_base: 1 }, singleToken: true }
+  ];
+  registry.inventoryMeasured = true;
+  return registry;
+}
+
+async function testSymbolRegistry(TokenCompressor) {
+  const [storeA, storeB] = quietly(() => sharedLocalStores(TokenCompressor, 2));
+  const runnerA = measuredRegistry(TokenCompressor, 'runner-a');
+  const runnerB = measuredRegistry(TokenCompressor, 'runner-b');
+
+  await withStorage(TokenCompressor, storeA, async () => {
+    await quietly(() => storeA.saveCompression({ original: 'database', compressed: '†', source: 'AI', hour: 1 }));
+    await runnerA.refresh();
+    assert.deepStrictEqual(runnerA.getFreeSymbols().map(e => e.symbol), ['α', 'β'], 'codex symbols are allocated, multi-token symbols never offered');
+    assert.deepStrictEqual(runnerA.getFreeSymbols({ block: 'greek', limit: 1 }).map(e => e.symbol), ['α']);
+    assert.strictEqual(await runnerA.reserve('α', 'however'), true);
+  });
+
+  await withStorage(TokenCompressor, storeB, async () => {
+    assert.strictEqual(await runnerB.reserve('α', 'therefore'), false, 'reservations are exclusive across runners');
+    await runnerB.refresh();
+    assert.deepStrictEqual(runnerB.getFreeSymbols().map(e => e.symbol), ['β']);
+    assert.strictEqual(await runnerB.free('α'), false, 'only the holder can free a reservation');
+  });
+
+  await withStorage(TokenCompressor, storeA, async () => {
+    assert.strictEqual(await runnerA.free('α'), true);
+    assert.strictEqual(await runnerA.reserve('β', 'therefore'), true);
+    await runnerA.allocate('β', 'therefore');
+    assert.deepStrictEqual(runnerA.getStats(), { inventory: 4, measured: true, singleToken: 3, free: 1, reserved: 0, allocated: 2 });
+  });
+
+  await withStorage(TokenCompressor, storeB, async () => {
+    await runnerB.refresh();
+    assert.deepStrictEqual(runnerB.getFreeSymbols().map(e => e.symbol), ['α'], 'freed and allocated symbols are visible to other runners');
+    assert.strictEqual(await runnerB.free('β'), false, 'allocated symbols cannot be freed');
+  });
+}
+
+async function testExpiredReservation(TokenCompressor) {
+  const [store] = quietly(() => sharedLocalStores(TokenCompressor, 1));
+  assert.strictEqual(await store.reserveSymbol('α', 'however', 'runner-a', -1000), true);
+  assert.strictEqual(await store.reserveSymbol('α', 'therefore', 'runner-b', 60000), true, 'an expired reservation can be taken over');
+  assert.strictEqual(await store.reserveSymbol('α', 'however', 'runner-a', 60000), false);
+  assert.deepStrictEqual((await store.getSymbolAllocations()).map(r => [r.symbol, r.original, r.holder]), [['α', 'therefore', 'runner-b']]);
+}
+
+async function testReserveSymbols(TokenCompressor) {
+  const [store] = quietly(() => sharedLocalStores(TokenCompressor, 1));
+  const registry = measuredRegistry(TokenCompressor, 'runner-a');
+  const previous = TokenCompressor.symbolRegistry;
+  TokenCompressor.symbolRegistry = registry;
+
+  try {
+    await withStorage(TokenCompressor, store, async () => {
+      const agent = quietly(() => new TokenCompressor.GenerationAgent());
+      await agent.loadFreeSymbols();
+
+      const kept = await agent.reserveSymbols([
+        { original: 'however', compressed: 'α', source: 'AI' },
+        { original: 'therefore', compressed: 'α', source: 'AI' },
+        { original: 'implementation', compressed: '∫', source: 'AI' },
+        { original: 'configuration', compressed: 'cfg', source: 'AI' }
+      ]);
+
+      assert.deepStrictEqual(kept.map(c => [c.original, c.compressed, c.reservedSymbol]), [
+        ['however', 'α', true],
+        ['configuration', 'cfg', undefined]
+      ], 'duplicates and multi-token symbols are dropped, abbreviations pass through');
+      assert.deepStrictEqual(kept[0].symbolTokens, { o200k_base: 1 });
+      assert.match(agent.buildCreativeGenerationPrompt([{ word: 'however', tokens: 2, frequency: 1 }]), /<available_symbols>\nα β †\n<\/available_symbols>/);
+    });
+  } finally {
+    TokenCompressor.symbolRegistry = previous;
+  }
+}
+
+async function testQueueOverflowFreesSymbols(TokenCompressor) {
+  const freed = [];
+  const previous = TokenCompressor.symbolRegistry;
+  TokenCompressor.symbolRegistry = { free: async symbol => { await new Promise(resolve => setTimeout(resolve, 5)); freed.push(symbol); } };
+
+  try {
+    const orchestrator = new TokenCompressor.Orchestrator({ mode: 'headless', runnerId: 'runner-a' });
+    orchestrator.config = { ...orchestrator.config, maxPendingCandidates: 2 };
+    await orchestrator.queueCandidatesForTesting([
+      { original: 'however', compressed: 'α', reservedSymbol: true },
+      { original: 'therefore', compressed: 'β', reservedSymbol: true },
+      { original: 'implementation', compressed: '∫', reservedSymbol: true }
+    ]);
+
+    assert.deepStrictEqual(orchestrator.pendingCandidates.map(c => c.compressed), ['β', '∫']);
+    assert.deepStrictEqual(freed, ['α'], 'dropped reservations are freed before queueing returns');
+  } finally {
+    TokenCompressor.symbolRegistry = previous;
+  }
+}
+
+// Main execution
+async function main() {
+  console.log('🧪 UNIT TESTS (offline)');
+  console.log('=======================\n');
+
+  const tester = new UnitTester();
+  const TokenCompressor = await loadTokenCompressor();
+
+  tester.log('api/tokenize.js', 'blue');
+  await tester.runTest('approximateTokenize', testApproximateTokenize);
+  await tester.runTest('countTokens with special-token text', testCountTokensSpecialTokens);
+  await tester.runTest('calculateCompressionPotential', testCalculateCompressionPotential);
+  await tester.runTest('validateContextSafety', testValidateContextSafety);
+  await tester.runTest('isProperNoun', testIsProperNoun);
+  await tester.runTest('isGrammaticallyEquivalent', testIsGrammaticallyEquivalent);
+  await tester.runTest('calculateSemanticSimilarity', testCalculateSemanticSimilarity);
+  await tester.runTest('checkWordPreservation', testCheckWordPreservation);
+
+  tester.log('\nphrase mining', 'blue');
+  await tester.runTest('minePhrases', testMinePhrases);
+  await tester.runTest('parsePhraseOptions', testParsePhraseOptions);
+  await tester.runTest('DiscoveryAgent.analyzeArticle phrase candidates', () => quietly(() => testAnalyzeArticlePhrases(TokenCompressor)));
+
+  tester.log('\ninflections', 'blue');
+  await tester.runTest('deriveForms', testDeriveForms);
+  await tester.runTest('parseInflections', testParseInflections);
+  await tester.runTest('compress/decompress inflected forms', testInflectedRoundTrip);
+  await tester.runTest('inflected codex round-trip (2000 generated sentences)', testInflectedRoundTripProperty);
+
+  tester.log('\nprotected spans', 'blue');
+  await tester.runTest('segment', testSegment);
+  await tester.runTest('compress/decompress keep protected spans byte-for-byte', testProtectedRoundTrip);
+  await tester.runTest('segmentation mismatch fallback', testSegmentMismatchFallback);
+  await tester.runTest('parseSegmenters', testParseSegmenters);
+
+  tester.log('\ncodex legend and break-even', 'blue');
+  await tester.runTest('buildLegend', testBuildLegend);
+  await tester.runTest('analyzeBreakEven', testAnalyzeBreakEven);
+  await tester.runTest('parseOriginals', testParseOriginals);
+
+  tester.log('\ncodex releases', 'blue');
+  await tester.runTest('parseSemver/compareSemver/nextVersion', testSemver);
+  await tester.runTest('planRelease', testPlanRelease);
+  await tester.runTest('parseCodexVersion', testParseCodexVersion);
+  await tester.runTest('Orchestrator.publishCodexRelease', () => quietly(() => testPublishCodexRelease(TokenCompressor)));
+  await tester.runTest('SupabaseClient.getAllCompressions pages past the row cap', () => testSupabaseReadsWholeCodex(TokenCompressor));
+  await tester.runTest('SupabaseClient phrase queries match like phraseKey', () => testSupabasePhraseQueries(TokenCompressor));
+
+  tester.log('\ncompressing chat proxy', 'blue');
+  await tester.runTest('parseProxyOptions', testParseProxyOptions);
+  await tester.runTest('proxy requires the caller\'s key', testProxyRequiresCallerKey);
+  await tester.runTest('compressChatMessages', testCompressChatMessages);
+  await tester.runTest('decompressChatResponse', testDecompressChatResponse);
+
+  tester.log('\ncodex export', 'blue');
+  await tester.runTest('selectExportEntries', testSelectExportEntries);
+  await tester.runTest('renderExport', testRenderExport);
+
+  tester.log('\ninstant compression check', 'blue');
+  await tester.runTest('instant checks', testInstantChecks);
+  await tester.runTest('checkAIRewrite', testCheckAIRewrite);
+
+  tester.log('\nsubmission lifecycle', 'blue');
+  await tester.runTest('SubmissionLifecycle transitions and ceremony outcomes', () => testSubmissionLifecycle(TokenCompressor));
+  await tester.runTest('SubmissionLifecycle intake turns away duplicates and known failures', () => testSubmissionIntake(TokenCompressor));
+  await tester.runTest('LocalStore submission history through a ceremony', () => quietly(() => testSubmissionHistory(TokenCompressor)));
+
+  tester.log('\nleaderboard', 'blue');
+  await tester.runTest('Leaderboard credits, periods and rollover', () => testLeaderboard(TokenCompressor));
+  await tester.runTest('LocalStore leaderboard credits and realtime updates', () => quietly(() => testLeaderboardCredits(TokenCompressor)));
+
+  tester.log('\nnotifications', 'blue');
+  await tester.runTest('unsubscribe tokens', testUnsubscribeTokens);
+  await tester.runTest('formatMessage', testFormatMessage);
+  await tester.runTest('Notifier ceremony results, digest, suppression list', () => quietly(() => testNotifier(TokenCompressor)));
+  await tester.runTest('LocalStore keeps suppressions written by another process', () => quietly(() => testSuppressionSurvivesRunnerWrites(TokenCompressor)));
+  await tester.runTest('SMTP transport dialogue', testSmtpTransport);
+
+  tester.log('\ncodex interference', 'blue');
+  await tester.runTest('checkCandidateInterference', testCheckCandidateInterference);
+  await tester.runTest('screenCandidates', testScreenCandidates);
+
+  tester.log('\nsymbol registry', 'blue');
+  await tester.runTest('listCandidateSymbols', testListCandidateSymbols);
+  await tester.runTest('buildSymbolInventory', testBuildSymbolInventory);
+  await tester.runTest('SymbolRegistry reserve/free/allocate across runners', () => quietly(() => testSymbolRegistry(TokenCompressor)));
+  await tester.runTest('LocalStore.reserveSymbol takes over expired reservations', () => quietly(() => testExpiredReservation(TokenCompressor)));
+  await tester.runTest('GenerationAgent.reserveSymbols', () => quietly(() => testReserveSymbols(TokenCompressor)));
+  await tester.runTest('Orchestrator frees the symbols of dropped candidates', () => quietly(() => testQueueOverflowFreesSymbols(TokenCompressor)));
+
+  tester.log('\nagents', 'blue');
+  await tester.runTest('GenerationAgent.parseCreativeResponse', () => testParseCreativeResponse(TokenCompressor));
+  await tester.runTest('ValidationAgent.parseValidationResponse', () => testParseValidationResponse(TokenCompressor));
+  await tester.runTest('Mock LLM responses parse in the agents', () => testMockLLMResponsesParse(TokenCompressor));
+  await tester.runTest('LearningSystem.identifyPattern', () => testIdentifyPattern(TokenCompressor));
+  await tester.runTest('ValidationAgent.validateCompressionLocally', () => testValidateCompressionLocally(TokenCompressor));
+  await tester.runTest('ValidationAgent.screenCodexInterference', () => testScreenCodexInterference(TokenCompressor));
+  await tester.runTest('Orchestrator releases the ceremony claim when the ceremony fails', () => quietly(() => testCeremonyFailureReleasesClaim(TokenCompressor)));
+
+  tester.log('\nround-trip property', 'blue');
+  await tester.runTest('CompressionEngine round-trip (3000 generated sentences)', testRoundTripProperty);
+  await tester.runTest('generateSentence', testSentenceGenerator);
+  await tester.runTest('shrinkCounterexample', testShrinkCounterexample);
+
+  tester.printResults();
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error('❌ Test execution failed:', error);
+    process.exit(1);
+  });
+}